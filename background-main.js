@@ -4,6 +4,8 @@ import { WebhookService } from './services/WebhookService.js';
 import { LLMService } from './services/LLMService.js';
 import { EventService } from './services/EventService.js';
 import { MessageService } from './services/MessageService.js';
+import { JobManager } from './services/JobManager.js';
+import { WebhookQueueService } from './services/WebhookQueueService.js';
 
 // Initialize services
 console.log('Initializing WebSophon background services...');
@@ -14,11 +16,25 @@ const captureService = new CaptureService();
 const webhookService = new WebhookService(captureService, eventService);
 const llmService = new LLMService(captureService, eventService);
 const messageService = new MessageService(captureService, webhookService, eventService, llmService);
+const jobManager = new JobManager();
+const webhookQueueService = new WebhookQueueService();
 
 // Set cross-references for DRY principle
 captureService.setMessageService(messageService);
+captureService.setJobManager(jobManager);
+webhookService.setWebhookQueue(webhookQueueService.getQueue());
+llmService.setWebhookQueue(webhookQueueService.getQueue());
+messageService.setWebhookQueueService(webhookQueueService);
 
 // Set up tab cleanup listeners
 messageService.setupTabListeners();
 
+// Local interval jobs run on chrome.alarms; the listener must be registered on every worker start
+captureService.setupAlarmListener();
+captureService.restoreLocalJobs();
+
+// Failed webhooks are retried from a persisted queue, woken by its own alarm
+webhookQueueService.setupAlarmListener();
+webhookQueueService.restore();
+
 console.log('WebSophon background services initialized successfully'); 
\ No newline at end of file
@@ -110,6 +110,15 @@ CAPTCHA_SECRET_KEY=${CAPTCHA_SECRET_KEY}
 # MAX_TOTAL_JOBS=500
 # MAX_RESULTS_PER_JOB=1000
 
+# Optional: Browser Pool
+# BROWSER_POOL_SIZE=2
+# BROWSER_MAX_CONCURRENCY=4
+# BROWSER_MAX_USES=50
+
+# Optional: Job Persistence (file store on the runner_data volume by default)
+# WEBSOPHON_JOB_STORE=file
+# WEBSOPHON_DATA_DIR=/usr/src/app/cloud_runner/data
+
 # Server Configuration
 PORT=7113
 NODE_ENV=production
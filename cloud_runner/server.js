@@ -1,13 +1,27 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import { v4 as uuidv4 } from 'uuid';
-import puppeteer from 'puppeteer';
 import cors from 'cors';
 import crypto from 'crypto';
 import sharp from 'sharp';
 import { getSystemPrompt } from '../utils/prompt-formatters.js';
 import { parseSAPIENTResponse } from '../utils/sapient-parser.js';
-import { fireFieldWebhooks } from './utils/webhook-utils.js';
+import { buildWebhookDelivery, fireFieldWebhooks, sendWebhookDelivery } from './utils/webhook-utils.js';
+import { createJobStore } from './utils/job-store.js';
+import { BrowserPool } from './utils/browser-pool.js';
+import { applyConfidenceFilter, coerceEvaluation, coerceFieldValue, findRegexConditions } from '../utils/field-types.js';
+import { buildLlmRequest, extractLlmResponse, getProvider, redactLlmRequestBody } from '../utils/llm-providers.js';
+import { combineEvaluations, formatConsensusResponses, getConsensusModels, getConsensusStrategy } from '../utils/consensus.js';
+import { createSchedule, getNextRun, isScheduleDue, validateSchedule } from '../utils/schedule.js';
+import { getTargetHost, matchesTargetHost, validateTarget } from '../utils/url-target.js';
+import { WebhookQueue } from '../utils/webhook-queue.js';
+import { buildChannelDelivery, validateChannel, TEST_NOTIFICATION } from '../utils/notification-channels.js';
+import { sendEmailDelivery } from './utils/email-sender.js';
+import { ScreenshotLinkStore } from './utils/screenshot-links.js';
+import { createScreenshotAttachment, needsScreenshotLink, MAX_ATTACHMENT_BYTES } from '../utils/screenshot-attachment.js';
+import { ACTION_SETTLE_MS, NETWORK_IDLE_MS, performPageAction, runActions, validateActions } from '../utils/pre-capture-actions.js';
+import { extractPageContext, formatPageContext, getInputMode, getPageContextSettings, DEFAULT_PAGE_CONTEXT_MAX_CHARS } from '../utils/page-context.js';
+import { buildHistoryExport, cloudResultToEvent, filterExportEvents, getExportFilename, EXPORT_FORMATS } from '../utils/history-export.js';
 
 const app = express();
 const port = process.env.PORT || 7113;
@@ -25,7 +39,7 @@ const SECURITY_CONFIG = {
     TOKEN_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
     TOKEN_CLEANUP_INTERVAL: 60 * 60 * 1000, // 1 hour
     // Usage Quotas
-    MAX_CONCURRENT_DOMAINS: 10, // Max domains with recurring jobs
+    MAX_CONCURRENT_DOMAINS: 10, // Max recurring monitor targets (hostnames or URL patterns), so one host can use several
     MAX_CONCURRENT_MANUAL: 2,   // Max concurrent manual captures
     // Rate limiting
     MAX_REQUESTS_PER_MINUTE: 60, // Increased for token-based auth
@@ -37,6 +51,19 @@ const SECURITY_CONFIG = {
     MAX_RESULTS_PER_JOB: 1000
 };
 
+// Browser pool configuration
+const BROWSER_POOL_CONFIG = {
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE || '2'), // Chrome processes kept running
+    maxConcurrency: parseInt(process.env.BROWSER_MAX_CONCURRENCY || '4'), // Captures running at once, the rest queue
+    maxUses: parseInt(process.env.BROWSER_MAX_USES || '50'), // Recycle a browser after this many captures
+    healthCheckInterval: 60 * 1000,
+    launchOptions: {
+        headless: true,
+        executablePath: '/usr/bin/google-chrome',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    }
+};
+
 // In-memory stores
 const jobs = {}; // jobId -> job data
 const authTokens = new Map(); // token -> { clientId, expiresAt, quotas, createdAt }
@@ -44,6 +71,7 @@ const clientMetrics = new Map(); // clientId -> { requests: [], lastSeen: timest
 const blockedIPs = new Set();
 const blockedClients = new Set();
 const jobDeletionTimeouts = new Map(); // Track deletion timeouts for jobs
+const browserPool = new BrowserPool(BROWSER_POOL_CONFIG);
 
 // Token and quota management
 class TokenManager {
@@ -67,7 +95,7 @@ class TokenManager {
             expiresAt: now + SECURITY_CONFIG.TOKEN_EXPIRY,
             captchaResponse: captchaResponse, // Store for audit
             quotas: {
-                recurringDomains: new Set(), // Active recurring job domains
+                recurringDomains: new Set(), // Targets with active recurring jobs
                 manualCaptures: 0, // Current concurrent manual captures
                 totalRequests: 0,
                 lastRequestTime: now
@@ -80,6 +108,7 @@ class TokenManager {
         };
 
         this.tokens.set(token, tokenData);
+        persistState();
         console.log(`[TOKEN] Created token for client ${clientId}: ${token.substring(0, 16)}...`);
         return token;
     }
@@ -95,6 +124,7 @@ class TokenManager {
         if (Date.now() > tokenData.expiresAt) {
             console.log(`[TOKEN] Token expired: ${token.substring(0, 16)}... (expired ${new Date(tokenData.expiresAt).toISOString()})`);
             this.tokens.delete(token);
+            persistState();
             return { valid: false, reason: 'Token expired' };
         }
 
@@ -113,10 +143,11 @@ class TokenManager {
 
         switch (operationType) {
             case 'recurring_job':
-                if (quotas.recurringDomains.size >= SECURITY_CONFIG.MAX_CONCURRENT_DOMAINS) {
+                // Updating a target that already runs doesn't take another slot
+                if (!quotas.recurringDomains.has(domain) && quotas.recurringDomains.size >= SECURITY_CONFIG.MAX_CONCURRENT_DOMAINS) {
                     return {
                         allowed: false,
-                        reason: `Quota exceeded: Maximum ${SECURITY_CONFIG.MAX_CONCURRENT_DOMAINS} concurrent recurring domains allowed`,
+                        reason: `Quota exceeded: Maximum ${SECURITY_CONFIG.MAX_CONCURRENT_DOMAINS} concurrent recurring monitors (domains or URL patterns) allowed`,
                         current: quotas.recurringDomains.size,
                         limit: SECURITY_CONFIG.MAX_CONCURRENT_DOMAINS
                     };
@@ -165,6 +196,7 @@ class TokenManager {
         quotas.totalRequests++;
         quotas.lastRequestTime = Date.now();
         stats.totalJobs++;
+        persistState();
 
         console.log(`[QUOTA] Updated quotas for token ${token.substring(0, 16)}...: recurring=${quotas.recurringDomains.size}, manual=${quotas.manualCaptures}`);
         return true;
@@ -203,6 +235,7 @@ class TokenManager {
 
         if (cleanedCount > 0) {
             console.log(`[CLEANUP] Removed ${cleanedCount} expired tokens`);
+            persistState();
         }
     }
 }
@@ -227,9 +260,217 @@ setInterval(() => {
 
     if (cleanedCount > 0) {
         console.log(`[CLEANUP] Removed ${cleanedCount} expired auth jobs`);
+        persistState();
     }
 }, 10 * 60 * 1000); // Run every 10 minutes
 
+// --- Persistence ---
+// Jobs, results, tokens and auth jobs are saved to the job store so a container
+// restart doesn't wipe recurring jobs or force users to re-authenticate.
+const jobStore = createJobStore();
+const PERSIST_DELAY = 2000; // Batch bursts of changes into a single write
+let persistTimeout = null;
+
+// Add a run result to a job, dropping the oldest beyond MAX_RESULTS_PER_JOB
+// The screenshot goes to its own file; the state snapshot leaves it out.
+function addJobResult(job, result) {
+    job.results.push(result);
+    if (job.results.length > SECURITY_CONFIG.MAX_RESULTS_PER_JOB) {
+        job.results.splice(0, job.results.length - SECURITY_CONFIG.MAX_RESULTS_PER_JOB);
+    }
+    if (result.screenshotData) {
+        jobStore.saveScreenshot(result.resultId, result.screenshotData).catch(error => {
+            console.error(`[Store] Failed to save screenshot of result ${result.resultId}:`, error);
+        });
+    }
+}
+
+// Build a JSON-safe snapshot of the runner state
+function serializeState() {
+    const savedJobs = {};
+    for (const [jobId, job] of Object.entries(jobs)) {
+        savedJobs[jobId] = {
+            ...job,
+            results: job.results.map(({ screenshotData, ...result }) =>
+                screenshotData ? { ...result, hasScreenshot: true } : result)
+        };
+    }
+
+    return {
+        jobs: savedJobs,
+        authTokens: Array.from(authTokens.entries()).map(([token, tokenData]) => [token, {
+            ...tokenData,
+            quotas: {
+                ...tokenData.quotas,
+                recurringDomains: Array.from(tokenData.quotas.recurringDomains)
+            }
+        }]),
+        authJobs: Array.from(authJobs.entries()),
+        webhookQueue: webhookQueue.getState()
+    };
+}
+
+// Schedule a save; called after every state change
+function persistState() {
+    if (persistTimeout) return;
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        jobStore.save(serializeState())
+            .then(() => jobStore.pruneScreenshots(getResultIds()))
+            .catch(error => {
+                console.error('[Store] Failed to save runner state:', error);
+            });
+    }, PERSIST_DELAY);
+}
+
+// IDs of every result still kept, so screenshots of dropped results can be deleted
+function getResultIds() {
+    return new Set(Object.values(jobs).flatMap(job => job.results.map(result => result.resultId)));
+}
+
+// Save immediately, e.g. before shutting down
+async function flushState() {
+    if (persistTimeout) {
+        clearTimeout(persistTimeout);
+        persistTimeout = null;
+    }
+    await jobStore.save(serializeState());
+}
+
+// Restore state saved by a previous run
+async function restoreState() {
+    let state;
+    try {
+        state = await jobStore.load();
+    } catch (error) {
+        console.error('[Store] Failed to load runner state, starting fresh:', error);
+        return;
+    }
+    if (!state) return;
+
+    const now = Date.now();
+
+    for (const [token, tokenData] of state.authTokens || []) {
+        if (now > tokenData.expiresAt) continue;
+        tokenData.quotas.recurringDomains = new Set(tokenData.quotas.recurringDomains || []);
+        authTokens.set(token, tokenData);
+    }
+
+    for (const [jobId, authJob] of state.authJobs || []) {
+        if (now - authJob.timestamp <= 5 * 60 * 1000) {
+            authJobs.set(jobId, authJob);
+        }
+    }
+
+    for (const [jobId, job] of Object.entries(state.jobs || {})) {
+        jobs[jobId] = job;
+        job.results = (job.results || []).slice(-SECURITY_CONFIG.MAX_RESULTS_PER_JOB);
+        for (const result of job.results) {
+            if (result.screenshotData) {
+                // State files from before screenshots were stored separately
+                await jobStore.saveScreenshot(result.resultId, result.screenshotData).catch(() => { });
+            } else if (result.hasScreenshot) {
+                result.screenshotData = await jobStore.loadScreenshot(result.resultId).catch(() => null);
+            }
+            delete result.hasScreenshot;
+        }
+
+        if (job.interval) {
+            // The scheduler picks recurring jobs up again from their lastRun
+            if (job.status === 'running' || job.status === 'queued') job.status = 'idle';
+            updateNextRun(job);
+            continue;
+        }
+
+        // A manual capture that was in flight can't be resumed
+        if (job.status !== 'complete' && job.status !== 'failed') {
+            job.status = 'failed';
+            job.error = 'Interrupted by cloud runner restart';
+            addJobResult(job, {
+                resultId: uuidv4(),
+                timestamp: new Date().toISOString(),
+                error: job.error,
+                captureSettings: job.jobData?.captureSettings || {},
+                retrievedBy: []
+            });
+            if (job.authToken) {
+                tokenManager.updateQuotas(job.authToken, { type: 'finish_manual' });
+            }
+        }
+        scheduleJobDeletion(jobId);
+    }
+
+    // Load the queue before the next save, or the snapshot would overwrite it with an empty one
+    restoredWebhookQueue = state.webhookQueue || null;
+    await webhookQueue.ensureLoaded();
+
+    console.log(`[Store] Restored ${Object.keys(jobs).length} jobs, ${authTokens.size} tokens, ${authJobs.size} auth jobs and ${webhookQueue.pending.length} pending webhooks`);
+    persistState();
+}
+
+// --- Webhook retry queue ---
+// Failed field webhooks are retried with backoff and kept in the state snapshot;
+// deliveries that run out of attempts stay as dead letters until replayed or discarded.
+const WEBHOOK_RETRY_CHECK_INTERVAL = 15 * 1000;
+let restoredWebhookQueue = null;
+
+// Email channels go out over SMTP, everything else over HTTP
+function sendNotification(delivery) {
+    return delivery.method === 'EMAIL' ? sendEmailDelivery(delivery) : sendWebhookDelivery(delivery);
+}
+
+const webhookQueue = new WebhookQueue({
+    store: {
+        load: () => restoredWebhookQueue,
+        save: async () => persistState()
+    },
+    send: sendNotification
+});
+
+// --- Signed screenshot links ---
+// Notifications that link to the screenshot point at /screenshots/:id; the
+// signature in the URL is the credential, and links expire after a day by default.
+const screenshotLinks = new ScreenshotLinkStore({
+    secret: SECURITY_CONFIG.SIGNING_SECRET,
+    ttlMs: (parseFloat(process.env.SCREENSHOT_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
+
+// Address the runner was reached at; Caddy terminates TLS and forwards the original scheme
+function getRequestBaseUrl(req) {
+    return `${req.headers['x-forwarded-proto'] || req.protocol}://${req.get('host')}`;
+}
+
+// PUBLIC_URL wins over the address the job was created through
+function getPublicUrl(job) {
+    return process.env.PUBLIC_URL || job.publicUrl || `http://localhost:${port}`;
+}
+
+// Hostname or URL pattern the job monitors; jobs created before URL patterns only have a domain
+function getJobTarget(job) {
+    return job.target || job.domain;
+}
+
+const webhookRetrier = {
+    intervalId: null,
+    start: () => {
+        if (webhookRetrier.intervalId) return;
+        webhookRetrier.intervalId = setInterval(() => {
+            webhookQueue.processDue().catch(error => {
+                console.error('[Queue] Webhook retry pass failed:', error);
+            });
+        }, WEBHOOK_RETRY_CHECK_INTERVAL);
+    },
+    stop: () => {
+        clearInterval(webhookRetrier.intervalId);
+        webhookRetrier.intervalId = null;
+    }
+};
+
+// Deliveries belong to the token that created their job, or the job's current owner
+function ownsDelivery(req) {
+    return entry => entry.delivery.owner === req.authToken || jobs[entry.delivery.jobId]?.authToken === req.authToken;
+}
+
 // CAPTCHA verification utility
 async function verifyCaptcha(captchaResponse, clientIP) {
     // In development, skip actual CAPTCHA verification
@@ -453,8 +694,13 @@ const allowedEndpoints = [
     '/test',
     /^\/job\/[a-f0-9-]+$/,
     /^\/job\/[a-f0-9-]+\/results$/,
+    /^\/job\/[a-f0-9-]+\/export$/,
     /^\/job\/[a-f0-9-]+\/purge$/,
     /^\/job\/[a-f0-9-]+\/session$/,
+    '/webhooks/deliveries',
+    '/notifications/test',
+    /^\/webhooks\/deliveries\/[a-f0-9-]+(\/replay)?$/,
+    /^\/screenshots\/[a-f0-9-]+$/,
     /^\/auth\/job\/auth_[0-9]+_[a-z0-9]+$/
 ];
 
@@ -547,6 +793,7 @@ app.post('/captcha/verify', async (req, res) => {
                 timestamp: Date.now(),
                 clientId: req.clientId
             });
+            persistState();
             console.log(`[CAPTCHA] Token stored for job ${jobId}`);
         }
 
@@ -852,6 +1099,7 @@ app.get('/auth/job/:jobId', (req, res) => {
     };
 
     authJobs.delete(jobId);
+    persistState();
     console.log(`[AUTH] Token retrieved for job ${jobId} by ${req.clientId}, job deleted`);
 
     res.status(200).json({
@@ -1011,12 +1259,13 @@ const jobScheduler = {
         if (jobScheduler.intervalId) return;
         console.log('[Scheduler] Starting job scheduler...');
         jobScheduler.intervalId = setInterval(async () => {
-            const now = Date.now();
+            const now = new Date();
             for (const jobId in jobs) {
                 const job = jobs[jobId];
-                if (job.interval && job.status !== 'running') {
-                    const lastRunTime = job.lastRun ? new Date(job.lastRun).getTime() : 0;
-                    if (now - lastRunTime >= job.interval * 1000) {
+                // Queued jobs are already waiting for a browser slot
+                if (job.interval && job.status !== 'running' && job.status !== 'queued') {
+                    // Cron expressions, active windows and excluded dates all decide here
+                    if (isScheduleDue(getJobSchedule(job), job.lastRun, now, job.createdAt)) {
                         console.log(`[Scheduler] Job ${jobId} is due. Last run was at ${job.lastRun || 'never'}.`);
                         job.lastRun = new Date().toISOString(); // Store as ISO string
                         // Don't await this, let it run in the background
@@ -1035,6 +1284,22 @@ const jobScheduler = {
     }
 };
 
+// Jobs created before schedules existed only have an interval
+function getJobSchedule(job) {
+    return job.schedule || createSchedule(job.interval);
+}
+
+// Record when a recurring job runs next, shown in the extension's Active Captures list
+function updateNextRun(job) {
+    if (!job.interval) {
+        job.nextRun = null;
+        return;
+    }
+    const schedule = getJobSchedule(job);
+    const nextRun = getNextRun(schedule, job.lastRun || (schedule.cron ? job.createdAt : null));
+    job.nextRun = nextRun ? nextRun.toISOString() : null;
+}
+
 /**
  * Endpoint to submit or update a capture job.
  * If an interval is provided, it creates a recurring job.
@@ -1053,7 +1318,9 @@ app.post('/job', requireValidToken, (req, res) => {
         fields,
         previousEvaluation,
         interval = null,
+        schedule = null, // Cron expression, active window and excluded dates
         domain,
+        target = domain, // Hostname or URL pattern; older extensions only send the domain
         captureSettings = {} // NEW: Include capture settings
     } = req.body;
 
@@ -1066,6 +1333,31 @@ app.post('/job', requireValidToken, (req, res) => {
     if (!domain) {
         return res.status(400).json({ error: 'Domain is required for job identification' });
     }
+    // Regex targets come from the client, so the runner never compiles them and only checks the host
+    const targetError = validateTarget(target, { compileRegex: false });
+    if (targetError) {
+        return res.status(400).json({ error: `Invalid target: ${targetError}` });
+    }
+    if (!matchesTargetHost(target, sessionData.url)) {
+        return res.status(400).json({ error: `Session URL is not on the host of the target ${target}` });
+    }
+
+    const scheduleErrors = validateSchedule(schedule);
+    if (scheduleErrors.length > 0) {
+        return res.status(400).json({ error: `Invalid schedule: ${scheduleErrors.join('; ')}` });
+    }
+    const jobSchedule = interval ? createSchedule(interval, schedule || {}) : null;
+    const regexFields = findRegexConditions(fields);
+    if (regexFields.length > 0) {
+        const names = regexFields.map(field => field.friendlyName || field.name).join(', ');
+        return res.status(400).json({ error: `"matches" conditions are not supported by the cloud runner (fields: ${names}); use "contains" or run the monitor locally` });
+    }
+    if (captureSettings.preCaptureActions !== undefined) {
+        const actionsError = validateActions(captureSettings.preCaptureActions);
+        if (actionsError) {
+            return res.status(400).json({ error: `Invalid pre-capture actions: ${actionsError}` });
+        }
+    }
 
     // Security: Validate payload size and content
     if (JSON.stringify(req.body).length > 1024 * 1024) { // 1MB limit for job payload
@@ -1074,7 +1366,7 @@ app.post('/job', requireValidToken, (req, res) => {
 
     // Determine operation type and check quotas
     const operationType = interval ? 'recurring_job' : 'manual_capture';
-    const quotaCheck = tokenManager.checkQuotas(req.authToken, operationType, domain);
+    const quotaCheck = tokenManager.checkQuotas(req.authToken, operationType, target);
 
     if (!quotaCheck.allowed) {
         console.warn(`[QUOTA] ${req.clientId} quota exceeded: ${quotaCheck.reason}`);
@@ -1086,17 +1378,19 @@ app.post('/job', requireValidToken, (req, res) => {
         });
     }
 
-    // Check if a job for this domain already exists
-    let jobId = Object.keys(jobs).find(id => jobs[id].domain === domain && jobs[id].authToken === req.authToken);
+    // Check if a job for this target already exists (jobs from before URL patterns only have a domain)
+    let jobId = Object.keys(jobs).find(id => getJobTarget(jobs[id]) === target && jobs[id].authToken === req.authToken);
     const jobExists = !!jobId;
 
     if (!jobExists) {
         jobId = uuidv4();
         jobs[jobId] = {
             id: jobId,
-            domain: domain,
+            domain: getTargetHost(target),
+            target: target,
             status: 'idle', // Job is waiting for its interval
             interval: interval,
+            schedule: jobSchedule,
             createdAt: new Date().toISOString(),
             lastRun: 0,
             clientId: req.clientId, // Track which client created this job
@@ -1104,16 +1398,17 @@ app.post('/job', requireValidToken, (req, res) => {
             jobData: { sessionData, llmConfig, fields, previousEvaluation, captureSettings },
             results: [], // Array to store results from each run
             error: null,
+            publicUrl: getRequestBaseUrl(req) // Base of signed screenshot links
         };
 
         // Update quotas based on operation type
         if (interval) {
-            tokenManager.updateQuotas(req.authToken, { type: 'start_recurring' }, domain);
+            tokenManager.updateQuotas(req.authToken, { type: 'start_recurring' }, target);
         } else {
             tokenManager.updateQuotas(req.authToken, { type: 'start_manual' });
         }
 
-        console.log(`[${jobId}] New ${operationType} job created by ${req.clientId} for domain ${domain}`);
+        console.log(`[${jobId}] New ${operationType} job created by ${req.clientId} for ${target}`);
         console.log(`[${jobId}] Capture settings:`, captureSettings);
     } else {
         // Security: Only allow the token owner to update their job
@@ -1136,27 +1431,32 @@ app.post('/job', requireValidToken, (req, res) => {
         const willBeRecurring = !!interval;
 
         job.interval = interval;
+        job.schedule = jobSchedule;
         job.jobData = { sessionData, llmConfig, fields, previousEvaluation, captureSettings };
         job.status = 'idle';
+        job.publicUrl = getRequestBaseUrl(req);
 
         // Update quotas if job type changed
         if (wasRecurring && !willBeRecurring) {
             // Recurring -> Manual
-            tokenManager.updateQuotas(req.authToken, { type: 'stop_recurring' }, domain);
+            tokenManager.updateQuotas(req.authToken, { type: 'stop_recurring' }, target);
             tokenManager.updateQuotas(req.authToken, { type: 'start_manual' });
         } else if (!wasRecurring && willBeRecurring) {
             // Manual -> Recurring
             tokenManager.updateQuotas(req.authToken, { type: 'finish_manual' });
-            tokenManager.updateQuotas(req.authToken, { type: 'start_recurring' }, domain);
+            tokenManager.updateQuotas(req.authToken, { type: 'start_recurring' }, target);
         }
 
-        console.log(`[${jobId}] Existing job for domain ${domain} updated by ${req.clientId}`);
+        console.log(`[${jobId}] Existing job for ${target} updated by ${req.clientId}`);
         console.log(`[${jobId}] Updated capture settings:`, captureSettings);
     }
 
+    updateNextRun(jobs[jobId]);
+    persistState();
+
     // If it's a one-off job (no interval), run it immediately.
     if (!interval) {
-        console.log(`[${jobId}] Manual job for ${domain} starting immediately.`);
+        console.log(`[${jobId}] Manual job for ${target} starting immediately.`);
         processJob(jobId, { sessionData, llmConfig, fields, previousEvaluation, captureSettings });
         res.status(202).json({
             jobId,
@@ -1194,11 +1494,13 @@ app.get('/job/:id', requireValidToken, (req, res) => {
     const jobSummary = {
         id: job.id,
         domain: job.domain,
+        target: getJobTarget(job),
         status: job.status,
         interval: job.interval,
         operationType: job.interval ? 'recurring_job' : 'manual_capture',
         createdAt: job.createdAt,
         lastRun: job.lastRun,
+        nextRun: job.nextRun || null,
         resultCount: job.results.length,
     };
     console.log(`[${jobId}] Status check by ${req.clientId}: ${job.status}, ${job.results.length} results pending.`);
@@ -1224,12 +1526,12 @@ app.delete('/job/:id', requireValidToken, (req, res) => {
         return res.status(403).json({ error: 'Unauthorized to delete this job' });
     }
 
-    // Browser cleanup no longer needed - we create fresh browser per capture
+    // Browser cleanup not needed - contexts are released back to the pool after each capture
 
     // Update quotas when deleting job
     if (job.interval) {
         // Recurring job
-        tokenManager.updateQuotas(req.authToken, { type: 'stop_recurring' }, job.domain);
+        tokenManager.updateQuotas(req.authToken, { type: 'stop_recurring' }, getJobTarget(job));
     } else {
         // Manual job
         tokenManager.updateQuotas(req.authToken, { type: 'finish_manual' });
@@ -1242,6 +1544,7 @@ app.delete('/job/:id', requireValidToken, (req, res) => {
     }
 
     delete jobs[jobId];
+    persistState();
     console.log(`[${jobId}] Job deleted by ${req.clientId}, quotas updated.`);
     res.status(200).json({ message: 'Job deleted successfully.' });
 });
@@ -1296,6 +1599,7 @@ app.get('/job/:id/results', requireValidToken, (req, res) => {
                     resultInJob.retrievedBy.push(req.clientId);
                 }
             });
+            persistState();
 
             console.log(`[RESULTS] Preparing response payload...`);
             const responsePayload = { results: resultsToReturn };
@@ -1334,6 +1638,45 @@ app.get('/job/:id/results', requireValidToken, (req, res) => {
     }
 });
 
+/**
+ * Download a job's stored results as CSV, JSON Lines or a ZIP with screenshots.
+ * Unlike /results this does not mark anything as retrieved.
+ * Query: format (csv, jsonl, zip), from/to (ISO timestamps), trueOnly=true.
+ * Requires valid authentication token.
+ */
+app.get('/job/:id/export', requireValidToken, (req, res) => {
+    const job = jobs[req.params.id];
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.authToken !== req.authToken) {
+        console.warn(`[SECURITY] Token ${req.authToken.substring(0, 16)}... attempted to export job ${req.params.id} owned by different token`);
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    try {
+        // Newest first, like the extension's history
+        const events = filterExportEvents(
+            job.results.map(result => cloudResultToEvent(result, job)).reverse(),
+            { from: req.query.from, to: req.query.to, trueOnly: req.query.trueOnly === 'true' }
+        );
+        const { data, mimeType } = buildHistoryExport(events, format);
+
+        console.log(`[${job.id}] Exported ${events.length} results as ${format} for ${req.clientId}`);
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(job.domain, format)}"`);
+        res.status(200).send(Buffer.from(data));
+    } catch (error) {
+        console.error(`[${job.id}] Export failed:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * NEW: Endpoint to purge results after the extension has synced them.
  * Supports selective purging with keepLast parameter for interval jobs.
@@ -1355,6 +1698,7 @@ app.post('/job/:id/purge', requireValidToken, (req, res) => {
     }
 
     const totalResults = job.results.length;
+    persistState();
 
     if (keepLast > 0 && totalResults > keepLast) {
         // Selective purge: keep only the last N results
@@ -1405,8 +1749,8 @@ app.get('/jobs', requireValidToken, (req, res) => {
             if (job.interval && job.interval > 0) {
                 return true;
             }
-            // Include manual jobs that are still running
-            if (!job.interval && job.status === 'running') {
+            // Include manual jobs that are still running or waiting for a browser
+            if (!job.interval && (job.status === 'running' || job.status === 'queued')) {
                 return true;
             }
             return false;
@@ -1416,12 +1760,14 @@ app.get('/jobs', requireValidToken, (req, res) => {
         const jobsData = activeJobs.map(job => ({
             id: job.id,
             domain: job.domain,
+            target: getJobTarget(job),
             status: job.status,
             interval: job.interval || 0,  // Default to 0 for manual jobs
             createdAt: job.createdAt,
             lastRun: job.lastRun,
             runCount: job.results?.length || 0,
             nextRun: job.nextRun,
+            schedule: job.schedule || null,
             error: job.error,
             url: job.jobData?.sessionData?.url || `https://${job.domain}`,
             isManual: !job.interval  // Add flag to identify manual jobs
@@ -1436,6 +1782,89 @@ app.get('/jobs', requireValidToken, (req, res) => {
     }
 });
 
+/**
+ * Endpoint to list pending and dead-lettered webhook deliveries for the authenticated token
+ */
+app.get('/webhooks/deliveries', requireValidToken, async (req, res) => {
+    try {
+        res.json(await webhookQueue.getSummary(ownsDelivery(req)));
+    } catch (error) {
+        console.error('[Queue] Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Endpoint to send a dead-lettered webhook delivery again
+ */
+app.post('/webhooks/deliveries/:id/replay', requireValidToken, async (req, res) => {
+    const { deadLetters } = await webhookQueue.getSummary(ownsDelivery(req));
+    if (!deadLetters.some(entry => entry.id === req.params.id)) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    try {
+        const result = await webhookQueue.replay(req.params.id);
+        res.json({ success: result.success, httpStatus: result.httpStatus, error: result.error });
+    } catch (error) {
+        console.error(`[Queue] Error replaying delivery ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Endpoint to drop a pending or dead-lettered webhook delivery
+ */
+app.delete('/webhooks/deliveries/:id', requireValidToken, async (req, res) => {
+    const { pending, deadLetters } = await webhookQueue.getSummary(ownsDelivery(req));
+    if (![...pending, ...deadLetters].some(entry => entry.id === req.params.id)) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    await webhookQueue.discard(req.params.id);
+    res.json({ success: true });
+});
+
+/**
+ * Endpoint to send a sample notification through a channel, mainly for email
+ * channels that only the runner can deliver
+ */
+app.post('/notifications/test', requireValidToken, async (req, res) => {
+    const { channel } = req.body || {};
+    const errors = validateChannel(channel);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    try {
+        const { fieldName, fieldResult, context } = TEST_NOTIFICATION;
+        const delivery = channel.type === 'webhook'
+            ? buildWebhookDelivery(fieldName, channel.url, null, fieldResult, context)
+            : buildChannelDelivery(channel, fieldName, fieldResult, context);
+        const result = await sendNotification(delivery);
+        console.log(`[TEST] Notification test for ${channel.type} channel by client ${req.clientId}: ${result.success ? 'delivered' : result.error}`);
+        res.json({ success: result.success, httpStatus: result.httpStatus, error: result.error });
+    } catch (error) {
+        console.error('[TEST] Notification test failed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Endpoint serving screenshots behind signed notification links.
+ * No token: chat services and email clients fetch these URLs themselves.
+ */
+app.get('/screenshots/:id', (req, res) => {
+    const link = screenshotLinks.get(req.params.id, req.query.expires, req.query.signature);
+    if (!link) {
+        return res.status(404).json({ error: 'Screenshot not found or link expired' });
+    }
+
+    res.setHeader('Content-Type', link.mimeType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(link.buffer);
+});
+
 /**
  * Root endpoint - minimal information disclosure
  */
@@ -1445,7 +1874,8 @@ app.get('/', (req, res) => {
         status: 'operational',
         version: '1.0.0',
         jobsActive: Object.keys(jobs).length,
-        totalClients: clientMetrics.size
+        totalClients: clientMetrics.size,
+        browserPool: browserPool.getStats()
     });
 });
 
@@ -1468,22 +1898,28 @@ app.post('/test', requireValidToken, (req, res) => {
 /**
  * Compresses a screenshot buffer using Sharp for storage optimization
  * @param {Buffer} screenshotBuffer - Original PNG screenshot buffer
+ * @param {Object} options - { maxBytes } to lower the quality until the image fits, e.g. notification upload limits
  * @returns {Buffer} Compressed JPEG buffer
  */
-async function compressScreenshot(screenshotBuffer) {
+async function compressScreenshot(screenshotBuffer, { maxBytes = null } = {}) {
     try {
-        // Compress to JPEG with optimized settings for storage
-        const compressedBuffer = await sharp(screenshotBuffer)
-            .resize(1920, 1080, {
-                fit: 'inside',           // Keep aspect ratio, don't crop
-                withoutEnlargement: true // Don't upscale if smaller
-            })
-            .jpeg({
-                quality: 85,             // Good balance of quality vs size
-                progressive: true,       // Progressive JPEG for better loading
-                mozjpeg: true           // Use mozjpeg encoder for better compression
-            })
-            .toBuffer();
+        let compressedBuffer;
+        // Start at a good balance of quality vs size and only step down when over maxBytes
+        for (const quality of [85, 70, 55, 40]) {
+            compressedBuffer = await sharp(screenshotBuffer)
+                .resize(1920, 1080, {
+                    fit: 'inside',           // Keep aspect ratio, don't crop
+                    withoutEnlargement: true // Don't upscale if smaller
+                })
+                .jpeg({
+                    quality,
+                    progressive: true,       // Progressive JPEG for better loading
+                    mozjpeg: true           // Use mozjpeg encoder for better compression
+                })
+                .toBuffer();
+
+            if (!maxBytes || compressedBuffer.length <= maxBytes) break;
+        }
 
         return compressedBuffer;
     } catch (error) {
@@ -1493,6 +1929,100 @@ async function compressScreenshot(screenshotBuffer) {
     }
 }
 
+/**
+ * Resolves a capture region (CSS selector or drawn rectangle) to a screenshot clip
+ * in document coordinates, matching the extension's region capture.
+ * @param {Page} page - Puppeteer page
+ * @param {Object} captureRegion - { selector, rect }
+ * @returns {Object} Clip { x, y, width, height }
+ */
+async function resolveCaptureClip(page, captureRegion) {
+    let rect = captureRegion.rect || null;
+
+    if (captureRegion.selector) {
+        // Give late-rendering elements a chance to appear
+        await page.waitForSelector(captureRegion.selector, { timeout: 10000 }).catch(() => null);
+        rect = await page.evaluate((selector) => {
+            const element = document.querySelector(selector);
+            if (!element) return null;
+            const bounds = element.getBoundingClientRect();
+            return {
+                x: bounds.left + window.scrollX,
+                y: bounds.top + window.scrollY,
+                width: bounds.width,
+                height: bounds.height
+            };
+        }, captureRegion.selector);
+
+        if (!rect) {
+            throw new Error(`Capture region selector not found: ${captureRegion.selector}`);
+        }
+    }
+
+    if (!rect || rect.width < 1 || rect.height < 1) {
+        throw new Error('Capture region is empty');
+    }
+
+    return {
+        x: Math.max(0, Math.round(rect.x)),
+        y: Math.max(0, Math.round(rect.y)),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+    };
+}
+
+/**
+ * Runs the scripted pre-capture actions with Puppeteer, matching the extension's
+ * chrome.scripting steps but with real mouse and keyboard input.
+ * @param {Page} page - Puppeteer page
+ * @param {Array} actions - Pre-capture actions
+ * @returns {Object} { success, log, error }
+ */
+async function runPreCaptureActions(page, actions) {
+    return runActions(actions, async (action, timeoutMs) => {
+        switch (action.type) {
+            case 'click':
+                await page.waitForSelector(action.selector, { visible: true, timeout: timeoutMs });
+                await page.click(action.selector);
+                break;
+            case 'type':
+                await page.waitForSelector(action.selector, { visible: true, timeout: timeoutMs });
+                // Replace the current value, like the extension does
+                await page.click(action.selector, { count: 3 });
+                await page.keyboard.press('Backspace');
+                await page.type(action.selector, action.text);
+                break;
+            case 'press':
+                await page.keyboard.press(action.key);
+                break;
+            case 'waitForSelector':
+                await page.waitForSelector(action.selector, { visible: true, timeout: timeoutMs });
+                break;
+            case 'waitForText':
+                await page.waitForFunction(text => (document.body?.innerText || '').includes(text),
+                    { timeout: timeoutMs }, action.text);
+                break;
+            case 'waitForNetworkIdle':
+                await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout: timeoutMs });
+                break;
+            case 'wait':
+                await new Promise(resolve => setTimeout(resolve, action.ms));
+                break;
+            case 'scroll': {
+                // Scrolling needs no real input, so it runs the same page function as the extension
+                const outcome = await page.evaluate(performPageAction, action, timeoutMs);
+                if (!outcome.success) throw new Error(outcome.error);
+                break;
+            }
+            default:
+                throw new Error(`Unknown action "${action.type}"`);
+        }
+        if (['click', 'type', 'press'].includes(action.type)) {
+            await new Promise(resolve => setTimeout(resolve, ACTION_SETTLE_MS));
+        }
+    });
+}
+
 /**
  * Processes the capture job using Puppeteer.
  * This function now appends results to the job's results array.
@@ -1505,8 +2035,8 @@ async function processJob(jobId, jobData) {
     }
 
     // Prevent concurrent runs for the same job
-    if (job.status === 'running') {
-        console.warn(`[${jobId}] Job is already running. Skipping this execution.`);
+    if (job.status === 'running' || job.status === 'queued') {
+        console.warn(`[${jobId}] Job is already ${job.status}. Skipping this execution.`);
         return;
     }
 
@@ -1520,20 +2050,25 @@ async function processJob(jobId, jobData) {
         console.log(`[${jobId}] Initial previousEvaluation provided:`, previousEvaluation);
     }
 
-    let browser;
+    let lease;
+    let llmStartedAt = null; // For the result's durationMs, measured like local captures: LLM request to response
+    let durationMs = null;
+    let actionLog = null; // Step log of the pre-capture actions, kept in the result
 
     try {
+        // Wait for a browser slot instead of launching more browsers when the pool is busy
+        if (browserPool.isSaturated()) {
+            job.status = 'queued';
+            persistState();
+        }
+        lease = await browserPool.acquire(jobId);
+
         console.log(`[${jobId}] Starting job processing...`);
         job.status = 'running';
+        persistState();
 
-        // ALWAYS create a fresh browser for reliable session handling
-        console.log(`[${jobId}] Launching new Puppeteer instance...`);
-        browser = await puppeteer.launch({
-            headless: true,
-            executablePath: '/usr/bin/google-chrome',
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        const page = await browser.newPage();
+        // Every job gets its own browser context, so cookies and storage never leak between jobs
+        const page = await lease.context.newPage();
 
         console.log(`[${jobId}] Setting up browser environment...`);
 
@@ -1602,20 +2137,71 @@ async function processJob(jobId, jobData) {
             console.log(`[${jobId}] Capture delay completed`);
         }
 
-        console.log(`[${jobId}] Taking screenshot...`);
+        // Run the monitor's scripted pre-capture actions (click, type, wait-for...)
+        const preCaptureActions = captureSettings.preCaptureActions || [];
+        if (preCaptureActions.length > 0) {
+            console.log(`[${jobId}] Running ${preCaptureActions.length} pre-capture actions...`);
+            const preCapture = await runPreCaptureActions(page, preCaptureActions);
+            actionLog = preCapture.log;
+            if (!preCapture.success) {
+                throw new Error(preCapture.error);
+            }
+            console.log(`[${jobId}] Pre-capture actions completed`);
+        }
+
+        const pageContextSettings = getPageContextSettings(captureSettings);
+
         // Respect full page capture setting
         const fullPageCapture = captureSettings.fullPageCaptureToggle || false;
-        const screenshotBuffer = await page.screenshot({
-            fullPage: fullPageCapture,
-            type: 'png'
-        });
-        console.log(`[${jobId}] Screenshot captured (full page: ${fullPageCapture}), original size: ${screenshotBuffer.length} bytes`);
+        let screenshotBuffer = null;
+        if (pageContextSettings.textOnly) {
+            console.log(`[${jobId}] Text-only capture, skipping screenshot`);
+        } else if (captureSettings.captureRegion) {
+            console.log(`[${jobId}] Taking screenshot...`);
+            // Element-scoped capture overrides full page / viewport
+            const clip = await resolveCaptureClip(page, captureSettings.captureRegion);
+            console.log(`[${jobId}] Capturing region:`, clip);
+            screenshotBuffer = await page.screenshot({
+                clip,
+                captureBeyondViewport: true,
+                type: 'png'
+            });
+            console.log(`[${jobId}] Region screenshot captured (${clip.width}x${clip.height}), original size: ${screenshotBuffer.length} bytes`);
+        } else {
+            console.log(`[${jobId}] Taking screenshot...`);
+            screenshotBuffer = await page.screenshot({
+                fullPage: fullPageCapture,
+                type: 'png'
+            });
+            console.log(`[${jobId}] Screenshot captured (full page: ${fullPageCapture}), original size: ${screenshotBuffer.length} bytes`);
+        }
 
         // Compress the screenshot using Sharp for storage optimization
-        console.log(`[${jobId}] Compressing screenshot...`);
-        const compressedBuffer = await compressScreenshot(screenshotBuffer);
-        const screenshotData = `data:image/jpeg;base64,${compressedBuffer.toString('base64')}`;
-        console.log(`[${jobId}] Screenshot compressed: ${screenshotBuffer.length} → ${compressedBuffer.length} bytes (${Math.round((1 - compressedBuffer.length / screenshotBuffer.length) * 100)}% reduction)`);
+        // (and to stay under notification upload limits when it is attached)
+        let screenshotData = null;
+        let compressedBuffer = null;
+        if (screenshotBuffer) {
+            console.log(`[${jobId}] Compressing screenshot...`);
+            compressedBuffer = await compressScreenshot(screenshotBuffer, { maxBytes: MAX_ATTACHMENT_BYTES });
+            screenshotData = `data:image/jpeg;base64,${compressedBuffer.toString('base64')}`;
+            console.log(`[${jobId}] Screenshot compressed: ${screenshotBuffer.length} → ${compressedBuffer.length} bytes (${Math.round((1 - compressedBuffer.length / screenshotBuffer.length) * 100)}% reduction)`);
+        }
+
+        // Extract DOM text or accessibility tree if enabled
+        let pageContext = null;
+        if (pageContextSettings.mode !== 'none') {
+            console.log(`[${jobId}] Extracting page context (${pageContextSettings.mode})...`);
+            const extracted = await page.evaluate(extractPageContext, pageContextSettings.mode, DEFAULT_PAGE_CONTEXT_MAX_CHARS);
+            if (extracted && extracted.success) {
+                pageContext = extracted;
+                console.log(`[${jobId}] Page context extracted: ${extracted.content.length} chars${extracted.truncated ? ' (truncated)' : ''}`);
+            } else if (pageContextSettings.textOnly) {
+                // Without a screenshot there is nothing left to analyze
+                throw new Error(`Page context extraction failed: ${extracted?.error || 'no result'}`);
+            } else {
+                console.warn(`[${jobId}] Page context extraction failed, sending screenshot only:`, extracted?.error);
+            }
+        }
 
         console.log(`[${jobId}] Sending to LLM...`);
         // Use the job's last result as context for the next one
@@ -1638,21 +2224,20 @@ async function processJob(jobId, jobData) {
                     const fieldResult = lastResult.llmResponse.evaluation[fieldName];
 
                     if (fieldResult && Array.isArray(fieldResult) && fieldResult.length >= 1) {
-                        const result = fieldResult[0]; // boolean result
+                        const result = fieldResult[0]; // boolean or typed value
                         const probability = fieldResult.length > 1 ? fieldResult[1] : 0.8;
 
                         // Apply confidence threshold filtering (using webhookMinConfidence for consistency)
-                        const minConfidence = field.webhookMinConfidence !== undefined ? field.webhookMinConfidence : 75;
-                        const confidencePercent = probability * 100;
-
-                        let filteredResult = result;
-                        if (result === true && confidencePercent < minConfidence) {
-                            filteredResult = false; // Demote low-confidence TRUE to FALSE
-                            console.log(`[${jobId}] Previous evaluation: Field "${fieldName}" TRUE demoted to FALSE (${confidencePercent.toFixed(1)}% < ${minConfidence}%)`);
+                        // Low-confidence TRUE is demoted to FALSE, low-confidence typed values are dropped
+                        const filteredResult = applyConfidenceFilter(field, result, probability);
+                        if (filteredResult !== result) {
+                            console.log(`[${jobId}] Previous evaluation: Field "${fieldName}" ${result} filtered to ${filteredResult} (confidence ${(probability * 100).toFixed(1)}%)`);
                         }
 
-                        // Only pass the boolean value, not the confidence score
-                        filteredEvaluation[fieldName] = filteredResult;
+                        // Only pass the value, not the confidence score
+                        if (filteredResult !== null) {
+                            filteredEvaluation[fieldName] = filteredResult;
+                        }
                     }
                 }
 
@@ -1673,9 +2258,9 @@ async function processJob(jobId, jobData) {
 
             Object.keys(previousEvaluation).forEach(fieldName => {
                 const fieldData = previousEvaluation[fieldName];
-                if (fieldData && typeof fieldData.result === 'boolean') {
+                if (fieldData && ['boolean', 'number', 'string'].includes(typeof fieldData.result)) {
                     filteredResults[fieldName] = fieldData.result;
-                } else if (typeof fieldData === 'boolean') {
+                } else if (['boolean', 'number', 'string'].includes(typeof fieldData)) {
                     filteredResults[fieldName] = fieldData;
                 }
             });
@@ -1688,7 +2273,14 @@ async function processJob(jobId, jobData) {
         // Use original uncompressed screenshot for LLM analysis (better quality)
         // but store the compressed version for storage efficiency
         console.log(`[${jobId}] Calling LLM service with previousEvaluation:`, previousEvaluation ? JSON.stringify(previousEvaluation) : 'none');
-        const { response, requestPayload, rawContent } = await callLlmService(screenshotBuffer.toString('base64'), llmConfig, fields, previousEvaluation);
+        const base64Image = screenshotBuffer ? screenshotBuffer.toString('base64') : null;
+        // With consensus enabled, several models evaluate the same capture in parallel
+        const consensusModels = getConsensusModels(llmConfig, captureSettings.consensus);
+        llmStartedAt = Date.now();
+        const { response, requestPayload, rawContent } = consensusModels.length > 1
+            ? await callConsensusLlmService(consensusModels, getConsensusStrategy(captureSettings.consensus), base64Image, fields, previousEvaluation, pageContext)
+            : await callLlmService(base64Image, llmConfig, fields, previousEvaluation, pageContext);
+        durationMs = Date.now() - llmStartedAt;
 
         // Fire field-level webhooks if response contains evaluation data
         let fieldWebhooks = [];
@@ -1700,7 +2292,20 @@ async function processJob(jobId, jobData) {
                 console.log(`[${jobId}] About to fire webhooks with domain: ${job.domain}`);
                 // Wrap SAPIENT responses in evaluation property for webhook firing
                 const webhookResponse = response.evaluation ? response : { evaluation: response };
-                fieldWebhooks = await fireFieldWebhooks(jobId, job.domain, webhookResponse, fields);
+                // Edge-trigger state lives on the job, so recurring jobs remember the last runs
+                job.triggerState = job.triggerState || {};
+                // Notifications get the compressed screenshot, attached or behind a signed link
+                const screenshotUrl = compressedBuffer && needsScreenshotLink(fields)
+                    ? screenshotLinks.create(compressedBuffer, 'image/jpeg', getPublicUrl(job))
+                    : '';
+                fieldWebhooks = await fireFieldWebhooks(jobId, job.domain, webhookResponse, fields, job.triggerState, {
+                    url: sessionData.url,
+                    screenshot: createScreenshotAttachment(screenshotData),
+                    screenshotUrl,
+                    queue: webhookQueue,
+                    owner: job.authToken,
+                    send: sendNotification
+                });
                 console.log(`[${jobId}] Webhooks fired successfully, results: ${fieldWebhooks.length} webhooks`);
             } catch (webhookError) {
                 console.error(`[${jobId}] Error firing webhooks:`, webhookError);
@@ -1734,11 +2339,14 @@ async function processJob(jobId, jobData) {
             normalizedResponse = response;
         } else {
             // SAPIENT response - separate summary from field evaluations
-            const { summary, ...fieldEvaluations } = response;
+            const { summary, consensus, ...fieldEvaluations } = response;
             normalizedResponse = {
                 evaluation: fieldEvaluations,
                 summary: summary || ''
             };
+            if (consensus) {
+                normalizedResponse.consensus = consensus;
+            }
         }
 
         // Add webhook results to the normalized response if present
@@ -1747,15 +2355,17 @@ async function processJob(jobId, jobData) {
         }
 
         // Add the new result to the job's history
-        job.results.push({
+        addJobResult(job, {
             resultId: uuidv4(),
             timestamp: new Date().toISOString(),
             screenshotData: screenshotData,
-            llmRequestPayload: { ...requestPayload, messages: requestPayload.messages.map(m => (m.role === 'user' ? { ...m, content: [{ type: 'text', text: 'Please analyze this screenshot.' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,REDACTED' } }] } : m)) },
+            llmRequestPayload: redactLlmRequestBody(requestPayload),
             llmResponse: normalizedResponse, // This now includes webhook results and normalized structure
             llmRawResponse: rawContent, // Store the raw SAPIENT response
+            durationMs: durationMs,
             error: null,
             captureSettings: captureSettings, // Store settings used for this capture
+            actionLog: actionLog,
             retrievedBy: [] // Initialize retrievedBy array
         });
 
@@ -1785,61 +2395,78 @@ async function processJob(jobId, jobData) {
         }
 
         // Also add error to results history
-        job.results.push({
+        addJobResult(job, {
             resultId: uuidv4(),
             timestamp: new Date().toISOString(),
             error: error.message,
+            durationMs: durationMs ?? (llmStartedAt ? Date.now() - llmStartedAt : null),
             captureSettings: captureSettings,
+            actionLog: actionLog,
             retrievedBy: [] // Initialize retrievedBy array for error results too
         });
     } finally {
-        // ALWAYS close the browser after each capture
-        if (browser) {
-            await browser.close();
-            console.log(`[${jobId}] Browser closed`);
+        updateNextRun(job);
+        persistState();
+
+        // Return the browser to the pool; its context (and session) is discarded
+        if (lease) {
+            await browserPool.release(lease);
+            console.log(`[${jobId}] Browser context released`);
         }
 
         // If it was a one-off job that's done, clean it up after a while
         if (job && !job.interval) {
-            // Clean up failed jobs faster than successful ones
-            const cleanupDelay = job.status === 'failed' ? 60000 : 60000 * 15; // 1 minute for failed, 15 minutes for completed
-
-            const timeoutId = setTimeout(() => {
-                if (jobs[jobId]) {
-                    console.log(`[${jobId}] Deleting completed one-off job (status: ${job.status}).`);
-                    delete jobs[jobId];
-                    jobDeletionTimeouts.delete(jobId);
-                }
-            }, cleanupDelay);
-
-            // Store the timeout ID so we can cancel it if needed
-            jobDeletionTimeouts.set(jobId, timeoutId);
+            scheduleJobDeletion(jobId);
         }
     }
 }
 
-async function callLlmService(base64Image, llmConfig, fields, previousEvaluation) {
+// Delete a finished one-off job once the extension has had time to sync its results
+function scheduleJobDeletion(jobId) {
+    const job = jobs[jobId];
+    if (!job) return;
+
+    // Clean up failed jobs faster than successful ones
+    const cleanupDelay = job.status === 'failed' ? 60000 : 60000 * 15; // 1 minute for failed, 15 minutes for completed
+
+    const timeoutId = setTimeout(() => {
+        if (jobs[jobId]) {
+            console.log(`[${jobId}] Deleting completed one-off job (status: ${job.status}).`);
+            delete jobs[jobId];
+            jobDeletionTimeouts.delete(jobId);
+            persistState();
+        }
+    }, cleanupDelay);
+
+    // Store the timeout ID so we can cancel it if needed
+    jobDeletionTimeouts.set(jobId, timeoutId);
+}
+
+async function callLlmService(base64Image, llmConfig, fields, previousEvaluation, pageContext = null) {
     const modelName = llmConfig.model || 'gpt-4-vision-preview';
-    const systemPrompt = getSystemPrompt(fields, previousEvaluation, modelName);
-    const requestPayload = {
-        model: modelName,
-        messages: [
-            { role: 'system', content: systemPrompt },
-            {
-                role: 'user',
-                content: [
-                    { type: 'text', text: 'Please analyze this screenshot.' },
-                    { type: 'image_url', image_url: { url: `data:image/png;base64,${base64Image}` } }
-                ]
-            }
-        ],
-        max_tokens: llmConfig.maxTokens || 5000,
-        temperature: llmConfig.temperature || 0.1,
-    };
+    const systemPrompt = getSystemPrompt(fields, previousEvaluation, modelName, getInputMode(!!base64Image, pageContext));
+
+    // Screenshot and/or page content (text-only runs have no image)
+    const textParts = [base64Image ? 'Please analyze this screenshot.' : 'Please analyze this page content.'];
+    if (pageContext) {
+        textParts.push(formatPageContext(pageContext));
+    }
+
+    // Build the provider-specific request (OpenAI, Anthropic, Gemini, Ollama)
+    const llmRequest = buildLlmRequest(llmConfig, {
+        systemPrompt,
+        textParts,
+        image: base64Image ? { data: base64Image, mimeType: 'image/png' } : null
+    }, {
+        maxTokens: llmConfig.maxTokens || 5000,
+        temperature: llmConfig.temperature || 0.1
+    });
+    const requestPayload = llmRequest.body;
+    console.log(`[Cloud Runner] Calling ${llmRequest.provider} LLM API: ${llmRequest.url}`);
 
-    const response = await fetch(llmConfig.apiUrl, {
+    const response = await fetch(llmRequest.url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${llmConfig.apiKey}` },
+        headers: llmRequest.headers,
         body: JSON.stringify(requestPayload)
     });
 
@@ -1852,16 +2479,22 @@ async function callLlmService(base64Image, llmConfig, fields, previousEvaluation
     let finalResponse;
     let rawContent = ''; // Store the raw LLM response content
 
-    if (responseData.choices && responseData.choices[0] && responseData.choices[0].message) {
+    let extracted = null;
+    try {
+        extracted = extractLlmResponse(llmRequest.provider, responseData);
+    } catch (formatError) {
+        console.warn('[Cloud Runner] Unexpected LLM response format:', formatError.message);
+    }
+
+    if (extracted) {
         // Store the raw content BEFORE any processing
-        rawContent = responseData.choices[0].message.content;
+        rawContent = extracted.content;
         console.log('[Cloud Runner] Raw LLM content:', rawContent);
 
-        let content = responseData.choices[0].message.content.replace(/^```json\s*|```\s*$/g, '');
+        let content = extracted.content.replace(/^```json\s*|```\s*$/g, '');
 
         // Check if response was truncated
-        const finishReason = responseData.choices[0].finish_reason;
-        if (finishReason === 'length') {
+        if (extracted.truncated) {
             console.warn('LLM response was truncated due to max_tokens limit. Consider increasing max_tokens.');
             // Try to salvage partial JSON by adding closing braces
             if (content.includes('{') && !content.trim().endsWith('}')) {
@@ -1883,8 +2516,8 @@ async function callLlmService(base64Image, llmConfig, fields, previousEvaluation
         if (sapientData) {
             console.log('Detected SAPIENT protocol response');
 
-            // The shared parser already returns normalized format
-            finalResponse = sapientData;
+            // The shared parser already returns normalized format, just coerce typed fields
+            finalResponse = coerceEvaluation(sapientData, fields);
             console.log('Successfully parsed SAPIENT response');
         } else {
             // Try to parse as JSON (legacy format)
@@ -1902,9 +2535,8 @@ async function callLlmService(base64Image, llmConfig, fields, previousEvaluation
                 finalResponse = {
                     raw_content: content,
                     parse_error: e.message,
-                    finish_reason: finishReason,
                     content_length: content.length,
-                    truncated: finishReason === 'length'
+                    truncated: extracted.truncated
                 };
             }
         }
@@ -1915,6 +2547,39 @@ async function callLlmService(base64Image, llmConfig, fields, previousEvaluation
     return { response: finalResponse, requestPayload: requestPayload, rawContent: rawContent };
 }
 
+// Run every consensus model in parallel and combine their per-field answers
+async function callConsensusLlmService(modelConfigs, strategy, base64Image, fields, previousEvaluation, pageContext = null) {
+    console.log(`[Cloud Runner] Running ${strategy} consensus across ${modelConfigs.length} models`);
+
+    const modelResults = await Promise.all(modelConfigs.map(async (config) => {
+        const model = config.model || 'gpt-4-vision-preview';
+        const provider = getProvider(config);
+        try {
+            const { response, requestPayload, rawContent } = await callLlmService(base64Image, config, fields, previousEvaluation, pageContext);
+            if (!response || response.parse_error) {
+                return { model, provider, requestPayload, rawResponse: rawContent, error: 'Failed to parse response' };
+            }
+
+            // JSON responses are wrapped in "evaluation", SAPIENT responses are flat
+            const { summary, ...flatEvaluation } = response;
+            const evaluation = response.evaluation || flatEvaluation;
+            return { model, provider, requestPayload, rawResponse: rawContent, evaluation, summary: summary || '' };
+        } catch (error) {
+            console.error(`[Cloud Runner] Consensus model ${model} failed:`, error.message);
+            return { model, provider, requestPayload: null, rawResponse: '', error: error.message };
+        }
+    }));
+
+    const requestPayload = modelResults.map(result => result.requestPayload);
+    const rawContent = formatConsensusResponses(modelResults);
+
+    if (modelResults.every(result => result.error)) {
+        throw new Error(`All consensus models failed: ${modelResults.map(result => `${result.model}: ${result.error}`).join('; ')}`);
+    }
+
+    return { response: combineEvaluations(modelResults, fields, strategy), requestPayload, rawContent };
+}
+
 // Normalize cloud LLM response to match local parsing logic
 function normalizeCloudLLMResponse(rawResponse, fields) {
     console.log('Cloud runner normalizing LLM response:', rawResponse);
@@ -1927,9 +2592,9 @@ function normalizeCloudLLMResponse(rawResponse, fields) {
     }
 
     const normalized = { evaluation: {} };
-    const fieldNames = fields.map(f => f.name);
 
-    for (const fieldName of fieldNames) {
+    for (const field of fields) {
+        const fieldName = field.name;
         const fieldData = dataToProcess[fieldName];
         let result = null;
         let probability = null;
@@ -1950,12 +2615,15 @@ function normalizeCloudLLMResponse(rawResponse, fields) {
                 result = fieldData.boolean;
                 probability = fieldData.probability || 0.8;
             }
-            // Handle direct boolean
-            else if (typeof fieldData === 'boolean') {
+            // Handle direct value (boolean, or number/string for typed fields)
+            else if (fieldData !== null && ['boolean', 'number', 'string'].includes(typeof fieldData)) {
                 result = fieldData;
                 probability = 0.8;
             }
 
+            // Coerce to the field's declared type (boolean, number, enum option or string)
+            result = coerceFieldValue(result, field);
+
             if (result !== null) {
                 // Convert to our standard array format
                 normalized.evaluation[fieldName] = [result, probability];
@@ -1995,6 +2663,7 @@ function cleanup() {
             const jobAge = now - new Date(job.createdAt).getTime();
             if (jobAge > jobCleanupAge) {
                 delete jobs[jobId];
+                persistState();
                 console.log(`[CLEANUP] Removed expired job ${jobId}`);
             }
         }
@@ -2022,21 +2691,37 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('[UNHANDLED REJECTION] Stack:', reason?.stack);
 });
 
-app.listen(port, () => {
+// Restore saved jobs and tokens before accepting requests
+await restoreState();
+
+const server = app.listen(port, () => {
     console.log(`Cloud runner listening on port ${port}`);
     jobScheduler.start();
+    webhookRetrier.start();
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
+// Graceful shutdown: save state so the next start picks up where this one left off
+async function shutdown(signal) {
+    console.log(`${signal} signal received: closing HTTP server`);
     jobScheduler.stop();
+    webhookRetrier.stop();
 
-    app.close(() => {
+    try {
+        await flushState();
+        console.log('[Store] Runner state saved');
+    } catch (error) {
+        console.error('[Store] Failed to save runner state on shutdown:', error);
+    }
+    await browserPool.close();
+
+    server.close(() => {
         console.log('HTTP server closed');
         process.exit(0);
     });
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 /**
  * Endpoint to update session data for an existing job
@@ -2076,6 +2761,7 @@ app.put('/job/:id/session', requireValidToken, async (req, res) => {
         url: originalUrl // Always preserve the original URL
     };
     job.lastSessionUpdate = new Date().toISOString();
+    persistState();
 
     res.status(200).json({
         success: true,
@@ -0,0 +1,203 @@
+// Bounded pool of Puppeteer browsers for the cloud runner
+// Each job gets its own isolated browser context (cookies, storage, cache), so
+// browsers can be reused across jobs and domains without leaking sessions.
+import puppeteer from 'puppeteer';
+
+const HEALTH_CHECK_TIMEOUT = 10000; // A healthy browser answers version() almost instantly
+
+export class BrowserPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {Object} options.launchOptions - Options passed to puppeteer.launch
+     * @param {number} options.maxBrowsers - Maximum number of browsers kept running
+     * @param {number} options.maxConcurrency - Maximum number of jobs holding a context at once
+     * @param {number} options.maxUses - Recycle a browser after it has served this many jobs
+     * @param {number} options.healthCheckInterval - Milliseconds between idle browser health checks
+     */
+    constructor({ launchOptions = {}, maxBrowsers = 2, maxConcurrency = 4, maxUses = 50, healthCheckInterval = 60000 } = {}) {
+        this.launchOptions = launchOptions;
+        this.maxBrowsers = Math.max(1, maxBrowsers);
+        this.maxConcurrency = Math.max(1, maxConcurrency);
+        this.maxUses = Math.max(1, maxUses);
+
+        this.browsers = []; // { id, browser, active, uses, retiring }
+        this.pendingLaunches = []; // Promises of browsers currently starting up
+        this.activeLeases = 0;
+        this.waiting = []; // FIFO of { jobId, resolve, reject } waiting for a slot
+        this.nextBrowserId = 1;
+        this.closed = false;
+
+        this.healthCheckId = setInterval(() => this.checkHealth(), healthCheckInterval);
+    }
+
+    // True when every slot is taken and new jobs will queue
+    isSaturated() {
+        return this.activeLeases >= this.maxConcurrency;
+    }
+
+    /**
+     * Get an isolated browser context for a job, waiting for a free slot if needed
+     * @param {string} jobId - Job requesting the context (for logs)
+     * @returns {Promise<Object>} Lease { jobId, context, entry } to pass back to release()
+     */
+    async acquire(jobId) {
+        if (this.closed) throw new Error('Browser pool is closed');
+
+        if (this.isSaturated() || this.waiting.length > 0) {
+            // dispatchWaiting() takes the slot on our behalf before resolving
+            console.log(`[Pool] All ${this.maxConcurrency} slots busy, job ${jobId} queued (${this.waiting.length + 1} waiting)`);
+            await new Promise((resolve, reject) => this.waiting.push({ jobId, resolve, reject }));
+        } else {
+            this.activeLeases++;
+        }
+
+        try {
+            const entry = await this.getBrowser();
+            entry.active++;
+            entry.uses++;
+
+            try {
+                const context = await entry.browser.createBrowserContext();
+                console.log(`[Pool] Job ${jobId} got a context on browser #${entry.id} (use ${entry.uses}/${this.maxUses}, ${entry.active} active)`);
+                return { jobId, context, entry };
+            } catch (error) {
+                entry.active--;
+                throw error;
+            }
+        } catch (error) {
+            this.activeLeases--;
+            this.dispatchWaiting();
+            throw error;
+        }
+    }
+
+    /**
+     * Close a job's context and free its slot
+     * @param {Object} lease - Lease returned by acquire()
+     */
+    async release(lease) {
+        const { jobId, context, entry } = lease;
+
+        try {
+            await context.close();
+        } catch (error) {
+            console.warn(`[Pool] Failed to close context for job ${jobId}:`, error.message);
+        }
+
+        entry.active--;
+        this.activeLeases--;
+
+        if (entry.uses >= this.maxUses) {
+            entry.retiring = true;
+        }
+        if (entry.retiring && entry.active === 0) {
+            await this.removeBrowser(entry, `served ${entry.uses} jobs`);
+        }
+
+        this.dispatchWaiting();
+    }
+
+    // Reuse the least busy healthy browser, or launch one if the pool has room
+    async getBrowser() {
+        const available = this.browsers
+            .filter(entry => !entry.retiring && entry.browser.connected)
+            .sort((a, b) => a.active - b.active);
+
+        const idle = available.find(entry => entry.active === 0);
+        if (idle) return idle;
+
+        if (this.browsers.length + this.pendingLaunches.length < this.maxBrowsers) {
+            return this.launchBrowser();
+        }
+        if (available.length > 0) return available[0];
+        if (this.pendingLaunches.length > 0) return this.pendingLaunches[0];
+
+        // Every browser is retiring; start a replacement while they finish their jobs
+        return this.launchBrowser();
+    }
+
+    launchBrowser() {
+        const launch = puppeteer.launch(this.launchOptions).then(browser => {
+            const entry = { id: this.nextBrowserId++, browser, active: 0, uses: 0, retiring: false };
+
+            browser.on('disconnected', () => {
+                if (this.browsers.includes(entry)) {
+                    console.warn(`[Pool] Browser #${entry.id} disconnected unexpectedly`);
+                    this.browsers = this.browsers.filter(other => other !== entry);
+                }
+            });
+
+            this.browsers.push(entry);
+            console.log(`[Pool] Launched browser #${entry.id} (${this.browsers.length}/${this.maxBrowsers} running)`);
+            return entry;
+        }).finally(() => {
+            this.pendingLaunches = this.pendingLaunches.filter(pending => pending !== launch);
+        });
+
+        this.pendingLaunches.push(launch);
+        return launch;
+    }
+
+    async removeBrowser(entry, reason) {
+        this.browsers = this.browsers.filter(other => other !== entry);
+        console.log(`[Pool] Recycling browser #${entry.id}: ${reason}`);
+        try {
+            await entry.browser.close();
+        } catch (error) {
+            console.warn(`[Pool] Failed to close browser #${entry.id}:`, error.message);
+        }
+    }
+
+    // Hand freed slots to queued jobs in the order they arrived
+    dispatchWaiting() {
+        while (this.waiting.length > 0 && this.activeLeases < this.maxConcurrency) {
+            this.activeLeases++;
+            this.waiting.shift().resolve();
+        }
+    }
+
+    // Close idle browsers that stopped responding; crashed busy ones drop out via 'disconnected'
+    async checkHealth() {
+        for (const entry of [...this.browsers]) {
+            if (entry.active > 0) continue;
+
+            let healthy = entry.browser.connected;
+            if (healthy) {
+                let timeoutId;
+                const timeout = new Promise(resolve => {
+                    timeoutId = setTimeout(() => resolve(false), HEALTH_CHECK_TIMEOUT);
+                });
+                healthy = await Promise.race([
+                    entry.browser.version().then(() => true, () => false),
+                    timeout
+                ]);
+                clearTimeout(timeoutId);
+            }
+
+            if (!healthy) {
+                await this.removeBrowser(entry, 'failed health check');
+            }
+        }
+    }
+
+    // Pool usage for status endpoints
+    getStats() {
+        return {
+            browsers: this.browsers.length,
+            maxBrowsers: this.maxBrowsers,
+            activeJobs: this.activeLeases,
+            maxConcurrency: this.maxConcurrency,
+            queuedJobs: this.waiting.length
+        };
+    }
+
+    // Close every browser and reject queued jobs (shutdown)
+    async close() {
+        this.closed = true;
+        clearInterval(this.healthCheckId);
+
+        this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('Browser pool is closed')));
+        await Promise.all(this.browsers.map(entry => entry.browser.close().catch(() => { })));
+        this.browsers = [];
+    }
+}
@@ -0,0 +1,102 @@
+// SMTP delivery for email notification channels
+// Configured with SMTP_* environment variables; without SMTP_HOST email channels fail
+// with a clear error instead of being retried.
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const SCREENSHOT_CID = 'screenshot@websophon';
+
+/**
+ * Whether the runner has an SMTP server configured
+ * @returns {boolean} True if SMTP_HOST is set
+ */
+export function isEmailConfigured() {
+    return !!process.env.SMTP_HOST;
+}
+
+function getTransporter() {
+    if (!transporter) {
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            // Implicit TLS on 465, STARTTLS everywhere else unless SMTP_SECURE says otherwise
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Send an email delivery once
+ * @param {Object} delivery - Delivery from buildChannelDelivery() with method "EMAIL"
+ * @returns {Promise<Object>} Result in the shape of sendWebhookDelivery()
+ */
+export async function sendEmailDelivery(delivery) {
+    const requestData = {
+        url: delivery.url,
+        method: 'EMAIL',
+        payload: delivery.email?.subject || null,
+        attachment: delivery.attachment ? delivery.attachment.filename : null,
+        timestamp: new Date().toISOString(),
+        signed: false
+    };
+
+    if (!isEmailConfigured()) {
+        return {
+            request: requestData,
+            response: null,
+            httpStatus: null,
+            success: false,
+            retryable: false,
+            error: 'This cloud runner has no SMTP server configured'
+        };
+    }
+
+    try {
+        const message = {
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: delivery.email.to,
+            subject: delivery.email.subject,
+            text: delivery.email.text,
+            html: delivery.email.html
+        };
+
+        // Attached screenshots are shown inline below the message
+        if (delivery.attachment) {
+            message.attachments = [{
+                filename: delivery.attachment.filename,
+                content: delivery.attachment.data,
+                encoding: 'base64',
+                contentType: delivery.attachment.mimeType,
+                cid: SCREENSHOT_CID
+            }];
+            message.html += `<p><img src="cid:${SCREENSHOT_CID}" alt="Screenshot" style="max-width: 100%;"></p>`;
+        }
+
+        const info = await getTransporter().sendMail(message);
+
+        console.log(`[Email] Sent "${delivery.email.subject}" to ${delivery.email.to} (${info.messageId})`);
+        return {
+            request: requestData,
+            response: info.response,
+            httpStatus: null,
+            success: true,
+            error: null
+        };
+    } catch (error) {
+        // 5xx SMTP replies are permanent (bad recipient, rejected sender); everything else may pass later
+        const permanent = error.responseCode >= 500 && error.responseCode < 600;
+        console.error(`[Email] Failed to send to ${delivery.email?.to}:`, error.message);
+        return {
+            request: requestData,
+            response: error.response || error.message,
+            httpStatus: null,
+            success: false,
+            retryable: !permanent,
+            error: error.message
+        };
+    }
+}
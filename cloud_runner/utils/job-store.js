@@ -0,0 +1,173 @@
+// Persistence layer for cloud runner state (jobs, results, tokens, quotas, auth jobs)
+// Stores implement load() and save(snapshot); the server decides what goes in a snapshot.
+// Result screenshots are kept out of the snapshot and stored one file per result, so the
+// state file (and the JSON.stringify that writes it) stays small.
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATE_VERSION = 1;
+
+/**
+ * JSON file store, meant to live on a mounted volume
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written state file behind.
+ */
+export class FileJobStore {
+    /**
+     * @param {string} filePath - Path of the JSON state file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.screenshotDir = path.join(path.dirname(filePath), 'screenshots');
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Load the last saved snapshot
+     * @returns {Promise<Object|null>} Snapshot, or null if nothing was saved yet
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log(`[Store] No saved state at ${this.filePath}, starting fresh`);
+                return null;
+            }
+            throw error;
+        }
+
+        const state = JSON.parse(raw);
+        if (state.version !== STATE_VERSION) {
+            console.warn(`[Store] Ignoring state file with unsupported version ${state.version}`);
+            return null;
+        }
+
+        console.log(`[Store] Loaded state saved at ${state.savedAt} from ${this.filePath}`);
+        return state.data;
+    }
+
+    /**
+     * Save a snapshot, queued behind any write already in progress
+     * @param {Object} snapshot - Serializable runner state
+     * @returns {Promise<void>}
+     */
+    save(snapshot) {
+        const contents = JSON.stringify({
+            version: STATE_VERSION,
+            savedAt: new Date().toISOString(),
+            data: snapshot
+        });
+
+        this.pendingWrite = this.pendingWrite
+            .catch(() => { }) // A failed write must not block the next one
+            .then(() => this.writeAtomic(contents));
+        return this.pendingWrite;
+    }
+
+    /**
+     * Save a result's screenshot next to the state file
+     * @param {string} resultId - Result ID
+     * @param {string} dataUrl - Screenshot data URL
+     * @returns {Promise<void>}
+     */
+    async saveScreenshot(resultId, dataUrl) {
+        await fs.mkdir(this.screenshotDir, { recursive: true });
+        await fs.writeFile(this.getScreenshotPath(resultId), dataUrl, { encoding: 'utf8', mode: 0o600 });
+    }
+
+    /**
+     * Load a result's screenshot
+     * @param {string} resultId - Result ID
+     * @returns {Promise<string|null>} Screenshot data URL, or null if it was not saved
+     */
+    async loadScreenshot(resultId) {
+        try {
+            return await fs.readFile(this.getScreenshotPath(resultId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete screenshots of results that no longer exist
+     * @param {Set<string>} resultIds - IDs of the results still kept
+     * @returns {Promise<number>} Number of files deleted
+     */
+    async pruneScreenshots(resultIds) {
+        let files;
+        try {
+            files = await fs.readdir(this.screenshotDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const stale = files.filter(file => file.endsWith('.dataurl') && !resultIds.has(file.slice(0, -'.dataurl'.length)));
+        await Promise.all(stale.map(file => fs.unlink(path.join(this.screenshotDir, file)).catch(() => { })));
+        return stale.length;
+    }
+
+    getScreenshotPath(resultId) {
+        // Result IDs are UUIDs; anything else must not be able to leave the directory
+        if (!/^[A-Za-z0-9_-]+$/.test(resultId)) {
+            throw new Error(`Invalid result ID: ${resultId}`);
+        }
+        return path.join(this.screenshotDir, `${resultId}.dataurl`);
+    }
+
+    async writeAtomic(contents) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        // State includes auth tokens, keep it private to the runner user
+        await fs.writeFile(tempPath, contents, { encoding: 'utf8', mode: 0o600 });
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+/**
+ * No-op store: state lives only in memory, as before persistence existed
+ */
+export class MemoryJobStore {
+    async load() {
+        return null;
+    }
+
+    async save() { }
+
+    async saveScreenshot() { }
+
+    async loadScreenshot() {
+        return null;
+    }
+
+    async pruneScreenshots() {
+        return 0;
+    }
+}
+
+/**
+ * Create the configured store
+ * WEBSOPHON_JOB_STORE selects the backend ("file" by default, or "memory");
+ * WEBSOPHON_DATA_DIR sets where the file store keeps runner-state.json and screenshots/.
+ * @param {Object} env - Environment variables
+ * @returns {FileJobStore|MemoryJobStore} Job store
+ */
+export function createJobStore(env = process.env) {
+    const type = (env.WEBSOPHON_JOB_STORE || 'file').toLowerCase();
+
+    if (type === 'memory') {
+        console.log('[Store] Using in-memory job store, state will not survive restarts');
+        return new MemoryJobStore();
+    }
+    if (type !== 'file') {
+        console.warn(`[Store] Unknown job store "${type}", falling back to file store`);
+    }
+
+    const dataDir = env.WEBSOPHON_DATA_DIR || path.resolve('data');
+    const filePath = path.join(dataDir, 'runner-state.json');
+    console.log(`[Store] Using file job store at ${filePath}`);
+    return new FileJobStore(filePath);
+}
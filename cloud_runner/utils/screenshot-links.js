@@ -0,0 +1,77 @@
+// Short-lived signed links to screenshots, for notifications that link to the image
+// Links live in memory only: they expire within hours, and the screenshot itself is
+// already kept with the job's results. A restart simply invalidates them.
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_LINKS = 100; // Oldest links are dropped beyond this to bound memory
+
+export class ScreenshotLinkStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.secret - HMAC key for link signatures
+     * @param {number} options.ttlMs - How long a link stays valid
+     * @param {number} options.maxLinks - Maximum number of screenshots kept
+     */
+    constructor({ secret, ttlMs = DEFAULT_TTL_MS, maxLinks = DEFAULT_MAX_LINKS }) {
+        this.secret = secret;
+        this.ttlMs = ttlMs;
+        this.maxLinks = maxLinks;
+        this.links = new Map(); // id -> { buffer, mimeType, expires }, in insertion order
+    }
+
+    /**
+     * Keep a screenshot and sign a link to it
+     * @param {Buffer} buffer - Image data
+     * @param {string} mimeType - Image type
+     * @param {string} baseUrl - Public URL of the runner
+     * @param {number} now - Current time in ms
+     * @returns {string} Signed URL
+     */
+    create(buffer, mimeType, baseUrl, now = Date.now()) {
+        this.prune(now);
+
+        const id = crypto.randomUUID();
+        const expires = Math.floor((now + this.ttlMs) / 1000);
+        this.links.set(id, { buffer, mimeType, expires });
+
+        while (this.links.size > this.maxLinks) {
+            this.links.delete(this.links.keys().next().value);
+        }
+
+        return `${baseUrl.replace(/\/$/, '')}/screenshots/${id}?expires=${expires}&signature=${this.sign(id, expires)}`;
+    }
+
+    /**
+     * Look up the screenshot behind a link
+     * @param {string} id - Link ID
+     * @param {string} expires - Expiry from the URL (Unix seconds)
+     * @param {string} signature - Signature from the URL
+     * @param {number} now - Current time in ms
+     * @returns {Object|null} { buffer, mimeType }, or null if the link is invalid, expired or evicted
+     */
+    get(id, expires, signature, now = Date.now()) {
+        if (typeof signature !== 'string' || typeof expires !== 'string') return null;
+
+        // Compare in constant time; lengths must match for timingSafeEqual
+        const expected = this.sign(id, expires);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+        if (parseInt(expires, 10) * 1000 <= now) return null;
+
+        const link = this.links.get(id);
+        return link && String(link.expires) === expires ? link : null;
+    }
+
+    sign(id, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${id}.${expires}`).digest('hex');
+    }
+
+    prune(now = Date.now()) {
+        for (const [id, link] of this.links) {
+            if (link.expires * 1000 <= now) this.links.delete(id);
+        }
+    }
+}
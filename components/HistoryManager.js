@@ -1,10 +1,19 @@
 // History management functionality
 import { getTimeAgo, formatResponseData, downloadScreenshot, openScreenshotInNewTab } from '../utils/formatters.js';
+import { formatFieldValue } from '../utils/field-types.js';
+import { EventStore, matchesEventQuery, matchesFieldQuery, hasFieldConditions } from '../utils/event-store.js';
+import { buildHistoryHash, isSearchFilter, normalizeHistoryFilter, toHistoryQuery } from '../utils/history-filter.js';
+
+const SEARCH_RESULT_LIMIT = 200; // Newest matches shown for a search
 
 export class HistoryManager {
     constructor() {
         this.recentEvents = [];
         this.showTrueOnly = false;
+        this.filter = {}; // Search filter, see utils/history-filter.js
+        this.searchResults = null; // Matches from the full history while a search is active
+        this.searchSequence = 0; // Ignores results of superseded searches
+        this.store = new EventStore();
         this.elements = {};
         this.isScrolling = false; // Prevent multiple scroll operations
     }
@@ -17,6 +26,63 @@ export class HistoryManager {
     // Set show true only filter
     setShowTrueOnly(showTrueOnly) {
         this.showTrueOnly = showTrueOnly;
+        this.filter = normalizeHistoryFilter({ ...this.filter, trueOnly: showTrueOnly });
+    }
+
+    // Set the search filter and show its matches
+    async setFilter(filter) {
+        this.filter = normalizeHistoryFilter(filter);
+        this.showTrueOnly = this.filter.trueOnly === '1';
+        this.updateHash();
+        await this.runSearch();
+    }
+
+    isSearchActive() {
+        return isSearchFilter(this.filter);
+    }
+
+    // Keep the popup URL in sync so the current view can be reopened or linked
+    updateHash(eventId = null) {
+        const hash = buildHistoryHash(this.filter, eventId);
+        if (location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    // Query the full history for the current filter, or go back to recent events
+    async runSearch() {
+        const sequence = ++this.searchSequence;
+        if (!this.isSearchActive()) {
+            this.searchResults = null;
+            this.renderHistory();
+            return;
+        }
+
+        try {
+            const results = await this.store.queryEvents({
+                ...toHistoryQuery(this.filter),
+                limit: SEARCH_RESULT_LIMIT
+            });
+            if (sequence !== this.searchSequence) return;
+            this.searchResults = results;
+        } catch (error) {
+            console.error('History search failed:', error);
+            if (sequence !== this.searchSequence) return;
+            this.searchResults = [];
+        }
+        this.renderHistory();
+    }
+
+    // Events currently shown: search matches, or recent events with the TRUE-only toggle
+    getVisibleEvents() {
+        if (this.searchResults) return this.searchResults;
+        return this.showTrueOnly ? this.recentEvents.filter(e => e.hasTrueResult) : this.recentEvents;
+    }
+
+    // Whether an updated event still belongs in the current view
+    isEventVisible(event) {
+        if (this.showTrueOnly && !event.hasTrueResult) return false;
+        return !this.isSearchActive() || matchesEventQuery(event, toHistoryQuery(this.filter));
     }
 
     // Load history from background and storage
@@ -30,6 +96,13 @@ export class HistoryManager {
             if (response && response.events && Array.isArray(response.events)) {
                 console.log('Loaded events from background:', response.events.length);
 
+                // New events may or may not match a search, so run it again
+                if (this.isSearchActive()) {
+                    this.recentEvents = response.events;
+                    await this.runSearch();
+                    return;
+                }
+
                 // Check if we can do a smart update instead of full re-render
                 const canDoSmartUpdate = this.recentEvents.length > 0 && response.events.length > 0;
 
@@ -106,16 +179,14 @@ export class HistoryManager {
         });
     }
 
-    // Load directly from storage as fallback
+    // Load directly from the IndexedDB history as fallback
     async loadFromStorageDirect() {
         try {
-            const storage = await chrome.storage.local.get(['recentEvents']);
-            if (storage.recentEvents && Array.isArray(storage.recentEvents)) {
-                this.recentEvents = storage.recentEvents;
-                console.log('Loaded events from storage:', this.recentEvents.length);
-            } else {
-                console.log('No events found in storage');
-                this.recentEvents = [];
+            this.recentEvents = await this.store.queryEvents({ limit: 100 });
+            console.log('Loaded events from storage:', this.recentEvents.length);
+            if (this.isSearchActive()) {
+                await this.runSearch();
+                return;
             }
             this.renderHistory();
         } catch (error) {
@@ -125,27 +196,15 @@ export class HistoryManager {
         }
     }
 
-    // Save events to storage for persistence
-    async saveToStorage() {
-        try {
-            await chrome.storage.local.set({ recentEvents: this.recentEvents });
-            console.log('Events saved to storage:', this.recentEvents.length);
-        } catch (error) {
-            console.error('Failed to save events to storage:', error);
-        }
-    }
-
     // Clear history
     clearHistory() {
         if (confirm('Clear all event history?')) {
             // Clear local array
             this.recentEvents = [];
-
-            // Save empty state to storage
-            this.saveToStorage();
+            if (this.searchResults) this.searchResults = [];
             this.renderHistory();
 
-            // Tell background script to clear its array too
+            // Tell background script to clear the stored history
             chrome.runtime.sendMessage({ action: 'clearHistory' }, (response) => {
                 if (response && response.success) {
                     return { success: true, message: 'History cleared' };
@@ -160,12 +219,13 @@ export class HistoryManager {
         // An event has been updated with response data
         // Update the specific event in our local array
         const eventIndex = this.recentEvents.findIndex(e => e.id === eventId);
-        if (eventIndex !== -1) {
+        const searchIndex = this.searchResults ? this.searchResults.findIndex(e => e.id === eventId) : -1;
+        if (searchIndex !== -1) {
+            this.searchResults[searchIndex] = event;
+        }
+        if (eventIndex !== -1 || searchIndex !== -1) {
             console.log('Updating event in local array:', event);
-            this.recentEvents[eventIndex] = event;
-
-            // Save updated events to storage
-            this.saveToStorage();
+            if (eventIndex !== -1) this.recentEvents[eventIndex] = event;
 
             // Use surgical update instead of full re-render to preserve UI state
             this.updateEventInPlace(eventId, event);
@@ -193,14 +253,14 @@ export class HistoryManager {
             eventElement.querySelector('.history-details').style.display !== 'none';
 
         // Get the event index for rendering
-        const eventIndex = this.recentEvents.findIndex(e => e.id === eventId);
+        const eventIndex = this.getVisibleEvents().findIndex(e => e.id === eventId);
         if (eventIndex === -1) {
             console.log(`[HistoryManager] Event ${eventId} not found in data array`);
             return;
         }
 
         // Apply filter check
-        const shouldShowEvent = this.showTrueOnly ? event.hasTrueResult : true;
+        const shouldShowEvent = this.isEventVisible(event);
         if (!shouldShowEvent) {
             // Event should be hidden due to filter, remove it
             eventElement.remove();
@@ -224,6 +284,7 @@ export class HistoryManager {
             if (detailsElement) {
                 detailsElement.style.display = 'block';
                 newEventElement.classList.add('expanded');
+                this.loadScreenshot(newEventElement);
             }
         }
 
@@ -294,6 +355,39 @@ export class HistoryManager {
         console.log(`[HistoryManager] Successfully inserted ${filteredNewEvents.length} new events`);
     }
 
+    // Screenshots are not part of the loaded events; fetch one when its event is expanded
+    async loadScreenshot(historyItem) {
+        const img = historyItem.querySelector('.history-screenshot-thumbnail[data-pending]');
+        if (!img) return;
+        img.removeAttribute('data-pending');
+
+        const eventId = historyItem.getAttribute('data-event-id');
+        const event = [...this.recentEvents, ...(this.searchResults || [])].find(e => String(e.id) === eventId);
+        try {
+            const screenshot = await this.getScreenshot(event ? event.id : Number(eventId));
+            if (!screenshot) {
+                img.closest('.screenshot-detail')?.remove();
+                return;
+            }
+            img.src = screenshot;
+            historyItem.querySelector('.download-screenshot-btn')?.setAttribute('data-screenshot', screenshot);
+        } catch (error) {
+            console.error('Failed to load screenshot:', error);
+            img.setAttribute('data-pending', 'true'); // Try again on the next expand
+        }
+    }
+
+    // Ask the service worker, which also has screenshots not yet written; read the store if it does not answer
+    async getScreenshot(eventId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getEventScreenshot', eventId });
+            if (response && response.success) return response.screenshot;
+        } catch (error) {
+            console.log('Background screenshot request failed:', error.message);
+        }
+        return this.store.getScreenshot(eventId);
+    }
+
     // Attach event handlers to a specific element
     attachEventHandlersToElement(element) {
         // Handle click events for this specific element
@@ -311,6 +405,7 @@ export class HistoryManager {
                     details.style.display = 'block';
                     caret.innerHTML = '▼';
                     historyItem.classList.add('expanded');
+                    this.loadScreenshot(historyItem);
                 } else {
                     details.style.display = 'none';
                     caret.innerHTML = '▶';
@@ -364,23 +459,32 @@ export class HistoryManager {
     }
 
     // Find event by ID and scroll to it
-    scrollToEvent(eventId, showTrueOnly, onToggleFilter) {
+    async scrollToEvent(eventId, showTrueOnly = this.showTrueOnly, onToggleFilter = null) {
         // Prevent multiple simultaneous scroll operations
         if (this.isScrolling) {
             console.log('Scroll operation already in progress, ignoring');
             return;
         }
 
-        const eventIndex = this.recentEvents.findIndex(e => e.id == eventId || e.id == parseInt(eventId));
-        if (eventIndex !== -1) {
+        const findEvent = () => this.getVisibleEvents().find(e => e.id == eventId || e.id == parseInt(eventId));
+        // A deep link to an event outside the current search drops the search
+        if (!findEvent() && this.isSearchActive()) {
+            await this.setFilter({ trueOnly: this.filter.trueOnly });
+            if (onToggleFilter) onToggleFilter(false);
+        }
+
+        const event = findEvent() || this.recentEvents.find(e => e.id == eventId || e.id == parseInt(eventId));
+        if (event) {
             this.isScrolling = true;
 
             // Show all events if needed
-            if (showTrueOnly && !this.recentEvents[eventIndex].hasTrueResult) {
-                onToggleFilter(false);
+            if (showTrueOnly && !event.hasTrueResult) {
+                if (onToggleFilter) onToggleFilter(false);
+                if (this.elements.showTrueOnly) this.elements.showTrueOnly.checked = false;
                 this.setShowTrueOnly(false);
                 this.renderHistory();
             }
+            this.updateHash(eventId);
 
             // Scroll to history section with instant behavior to avoid conflicts
             const historySection = Array.from(document.querySelectorAll('.section')).find(
@@ -403,6 +507,7 @@ export class HistoryManager {
                     if (details && details.style.display === 'none') {
                         details.style.display = 'block';
                         historyItem.classList.add('expanded');
+                        this.loadScreenshot(historyItem);
                     }
 
                     // Scroll the specific item into view without smooth behavior
@@ -491,8 +596,7 @@ export class HistoryManager {
             this.recentEvents = this.recentEvents.slice(0, 50);
         }
 
-        // Save to storage to persist
-        this.saveToStorage();
+        // Test events are display-only; they are not added to the stored history
         this.renderHistory();
         return { success: true, message: 'Test events created' };
     }
@@ -515,9 +619,21 @@ export class HistoryManager {
 
     // Render history items as individual entries with cloud/local icons
     renderHistory() {
-        const filteredEvents = this.showTrueOnly
-            ? this.recentEvents.filter(e => e.hasTrueResult)
-            : this.recentEvents;
+        const filteredEvents = this.getVisibleEvents();
+        this.renderSearchSummary();
+
+        if (filteredEvents.length === 0 && this.isSearchActive()) {
+            this.elements.historyContainer.innerHTML = `
+              <div class="history-empty">
+                <div class="empty-state">
+                    <div class="empty-icon">🔍</div>
+                    <h3>No Matches</h3>
+                    <p>No events in the history match these filters.</p>
+                </div>
+              </div>
+            `;
+            return;
+        }
 
         if (filteredEvents.length === 0) {
             this.elements.historyContainer.innerHTML = `
@@ -549,6 +665,40 @@ export class HistoryManager {
         this.attachEventHandlers();
     }
 
+    // Match count above the list while searching
+    renderSearchSummary() {
+        const summary = this.elements.historySearchSummary;
+        if (!summary) return;
+
+        if (!this.searchResults) {
+            summary.textContent = '';
+            summary.style.display = 'none';
+            return;
+        }
+        const count = this.searchResults.length;
+        summary.textContent = count >= SEARCH_RESULT_LIMIT
+            ? `Showing the newest ${SEARCH_RESULT_LIMIT} matches`
+            : `${count} matching event${count === 1 ? '' : 's'}`;
+        summary.style.display = 'block';
+    }
+
+    // Escape text and mark occurrences of the search text
+    highlightText(text) {
+        const escaped = this.escapeHtml(text);
+        const term = this.filter.q;
+        if (!term) return escaped;
+
+        const pattern = new RegExp(this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        return escaped.replace(pattern, match => `<mark class="search-highlight">${match}</mark>`);
+    }
+
+    // Whether a field row is what the field filters matched
+    isMatchingField(field) {
+        if (!this.isSearchActive()) return false;
+        const query = toHistoryQuery(this.filter);
+        return hasFieldConditions(query) && matchesFieldQuery(field, query);
+    }
+
     // Group events by job ID for cloud jobs, and by domain+time for local jobs
     groupEventsByJob(events) {
         const groups = [];
@@ -776,6 +926,8 @@ export class HistoryManager {
 
         if (event.status === 'pending') {
             statusHtml = `<span class="history-status pending">⏳ Waiting for response...</span>`;
+        } else if (event.status === 'missed') {
+            statusHtml = `<span class="history-status warning">⏰ ${event.error}</span>`;
         } else if (!event.success) {
             statusHtml = `<span class="history-status error">❌ Failed: ${event.error || 'Unknown error'}</span>`;
         } else if (event.httpStatus && event.httpStatus !== 200) {
@@ -790,15 +942,15 @@ export class HistoryManager {
 
         // Only show fields section based on event status
         let fieldsHtml = '';
-        if (event.status === 'pending') {
-            // For pending events, don't show fields section at all
+        if (event.status === 'pending' || event.status === 'missed') {
+            // For pending events and missed runs, don't show fields section at all
             fieldsHtml = '';
         } else if (event.fields && event.fields.length > 0) {
             // Show actual field results
             fieldsHtml = event.fields.map(field => `
-              <div class="history-field ${field.result ? 'true' : 'false'}">
-                <span class="history-field-indicator ${field.result ? 'true' : 'false'}"></span>
-                <span>${field.name}: ${field.result ? 'TRUE' : 'FALSE'} ${field.probability ? `(${(field.probability * 100).toFixed(0)}%)` : ''}</span>
+              <div class="history-field ${this.getFieldResultClass(field.result)}${this.isMatchingField(field) ? ' search-match' : ''}">
+                <span class="history-field-indicator ${this.getFieldResultClass(field.result)}"></span>
+                <span>${field.name}: ${this.escapeHtml(formatFieldValue(field.result))} ${field.probability ? `(${(field.probability * 100).toFixed(0)}%)` : ''}</span>
               </div>
             `).join('');
         } else {
@@ -807,9 +959,9 @@ export class HistoryManager {
         }
 
         // Format the summary with proper styling and make it collapsible
-        // Always start collapsed by default to reduce visual clutter
+        // Start collapsed to reduce visual clutter
         console.log(`Event ${event.id} summary check: hasSummary=${!!event.summary}, summaryText="${event.summary}"`);
-        const isInitiallyExpanded = false; // Always collapsed by default
+        const isInitiallyExpanded = !!this.filter.q; // Collapsed unless it holds the search text
         const summaryHtml = event.summary ? `
           <div class="history-reason-section collapsible ${isInitiallyExpanded ? 'expanded' : ''}">
             <div class="history-reason-header">
@@ -817,7 +969,7 @@ export class HistoryManager {
               <span class="history-reason-caret">${isInitiallyExpanded ? '▼' : '▶'}</span>
             </div>
             <div class="history-reason-content" style="display: ${isInitiallyExpanded ? 'block' : 'none'};">
-              <div class="history-reason-text">${event.summary}</div>
+              <div class="history-reason-text">${this.highlightText(event.summary)}</div>
             </div>
           </div>
         ` : '';
@@ -844,16 +996,20 @@ export class HistoryManager {
               
               ${this.renderPreviousEvaluation(event)}
 
-              ${event.screenshot ? `
+              ${this.renderConsensus(event)}
+
+              ${this.renderActionLog(event)}
+
+              ${event.screenshot || event.hasScreenshot ? `
                 <div class="detail-item screenshot-detail">
                   <div class="screenshot-header">
                     <strong>Screenshot:</strong>
                     <div class="screenshot-controls">
-                      <button class="download-screenshot-btn small-button" data-screenshot="${event.screenshot}" data-timestamp="${event.timestamp}">💾 Download</button>
+                      <button class="download-screenshot-btn small-button" data-screenshot="${event.screenshot || ''}" data-timestamp="${event.timestamp}">💾 Download</button>
                     </div>
                   </div>
                   <div class="screenshot-container">
-                                            <img src="${event.screenshot}" alt="Captured screenshot" class="history-screenshot-thumbnail" title="Click to view full size in new tab" style="cursor: pointer;">
+                                            <img ${event.screenshot ? `src="${event.screenshot}"` : 'data-pending="true"'} alt="Captured screenshot" class="history-screenshot-thumbnail" title="Click to view full size in new tab" style="cursor: pointer;">
                   </div>
                 </div>
               ` : ''}
@@ -908,8 +1064,9 @@ export class HistoryManager {
                 <details class="data-section field-webhook">
                   <summary class="data-header">
                     <div class="data-header-content">
-                      <span class="data-header-title">Webhook: ${webhook.fieldName}</span>
+                      <span class="data-header-title">Webhook: ${webhook.fieldName}${webhook.channel ? ` → ${this.escapeHtml(webhook.channel.name)}` : ''}</span>
                       <span class="data-header-status ${this.getStatusClass(webhook.httpStatus)}">${webhook.httpStatus || (webhook.success ? '200' : '500')} ${this.getStatusText(webhook.httpStatus || (webhook.success ? 200 : 500))}</span>
+                      ${webhook.retry ? `<span class="webhook-retry-badge" title="See Settings → Webhook Deliveries">${webhook.retry.status === 'pending' ? '🔁 Retrying' : '📮 Dead letter'}</span>` : ''}
                     </div>
                     <div class="data-header-actions">
                       <button class="copy-data-btn" data-content="${encodeURIComponent(JSON.stringify({ request: webhook.request, response: webhook.response }, null, 2))}" title="Copy webhook data">📋</button>
@@ -959,6 +1116,8 @@ export class HistoryManager {
 
     // Attach event handlers to rendered history items
     attachEventHandlers() {
+        const manager = this;
+
         // Add click handlers for expanding details on individual events
         document.querySelectorAll('.history-item').forEach(item => {
             item.addEventListener('click', function (e) {
@@ -978,6 +1137,7 @@ export class HistoryManager {
                     const isExpanded = details.style.display !== 'none';
                     details.style.display = isExpanded ? 'none' : 'block';
                     this.classList.toggle('expanded', !isExpanded);
+                    if (!isExpanded) manager.loadScreenshot(this);
                 }
             });
         });
@@ -1118,6 +1278,21 @@ export class HistoryManager {
         return 'Unknown';
     }
 
+    // CSS class for a field result: true/false for boolean fields, value for typed fields
+    getFieldResultClass(result) {
+        if (typeof result === 'boolean') {
+            return result ? 'true' : 'false';
+        }
+        return 'value';
+    }
+
+    // Escape typed string values before inserting them into HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     // Render previous evaluation section for an event
     renderPreviousEvaluation(event) {
         if (!event.requestData || !event.requestData.previousEvaluation) {
@@ -1132,14 +1307,14 @@ export class HistoryManager {
         }
 
         const prevEvalItems = prevEvalEntries.map(([fieldName, data]) => {
-            const resultClass = data.result ? 'prev-eval-true' : 'prev-eval-false';
+            const resultClass = `prev-eval-${this.getFieldResultClass(data.result)}`;
             const confidencePercent = Math.round(data.confidence * 100);
             const timestamp = new Date(data.timestamp).toLocaleString();
 
             return `
                 <div class="prev-eval-item">
                     <span class="prev-eval-field">${fieldName}:</span>
-                    <span class="prev-eval-result ${resultClass}">${data.result ? 'TRUE' : 'FALSE'}</span>
+                    <span class="prev-eval-result ${resultClass}">${this.escapeHtml(formatFieldValue(data.result))}</span>
                     <span class="prev-eval-confidence">(${confidencePercent}%)</span>
                     <span class="prev-eval-timestamp">at ${timestamp}</span>
                 </div>
@@ -1159,6 +1334,99 @@ export class HistoryManager {
         `;
     }
 
+    // Render each consensus model's answers and raw response for an event
+    renderConsensus(event) {
+        const consensus = event.consensus;
+        if (!consensus || !Array.isArray(consensus.models) || consensus.models.length === 0) {
+            return '';
+        }
+
+        const disagreements = consensus.disagreements || [];
+        const fieldNames = Object.keys(consensus.votes || {});
+
+        const headerCells = consensus.models.map(model =>
+            `<th>${this.escapeHtml(model.model)}${model.success ? '' : ' ⚠️'}</th>`).join('');
+
+        const voteRows = fieldNames.map(fieldName => {
+            const votes = consensus.votes[fieldName] || {};
+            const cells = consensus.models.map(model => {
+                const vote = votes[model.model];
+                if (!vote) return '<td class="consensus-vote-missing">—</td>';
+                const confidencePercent = Math.round((vote[1] || 0) * 100);
+                return `<td><span class="prev-eval-result prev-eval-${this.getFieldResultClass(vote[0])}">${this.escapeHtml(formatFieldValue(vote[0]))}</span> <span class="prev-eval-confidence">(${confidencePercent}%)</span></td>`;
+            }).join('');
+
+            return `<tr class="${disagreements.includes(fieldName) ? 'consensus-disagreement' : ''}"><td class="consensus-field">${this.escapeHtml(fieldName)}</td>${cells}</tr>`;
+        }).join('');
+
+        const modelResponses = consensus.models.map(model => `
+            <details class="data-section">
+              <summary class="data-header">
+                <div class="data-header-content">
+                  <span class="data-header-title">${this.escapeHtml(model.model)}</span>
+                  <span class="data-header-status ${model.success ? 'status-200' : 'status-5xx'}">${model.success ? 'OK' : this.escapeHtml(model.error || 'Failed')}</span>
+                </div>
+                <div class="data-header-actions">
+                  <span class="data-header-caret">▶</span>
+                </div>
+              </summary>
+              <div class="data-content">
+                ${formatResponseData(model.rawResponse)}
+              </div>
+            </details>
+        `).join('');
+
+        return `
+            <div class="previous-evaluation-section consensus-section">
+                <div class="previous-evaluation-header" onclick="this.parentElement.classList.toggle('expanded')">
+                    <span class="section-title">🗳️ Consensus (${this.escapeHtml(consensus.strategy)})${disagreements.length > 0 ? ` - ${disagreements.length} disagreement${disagreements.length === 1 ? '' : 's'}` : ''}</span>
+                    <span class="expand-indicator">▼</span>
+                </div>
+                <div class="previous-evaluation-content">
+                    <table class="consensus-table">
+                        <thead><tr><th>Field</th>${headerCells}</tr></thead>
+                        <tbody>${voteRows}</tbody>
+                    </table>
+                    ${modelResponses}
+                </div>
+            </div>
+        `;
+    }
+
+    // Render the step log of the scripted pre-capture actions for an event
+    renderActionLog(event) {
+        const actionLog = event.request?.actionLog;
+        if (!Array.isArray(actionLog) || actionLog.length === 0) {
+            return '';
+        }
+
+        const statusIcons = { ok: '✅', failed: '❌', skipped: '⏭️' };
+        const failedCount = actionLog.filter(entry => entry.status === 'failed').length;
+
+        const rows = actionLog.map(entry => `
+            <tr class="action-log-${this.escapeHtml(entry.status)}">
+                <td>${entry.step}</td>
+                <td>${statusIcons[entry.status] || ''} ${this.escapeHtml(entry.description)}${entry.error ? `<div class="action-log-error">${this.escapeHtml(entry.error)}</div>` : ''}</td>
+                <td>${entry.status === 'skipped' && !entry.error ? '' : `${entry.durationMs} ms`}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="previous-evaluation-section action-log-section${failedCount > 0 ? ' expanded' : ''}">
+                <div class="previous-evaluation-header" onclick="this.parentElement.classList.toggle('expanded')">
+                    <span class="section-title">🎬 Pre-capture Actions (${actionLog.length} step${actionLog.length === 1 ? '' : 's'}${failedCount > 0 ? ', failed' : ''})</span>
+                    <span class="expand-indicator">▼</span>
+                </div>
+                <div class="previous-evaluation-content">
+                    <table class="consensus-table">
+                        <thead><tr><th>#</th><th>Step</th><th>Time</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
     // Process and display a single event
 }
 
@@ -1,5 +1,10 @@
 // UI management and field rendering functionality
 import { getTimeAgo } from '../utils/formatters.js';
+import { getFieldType, getEnumOptions, parseCondition } from '../utils/field-types.js';
+import { getWebhookMode } from '../utils/trigger-state.js';
+import { TEMPLATE_VARIABLES, buildTemplateVariables, renderPayloadTemplate, findUnknownVariables } from '../utils/payload-template.js';
+import { CHANNEL_TYPES } from '../utils/notification-channels.js';
+import { SCREENSHOT_MODES } from '../utils/screenshot-attachment.js';
 
 export class UIManager {
     constructor(fieldManager) {
@@ -65,6 +70,11 @@ export class UIManager {
         const sanitizedName = field.name;  // Use the actual field name (already sanitized and unique)
         // Show full URL if toggled to show OR if it hasn't been saved yet
         const displayWebhookUrl = (field.showWebhookUrl || !field.webhookUrlSaved) ? field.webhookUrl : this.fieldManager.maskWebhookUrl(field.webhookUrl);
+        const fieldType = getFieldType(field);
+        const isTyped = fieldType !== 'boolean';
+        const webhookMode = getWebhookMode(field);
+        const channels = this.fieldManager.notificationChannels || [];
+        const selectedChannel = this.getFieldChannel(field);
 
         fieldEl.innerHTML = `
         <div class="field-header">
@@ -80,6 +90,21 @@ export class UIManager {
         <textarea class="field-description" 
                   placeholder="Describe the criteria for evaluating this field...">${field.description}</textarea>
         
+        <div class="field-type-group">
+          <label class="webhook-setting-label">Result type:</label>
+          <select class="field-type-dropdown">
+            <option value="boolean" ${fieldType === 'boolean' ? 'selected' : ''}>TRUE / FALSE</option>
+            <option value="number" ${fieldType === 'number' ? 'selected' : ''}>Number</option>
+            <option value="enum" ${fieldType === 'enum' ? 'selected' : ''}>One of a list</option>
+            <option value="string" ${fieldType === 'string' ? 'selected' : ''}>Text</option>
+          </select>
+          <input type="text" 
+                 class="field-options-input" 
+                 placeholder="Options, comma separated (e.g. open, closed, halted)" 
+                 value="${this.escapeAttribute(getEnumOptions(field).join(', '))}"
+                 style="${fieldType === 'enum' ? '' : 'display: none;'}">
+        </div>
+        
         <div class="confidence-threshold-group">
           <label class="webhook-setting-label">Confidence Threshold: <span class="confidence-value">${field.webhookMinConfidence || 75}%</span></label>
           <input type="range" 
@@ -106,13 +131,57 @@ export class UIManager {
           </div>
           
           <div class="webhook-settings" style="${field.webhookEnabled ? '' : 'display: none;'}">
-            <div class="webhook-trigger-group">
+            <div class="webhook-trigger-group" style="${isTyped ? 'display: none;' : ''}">
               <label class="webhook-setting-label">Trigger when filtered result is:</label>
               <select class="webhook-trigger-dropdown">
                 <option value="true" ${field.webhookTrigger !== false ? 'selected' : ''}>TRUE</option>
                 <option value="false" ${field.webhookTrigger === false ? 'selected' : ''}>FALSE</option>
               </select>
             </div>
+            <div class="webhook-condition-group" style="${isTyped ? '' : 'display: none;'}">
+              <label class="webhook-setting-label">Trigger when filtered result matches:</label>
+              <input type="text" 
+                     class="webhook-condition-input ${field.webhookCondition && !parseCondition(field.webhookCondition) ? 'invalid' : ''}" 
+                     placeholder="e.g. ${field.name || 'price'} < 3200 (empty fires on any value)" 
+                     value="${this.escapeAttribute(field.webhookCondition || '')}">
+            </div>
+            <div class="webhook-mode-group">
+              <label class="webhook-setting-label">Fire:</label>
+              <select class="webhook-mode-dropdown">
+                <option value="level" ${webhookMode === 'level' ? 'selected' : ''}>Every matching run</option>
+                <option value="rising" ${webhookMode === 'rising' ? 'selected' : ''}>When it starts matching</option>
+                <option value="falling" ${webhookMode === 'falling' ? 'selected' : ''}>When it stops matching</option>
+                <option value="change" ${webhookMode === 'change' ? 'selected' : ''}>On any change</option>
+              </select>
+            </div>
+            <div class="webhook-debounce-group">
+              <label class="webhook-setting-label">Hold for
+                <input type="number" class="webhook-hold-input" min="1" max="100" value="${field.webhookHoldRuns || 1}"> runs
+              </label>
+              <label class="webhook-setting-label">Cooldown
+                <input type="number" class="webhook-cooldown-input" min="0" step="60" value="${field.webhookCooldown || 0}"> s
+              </label>
+            </div>
+            <div class="webhook-secret-group">
+              <input type="password" 
+                     class="webhook-secret-input" 
+                     placeholder="Signing secret (optional, overrides the global one)" 
+                     value="${this.escapeAttribute(field.webhookSecret || '')}" 
+                     autocomplete="off">
+            </div>
+          </div>
+          
+          <div class="webhook-channel-group" style="${field.webhookEnabled ? '' : 'display: none;'}">
+            <label class="webhook-setting-label">Send to:</label>
+            <select class="webhook-channel-dropdown">
+              <option value="">Custom webhook URL</option>
+              ${channels.map(channel => `
+                <option value="${this.escapeAttribute(channel.id)}" ${channel.id === field.webhookChannelId ? 'selected' : ''}>
+                  ${this.escapeAttribute(channel.name)} (${CHANNEL_TYPES[channel.type]?.label || channel.type})
+                </option>`).join('')}
+              ${field.webhookChannelId && !selectedChannel ?
+                `<option value="${this.escapeAttribute(field.webhookChannelId)}" selected>⚠️ Deleted channel</option>` : ''}
+            </select>
           </div>
           
           <div class="webhook-url-group" style="${field.webhookEnabled ? '' : 'display: none;'}">
@@ -126,9 +195,27 @@ export class UIManager {
             </button>
           </div>
           
+          <div class="webhook-screenshot-group" style="display: none;">
+            <label class="webhook-setting-label">Screenshot:</label>
+            <select class="webhook-screenshot-dropdown" title="Attached images are added to POST payloads as base64; GET webhooks get a screenshot_url parameter instead">
+              ${Object.entries(SCREENSHOT_MODES).map(([mode, { label }]) => `
+                <option value="${mode}" ${mode === (field.webhookScreenshot || 'none') ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>
+          
           <textarea class="webhook-payload-input" 
-                    placeholder='{ "content": "message" }'
+                    placeholder='{ "content": "{{field}} is {{result}} ({{confidence}}%)" }'
                     style="${field.webhookEnabled ? '' : 'display: none;'}">${field.webhookPayload}</textarea>
+          <div class="webhook-payload-preview" style="${field.webhookEnabled && field.webhookPayload ? '' : 'display: none;'}">
+            <div class="payload-preview-header">
+              <span>Preview</span>
+              <span class="payload-preview-status"></span>
+            </div>
+            <pre class="payload-preview-content"></pre>
+            <small class="payload-preview-variables" title="${this.escapeAttribute(TEMPLATE_VARIABLES.map(variable => `{{${variable.name}}}: ${variable.description}`).join('\n'))}">
+              Variables: ${TEMPLATE_VARIABLES.map(variable => `{{${variable.name}}}`).join(' ')}
+            </small>
+          </div>
           
           <div class="webhook-logs" style="display: none;">
             <div class="logs-header">
@@ -152,10 +239,111 @@ export class UIManager {
 
         // Add event listeners for this field
         this.attachFieldHandlers(fieldEl, field);
+        this.updateChannelVisibility(fieldEl, field);
 
         this.elements.fieldsContainer.appendChild(fieldEl);
     }
 
+    // Channel selected for the field, null for a custom URL or a deleted channel
+    getFieldChannel(field) {
+        if (!field.webhookChannelId) return null;
+        return (this.fieldManager.notificationChannels || []).find(channel => channel.id === field.webhookChannelId) || null;
+    }
+
+    // Chat and email channels format their own message, so the field's URL, payload and secret don't apply
+    formatsOwnMessage(field) {
+        const channel = this.getFieldChannel(field);
+        return !!channel && channel.type !== 'webhook';
+    }
+
+    // Show the inputs that apply to the field's destination
+    updateChannelVisibility(fieldEl, field) {
+        const setVisible = (el, visible) => {
+            if (el) el.style.display = visible ? '' : 'none';
+        };
+        const ownMessage = this.formatsOwnMessage(field);
+
+        setVisible(fieldEl.querySelector('.webhook-channel-group'), field.webhookEnabled);
+        setVisible(fieldEl.querySelector('.webhook-url-group'), field.webhookEnabled && !field.webhookChannelId);
+        // Channels carry their own screenshot setting
+        setVisible(fieldEl.querySelector('.webhook-screenshot-group'), field.webhookEnabled && !field.webhookChannelId);
+        setVisible(fieldEl.querySelector('.webhook-payload-input'), field.webhookEnabled && !ownMessage);
+        setVisible(fieldEl.querySelector('.webhook-secret-group'), !ownMessage);
+        this.updatePayloadPreview(fieldEl.querySelector('.webhook-payload-preview'), field);
+    }
+
+    // Render the field's payload template with its last result, or a sample value before the first run
+    updatePayloadPreview(previewEl, field) {
+        if (!previewEl) return;
+        if (!field.webhookEnabled || !field.webhookPayload || this.formatsOwnMessage(field)) {
+            previewEl.style.display = 'none';
+            return;
+        }
+        previewEl.style.display = '';
+
+        const hasResult = field.result !== null && field.result !== undefined;
+        const variables = buildTemplateVariables(
+            field.name,
+            [hasResult ? field.result : this.getSampleResult(field), hasResult && field.probability ? field.probability : 0.92],
+            {
+                domain: this.fieldManager.currentDomain,
+                jobId: 'preview',
+                url: this.fieldManager.currentDomain ? `https://${this.fieldManager.currentDomain}/` : '',
+                summary: 'Summary of the page from the LLM',
+                screenshotUrl: ''
+            }
+        );
+        const rendered = renderPayloadTemplate(field.webhookPayload, variables);
+
+        const statusEl = previewEl.querySelector('.payload-preview-status');
+        const unknown = findUnknownVariables(field.webhookPayload);
+        let isJson = true;
+        try {
+            JSON.parse(rendered);
+        } catch (error) {
+            isJson = false;
+        }
+
+        if (unknown.length > 0) {
+            statusEl.textContent = `⚠️ Unknown: ${unknown.map(name => `{{${name}}}`).join(', ')}`;
+            statusEl.className = 'payload-preview-status warning';
+        } else if (!isJson) {
+            statusEl.textContent = '⚠️ Not valid JSON';
+            statusEl.className = 'payload-preview-status warning';
+        } else {
+            statusEl.textContent = hasResult ? '✓ Valid JSON (last result)' : '✓ Valid JSON (sample result)';
+            statusEl.className = 'payload-preview-status valid';
+        }
+
+        // Pretty-print valid JSON, show anything else exactly as it will be sent
+        previewEl.querySelector('.payload-preview-content').textContent = isJson
+            ? JSON.stringify(JSON.parse(rendered), null, 2)
+            : rendered;
+    }
+
+    // Example value matching the field's result type
+    getSampleResult(field) {
+        switch (getFieldType(field)) {
+            case 'number':
+                return 42;
+            case 'enum':
+                return getEnumOptions(field)[0] || 'option';
+            case 'string':
+                return 'Example text';
+            default:
+                return field.webhookTrigger !== false;
+        }
+    }
+
+    // Escape a value for use inside a double-quoted HTML attribute
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     // Attach event handlers to a single field item
     attachFieldHandlers(fieldEl, field) {
         const nameInput = fieldEl.querySelector('.field-name-input');
@@ -164,14 +352,25 @@ export class UIManager {
         const removeBtn = fieldEl.querySelector('.remove-field-btn');
         const webhookToggle = fieldEl.querySelector('.webhook-toggle');
         const webhookTriggerDropdown = fieldEl.querySelector('.webhook-trigger-dropdown');
+        const webhookTriggerGroup = fieldEl.querySelector('.webhook-trigger-group');
+        const webhookConditionGroup = fieldEl.querySelector('.webhook-condition-group');
+        const webhookConditionInput = fieldEl.querySelector('.webhook-condition-input');
+        const webhookModeDropdown = fieldEl.querySelector('.webhook-mode-dropdown');
+        const webhookHoldInput = fieldEl.querySelector('.webhook-hold-input');
+        const webhookCooldownInput = fieldEl.querySelector('.webhook-cooldown-input');
+        const webhookSecretInput = fieldEl.querySelector('.webhook-secret-input');
+        const webhookChannelDropdown = fieldEl.querySelector('.webhook-channel-dropdown');
+        const webhookScreenshotDropdown = fieldEl.querySelector('.webhook-screenshot-dropdown');
+        const fieldTypeDropdown = fieldEl.querySelector('.field-type-dropdown');
+        const fieldOptionsInput = fieldEl.querySelector('.field-options-input');
         const webhookSettings = fieldEl.querySelector('.webhook-settings');
-        const webhookUrlGroup = fieldEl.querySelector('.webhook-url-group');
         const webhookHelp = fieldEl.querySelector('.webhook-help');
         const confidenceThresholdGroup = fieldEl.querySelector('.confidence-threshold-group');
         const webhookConfidenceSlider = fieldEl.querySelector('.webhook-confidence-slider');
         const confidenceValueSpan = fieldEl.querySelector('.confidence-value');
         const webhookUrlInput = fieldEl.querySelector('.webhook-url-input');
         const webhookPayloadInput = fieldEl.querySelector('.webhook-payload-input');
+        const webhookPayloadPreview = fieldEl.querySelector('.webhook-payload-preview');
         const toggleUrlBtn = fieldEl.querySelector('.toggle-url-visibility');
         const viewLogsBtn = fieldEl.querySelector('.view-logs-btn');
         const webhookLogs = fieldEl.querySelector('.webhook-logs');
@@ -219,6 +418,128 @@ export class UIManager {
             this.fieldManager.saveToStorage();
         });
 
+        // Change result type (boolean, number, enum, string)
+        if (fieldTypeDropdown) {
+            fieldTypeDropdown.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.type = fieldTypeDropdown.value;
+                const isTyped = actualField.type !== 'boolean';
+
+                // Enum fields need a list of options
+                fieldOptionsInput.style.display = actualField.type === 'enum' ? '' : 'none';
+
+                // Boolean fields trigger on TRUE/FALSE, typed fields on a comparison
+                webhookTriggerGroup.style.display = isTyped ? 'none' : '';
+                webhookConditionGroup.style.display = isTyped ? '' : 'none';
+
+                // Previous results no longer match the new type
+                actualField.result = null;
+                actualField.probability = null;
+                actualField.filteredResult = null;
+                this.updatePayloadPreview(webhookPayloadPreview, actualField);
+
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Update enum options
+        if (fieldOptionsInput) {
+            fieldOptionsInput.addEventListener('input', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.options = fieldOptionsInput.value
+                    .split(',')
+                    .map(option => option.trim())
+                    .filter(Boolean);
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Update webhook condition for typed fields
+        if (webhookConditionInput) {
+            webhookConditionInput.addEventListener('input', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                const condition = webhookConditionInput.value;
+                actualField.webhookCondition = condition;
+
+                // Flag expressions we can't parse (empty is valid: fire on any value)
+                webhookConditionInput.classList.toggle('invalid', !!condition.trim() && !parseCondition(condition));
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Edge-trigger mode: every matching run, or only when the match flips
+        if (webhookModeDropdown) {
+            webhookModeDropdown.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookMode = webhookModeDropdown.value;
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Debounce (consecutive runs) and cooldown (seconds between webhooks)
+        if (webhookHoldInput) {
+            webhookHoldInput.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookHoldRuns = Math.max(1, parseInt(webhookHoldInput.value) || 1);
+                webhookHoldInput.value = actualField.webhookHoldRuns;
+                this.fieldManager.saveToStorage();
+            });
+        }
+        if (webhookCooldownInput) {
+            webhookCooldownInput.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookCooldown = Math.max(0, parseInt(webhookCooldownInput.value) || 0);
+                webhookCooldownInput.value = actualField.webhookCooldown;
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Per-field signing secret
+        if (webhookSecretInput) {
+            webhookSecretInput.addEventListener('input', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookSecret = webhookSecretInput.value.trim();
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Destination: a configured notification channel or the field's own URL
+        if (webhookChannelDropdown) {
+            webhookChannelDropdown.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookChannelId = webhookChannelDropdown.value;
+                this.updateChannelVisibility(fieldEl, actualField);
+                this.fieldManager.saveToStorage();
+            });
+        }
+
+        // Screenshot attached to or linked from custom URL webhooks
+        if (webhookScreenshotDropdown) {
+            webhookScreenshotDropdown.addEventListener('change', () => {
+                const actualField = this.fieldManager.getField(field.id);
+                if (!actualField) return;
+
+                actualField.webhookScreenshot = webhookScreenshotDropdown.value;
+                this.fieldManager.saveToStorage();
+            });
+        }
+
         // Remove field
         removeBtn.addEventListener('click', () => {
             if (confirm(`Remove field "${field.friendlyName || field.name}"?`)) {
@@ -248,21 +569,10 @@ export class UIManager {
                 if (webhookHelp) webhookHelp.style.display = 'none';
             }
 
-            // Show/hide URL group (only when webhook is enabled)
-            if (actualField.webhookEnabled) {
-                webhookUrlGroup.style.display = '';
-            } else {
-                webhookUrlGroup.style.display = 'none';
-            }
-
             // Confidence threshold is always visible (no hiding logic needed)
 
-            // Show/hide payload input (only when enabled)
-            if (actualField.webhookEnabled) {
-                webhookPayloadInput.style.display = '';
-            } else {
-                webhookPayloadInput.style.display = 'none';
-            }
+            // Show/hide destination, URL and payload inputs (only when enabled)
+            this.updateChannelVisibility(fieldEl, actualField);
 
             this.fieldManager.saveToStorage();
         });
@@ -336,6 +646,7 @@ export class UIManager {
             if (!actualField) return;
 
             actualField.webhookPayload = webhookPayloadInput.value;
+            this.updatePayloadPreview(webhookPayloadPreview, actualField);
             this.fieldManager.saveToStorage();
         });
 
@@ -1,17 +1,20 @@
 // Content script to monitor navigation changes
-let currentDomain = window.location.hostname;
+// Monitors can target a URL pattern, so path and query changes count as navigation too
+let currentUrl = window.location.href;
 
-// Function to check if domain has changed
+// Function to check if the URL has changed
 function checkDomainChange() {
-    const newDomain = window.location.hostname;
-    if (newDomain !== currentDomain) {
+    const newUrl = window.location.href;
+    if (newUrl !== currentUrl) {
         // Notify background script of navigation
         chrome.runtime.sendMessage({
             action: 'tabNavigated',
-            oldDomain: currentDomain,
-            newDomain: newDomain
+            oldDomain: new URL(currentUrl).hostname,
+            newDomain: window.location.hostname,
+            oldUrl: currentUrl,
+            newUrl: newUrl
         });
-        currentDomain = newDomain;
+        currentUrl = newUrl;
     }
 }
 
@@ -0,0 +1,233 @@
+// WebSophon dashboard - field timelines and capture statistics from the stored history
+import { EventStore } from './utils/event-store.js';
+import { DASHBOARD_RANGES, createHistoryStats } from './utils/history-stats.js';
+import { formatFieldValue } from './utils/field-types.js';
+import { buildHistoryHash } from './utils/history-filter.js';
+
+const TIMELINE_WIDTH = 640;
+const TIMELINE_HEIGHT = 120;
+const TIMELINE_PADDING = 10;
+
+class DashboardController {
+    constructor() {
+        this.store = new EventStore();
+        this.elements = {};
+    }
+
+    async initialize() {
+        this.elements = {
+            range: document.getElementById('dashboardRange'),
+            domain: document.getElementById('dashboardDomain'),
+            refreshBtn: document.getElementById('refreshDashboardBtn'),
+            status: document.getElementById('dashboardStatus'),
+            statEvents: document.getElementById('statEvents'),
+            statTrueRate: document.getElementById('statTrueRate'),
+            statConfidence: document.getElementById('statConfidence'),
+            statLatency: document.getElementById('statLatency'),
+            statErrorRate: document.getElementById('statErrorRate'),
+            fieldTimelines: document.getElementById('fieldTimelines'),
+            domainStats: document.getElementById('domainStats'),
+            sourceStats: document.getElementById('sourceStats')
+        };
+
+        const { theme } = await chrome.storage.local.get(['theme']);
+        document.body.setAttribute('data-theme', theme || 'light');
+
+        this.elements.range.innerHTML = Object.entries(DASHBOARD_RANGES)
+            .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        this.elements.range.value = '7d';
+
+        // The popup can open the dashboard for one domain: dashboard.html?domain=example.com
+        const domain = new URLSearchParams(location.search).get('domain');
+        if (domain) {
+            this.setDomainOptions([domain]);
+            this.elements.domain.value = domain;
+        }
+
+        this.elements.range.addEventListener('change', () => this.refresh());
+        this.elements.domain.addEventListener('change', () => this.refresh());
+        this.elements.refreshBtn.addEventListener('click', () => this.refresh());
+
+        await this.refresh();
+    }
+
+    async refresh() {
+        const range = DASHBOARD_RANGES[this.elements.range.value];
+        const from = new Date(Date.now() - range.durationMs).toISOString();
+        const domain = this.elements.domain.value;
+
+        try {
+            // Aggregate straight from the cursor; the range can hold thousands of events
+            const domains = new Set();
+            const accumulator = createHistoryStats();
+            let shown = 0;
+            await this.store.forEachEvent({ from }, event => {
+                domains.add(event.domain);
+                if (domain && event.domain !== domain) return;
+                accumulator.add(event);
+                shown++;
+            });
+            this.setDomainOptions([...domains]);
+
+            const stats = accumulator.result();
+            console.log(`Dashboard: ${shown} events since ${from}`);
+
+            this.renderOverview(stats.overview);
+            this.renderTimelines(stats.fields, Date.parse(from), Date.now());
+            this.renderDomains(stats.domains);
+            this.renderSources(stats.sources);
+            this.elements.status.textContent = '';
+        } catch (error) {
+            console.error('Failed to load dashboard:', error);
+            this.elements.status.textContent = `Failed to load history: ${error.message}`;
+            this.elements.status.className = 'status-message error';
+        }
+    }
+
+    // Keep the selected domain while adding any new ones from the loaded events
+    setDomainOptions(domains) {
+        const select = this.elements.domain;
+        const known = new Set([...select.options].map(option => option.value).filter(Boolean));
+        domains.filter(Boolean).forEach(domain => known.add(domain));
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">All domains</option>' + [...known].sort()
+            .map(domain => `<option value="${this.escapeHtml(domain)}">${this.escapeHtml(domain)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    renderOverview(overview) {
+        this.elements.statEvents.textContent = overview.total;
+        this.elements.statTrueRate.textContent = this.formatPercent(overview.trueRate);
+        this.elements.statConfidence.textContent = this.formatPercent(overview.avgConfidence);
+        this.elements.statLatency.textContent = this.formatDuration(overview.avgLatencyMs);
+        this.elements.statErrorRate.textContent = this.formatPercent(overview.errorRate);
+    }
+
+    renderTimelines(fields, from, to) {
+        if (fields.length === 0) {
+            this.elements.fieldTimelines.innerHTML = '<div class="history-empty">No field results in this period.</div>';
+            return;
+        }
+
+        this.elements.fieldTimelines.innerHTML = fields.map(field => `
+            <div class="dashboard-timeline">
+                <div class="dashboard-timeline-header">
+                    <a class="dashboard-timeline-name" href="${this.getHistoryLink(field)}" target="_blank" title="Open these results in the history">
+                        ${this.escapeHtml(field.name)}
+                    </a>
+                    <span class="dashboard-timeline-domain">${this.escapeHtml(field.domain)}</span>
+                    <span class="dashboard-timeline-stats">
+                        ${field.total} results · TRUE ${this.formatPercent(field.trueRate)} · confidence ${this.formatPercent(field.avgConfidence)}
+                    </span>
+                </div>
+                ${this.renderTimelineChart(field.points, field.valueRange, from, to)}
+            </div>
+        `).join('');
+    }
+
+    // SVG chart: confidence as a line, each result as a dot
+    // Numbers are plotted at their value, scaled between the lowest and highest result
+    renderTimelineChart(points, valueRange, from, to) {
+        const plotHeight = TIMELINE_HEIGHT - 2 * TIMELINE_PADDING;
+        const x = time => TIMELINE_PADDING + ((time - from) / (to - from)) * (TIMELINE_WIDTH - 2 * TIMELINE_PADDING);
+        const y = value => TIMELINE_PADDING + (1 - value) * plotHeight;
+        const scale = number => valueRange && valueRange.max > valueRange.min
+            ? (number - valueRange.min) / (valueRange.max - valueRange.min)
+            : 0.5;
+
+        const confidence = points.filter(point => point.probability !== null)
+            .map(point => `${x(point.time).toFixed(1)},${y(point.probability).toFixed(1)}`)
+            .join(' ');
+
+        const values = points.filter(point => typeof point.result === 'number')
+            .map(point => `${x(point.time).toFixed(1)},${y(scale(point.result)).toFixed(1)}`)
+            .join(' ');
+
+        const dots = points.map(point => {
+            const position = point.result === true ? 1
+                : point.result === false ? 0
+                : typeof point.result === 'number' ? scale(point.result)
+                : 0.5;
+            const className = point.result === true ? 'true' : point.result === false ? 'false' : 'value';
+            const confidenceText = point.probability !== null ? ` (${Math.round(point.probability * 100)}%)` : '';
+            const title = `${new Date(point.time).toLocaleString()}: ${formatFieldValue(point.result)}${confidenceText}, ${point.source}`;
+            return `<circle class="timeline-dot ${className} ${point.source}" cx="${x(point.time).toFixed(1)}" cy="${y(position).toFixed(1)}" r="4"><title>${this.escapeHtml(title)}</title></circle>`;
+        }).join('');
+
+        const rangeLabels = valueRange ? `
+                <text class="timeline-label" x="${TIMELINE_PADDING}" y="${TIMELINE_PADDING - 2}">${this.escapeHtml(formatFieldValue(valueRange.max))}</text>
+                <text class="timeline-label" x="${TIMELINE_PADDING}" y="${TIMELINE_HEIGHT - 2}">${this.escapeHtml(formatFieldValue(valueRange.min))}</text>
+        ` : '';
+
+        return `
+            <svg class="dashboard-timeline-chart" viewBox="0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}">
+                <line class="timeline-axis" x1="0" y1="${y(0.5)}" x2="${TIMELINE_WIDTH}" y2="${y(0.5)}" />
+                ${confidence ? `<polyline class="timeline-confidence" points="${confidence}" />` : ''}
+                ${values ? `<polyline class="timeline-values" points="${values}" />` : ''}
+                ${rangeLabels}
+                ${dots}
+            </svg>
+        `;
+    }
+
+    renderDomains(domains) {
+        this.elements.domainStats.innerHTML = domains.length === 0
+            ? '<tr><td colspan="6">No events in this period.</td></tr>'
+            : domains.map(domain => `
+                <tr>
+                    <td>${this.escapeHtml(domain.domain)}</td>
+                    <td>${domain.total}</td>
+                    <td>${this.formatPercent(domain.trueRate)}</td>
+                    <td>${this.formatPercent(domain.avgConfidence)}</td>
+                    <td>${this.formatDuration(domain.avgLatencyMs)}</td>
+                    <td>${this.formatPercent(domain.errorRate)} (${domain.errors})</td>
+                </tr>
+            `).join('');
+    }
+
+    renderSources({ cloud, local }) {
+        const rows = [
+            ['Events', stats => stats.total],
+            ['TRUE rate', stats => this.formatPercent(stats.trueRate)],
+            ['Avg confidence', stats => this.formatPercent(stats.avgConfidence)],
+            ['Avg LLM latency', stats => this.formatDuration(stats.avgLatencyMs)],
+            ['Error rate', stats => `${this.formatPercent(stats.errorRate)} (${stats.errors})`]
+        ];
+        this.elements.sourceStats.innerHTML = rows.map(([label, value]) => `
+            <tr>
+                <th>${label}</th>
+                <td>${value(cloud)}</td>
+                <td>${value(local)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Options page link showing this field's results in the history search
+    getHistoryLink(field) {
+        return chrome.runtime.getURL('options.html') + buildHistoryHash({ domain: field.domain, field: field.name });
+    }
+
+    formatPercent(value) {
+        return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+    }
+
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '–';
+        return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new DashboardController().initialize().catch(error => {
+        console.error('Failed to initialize dashboard:', error);
+    });
+});
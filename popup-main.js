@@ -1,9 +1,30 @@
 // Clean LLM-only Popup Controller
 // Uses FieldManagerLLM for proper state management
+import { FIELD_TYPES, getEnumOptions, coerceFieldValue, toFieldName, applyConfidenceFilter as applyFieldConfidenceFilter } from './utils/field-types.js';
+import { DEFAULT_API_URLS, getMissingLlmConfig, getProvider } from './utils/llm-providers.js';
+import { CRON_CHECK_INTERVAL, createSchedule, describeSchedule, getNextRun, validateSchedule } from './utils/schedule.js';
+import { generateSigningSecret } from './utils/webhook-signing.js';
+import { CHANNEL_TYPES, validateChannel } from './utils/notification-channels.js';
+import { getChannelScreenshotMode } from './utils/screenshot-attachment.js';
+import { EventStore, HISTORY_RETENTION_KEY, getRetentionPolicy } from './utils/event-store.js';
+import { EXPORT_FORMATS, buildHistoryExport, getExportFilename } from './utils/history-export.js';
+import { downloadFile } from './utils/formatters.js';
+import { buildHistoryHash, parseHistoryHash } from './utils/history-filter.js';
+import { PRESET_LIBRARY_KEY, PRESET_LINKS_PREFIX, applyPresetToFields, createPresetLink, findLibraryPreset, findPresetVariables, getPresetUsage, planPresetUpdate, saveLibraryPreset } from './utils/preset-library.js';
+import { findTargetsForUrl, getMonitorName, getTargetHost, matchesTarget, resolveTarget, suggestUrlPattern, validateTarget, withMonitorName } from './utils/url-target.js';
+import { PRE_CAPTURE_ACTIONS_PREFIX, formatActionScript, parseActionScript } from './utils/pre-capture-actions.js';
+import { IMPORT_MODES, buildConfigBundle, findConfigConflicts, getConfigBundleFilename, planConfigImport, validateConfigBundle } from './utils/config-bundle.js';
+
+// Shown after the type in the channel list
+const SCREENSHOT_ICONS = { none: '', attach: ' · 📎 screenshot', link: ' · 🔗 screenshot' };
+
+// Storage key prefixes that mark a domain as configured
+const DOMAIN_KEY_PREFIXES = ['consent_', 'interval_', 'fields_', 'cloud_job_'];
 
 class CleanPopupController {
     constructor() {
-        this.currentDomain = '';
+        this.currentDomain = '';  // Target being edited: a hostname or a URL pattern (utils/url-target.js)
+        this.currentUrl = '';  // Active tab URL in the popup
         this.currentTab = 'fields';
         this.elements = {};
 
@@ -14,7 +35,13 @@ class CleanPopupController {
         this.uiManager = null;
 
         this.historyManager = null;
+        this.eventStore = new EventStore(); // Read-only access to the stored history
         this.saveDebounceTimer = null;
+        this.editingChannelId = null;  // Notification channel open in the settings form
+        this.pendingConfigBundle = null;  // Validated bundle waiting for the import button
+
+        // The same controller drives the popup and the full-page options page (options.html)
+        this.isOptionsPage = document.body.dataset.page === 'options';
     }
 
     async initialize() {
@@ -23,7 +50,8 @@ class CleanPopupController {
             await this.pingBackgroundScriptWithRetry();
 
             // 1. Get current domain first (needed for field loading)
-            this.currentDomain = await this.getCurrentDomain();
+            // The options page isn't tied to a tab, so it edits a chosen domain instead
+            this.currentDomain = this.isOptionsPage ? await this.getOptionsDomain() : await this.getCurrentDomain();
             console.log('Current domain:', this.currentDomain);
 
             // 2. Get DOM elements
@@ -36,8 +64,10 @@ class CleanPopupController {
             this.uiManager = new UIManager(this.fieldManager);
             this.uiManager.setElements(this.elements);
 
-            this.jobManager = new JobManager();
+            this.jobManager = new JobManager({ writeThroughBackground: true });
             await this.jobManager.loadJobs();
+            // The background worker records local runs; refresh the list when it does
+            this.jobManager.onJobsChanged(() => this.renderActiveJobs());
 
             // 4. Load field state from storage
             this.fieldManager.currentDomain = this.currentDomain;
@@ -54,10 +84,18 @@ class CleanPopupController {
             await this.loadBasicSettings();
             await this.loadCaptureSettings(); // Load capture settings for default tab
             this.displayCurrentDomain();
+            await this.renderOptionsDomainSelect();
+            await this.renderTargetSelect();
 
             // 8. Load and display active jobs
             this.renderActiveJobs();
 
+            // Open a history view linked through the URL hash (#history?...)
+            const historyLink = parseHistoryHash(location.hash);
+            if (historyLink) {
+                await this.navigateToHistoryEvent(historyLink.eventId, historyLink.filter);
+            }
+
             // 9. Start cloud runner synchronization
             this.startCloudRunnerSync();
 
@@ -105,12 +143,13 @@ class CleanPopupController {
         throw new Error('Could not establish connection with the background script.');
     }
 
+    // Most specific configured target for the active tab, else its hostname
     async getCurrentDomain() {
         try {
             const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
             if (tabs[0]?.url) {
-                const url = new URL(tabs[0].url);
-                return url.hostname;
+                this.currentUrl = tabs[0].url;
+                return resolveTarget(this.currentUrl, await this.getKnownDomains());
             }
         } catch (error) {
             console.error('Error getting current domain:', error);
@@ -118,6 +157,116 @@ class CleanPopupController {
         return 'unknown';
     }
 
+    // Popup: the targets covering the active tab, to switch between monitors on one host
+    async renderTargetSelect() {
+        const select = this.elements.targetSelect;
+        if (!select || !this.currentUrl) return;
+
+        const hostname = new URL(this.currentUrl).hostname;
+        const targets = findTargetsForUrl([...await this.getKnownDomains(), hostname, this.currentDomain], this.currentUrl);
+        select.innerHTML = targets
+            .map(target => `<option value="${this.escapeHtml(target).replace(/"/g, '&quot;')}">${this.escapeHtml(target)}</option>`)
+            .join('');
+        select.value = this.currentDomain;
+        select.style.display = targets.length > 1 ? '' : 'none';
+    }
+
+    // Add a URL pattern target for the active tab and switch to it
+    async createUrlTarget() {
+        const input = prompt(
+            'Monitor only pages matching a URL pattern:\n' +
+            '• host/path with * wildcards, e.g. www.tradingview.com/chart/*\n' +
+            '• add ?name=value to require query parameters (* for any value)\n' +
+            '• host~regex to match the path and query with a regular expression',
+            suggestUrlPattern(this.currentUrl));
+        if (input === null) return;
+
+        const target = input.trim();
+        const error = validateTarget(target) ||
+            (!matchesTarget(target, this.currentUrl) ? 'The pattern does not match the current page' : null);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+        await this.addTarget(target);
+    }
+
+    // Add a named monitor next to the current one (same host or pattern, own fields, model and job)
+    async createMonitor() {
+        const name = prompt(`Name of the new monitor for ${withMonitorName(this.currentDomain, '')}, e.g. "Entry signals" or "Daily P&L":`);
+        if (!name || !name.trim()) return;
+
+        const target = withMonitorName(this.currentDomain, name);
+        const error = validateTarget(target);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+        await this.addTarget(target);
+    }
+
+    // A target is known once it has settings; new ones start disabled with no fields
+    async addTarget(target) {
+        const consentKey = `consent_${target}`;
+        const existing = await chrome.storage.local.get([consentKey]);
+        if (existing[consentKey] === undefined) {
+            await chrome.storage.local.set({ [consentKey]: false });
+        }
+        await this.selectDomain(target);
+        this.showStatus(`Now editing ${target}`, 'success');
+    }
+
+    // Domain edited on the options page: ?domain= from the popup, else the last one chosen there
+    async getOptionsDomain() {
+        const requested = new URLSearchParams(location.search).get('domain');
+        if (requested) return requested;
+
+        const { optionsDomain } = await chrome.storage.local.get(['optionsDomain']);
+        if (optionsDomain) return optionsDomain;
+
+        const [firstDomain] = await this.getKnownDomains();
+        return firstDomain || 'unknown';
+    }
+
+    async renderOptionsDomainSelect() {
+        const select = this.elements.optionsDomainSelect;
+        if (!select) return;
+
+        const domains = await this.getKnownDomains();
+        if (!domains.includes(this.currentDomain)) {
+            domains.unshift(this.currentDomain);
+        }
+        select.innerHTML = domains
+            .map(domain => `<option value="${this.escapeHtml(domain).replace(/"/g, '&quot;')}">${this.escapeHtml(domain)}</option>`)
+            .join('');
+        select.value = this.currentDomain;
+    }
+
+    // Switch the domain (target) being edited and reload the open tab for it
+    async selectDomain(domain) {
+        if (!domain || domain === this.currentDomain) return;
+
+        // A pending field edit still belongs to the previous domain
+        if (this.saveDebounceTimer) {
+            clearTimeout(this.saveDebounceTimer);
+            this.saveDebounceTimer = null;
+            await this.fieldManager.saveToStorage();
+        }
+
+        this.currentDomain = domain;
+        this.fieldManager.currentDomain = domain;
+        if (this.isOptionsPage) {
+            await chrome.storage.local.set({ optionsDomain: domain });
+            history.replaceState(null, '', `?domain=${encodeURIComponent(domain)}${location.hash}`);
+        }
+
+        await this.fieldManager.loadFromStorage();
+        this.displayCurrentDomain();
+        await this.renderOptionsDomainSelect();
+        await this.renderTargetSelect();
+        this.switchTab(this.currentTab);
+    }
+
     displayCurrentDomain() {
         const domainElement = document.getElementById('currentDomain');
         if (domainElement) {
@@ -130,6 +279,14 @@ class CleanPopupController {
             // Main structure
             tabNavigation: document.querySelector('.tab-navigation'),
             tabContent: document.querySelector('.tab-content'),
+            openOptionsBtn: document.getElementById('openOptionsBtn'),
+            optionsDomainSelect: document.getElementById('optionsDomainSelect'),
+            targetSelect: document.getElementById('targetSelect'),
+            newTargetBtn: document.getElementById('newTargetBtn'),
+            newMonitorBtn: document.getElementById('newMonitorBtn'),
+            monitorModel: document.getElementById('monitorModel'),
+            preCaptureActions: document.getElementById('preCaptureActions'),
+            preCaptureActionsStatus: document.getElementById('preCaptureActionsStatus'),
 
             // Fields section
             fieldsContainer: document.getElementById('fieldsContainer'),
@@ -137,6 +294,8 @@ class CleanPopupController {
             presetSelector: document.getElementById('presetSelector'),
             savePresetBtn: document.getElementById('savePresetBtn'),
             deletePresetBtn: document.getElementById('deletePresetBtn'),
+            saveLibraryPresetBtn: document.getElementById('saveLibraryPresetBtn'),
+            presetLibraryList: document.getElementById('presetLibraryList'),
 
             // Capture section
             captureBtn: document.getElementById('captureBtn'),
@@ -146,8 +305,10 @@ class CleanPopupController {
             // Settings section
             consentToggle: document.getElementById('consentToggle'),
             captureInterval: document.getElementById('captureInterval'),
+            localIntervalWarning: document.getElementById('localIntervalWarning'),
 
             // LLM Configuration
+            llmProvider: document.getElementById('llmProvider'),
             llmApiUrl: document.getElementById('llmApiUrl'),
             llmApiKey: document.getElementById('llmApiKey'),
             llmModel: document.getElementById('llmModel'),
@@ -159,6 +320,9 @@ class CleanPopupController {
 
             // Cloud Runner
             cloudRunnerUrl: document.getElementById('cloudRunnerUrl'),
+            webhookSigningSecret: document.getElementById('webhookSigningSecret'),
+            toggleSigningSecretBtn: document.getElementById('toggleSigningSecretBtn'),
+            generateSigningSecretBtn: document.getElementById('generateSigningSecretBtn'),
             testCloudRunnerBtn: document.getElementById('testCloudRunnerBtn'),
             testCloudRunnerStatus: document.getElementById('testCloudRunnerStatus'),
 
@@ -179,6 +343,31 @@ class CleanPopupController {
             historyContainer: document.getElementById('historyContainer'),
             showTrueOnly: document.getElementById('showTrueOnly'),
             clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            openDashboardBtn: document.getElementById('openDashboardBtn'),
+            historySearch: document.getElementById('historySearch'),
+            historyFilterToggle: document.getElementById('historyFilterToggle'),
+            historyFilterPanel: document.getElementById('historyFilterPanel'),
+            historySearchSummary: document.getElementById('historySearchSummary'),
+            historyStatus: document.getElementById('historyStatus'),
+            filterDomain: document.getElementById('filterDomain'),
+            filterDomainOptions: document.getElementById('filterDomainOptions'),
+            filterField: document.getElementById('filterField'),
+            filterResult: document.getElementById('filterResult'),
+            filterMinConf: document.getElementById('filterMinConf'),
+            filterMaxConf: document.getElementById('filterMaxConf'),
+            filterStatus: document.getElementById('filterStatus'),
+            filterOutcome: document.getElementById('filterOutcome'),
+            filterSource: document.getElementById('filterSource'),
+            clearHistoryFiltersBtn: document.getElementById('clearHistoryFiltersBtn'),
+            copyHistoryLinkBtn: document.getElementById('copyHistoryLinkBtn'),
+            exportSource: document.getElementById('exportSource'),
+            exportScope: document.getElementById('exportScope'),
+            exportFrom: document.getElementById('exportFrom'),
+            exportTo: document.getElementById('exportTo'),
+            exportTrueOnly: document.getElementById('exportTrueOnly'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+            exportStatus: document.getElementById('exportStatus'),
 
             // Storage management
             storageUsed: document.getElementById('storageUsed'),
@@ -186,8 +375,34 @@ class CleanPopupController {
             storagePercent: document.getElementById('storagePercent'),
             storageProgress: document.getElementById('storageProgress'),
             refreshStorageBtn: document.getElementById('refreshStorageBtn'),
+            notificationChannelList: document.getElementById('notificationChannelList'),
+            channelType: document.getElementById('channelType'),
+            channelName: document.getElementById('channelName'),
+            channelSettings: document.getElementById('channelSettings'),
+            channelScreenshot: document.getElementById('channelScreenshot'),
+            saveChannelBtn: document.getElementById('saveChannelBtn'),
+            cancelChannelEditBtn: document.getElementById('cancelChannelEditBtn'),
+            channelStatus: document.getElementById('channelStatus'),
+            webhookQueueSummary: document.getElementById('webhookQueueSummary'),
+            refreshDeliveriesBtn: document.getElementById('refreshDeliveriesBtn'),
+            webhookDeliveryList: document.getElementById('webhookDeliveryList'),
+            webhookDeliveryStatus: document.getElementById('webhookDeliveryStatus'),
             cleanupStorageBtn: document.getElementById('cleanupStorageBtn'),
             storageStatus: document.getElementById('storageStatus'),
+            retentionMaxAgeDays: document.getElementById('retentionMaxAgeDays'),
+            retentionMaxEvents: document.getElementById('retentionMaxEvents'),
+            retentionScreenshotDays: document.getElementById('retentionScreenshotDays'),
+            saveRetentionBtn: document.getElementById('saveRetentionBtn'),
+
+            // Configuration bundles
+            configExportScope: document.getElementById('configExportScope'),
+            configRedactSecrets: document.getElementById('configRedactSecrets'),
+            exportConfigBtn: document.getElementById('exportConfigBtn'),
+            configImportFile: document.getElementById('configImportFile'),
+            configImportPreview: document.getElementById('configImportPreview'),
+            configImportMode: document.getElementById('configImportMode'),
+            importConfigBtn: document.getElementById('importConfigBtn'),
+            configStatus: document.getElementById('configStatus'),
 
             // Known Domains
             domainsContainer: document.getElementById('domainsContainer'),
@@ -199,6 +414,24 @@ class CleanPopupController {
             refreshPageToggle: document.getElementById('refreshPageToggle'),
             captureDelay: document.getElementById('captureDelay'),
             fullPageCaptureToggle: document.getElementById('fullPageCaptureToggle'),
+            captureRegionSelector: document.getElementById('captureRegionSelector'),
+            drawCaptureRegionBtn: document.getElementById('drawCaptureRegionBtn'),
+            clearCaptureRegionBtn: document.getElementById('clearCaptureRegionBtn'),
+            captureRegionStatus: document.getElementById('captureRegionStatus'),
+            pageContextMode: document.getElementById('pageContextMode'),
+            textOnlyCaptureToggle: document.getElementById('textOnlyCaptureToggle'),
+            consensusToggle: document.getElementById('consensusToggle'),
+            consensusOptions: document.getElementById('consensusOptions'),
+            consensusModels: document.getElementById('consensusModels'),
+            consensusStrategy: document.getElementById('consensusStrategy'),
+            cronOptions: document.getElementById('cronOptions'),
+            scheduleCron: document.getElementById('scheduleCron'),
+            scheduleDays: document.getElementById('scheduleDays'),
+            scheduleStart: document.getElementById('scheduleStart'),
+            scheduleEnd: document.getElementById('scheduleEnd'),
+            scheduleTimezone: document.getElementById('scheduleTimezone'),
+            scheduleExcludedDates: document.getElementById('scheduleExcludedDates'),
+            scheduleSummary: document.getElementById('scheduleSummary'),
             usePreviousEvaluationToggle: document.getElementById('usePreviousEvaluationToggle'),
             clearPreviousEvaluationBtn: document.getElementById('clearPreviousEvaluationBtn'),
             cloudRunnerToggle: document.getElementById('cloudRunnerToggle'),
@@ -242,12 +475,32 @@ class CleanPopupController {
             this.deletePreset();
         });
 
+        this.elements.saveLibraryPresetBtn?.addEventListener('click', () => {
+            this.saveLibraryPreset();
+        });
+
+        this.elements.presetLibraryList?.addEventListener('click', (e) => {
+            const item = e.target.closest('.preset-library-item');
+            const preset = item && this.fieldManager.presetLibrary[item.dataset.presetId];
+            if (!preset) return;
+
+            if (e.target.matches('.update-preset-domains-btn')) {
+                this.updatePresetDomains(preset);
+            } else if (e.target.matches('.delete-library-preset-btn')) {
+                this.deleteLibraryPreset(preset);
+            }
+        });
+
         // Settings
         this.elements.consentToggle?.addEventListener('change', (e) => {
             this.saveConsent(e.target.checked);
         });
 
         // LLM Configuration
+        this.elements.llmProvider?.addEventListener('change', (e) => {
+            this.handleLlmProviderChange(e.target.value);
+        });
+
         this.elements.llmApiUrl?.addEventListener('input', () => {
             this.debouncedSaveLlmConfig();
         });
@@ -283,6 +536,29 @@ class CleanPopupController {
             this.debouncedSaveCloudRunnerUrl();
         });
 
+        this.elements.webhookSigningSecret?.addEventListener('input', () => {
+            this.debouncedSaveSigningSecret();
+        });
+
+        this.elements.toggleSigningSecretBtn?.addEventListener('click', () => {
+            const input = this.elements.webhookSigningSecret;
+            if (!input) return;
+            input.type = input.type === 'password' ? 'text' : 'password';
+            this.elements.toggleSigningSecretBtn.textContent = input.type === 'password' ? '👁️' : '🙈';
+        });
+
+        this.elements.generateSigningSecretBtn?.addEventListener('click', async () => {
+            if (this.elements.webhookSigningSecret?.value && !confirm('Replace the current signing secret? Receivers using it will reject new webhooks until they are updated.')) {
+                return;
+            }
+            const secret = generateSigningSecret();
+            this.elements.webhookSigningSecret.value = secret;
+            this.elements.webhookSigningSecret.type = 'text';
+            this.elements.toggleSigningSecretBtn.textContent = '🙈';
+            await chrome.storage.local.set({ webhookSigningSecret: secret });
+            this.showStatus('New signing secret generated - copy it to your webhook receivers', 'success');
+        });
+
         this.elements.includePremiumModelsToggle?.addEventListener('change', async (e) => {
             const isChecked = e.target.checked;
             await chrome.storage.local.set({ includePremiumModels: isChecked });
@@ -312,13 +588,116 @@ class CleanPopupController {
             }
         });
 
-        this.elements.showTrueOnly?.addEventListener('change', (e) => {
-            if (this.historyManager?.setShowTrueOnly) {
-                this.historyManager.setShowTrueOnly(e.target.checked);
-                this.historyManager.renderHistory();
+        // Options page opens in a full tab on this domain
+        this.elements.openOptionsBtn?.addEventListener('click', () => {
+            const query = this.currentDomain !== 'unknown' ? `?domain=${encodeURIComponent(this.currentDomain)}` : '';
+            chrome.tabs.create({ url: chrome.runtime.getURL('options.html') + query });
+        });
+
+        this.elements.optionsDomainSelect?.addEventListener('change', (e) => {
+            this.selectDomain(e.target.value);
+        });
+
+        this.elements.targetSelect?.addEventListener('change', (e) => {
+            this.selectDomain(e.target.value);
+        });
+
+        this.elements.newTargetBtn?.addEventListener('click', () => {
+            this.createUrlTarget();
+        });
+
+        this.elements.newMonitorBtn?.addEventListener('click', () => {
+            this.createMonitor();
+        });
+
+        this.elements.monitorModel?.addEventListener('change', () => {
+            this.saveMonitorModel();
+        });
+
+        this.elements.preCaptureActions?.addEventListener('change', () => {
+            this.savePreCaptureActions();
+        });
+
+        // Configuration bundles
+        if (this.elements.configImportMode) {
+            this.elements.configImportMode.innerHTML = Object.entries(IMPORT_MODES)
+                .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+                .join('');
+        }
+
+        this.elements.exportConfigBtn?.addEventListener('click', () => {
+            this.exportConfigBundle();
+        });
+
+        this.elements.configImportFile?.addEventListener('change', (e) => {
+            this.loadConfigBundleFile(e.target.files[0]);
+        });
+
+        // Merge and overwrite change different settings, so refresh the preview
+        this.elements.configImportMode?.addEventListener('change', () => {
+            this.renderConfigImportPreview();
+        });
+
+        this.elements.importConfigBtn?.addEventListener('click', () => {
+            this.importConfigBundle();
+        });
+
+        // Dashboard opens in a full tab, scoped to the current domain
+        this.elements.openDashboardBtn?.addEventListener('click', () => {
+            const query = this.currentDomain ? `?domain=${encodeURIComponent(this.currentDomain)}` : '';
+            chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') + query });
+        });
+
+        // History export; format options come from the shared export descriptors
+        if (this.elements.exportFormat) {
+            this.elements.exportFormat.innerHTML = Object.entries(EXPORT_FORMATS)
+                .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+                .join('');
+        }
+
+        this.elements.exportSource?.addEventListener('change', () => {
+            // Cloud exports always cover this domain's job
+            if (this.elements.exportScope) {
+                this.elements.exportScope.disabled = this.elements.exportSource.value === 'cloud';
             }
         });
 
+        this.elements.exportHistoryBtn?.addEventListener('click', () => {
+            this.exportHistory();
+        });
+
+        this.elements.showTrueOnly?.addEventListener('change', () => {
+            this.applyHistoryFilter();
+        });
+
+        // History search: typing is debounced, the filter panel applies on change
+        this.elements.historySearch?.addEventListener('input', () => {
+            clearTimeout(this.historySearchTimer);
+            this.historySearchTimer = setTimeout(() => this.applyHistoryFilter(), 300);
+        });
+
+        this.elements.historyFilterToggle?.addEventListener('click', () => {
+            const panel = this.elements.historyFilterPanel;
+            if (!panel) return;
+            const opening = panel.style.display === 'none';
+            panel.style.display = opening ? 'flex' : 'none';
+            if (opening) this.renderFilterDomainOptions();
+        });
+
+        ['filterDomain', 'filterField', 'filterResult', 'filterMinConf', 'filterMaxConf', 'filterStatus', 'filterOutcome', 'filterSource']
+            .forEach(name => {
+                this.elements[name]?.addEventListener('change', () => this.applyHistoryFilter());
+            });
+
+        this.elements.clearHistoryFiltersBtn?.addEventListener('click', () => {
+            this.fillHistoryFilterForm({});
+            this.applyHistoryFilter();
+        });
+
+        this.elements.copyHistoryLinkBtn?.addEventListener('click', () => {
+            this.copyHistoryLink();
+        });
+
         // Previous evaluation toggle
         this.elements.usePreviousEvaluationToggle?.addEventListener('change', (e) => {
             this.setUsePreviousEvaluationSetting(e.target.checked);
@@ -338,9 +717,51 @@ class CleanPopupController {
             chrome.storage.local.set({ fullPageCaptureToggle: e.target.checked });
         });
 
+        this.elements.pageContextMode?.addEventListener('change', (e) => {
+            chrome.storage.local.set({ pageContextMode: e.target.value });
+        });
+
+        this.elements.textOnlyCaptureToggle?.addEventListener('change', (e) => {
+            chrome.storage.local.set({ textOnlyCapture: e.target.checked });
+        });
+
+        // Multi-model consensus (per domain)
+        this.elements.consensusToggle?.addEventListener('change', () => {
+            this.saveConsensusSettings();
+        });
+
+        this.elements.consensusModels?.addEventListener('change', () => {
+            this.saveConsensusSettings();
+        });
+
+        this.elements.consensusStrategy?.addEventListener('change', () => {
+            this.saveConsensusSettings();
+        });
+
+        // Cron expression and active window (per domain)
+        [this.elements.scheduleCron, this.elements.scheduleDays, this.elements.scheduleStart,
+        this.elements.scheduleEnd, this.elements.scheduleTimezone, this.elements.scheduleExcludedDates]
+            .forEach(element => element?.addEventListener('change', () => {
+                this.saveScheduleSettings();
+            }));
+
+        // Capture region (per domain)
+        this.elements.captureRegionSelector?.addEventListener('change', (e) => {
+            this.saveCaptureRegionSelector(e.target.value);
+        });
+
+        this.elements.drawCaptureRegionBtn?.addEventListener('click', () => {
+            this.drawCaptureRegion();
+        });
+
+        this.elements.clearCaptureRegionBtn?.addEventListener('click', () => {
+            this.clearCaptureRegion();
+        });
+
         // Capture interval
         this.elements.captureInterval?.addEventListener('change', (e) => {
             this.handleCaptureIntervalChange(e.target.value);
+            this.updateLocalIntervalWarning();
         });
 
         // Clear previous evaluation button
@@ -351,6 +772,7 @@ class CleanPopupController {
         // Cloud runner toggle
         this.elements.cloudRunnerToggle?.addEventListener('change', (e) => {
             chrome.storage.local.set({ cloudRunnerEnabled: e.target.checked });
+            this.updateLocalIntervalWarning();
         });
 
         // CAPTCHA and token management
@@ -374,10 +796,63 @@ class CleanPopupController {
         this.elements.cleanupStorageBtn?.addEventListener('click', () => {
             this.performStorageCleanup();
         });
+
+        this.elements.saveRetentionBtn?.addEventListener('click', () => {
+            this.saveRetentionPolicy();
+        });
+
+        // Webhook deliveries
+        this.elements.channelType?.addEventListener('change', () => {
+            this.renderChannelSettings();
+        });
+
+        this.elements.saveChannelBtn?.addEventListener('click', () => {
+            this.saveNotificationChannel();
+        });
+
+        this.elements.cancelChannelEditBtn?.addEventListener('click', () => {
+            this.resetChannelForm();
+        });
+
+        this.elements.notificationChannelList?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-channel-id]');
+            if (!button) return;
+            const { channelId } = button.dataset;
+            if (button.classList.contains('test-channel-btn')) {
+                this.testNotificationChannel(channelId);
+            } else if (button.classList.contains('edit-channel-btn')) {
+                this.editNotificationChannel(channelId);
+            } else if (button.classList.contains('delete-channel-btn')) {
+                this.deleteNotificationChannel(channelId);
+            }
+        });
+
+        this.elements.refreshDeliveriesBtn?.addEventListener('click', () => {
+            this.loadWebhookDeliveries();
+        });
+
+        this.elements.webhookDeliveryList?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-delivery-id]');
+            if (!button) return;
+            const { deliveryId, source } = button.dataset;
+            if (button.classList.contains('replay-delivery-btn')) {
+                this.replayWebhookDelivery(deliveryId, source);
+            } else if (button.classList.contains('discard-delivery-btn')) {
+                this.discardWebhookDelivery(deliveryId, source);
+            }
+        });
     }
 
     initializeTabSystem() {
-        this.switchTab('capture');
+        if (!this.isOptionsPage) {
+            this.switchTab('capture');
+            return;
+        }
+
+        // The options page reopens the tab named in the hash (options.html#fields)
+        const tabName = /^#(\w+)/.exec(location.hash)?.[1];
+        const tabExists = tabName && this.elements.tabNavigation?.querySelector(`[data-tab="${tabName}"]`);
+        this.switchTab(tabExists ? tabName : 'domains');
     }
 
     switchTab(tabName) {
@@ -411,8 +886,13 @@ class CleanPopupController {
             selectedTab.classList.add('active');
         }
 
+        // Keep the options page on this tab across reloads; history links carry their own hash
+        if (this.isOptionsPage && !location.hash.startsWith(`#${tabName}`)) {
+            history.replaceState(null, '', `#${tabName}`);
+        }
+
         // Load tab-specific data
-        this.handleTabSpecificLoading(tabName);
+        this.tabLoadPromise = this.handleTabSpecificLoading(tabName);
     }
 
     async handleTabSpecificLoading(tabName) {
@@ -427,6 +907,7 @@ class CleanPopupController {
             case 'fields':
                 this.renderFields();
                 this.renderPresets(); // Load presets for the preset dropdown
+                await this.renderPresetLibrary();
                 break;
             case 'history':
                 if (!this.historyManager) {
@@ -449,15 +930,25 @@ class CleanPopupController {
                     }
                 }
                 break;
-            case 'settings':
-                this.renderPresets();
+            // Options page tabs
+            case 'domains':
                 // Always reload known domains to show current statistics
-                console.log('Loading known domains for settings tab...');
+                console.log('Loading known domains for domains tab...');
                 await this.loadKnownDomains();
+                break;
+            case 'notifications':
+                this.renderNotificationChannels();
+                await this.loadWebhookDeliveries();
+                break;
+            case 'cloud':
                 // Load token status and quotas
                 await this.loadTokenStatus();
+                this.renderActiveJobs();
+                break;
+            case 'settings':
                 // Load storage information when viewing settings
                 await this.refreshStorageInfo();
+                await this.loadRetentionPolicy();
                 break;
         }
     }
@@ -873,8 +1364,9 @@ class CleanPopupController {
         try {
             const llmConfig = await this.getLlmConfig();
 
-            if (!llmConfig.apiUrl || !llmConfig.apiKey) {
-                throw new Error('Missing API URL or API Key');
+            const missing = getMissingLlmConfig(llmConfig);
+            if (missing.length > 0) {
+                throw new Error(`Missing ${missing.includes('apiUrl') ? 'API URL' : 'API Key'}`);
             }
 
             // Test with a simple request
@@ -1040,6 +1532,10 @@ class CleanPopupController {
                 // One-time capture
                 console.log('Performing one-time capture');
                 await this.performSingleCapture(fieldsForAPI);
+            } else if (currentInterval === 'cron') {
+                // Cron jobs are checked every minute; the schedule decides when they run
+                console.log('Starting cron schedule capture');
+                await this.startIntervalCapture(CRON_CHECK_INTERVAL);
             } else {
                 // Start interval capture
                 console.log(`Starting interval capture every ${currentInterval} seconds`);
@@ -1252,9 +1748,10 @@ class CleanPopupController {
                     this.handleCaptureResults(request.results, request.eventId);
 
                     // Update job statistics if this was from an interval capture
+                    // (local jobs are recorded by the background worker)
                     if (request.domain && !request.isManual) {
                         const job = this.jobManager.getJobByDomain(request.domain);
-                        if (job) {
+                        if (job && job.isCloudJob) {
                             await this.jobManager.recordJobRun(job.id, true);
                             this.renderActiveJobs(); // Refresh to show updated stats
                         }
@@ -1279,9 +1776,9 @@ class CleanPopupController {
                         console.log('History empty, reloading after event update...');
                         this.historyManager.loadHistory();
                     }
-                    // If we're on the settings tab, refresh domain statistics
-                    if (this.currentTab === 'settings' && request.event) {
-                        console.log('Refreshing settings tab after event update...');
+                    // If we're on the domains tab, refresh domain statistics
+                    if (this.currentTab === 'domains' && request.event) {
+                        console.log('Refreshing domains tab after event update...');
                         this.loadKnownDomains();
                     }
                     break;
@@ -1293,9 +1790,9 @@ class CleanPopupController {
                         console.log('Refreshing history due to cloud sync...');
                         this.historyManager.loadHistory();
                     }
-                    // Refresh settings tab to update domain statistics
-                    if (this.currentTab === 'settings') {
-                        console.log('Refreshing settings tab after cloud sync...');
+                    // Refresh domains tab to update domain statistics
+                    if (this.currentTab === 'domains') {
+                        console.log('Refreshing domains tab after cloud sync...');
                         this.loadKnownDomains();
                     }
                     // Show toast notification about new results
@@ -1333,7 +1830,9 @@ class CleanPopupController {
         // Clear existing options
         this.elements.presetSelector.innerHTML = '<option value="">Select a preset...</option>';
 
-        if (presetNames.length === 0) {
+        const libraryPresets = this.fieldManager.getLibraryPresets();
+
+        if (presetNames.length === 0 && libraryPresets.length === 0) {
             const option = document.createElement('option');
             option.value = '';
             option.textContent = 'No presets available';
@@ -1348,9 +1847,185 @@ class CleanPopupController {
             });
         }
 
+        // Library presets are applied on top of the domain's fields
+        if (libraryPresets.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = '📚 Library (all domains)';
+            libraryPresets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = `library:${preset.id}`;
+                const variables = preset.variables.length > 0 ? ` (${preset.variables.map(name => `{{${name}}}`).join(', ')})` : '';
+                option.textContent = `${preset.name} v${preset.version}${variables}`;
+                group.appendChild(option);
+            });
+            this.elements.presetSelector.appendChild(group);
+        }
+
         this.updatePresetButtons();
     }
 
+    getSelectedLibraryPreset() {
+        const value = this.elements.presetSelector?.value || '';
+        return value.startsWith('library:') ? this.fieldManager.presetLibrary[value.substring('library:'.length)] : null;
+    }
+
+    // Ask for each variable, suggesting the values this domain used before; null if cancelled
+    promptPresetVariables(variables, previous = {}) {
+        const values = {};
+        for (const name of variables) {
+            const value = prompt(`Value for {{${name}}} on ${this.currentDomain}:`, previous[name] || '');
+            if (value === null) return null;
+            if (!value.trim()) {
+                this.showError(`A value for {{${name}}} is required`);
+                return null;
+            }
+            values[name] = value.trim();
+        }
+        return values;
+    }
+
+    applyLibraryPreset(preset) {
+        const values = this.promptPresetVariables(preset.variables, this.fieldManager.presetLinks[preset.id]?.variables);
+        if (!values) return false;
+
+        this.fieldManager.applyLibraryPreset(preset, values);
+        this.fieldManager.saveToStorage();
+        this.renderFields();
+        return true;
+    }
+
+    async saveLibraryPreset() {
+        const selected = this.getSelectedLibraryPreset();
+        const name = prompt('Library preset name (saving an existing name creates a new version).\nUse {{variable}} in field names or descriptions for values that differ per domain:', selected?.name || '');
+        if (!name || !name.trim()) return;
+
+        try {
+            const validationErrors = this.fieldManager.validateFields();
+            if (validationErrors.length > 0) {
+                this.showError(`Cannot save preset: ${validationErrors[0]}`);
+                return;
+            }
+
+            // Re-saving a preset this domain uses only takes the fields that came from it
+            const existing = findLibraryPreset(this.fieldManager.presetLibrary, name);
+            if (existing && !confirm(`Save a new version of "${existing.name}" (v${existing.version + 1})?`)) return;
+            const linked = existing && this.fieldManager.presetLinks[existing.id];
+            const fields = linked
+                ? this.fieldManager.fields.filter(field => field.libraryPresetId === existing.id)
+                : this.fieldManager.fields;
+
+            const preset = await this.fieldManager.saveToLibrary(name, fields);
+
+            // Link this domain to the preset, filling in its values so it doesn't keep raw placeholders
+            const previous = linked ? linked.variables : {};
+            const missing = preset.variables.filter(variable => !previous[variable]);
+            const prompted = missing.length > 0 ? this.promptPresetVariables(missing) : {};
+            if (prompted) {
+                if (!linked) {
+                    this.fieldManager.fields = this.fieldManager.fields.filter(field => findPresetVariables([field]).length === 0);
+                }
+                this.fieldManager.applyLibraryPreset(preset, { ...previous, ...prompted });
+                await this.fieldManager.saveToStorage();
+                this.renderFields();
+            }
+
+            this.renderPresets();
+            if (this.elements.presetSelector) {
+                this.elements.presetSelector.value = `library:${preset.id}`;
+                this.updatePresetButtons();
+            }
+            this.showStatus(`Library preset "${preset.name}" saved as v${preset.version}`, 'success');
+
+            await this.offerPresetUpdate(preset);
+        } catch (error) {
+            console.error('Error saving library preset:', error);
+            this.showError(`Failed to save library preset: ${error.message}`);
+        }
+    }
+
+    // After a new version, offer to re-apply it on the other domains that use the preset
+    async offerPresetUpdate(preset) {
+        const storageData = await chrome.storage.local.get();
+        const outdated = getPresetUsage(storageData, preset.id).filter(usage => usage.version < preset.version);
+        if (outdated.length === 0) return;
+
+        const list = outdated.map(usage => `• ${usage.domain} (v${usage.version})`).join('\n');
+        if (confirm(`${outdated.length} domain${outdated.length !== 1 ? 's use' : ' uses'} an older version of "${preset.name}":\n\n${list}\n\nUpdate ${outdated.length !== 1 ? 'them' : 'it'} to v${preset.version} with ${outdated.length !== 1 ? 'their' : 'its'} own variable values?`)) {
+            await this.updatePresetDomains(preset);
+        }
+    }
+
+    async updatePresetDomains(preset) {
+        try {
+            const storageData = await chrome.storage.local.get();
+            const plan = planPresetUpdate(storageData, preset, () => this.fieldManager.generateFieldId());
+            await chrome.storage.local.set(plan.set);
+
+            if (plan.updated.includes(this.currentDomain)) {
+                await this.fieldManager.loadFromStorage();
+                this.renderFields();
+            }
+
+            const failedNote = plan.failed.length > 0
+                ? `; ${plan.failed.map(failure => `${failure.domain}: ${failure.error}`).join('; ')} - apply it there again`
+                : '';
+            this.showStatus(`Updated ${plan.updated.length} domain${plan.updated.length !== 1 ? 's' : ''} to "${preset.name}" v${preset.version}${failedNote}`,
+                plan.failed.length > 0 ? 'error' : 'success');
+            await this.renderPresetLibrary();
+        } catch (error) {
+            console.error('Error updating preset domains:', error);
+            this.showError(`Failed to update domains: ${error.message}`);
+        }
+    }
+
+    // Library overview on the options page: versions, variables and the domains using each preset
+    async renderPresetLibrary() {
+        const list = this.elements.presetLibraryList;
+        if (!list) return;
+
+        const presets = this.fieldManager.getLibraryPresets();
+        if (presets.length === 0) {
+            list.innerHTML = '<p class="no-domains">No library presets yet. Use 📚 Library next to the preset selector to save a domain\'s fields.</p>';
+            return;
+        }
+
+        const storageData = await chrome.storage.local.get();
+        list.innerHTML = presets.map(preset => {
+            const usage = getPresetUsage(storageData, preset.id);
+            const outdated = usage.filter(entry => entry.version < preset.version);
+            const domains = usage.map(entry => {
+                const values = Object.entries(entry.variables || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+                return `<li class="${entry.version < preset.version ? 'preset-outdated' : ''}">${this.escapeHtml(entry.domain)} · v${entry.version}${values ? ` · ${this.escapeHtml(values)}` : ''}</li>`;
+            }).join('');
+            const variables = preset.variables.map(name => `{{${name}}}`).join(', ') || 'none';
+
+            return `
+                <div class="preset-library-item" data-preset-id="${this.escapeHtml(preset.id)}">
+                    <div class="preset-library-header">
+                        <span class="preset-library-name">${this.escapeHtml(preset.name)}</span>
+                        <span class="preset-library-meta">v${preset.version} · ${preset.fields.length} field${preset.fields.length !== 1 ? 's' : ''} · variables: ${this.escapeHtml(variables)}</span>
+                    </div>
+                    ${usage.length > 0 ? `<ul class="preset-library-domains">${domains}</ul>` : '<div class="setting-description">Not used by any domain</div>'}
+                    <div class="preset-library-actions">
+                        ${outdated.length > 0 ? `<button class="small-button update-preset-domains-btn">⬆️ Update ${outdated.length} domain${outdated.length !== 1 ? 's' : ''} to v${preset.version}</button>` : ''}
+                        <button class="small-button danger delete-library-preset-btn">🗑️ Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async deleteLibraryPreset(preset) {
+        if (!confirm(`Delete the library preset "${preset.name}"?\n\nDomains keep the fields they got from it.`)) {
+            return;
+        }
+        await this.fieldManager.deleteFromLibrary(preset.id);
+        await this.fieldManager.saveToStorage();
+        this.renderPresets();
+        await this.renderPresetLibrary();
+        this.showStatus(`Library preset "${preset.name}" deleted`, 'success');
+    }
+
     updatePresetButtons() {
         const hasSelection = this.elements.presetSelector?.value;
         if (this.elements.deletePresetBtn) {
@@ -1394,6 +2069,12 @@ class CleanPopupController {
         const presetName = this.elements.presetSelector?.value;
         if (!presetName) return;
 
+        const libraryPreset = this.getSelectedLibraryPreset();
+        if (libraryPreset) {
+            this.deleteLibraryPreset(libraryPreset);
+            return;
+        }
+
         if (!confirm(`Are you sure you want to delete the preset "${presetName}"?`)) {
             return;
         }
@@ -1420,6 +2101,14 @@ class CleanPopupController {
         if (!presetName) return;
 
         try {
+            const libraryPreset = this.getSelectedLibraryPreset();
+            if (libraryPreset) {
+                if (this.applyLibraryPreset(libraryPreset)) {
+                    this.showStatus(`Library preset "${libraryPreset.name}" v${libraryPreset.version} applied`, 'success');
+                }
+                return;
+            }
+
             console.log('Loading preset:', presetName);
 
             const success = this.fieldManager.loadPreset(presetName);
@@ -1452,7 +2141,7 @@ class CleanPopupController {
             const [consentData, intervalData, captureSettings, previousEvalData, cloudRunnerData] = await Promise.all([
                 chrome.storage.local.get([consentKey]),
                 chrome.storage.local.get([intervalKey]),
-                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle']),
+                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle', 'pageContextMode', 'textOnlyCapture']),
                 chrome.storage.local.get(['usePreviousEvaluation']),
                 chrome.storage.local.get(['cloudRunnerEnabled'])
             ]);
@@ -1481,6 +2170,25 @@ class CleanPopupController {
             if (this.elements.fullPageCaptureToggle) {
                 this.elements.fullPageCaptureToggle.checked = captureSettings.fullPageCaptureToggle || false;
             }
+            if (this.elements.pageContextMode) {
+                this.elements.pageContextMode.value = captureSettings.pageContextMode || 'none';
+            }
+            if (this.elements.textOnlyCaptureToggle) {
+                this.elements.textOnlyCaptureToggle.checked = captureSettings.textOnlyCapture || false;
+            }
+
+            // Load capture region for this domain
+            await this.loadCaptureRegion();
+
+            // Load scripted pre-capture actions for this domain
+            await this.loadPreCaptureActions();
+
+            // Load model override and consensus settings for this domain
+            await this.loadMonitorModel();
+            await this.loadConsensusSettings();
+
+            // Load cron expression and active window for this domain
+            await this.loadScheduleSettings();
 
             // Load previous evaluation setting
             if (this.elements.usePreviousEvaluationToggle) {
@@ -1491,6 +2199,7 @@ class CleanPopupController {
             if (this.elements.cloudRunnerToggle) {
                 this.elements.cloudRunnerToggle.checked = cloudRunnerData.cloudRunnerEnabled || false;
             }
+            this.updateLocalIntervalWarning();
 
         } catch (error) {
             console.error('Error loading capture settings:', error);
@@ -1500,7 +2209,7 @@ class CleanPopupController {
     async loadBasicSettings() {
         try {
             // Load LLM configuration (global)
-            const settingsData = await chrome.storage.local.get(['llmConfig_global', 'cloudRunnerUrl', 'includePremiumModels']);
+            const settingsData = await chrome.storage.local.get(['llmConfig_global', 'cloudRunnerUrl', 'includePremiumModels', 'webhookSigningSecret']);
             const llmConfig = settingsData.llmConfig_global || {};
             const cloudRunnerUrl = settingsData.cloudRunnerUrl || 'https://runner.websophon.ai';
             const includePremium = settingsData.includePremiumModels || false;
@@ -1509,6 +2218,9 @@ class CleanPopupController {
                 this.elements.includePremiumModelsToggle.checked = includePremium;
             }
 
+            if (this.elements.llmProvider) {
+                this.elements.llmProvider.value = getProvider(llmConfig);
+            }
             if (this.elements.llmApiUrl) {
                 this.elements.llmApiUrl.value = llmConfig.apiUrl || 'https://openrouter.ai/api/v1/chat/completions';
             }
@@ -1523,6 +2235,10 @@ class CleanPopupController {
                 this.elements.cloudRunnerUrl.value = cloudRunnerUrl;
             }
 
+            if (this.elements.webhookSigningSecret) {
+                this.elements.webhookSigningSecret.value = settingsData.webhookSigningSecret || '';
+            }
+
             // Load theme
             await this.loadTheme();
 
@@ -1710,6 +2426,7 @@ class CleanPopupController {
             }
 
             return {
+                provider: getProvider(config),
                 apiUrl: config.apiUrl || 'https://openrouter.ai/api/v1/chat/completions',
                 apiKey: config.apiKey || '',
                 model: config.model,
@@ -1733,6 +2450,7 @@ class CleanPopupController {
             }
 
             const config = {
+                provider: this.elements.llmProvider?.value || 'openai',
                 apiUrl: this.elements.llmApiUrl?.value || '',
                 apiKey: this.elements.llmApiKey?.value || '',
                 model: modelValue,
@@ -1748,6 +2466,26 @@ class CleanPopupController {
         }
     }
 
+    // Switch provider: swap in its default endpoint unless the user has a custom one
+    async handleLlmProviderChange(provider) {
+        const currentUrl = this.elements.llmApiUrl?.value || '';
+        const isDefaultUrl = !currentUrl || Object.values(DEFAULT_API_URLS).includes(currentUrl);
+        if (this.elements.llmApiUrl && isDefaultUrl) {
+            this.elements.llmApiUrl.value = DEFAULT_API_URLS[provider] || DEFAULT_API_URLS.openai;
+        }
+
+        // The model list comes from OpenRouter, other providers use a custom model name
+        if (provider !== 'openai' && this.elements.llmModel) {
+            this.elements.llmModel.value = 'custom';
+            const customModelGroup = document.getElementById('customModelGroup');
+            if (customModelGroup) {
+                customModelGroup.style.display = 'block';
+            }
+        }
+
+        await this.saveLlmConfig();
+    }
+
     debouncedSaveLlmConfig() {
         clearTimeout(this.saveDebounceTimer);
         this.saveDebounceTimer = setTimeout(() => {
@@ -1764,6 +2502,15 @@ class CleanPopupController {
         }, 500);
     }
 
+    debouncedSaveSigningSecret() {
+        clearTimeout(this.saveDebounceTimer);
+        this.saveDebounceTimer = setTimeout(() => {
+            const secret = this.elements.webhookSigningSecret?.value.trim() || '';
+            chrome.storage.local.set({ webhookSigningSecret: secret });
+            console.log(secret ? 'Webhook signing secret saved' : 'Webhook signing disabled');
+        }, 500);
+    }
+
     // === HISTORY ===
 
     async initializeHistoryManager() {
@@ -1814,28 +2561,99 @@ class CleanPopupController {
         }
     }
 
-    navigateToHistoryEvent(eventId) {
+    // Open the history, optionally with a filter, and scroll to an event
+    async navigateToHistoryEvent(eventId, filter = null) {
+        if (filter) {
+            this.fillHistoryFilterForm(filter);
+        }
         this.switchTab('history');
+        await this.tabLoadPromise;
 
-        if (this.historyManager?.scrollToEvent) {
-            this.historyManager.scrollToEvent(eventId);
+        if (filter && this.historyManager) {
+            await this.historyManager.setFilter(this.readHistoryFilter());
+        }
+        if (eventId && this.historyManager?.scrollToEvent) {
+            // Filters dropped to reveal the event are cleared from the form too
+            this.historyManager.scrollToEvent(eventId, this.historyManager.showTrueOnly,
+                () => this.fillHistoryFilterForm(this.historyManager.filter));
         }
     }
 
-    // === UTILITY METHODS ===
+    // Filter values from the search bar and filter panel (see utils/history-filter.js)
+    readHistoryFilter() {
+        return {
+            q: this.elements.historySearch?.value,
+            domain: this.elements.filterDomain?.value,
+            field: this.elements.filterField?.value,
+            result: this.elements.filterResult?.value,
+            minConf: this.elements.filterMinConf?.value,
+            maxConf: this.elements.filterMaxConf?.value,
+            status: this.elements.filterStatus?.value,
+            outcome: this.elements.filterOutcome?.value,
+            source: this.elements.filterSource?.value,
+            trueOnly: !!this.elements.showTrueOnly?.checked
+        };
+    }
 
-    debouncedSave() {
-        clearTimeout(this.saveDebounceTimer);
-        this.saveDebounceTimer = setTimeout(() => {
-            this.fieldManager.saveToStorage();
-        }, 500);
+    fillHistoryFilterForm(filter) {
+        const inputs = {
+            historySearch: 'q', filterDomain: 'domain', filterField: 'field', filterResult: 'result',
+            filterMinConf: 'minConf', filterMaxConf: 'maxConf', filterStatus: 'status',
+            filterOutcome: 'outcome', filterSource: 'source'
+        };
+        for (const [element, key] of Object.entries(inputs)) {
+            if (this.elements[element]) this.elements[element].value = filter[key] || '';
+        }
+        if (this.elements.showTrueOnly) {
+            this.elements.showTrueOnly.checked = filter.trueOnly === '1' || filter.trueOnly === true;
+        }
+
+        // Keep the panel open when it holds part of the filter
+        const usesPanel = Object.values(inputs).some(key => key !== 'q' && filter[key]);
+        if (usesPanel && this.elements.historyFilterPanel) {
+            this.elements.historyFilterPanel.style.display = 'flex';
+        }
     }
 
-    async sendMessageToBackground(message) {
-        return new Promise((resolve, reject) => {
-            try {
-                chrome.runtime.sendMessage(message, (response) => {
-                    if (chrome.runtime.lastError) {
+    async applyHistoryFilter() {
+        if (!this.historyManager) return;
+        await this.historyManager.setFilter(this.readHistoryFilter());
+    }
+
+    renderFilterDomainOptions() {
+        if (!this.elements.filterDomainOptions) return;
+        const domains = new Set(this.historyManager?.recentEvents.map(e => e.domain).filter(Boolean));
+        if (this.currentDomain) domains.add(this.currentDomain);
+        this.elements.filterDomainOptions.innerHTML = [...domains].sort()
+            .map(domain => `<option value="${this.escapeHtml(domain).replace(/"/g, '&quot;')}"></option>`)
+            .join('');
+    }
+
+    async copyHistoryLink() {
+        const link = chrome.runtime.getURL('options.html') + buildHistoryHash(this.readHistoryFilter());
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast('Link to this view copied', 'success', this.elements.historyStatus);
+        } catch (error) {
+            console.error('Failed to copy history link:', error);
+            this.showToast('Could not copy the link', 'error', this.elements.historyStatus);
+        }
+    }
+
+    // === UTILITY METHODS ===
+
+    debouncedSave() {
+        clearTimeout(this.saveDebounceTimer);
+        this.saveDebounceTimer = setTimeout(() => {
+            this.fieldManager.saveToStorage();
+        }, 500);
+    }
+
+    async sendMessageToBackground(message) {
+        return new Promise((resolve, reject) => {
+            try {
+                chrome.runtime.sendMessage(message, (response) => {
+                    if (chrome.runtime.lastError) {
                         console.warn(`Background message failed (${message.action}):`, chrome.runtime.lastError.message);
                         reject(new Error(chrome.runtime.lastError.message));
                     } else {
@@ -1876,10 +2694,11 @@ class CleanPopupController {
         console.log(`Field Status (${type}):`, message);
     }
 
+    // Also escapes quotes, so the result is safe inside attribute values
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Debug method for troubleshooting field updates
@@ -1932,32 +2751,15 @@ class CleanPopupController {
         }
 
         try {
-            // Get all storage data and find domain-related keys
             const allData = await chrome.storage.local.get();
-            const domainKeys = Object.keys(allData).filter(key =>
-                key.startsWith('consent_') || key.startsWith('interval_') || key.startsWith('fields_') || key.startsWith('cloud_job_')
-            );
-
-            // Extract unique domains
-            const domains = new Set();
-            domainKeys.forEach(key => {
-                const parts = key.split('_');
-                if (parts.length >= 2) {
-                    const domain = parts.slice(1).join('_'); // Handle domains with underscores
-                    if (domain) {
-                        domains.add(domain);
-                    }
-                }
-            });
+            const sortedDomains = await this.getKnownDomains(allData);
 
             // Clear existing content
             this.elements.domainsContainer.innerHTML = '';
 
-            if (domains.size === 0) {
+            if (sortedDomains.length === 0) {
                 this.elements.domainsContainer.innerHTML = '<p class="no-domains">No domains configured yet</p>';
             } else {
-                const sortedDomains = Array.from(domains).sort();
-
                 for (const domain of sortedDomains) {
                     const isCurrentDomain = domain === this.currentDomain;
                     const consentEnabled = allData[`consent_${domain}`] || false;
@@ -1974,7 +2776,7 @@ class CleanPopupController {
                                 <div class="domain-header">
                                     <div class="domain-name-section">
                                         <div class="domain-name">
-                                            <span class="domain-name-text" title="${domain}">${domain}</span>
+                                            <span class="domain-name-text" title="${domain}">${this.escapeHtml(domain)}</span>
                                             ${isCurrentDomain ? '<span class="domain-current-badge">CURRENT</span>' : ''}
                                         </div>
                                     </div>
@@ -1982,6 +2784,7 @@ class CleanPopupController {
                                         <span class="domain-status ${consentEnabled ? 'enabled' : 'disabled'}">
                                             ${consentEnabled ? '✓ Enabled' : '○ Disabled'}
                                         </span>
+                                        ${this.isOptionsPage ? `<button class="domain-edit-btn small-button secondary" data-domain="${domain}" title="Edit fields for ${domain}">✏️ Fields</button>` : ''}
                                         <button class="domain-delete-btn" data-domain="${domain}" title="Delete all settings for ${domain}">
                                             🗑️
                                         </button>
@@ -1991,7 +2794,7 @@ class CleanPopupController {
                                     <div class="domain-detail-item">
                                         <div class="domain-detail-label">Interval</div>
                                         <div class="domain-detail-value domain-interval-value">
-                                            ${interval === 'manual' ? 'Manual Only' : interval + 's'}
+                                            ${interval === 'manual' ? 'Manual Only' : interval === 'cron' ? 'Cron schedule' : interval + 's'}
                                         </div>
                                     </div>
                                     <div class="domain-detail-item">
@@ -2020,7 +2823,7 @@ class CleanPopupController {
                 this.setupDomainActionListeners();
             }
 
-            console.log(`Loaded ${domains.size} known domains`);
+            console.log(`Loaded ${sortedDomains.length} known domains`);
         } catch (error) {
             console.error('Failed to load known domains:', error);
             if (this.elements.domainsContainer) {
@@ -2029,6 +2832,20 @@ class CleanPopupController {
         }
     }
 
+    // Domains with any stored settings, sorted
+    async getKnownDomains(allData = null) {
+        const data = allData || await chrome.storage.local.get();
+        const domains = new Set();
+        for (const key of Object.keys(data)) {
+            const prefix = DOMAIN_KEY_PREFIXES.find(candidate => key.startsWith(candidate));
+            const domain = prefix ? key.substring(prefix.length) : '';
+            if (domain) {
+                domains.add(domain);
+            }
+        }
+        return Array.from(domains).sort();
+    }
+
     getJobDetailsHtml(jobInfo) {
         const createdDate = new Date(jobInfo.createdAt).toLocaleString();
         const hasPending = jobInfo.resultCount > 0;
@@ -2077,15 +2894,12 @@ class CleanPopupController {
         try {
             console.log(`Getting last run info for domain: ${domain}`);
 
-            // Get history from storage - use recentEvents which is the actual storage key
-            const { recentEvents = [] } = await chrome.storage.local.get(['recentEvents']);
-            console.log(`Total events in storage: ${recentEvents.length}`);
+            // The domain index returns the newest event first
+            const [lastEvent] = await this.eventStore.queryEvents({ domain, limit: 1 });
+            const totalEvents = await this.eventStore.countEvents({ domain });
+            console.log(`Events for ${domain}: ${totalEvents}`);
 
-            // Filter events for this domain
-            const domainEvents = recentEvents.filter(event => event.domain === domain);
-            console.log(`Events for ${domain}: ${domainEvents.length}`);
-
-            if (domainEvents.length === 0) {
+            if (!lastEvent) {
                 return {
                     display: 'Never',
                     never: true,
@@ -2093,14 +2907,6 @@ class CleanPopupController {
                 };
             }
 
-            // Sort by timestamp (newest first) - timestamps are ISO strings
-            domainEvents.sort((a, b) => {
-                const timeA = new Date(a.timestamp).getTime();
-                const timeB = new Date(b.timestamp).getTime();
-                return timeB - timeA;
-            });
-
-            const lastEvent = domainEvents[0];
             const lastRunTime = new Date(lastEvent.timestamp);
             const now = new Date();
             const diffMs = now - lastRunTime;
@@ -2119,12 +2925,12 @@ class CleanPopupController {
                 display = `${days}d ago`;
             }
 
-            console.log(`Last run for ${domain}: ${display} (${domainEvents.length} total events)`);
+            console.log(`Last run for ${domain}: ${display} (${totalEvents} total events)`);
 
             return {
                 display,
                 never: false,
-                totalEvents: domainEvents.length
+                totalEvents
             };
         } catch (error) {
             console.error('Error getting domain last run:', error);
@@ -2137,6 +2943,10 @@ class CleanPopupController {
     }
 
     setupDomainActionListeners() {
+        // The list is re-rendered on every visit; the delegated listener only needs adding once
+        if (this.domainActionListenersReady) return;
+        this.domainActionListenersReady = true;
+
         this.elements.domainsContainer.addEventListener('click', async (e) => {
             const target = e.target;
             if (target.matches('.domain-delete-btn')) {
@@ -2147,6 +2957,10 @@ class CleanPopupController {
                 if (confirm(confirmMessage)) {
                     await this.deleteDomainSettings(domain);
                 }
+            } else if (target.matches('.domain-edit-btn')) {
+                e.preventDefault();
+                await this.selectDomain(target.dataset.domain);
+                this.switchTab('fields');
             } else if (target.matches('.clear-job-btn')) {
                 e.preventDefault();
                 e.stopPropagation();
@@ -2192,16 +3006,12 @@ class CleanPopupController {
             // Get all storage data
             const allData = await chrome.storage.local.get();
 
-            // Find all keys related to this domain
-            const keysToDelete = Object.keys(allData).filter(key => {
-                return key.startsWith(`consent_${domain}`) ||
-                    key.startsWith(`interval_${domain}`) ||
-                    key.startsWith(`fields_${domain}`) ||
-                    key.startsWith(`llmConfig_${domain}`) ||
-                    key.startsWith(`llmMode_${domain}`) ||
-                    key.startsWith(`refreshPage_${domain}`) ||
-                    key.startsWith(`captureDelay_${domain}`);
-            });
+            // Find all keys related to this domain; exact matches, since URL pattern
+            // targets on the same host (example.com/path*) have keys starting the same way
+            const domainKeyPrefixes = ['consent_', 'interval_', 'schedule_', 'triggerState_', 'fields_', 'presetLinks_',
+                'monitorModel_', 'preCaptureActions_', 'llmConfig_', 'llmMode_', 'refreshPage_', 'captureDelay_'];
+            const keysToDelete = Object.keys(allData).filter(key =>
+                domainKeyPrefixes.some(prefix => key === `${prefix}${domain}`));
 
             // Delete domain-specific storage keys
             if (keysToDelete.length > 0) {
@@ -2210,16 +3020,14 @@ class CleanPopupController {
             }
 
             // Clean up history data for this domain
-            const { recentEvents = [] } = await chrome.storage.local.get(['recentEvents']);
-            const filteredHistory = recentEvents.filter(event => event.domain !== domain);
-
-            if (filteredHistory.length !== recentEvents.length) {
-                await chrome.storage.local.set({ recentEvents: filteredHistory });
-                console.log(`Removed ${recentEvents.length - filteredHistory.length} history events for domain`);
+            const historyResult = await this.sendMessageToBackground({ action: 'deleteDomainHistory', domain });
+            if (historyResult && historyResult.deleted > 0) {
+                console.log(`Removed ${historyResult.deleted} history events for domain`);
             }
 
             // Refresh the domains list
             await this.loadKnownDomains();
+            await this.renderOptionsDomainSelect();
 
             // Refresh history if we're on the history tab
             if (this.historyManager && this.historyManager.loadHistory) {
@@ -2264,12 +3072,12 @@ class CleanPopupController {
             if (!storedData) return null;
 
             // Convert stored format to simple format for LLM
-            // Only return field names and filtered boolean values
+            // Only return field names and filtered values (boolean or typed)
             const simplifiedResults = {};
 
             Object.keys(storedData).forEach(fieldName => {
                 const fieldData = storedData[fieldName];
-                if (fieldData && typeof fieldData.result === 'boolean') {
+                if (fieldData && ['boolean', 'number', 'string'].includes(typeof fieldData.result)) {
                     simplifiedResults[fieldName] = fieldData.result;
                 }
             });
@@ -2298,7 +3106,7 @@ class CleanPopupController {
             Object.keys(filteredSnapshot).forEach(fieldName => {
                 // Find the field to get its confidence and raw result
                 const field = this.fieldManager.fields.find(f => f.name === fieldName);
-                if (field && field.result !== null) {
+                if (field && field.result !== null && filteredSnapshot[fieldName] !== null) {
                     previousEvaluation[fieldName] = {
                         result: filteredSnapshot[fieldName], // Use filtered result (confidence threshold applied)
                         confidence: field.probability || 0.8,
@@ -2319,6 +3127,357 @@ class CleanPopupController {
         }
     }
 
+    // === CAPTURE REGION ===
+
+    async loadCaptureRegion() {
+        try {
+            const storageKey = `captureRegion_${this.currentDomain}`;
+            const data = await chrome.storage.local.get([storageKey]);
+            const region = data[storageKey] || null;
+
+            if (this.elements.captureRegionSelector) {
+                this.elements.captureRegionSelector.value = region?.selector || '';
+            }
+            this.updateCaptureRegionStatus(region);
+        } catch (error) {
+            console.error('Error loading capture region:', error);
+        }
+    }
+
+    updateCaptureRegionStatus(region) {
+        if (!this.elements.captureRegionStatus) return;
+
+        if (region?.selector) {
+            this.elements.captureRegionStatus.textContent = `Capturing only the element matching "${region.selector}"`;
+        } else if (region?.rect) {
+            const { x, y, width, height } = region.rect;
+            this.elements.captureRegionStatus.textContent = `Capturing drawn region ${width}×${height} at (${x}, ${y})`;
+        } else {
+            this.elements.captureRegionStatus.textContent = 'No region set - the whole viewport or page is captured';
+        }
+    }
+
+    async saveCaptureRegionSelector(selector) {
+        const storageKey = `captureRegion_${this.currentDomain}`;
+        const trimmed = selector.trim();
+
+        if (!trimmed) {
+            await this.clearCaptureRegion();
+            return;
+        }
+
+        // Validate the selector syntax before saving
+        try {
+            document.createDocumentFragment().querySelector(trimmed);
+        } catch (error) {
+            this.showError(`Invalid CSS selector: ${trimmed}`);
+            return;
+        }
+
+        const region = { selector: trimmed, rect: null };
+        await chrome.storage.local.set({ [storageKey]: region });
+        console.log('Saved capture region selector for domain:', this.currentDomain, trimmed);
+        this.updateCaptureRegionStatus(region);
+        this.showStatus('Capture region saved', 'success');
+    }
+
+    async drawCaptureRegion() {
+        try {
+            const tabId = await this.getCurrentTabId();
+            if (!tabId) {
+                this.showError('No active tab to draw a region on');
+                return;
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'startRegionPicker',
+                tabId: tabId,
+                domain: this.currentDomain
+            });
+
+            if (!response?.success) {
+                this.showError(`Could not start region picker: ${response?.error || 'Unknown error'}`);
+                return;
+            }
+
+            // The overlay saves the region itself; close so the page can receive the drag
+            window.close();
+        } catch (error) {
+            console.error('Error starting region picker:', error);
+            this.showError('Failed to start region picker');
+        }
+    }
+
+    async clearCaptureRegion() {
+        try {
+            const storageKey = `captureRegion_${this.currentDomain}`;
+            await chrome.storage.local.remove([storageKey]);
+            if (this.elements.captureRegionSelector) {
+                this.elements.captureRegionSelector.value = '';
+            }
+            this.updateCaptureRegionStatus(null);
+            console.log('Cleared capture region for domain:', this.currentDomain);
+            this.showStatus('Capture region cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing capture region:', error);
+            this.showError('Failed to clear capture region');
+        }
+    }
+
+    // === PRE-CAPTURE ACTIONS ===
+
+    async loadPreCaptureActions() {
+        if (!this.elements.preCaptureActions) return;
+        try {
+            const storageKey = `${PRE_CAPTURE_ACTIONS_PREFIX}${this.currentDomain}`;
+            const data = await chrome.storage.local.get([storageKey]);
+            const actions = data[storageKey] || [];
+            this.elements.preCaptureActions.value = formatActionScript(actions);
+            this.updatePreCaptureActionsStatus(actions);
+        } catch (error) {
+            console.error('Error loading pre-capture actions:', error);
+        }
+    }
+
+    async savePreCaptureActions() {
+        const storageKey = `${PRE_CAPTURE_ACTIONS_PREFIX}${this.currentDomain}`;
+        const { actions, errors } = parseActionScript(this.elements.preCaptureActions?.value || '');
+
+        // Check selector syntax here, so mistakes don't only show up in History
+        for (const action of actions) {
+            if (!action.selector) continue;
+            try {
+                document.createDocumentFragment().querySelector(action.selector);
+            } catch (error) {
+                errors.push(`Invalid CSS selector: ${action.selector}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            this.showError(`Pre-capture actions not saved. ${errors.join('; ')}`);
+            return;
+        }
+
+        try {
+            if (actions.length > 0) {
+                await chrome.storage.local.set({ [storageKey]: actions });
+            } else {
+                await chrome.storage.local.remove(storageKey);
+            }
+            this.updatePreCaptureActionsStatus(actions);
+            console.log('Saved pre-capture actions for domain:', this.currentDomain, actions);
+        } catch (error) {
+            console.error('Error saving pre-capture actions:', error);
+            this.showError('Failed to save pre-capture actions');
+        }
+    }
+
+    updatePreCaptureActionsStatus(actions) {
+        if (!this.elements.preCaptureActionsStatus) return;
+        if (actions.length === 0) {
+            this.elements.preCaptureActionsStatus.textContent = '';
+            return;
+        }
+        const optionalCount = actions.filter(action => action.optional).length;
+        this.elements.preCaptureActionsStatus.textContent = `${actions.length} step${actions.length === 1 ? '' : 's'} before each capture`
+            + `${optionalCount > 0 ? ` (${optionalCount} optional)` : ''}; the step log is shown in History`;
+    }
+
+    // === PER-MONITOR MODEL ===
+
+    async loadMonitorModel() {
+        if (!this.elements.monitorModel) return;
+        try {
+            const storageKey = `monitorModel_${this.currentDomain}`;
+            const data = await chrome.storage.local.get([storageKey, 'llmConfig_global']);
+            this.elements.monitorModel.value = data[storageKey] || '';
+            this.elements.monitorModel.placeholder = `Default: ${data.llmConfig_global?.model || 'model from Options → Settings'}`;
+        } catch (error) {
+            console.error('Error loading monitor model:', error);
+        }
+    }
+
+    async saveMonitorModel() {
+        try {
+            const storageKey = `monitorModel_${this.currentDomain}`;
+            const model = this.elements.monitorModel?.value.trim() || '';
+            if (model) {
+                await chrome.storage.local.set({ [storageKey]: model });
+            } else {
+                await chrome.storage.local.remove(storageKey);
+            }
+            console.log('Saved model for domain:', this.currentDomain, model || '(default)');
+        } catch (error) {
+            console.error('Error saving monitor model:', error);
+            this.showError('Failed to save the model for this monitor');
+        }
+    }
+
+    // === MULTI-MODEL CONSENSUS ===
+
+    async loadConsensusSettings() {
+        try {
+            const storageKey = `consensus_${this.currentDomain}`;
+            const data = await chrome.storage.local.get([storageKey]);
+            const consensus = data[storageKey] || {};
+
+            if (this.elements.consensusToggle) {
+                this.elements.consensusToggle.checked = consensus.enabled || false;
+            }
+            if (this.elements.consensusModels) {
+                this.elements.consensusModels.value = (consensus.models || [])
+                    .map(entry => typeof entry === 'string' ? entry : entry.model)
+                    .join(', ');
+            }
+            if (this.elements.consensusStrategy) {
+                this.elements.consensusStrategy.value = consensus.strategy || 'majority';
+            }
+            this.updateConsensusVisibility(consensus.enabled || false);
+        } catch (error) {
+            console.error('Error loading consensus settings:', error);
+        }
+    }
+
+    async saveConsensusSettings() {
+        try {
+            const storageKey = `consensus_${this.currentDomain}`;
+            const enabled = this.elements.consensusToggle?.checked || false;
+            const models = (this.elements.consensusModels?.value || '')
+                .split(',')
+                .map(model => model.trim())
+                .filter(Boolean);
+
+            if (enabled && models.length === 0) {
+                this.showStatus('Add at least one additional model for consensus', 'info');
+            }
+
+            await chrome.storage.local.set({
+                [storageKey]: {
+                    enabled,
+                    strategy: this.elements.consensusStrategy?.value || 'majority',
+                    models
+                }
+            });
+            this.updateConsensusVisibility(enabled);
+            console.log('Saved consensus settings for domain:', this.currentDomain, { enabled, models });
+        } catch (error) {
+            console.error('Error saving consensus settings:', error);
+            this.showError('Failed to save consensus settings');
+        }
+    }
+
+    updateConsensusVisibility(isEnabled) {
+        if (this.elements.consensusOptions) {
+            this.elements.consensusOptions.style.display = isEnabled ? 'flex' : 'none';
+        }
+    }
+
+    // === SCHEDULE (CRON / ACTIVE WINDOW) ===
+
+    async loadScheduleSettings() {
+        try {
+            const storageKey = `schedule_${this.currentDomain}`;
+            const data = await chrome.storage.local.get([storageKey]);
+            const settings = data[storageKey] || {};
+            const activeWindow = settings.activeWindow || {};
+
+            if (this.elements.scheduleCron) {
+                this.elements.scheduleCron.value = settings.cron || '';
+            }
+            this.elements.scheduleDays?.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = (activeWindow.days || []).includes(parseInt(checkbox.value));
+            });
+            if (this.elements.scheduleStart) {
+                this.elements.scheduleStart.value = activeWindow.start || '';
+            }
+            if (this.elements.scheduleEnd) {
+                this.elements.scheduleEnd.value = activeWindow.end || '';
+            }
+            if (this.elements.scheduleTimezone) {
+                this.elements.scheduleTimezone.value = settings.timezone || '';
+            }
+            if (this.elements.scheduleExcludedDates) {
+                this.elements.scheduleExcludedDates.value = (settings.excludedDates || []).join(', ');
+            }
+            this.updateCronVisibility(this.elements.captureInterval?.value === 'cron');
+            await this.updateScheduleSummary();
+        } catch (error) {
+            console.error('Error loading schedule settings:', error);
+        }
+    }
+
+    async saveScheduleSettings() {
+        try {
+            const storageKey = `schedule_${this.currentDomain}`;
+            const settings = {
+                cron: this.elements.scheduleCron?.value.trim() || null,
+                timezone: this.elements.scheduleTimezone?.value.trim() || null,
+                activeWindow: {
+                    days: Array.from(this.elements.scheduleDays?.querySelectorAll('input[type="checkbox"]:checked') || [])
+                        .map(checkbox => parseInt(checkbox.value)),
+                    start: this.elements.scheduleStart?.value || null,
+                    end: this.elements.scheduleEnd?.value || null
+                },
+                excludedDates: (this.elements.scheduleExcludedDates?.value || '')
+                    .split(',')
+                    .map(date => date.trim())
+                    .filter(Boolean)
+            };
+
+            const errors = validateSchedule(createSchedule(null, settings));
+            if (errors.length > 0) {
+                this.showError(`Invalid schedule: ${errors.join('; ')}`);
+                return;
+            }
+
+            await chrome.storage.local.set({ [storageKey]: settings });
+            console.log('Saved schedule settings for domain:', this.currentDomain, settings);
+            await this.updateScheduleSummary();
+        } catch (error) {
+            console.error('Error saving schedule settings:', error);
+            this.showError('Failed to save schedule settings');
+        }
+    }
+
+    // Build the schedule a new interval job will use (mirrors MessageService.getDomainSchedule)
+    async getCaptureSchedule(intervalSeconds) {
+        const intervalKey = `interval_${this.currentDomain}`;
+        const scheduleKey = `schedule_${this.currentDomain}`;
+        const data = await chrome.storage.local.get([intervalKey, scheduleKey]);
+        const settings = data[scheduleKey] || {};
+
+        return createSchedule(intervalSeconds, {
+            ...settings,
+            cron: data[intervalKey] === 'cron' ? settings.cron : null,
+            timezone: settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+    }
+
+    async updateScheduleSummary() {
+        if (!this.elements.scheduleSummary) return;
+
+        const interval = this.elements.captureInterval?.value || 'manual';
+        if (interval === 'manual') {
+            this.elements.scheduleSummary.textContent = 'Runs outside these days and hours are skipped, for local and cloud captures';
+            return;
+        }
+
+        const schedule = await this.getCaptureSchedule(interval === 'cron' ? CRON_CHECK_INTERVAL : parseInt(interval));
+        if (interval === 'cron' && !schedule.cron) {
+            this.elements.scheduleSummary.textContent = 'Enter a cron expression to schedule captures';
+            return;
+        }
+
+        const nextRun = getNextRun(schedule);
+        this.elements.scheduleSummary.textContent = `${describeSchedule(schedule)} - next run ${nextRun ? nextRun.toLocaleString() : 'never'}`;
+    }
+
+    updateCronVisibility(isCron) {
+        if (this.elements.cronOptions) {
+            this.elements.cronOptions.style.display = isCron ? 'flex' : 'none';
+        }
+    }
+
     async clearPreviousEvaluation() {
         try {
             const storageKey = `previousEvaluation_${this.currentDomain}`;
@@ -2339,6 +3498,14 @@ class CleanPopupController {
         }
     }
 
+    // Local jobs run on chrome.alarms, which fire at most every 30 seconds
+    updateLocalIntervalWarning() {
+        if (!this.elements.localIntervalWarning) return;
+        const seconds = parseInt(this.elements.captureInterval?.value, 10);
+        const isLocal = !this.elements.cloudRunnerToggle?.checked;
+        this.elements.localIntervalWarning.style.display = isLocal && seconds < 30 ? 'block' : 'none';
+    }
+
     async handleCaptureIntervalChange(intervalValue) {
         try {
             console.log('Capture interval changed to:', intervalValue);
@@ -2353,11 +3520,17 @@ class CleanPopupController {
                 // Stop any existing automatic capture (both local and cloud)
                 await this.stopAllIntervalCaptures();
                 this.showStatus('Interval capture setting changed to manual', 'info');
+            } else if (intervalValue === 'cron') {
+                console.log('Interval setting changed to cron schedule - will be used for next capture');
+                this.showStatus('Cron schedule selected - enter an expression, then click capture to start', 'info');
             } else {
                 console.log(`Interval setting changed to ${intervalValue} seconds - will be used for next capture`);
                 this.showStatus(`Interval set to ${this.formatInterval(parseInt(intervalValue))} - click capture to start`, 'info');
             }
 
+            this.updateCronVisibility(intervalValue === 'cron');
+            await this.updateScheduleSummary();
+
             // Refresh job list to show current state
             this.renderActiveJobs();
 
@@ -2407,7 +3580,7 @@ class CleanPopupController {
         }
 
         const llmConfig = await this.getLlmConfig();
-        if (!llmConfig.apiUrl || !llmConfig.apiKey) {
+        if (getMissingLlmConfig(llmConfig).length > 0) {
             throw new Error('Please configure LLM API URL and API Key first');
         }
 
@@ -2439,32 +3612,33 @@ class CleanPopupController {
     }
 
     async startLocalIntervalJob(tabId, intervalSeconds, currentUrl) {
-        // Start local interval capture
-        await this.sendMessageToBackground({
+        const schedule = await this.getCaptureSchedule(intervalSeconds);
+
+        // Start local interval capture; the background worker creates the job and its alarm
+        const response = await this.sendMessageToBackground({
             action: 'startCapture',
             tabId: tabId,
             domain: this.currentDomain,
+            url: currentUrl,
             interval: intervalSeconds,
+            schedule: schedule,
             type: 'local'
         });
 
-        // Create job in JobManager
-        await this.jobManager.createJob({
-            domain: this.currentDomain,
-            url: currentUrl,
-            interval: intervalSeconds,
-            tabId: tabId,
-            status: 'active',
-            isCloudJob: false
-        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to start local interval job');
+        }
+        await this.jobManager.loadJobs();
 
-        this.showStatus(`Local interval capture started (every ${this.formatInterval(intervalSeconds)})`, 'success');
+        this.showStatus(`Local interval capture started (${describeSchedule(schedule)})`, 'success');
 
         // Refresh job list to show new active job
         this.renderActiveJobs();
     }
 
     async startCloudIntervalJob(tabId, intervalSeconds, currentUrl) {
+        const schedule = await this.getCaptureSchedule(intervalSeconds);
+
         // Start cloud interval capture
         const response = await this.sendMessageToBackground({
             action: 'startCloudInterval',
@@ -2482,13 +3656,14 @@ class CleanPopupController {
             domain: this.currentDomain,
             url: currentUrl,
             interval: intervalSeconds,
+            schedule: schedule,
             tabId: tabId,
             status: 'active',
             isCloudJob: true,
             jobId: response.jobId // Store cloud runner job ID
         });
 
-        this.showStatus(`Cloud interval capture started (every ${this.formatInterval(intervalSeconds)})`, 'success');
+        this.showStatus(`Cloud interval capture started (${describeSchedule(schedule)})`, 'success');
 
         // Refresh job list to show new active job
         this.renderActiveJobs();
@@ -2558,14 +3733,17 @@ class CleanPopupController {
         const intervalText = job.interval && job.interval > 0 ? this.formatInterval(job.interval) : 'Manual';
         const lastRun = job.lastRun ? new Date(job.lastRun).toLocaleString() : 'Never';
         const cloudBadge = job.isCloudJob ? '<span class="job-cloud-badge">Cloud</span>' : '';
+        const monitorName = getMonitorName(job.domain);
         const isManual = !job.interval || job.interval === 0;
+        const scheduleText = job.schedule ? describeSchedule(job.schedule) : `Every ${intervalText}`;
+        const nextRun = this.getJobNextRun(job);
 
         return `
             <div class="job-item" data-job-id="${job.id}">
                 <div class="job-header">
                     <div class="job-info">
                         <div class="job-domain" onclick="this.openDomain('${job.domain}')" title="Open ${job.domain}">
-                            ${job.domain}
+                            ${this.escapeHtml(withMonitorName(job.domain, ''))}
                         </div>
                         <div class="job-url" onclick="this.openUrl('${job.url}')" title="Open ${job.url}">
                             ${job.url}
@@ -2574,6 +3752,7 @@ class CleanPopupController {
                             <div class="job-status-indicator ${statusClass}"></div>
                             <span>${statusText}</span>
                             ${cloudBadge}
+                            ${monitorName ? `<span class="job-monitor-badge" title="Monitor">${this.escapeHtml(monitorName)}</span>` : ''}
                         </div>
                     </div>
                                         <div class="job-controls">
@@ -2584,10 +3763,11 @@ class CleanPopupController {
                     </div>
                 </div>
                 <div class="job-details">
-                    <div class="job-interval">${isManual ? 'Manual capture' : `Every ${intervalText}`}</div>
+                    <div class="job-interval">${isManual ? 'Manual capture' : scheduleText}</div>
                     <div class="job-stats">
                         <span>Runs: ${job.runCount}</span>
                         <span>Last: ${lastRun}</span>
+                        ${nextRun ? `<span>Next: ${nextRun.toLocaleString()}</span>` : ''}
                         ${job.errorCount > 0 ? `<span style="color: var(--danger)">Errors: ${job.errorCount}</span>` : ''}
                     </div>
                 </div>
@@ -2596,6 +3776,15 @@ class CleanPopupController {
         `;
     }
 
+    // Cloud jobs report their next run; local ones are computed from the schedule
+    getJobNextRun(job) {
+        if (!job.interval || job.status !== 'active') return null;
+        if (job.nextRun) return new Date(job.nextRun);
+
+        const schedule = job.schedule || createSchedule(job.interval);
+        return getNextRun(schedule, job.lastRun || (schedule.cron ? job.createdAt : null));
+    }
+
     getJobControlButtons(job) {
         switch (job.status) {
             case 'active':
@@ -2685,16 +3874,20 @@ class CleanPopupController {
                         domain: job.domain,
                         interval: job.interval
                     });
+                    await this.jobManager.resumeJob(jobId);
                 } else {
-                    // For local jobs, restart the capture
+                    // For local jobs, re-arm the alarm (this marks the job active again)
                     await this.sendMessageToBackground({
                         action: 'startCapture',
                         tabId: job.tabId,
                         domain: job.domain,
-                        interval: job.interval
+                        url: job.url,
+                        interval: job.interval,
+                        schedule: job.schedule,
+                        type: 'local'
                     });
+                    await this.jobManager.loadJobs();
                 }
-                await this.jobManager.resumeJob(jobId);
                 this.showStatus(`Resumed job for ${job.domain}`, 'success');
                 break;
 
@@ -2782,20 +3975,17 @@ class CleanPopupController {
                         throw new Error(response.error || 'Failed to reconnect cloud job');
                     }
                 } else {
-                    // Restart local job
+                    // Restart local job (the background worker resets its status and errors)
                     await this.sendMessageToBackground({
                         action: 'startCapture',
                         tabId: job.tabId || await this.getCurrentTabId(),
                         domain: job.domain,
+                        url: job.url,
                         interval: job.interval,
+                        schedule: job.schedule,
                         type: 'local'
                     });
-
-                    await this.jobManager.updateJob(jobId, {
-                        status: 'active',
-                        lastError: null,
-                        errorCount: 0
-                    });
+                    await this.jobManager.loadJobs();
                     this.showStatus(`Restarted local job for ${job.domain}`, 'success');
                 }
                 break;
@@ -2809,7 +3999,7 @@ class CleanPopupController {
     }
 
     openDomain(domain) {
-        const url = `https://${domain}`;
+        const url = `https://${getTargetHost(domain)}`;
         chrome.tabs.create({ url });
     }
 
@@ -2901,9 +4091,11 @@ class CleanPopupController {
                 console.log(`Found cloud job ${cloudJob.id} not in local state, adding...`);
 
                 const newJobData = {
-                    domain: cloudJob.domain,
+                    domain: cloudJob.target || cloudJob.domain,
                     url: cloudJob.url || `https://${cloudJob.domain}`,
                     interval: cloudJob.interval || 0,  // 0 for manual jobs
+                    schedule: cloudJob.schedule || null,
+                    nextRun: cloudJob.nextRun || null,
                     tabId: null, // No local tab for cloud-only jobs
                     status: this.mapCloudStatus(cloudJob.status),
                     isCloudJob: true,
@@ -2918,12 +4110,15 @@ class CleanPopupController {
                 // Update existing local job with cloud status
                 const mappedStatus = this.mapCloudStatus(cloudJob.status);
                 console.log(`Found existing local job ${localJob.id} for cloud job ${cloudJob.id}`);
-                if (localJob.status !== mappedStatus || localJob.runCount !== cloudJob.runCount) {
+                if (localJob.status !== mappedStatus || localJob.runCount !== cloudJob.runCount ||
+                    (cloudJob.nextRun || null) !== (localJob.nextRun || null)) {
                     console.log(`Updating job ${cloudJob.id} status from ${localJob.status} to ${mappedStatus}`);
                     await this.jobManager.updateJob(localJob.id, {
                         status: mappedStatus,
                         lastRun: cloudJob.lastRun || localJob.lastRun,
-                        runCount: cloudJob.runCount || localJob.runCount
+                        runCount: cloudJob.runCount || localJob.runCount,
+                        nextRun: cloudJob.nextRun || null,
+                        schedule: cloudJob.schedule || localJob.schedule || null
                     });
                 }
             }
@@ -2961,6 +4156,7 @@ class CleanPopupController {
     mapCloudStatus(cloudStatus) {
         switch (cloudStatus) {
             case 'idle':
+            case 'queued': // Waiting for a free browser on the runner
             case 'running':
                 return 'active';
             case 'failed':
@@ -2993,6 +4189,433 @@ class CleanPopupController {
         }
     }
 
+    // === NOTIFICATION CHANNELS ===
+
+    renderNotificationChannels() {
+        const list = this.elements.notificationChannelList;
+        if (!list) return;
+
+        // Type options are filled once from the shared channel descriptors
+        if (this.elements.channelType && this.elements.channelType.options.length === 0) {
+            this.elements.channelType.innerHTML = Object.entries(CHANNEL_TYPES)
+                .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+                .join('');
+            this.renderChannelSettings();
+        }
+
+        const channels = this.fieldManager.notificationChannels;
+        list.innerHTML = channels.length === 0
+            ? '<div class="no-channels">No channels yet - add one below</div>'
+            : channels.map(channel => `
+                <div class="channel-item ${channel.id === this.editingChannelId ? 'editing' : ''}">
+                    <span class="channel-name">${this.escapeHtml(channel.name)}</span>
+                    <span class="channel-type">${this.escapeHtml(CHANNEL_TYPES[channel.type]?.label || channel.type)}${SCREENSHOT_ICONS[getChannelScreenshotMode(channel)]}</span>
+                    <div class="channel-actions">
+                        <button class="small-button secondary test-channel-btn" data-channel-id="${this.escapeHtml(channel.id)}" title="Send a test notification">🧪</button>
+                        <button class="small-button secondary edit-channel-btn" data-channel-id="${this.escapeHtml(channel.id)}" title="Edit channel">✏️</button>
+                        <button class="small-button danger delete-channel-btn" data-channel-id="${this.escapeHtml(channel.id)}" title="Delete channel">🗑️</button>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    // Inputs for the selected channel type, filled from the channel being edited
+    renderChannelSettings(channel = null) {
+        const type = CHANNEL_TYPES[this.elements.channelType?.value];
+        if (!type || !this.elements.channelSettings) return;
+
+        this.elements.channelSettings.innerHTML = type.settings.map(setting => `
+            <div class="form-group">
+                <label for="channelSetting_${setting.key}">${setting.label}${setting.optional ? ' (optional)' : ''}:</label>
+                <input type="${setting.secret ? 'password' : 'text'}" 
+                       id="channelSetting_${setting.key}" 
+                       data-setting="${setting.key}" 
+                       placeholder="${this.escapeHtml(setting.placeholder || '')}" 
+                       value="${this.escapeHtml(channel?.[setting.key] || '').replace(/"/g, '&quot;')}" 
+                       autocomplete="off" />
+            </div>
+        `).join('');
+    }
+
+    readChannelForm() {
+        const channel = {
+            id: this.editingChannelId || `channel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: this.elements.channelName.value.trim(),
+            type: this.elements.channelType.value,
+            screenshot: this.elements.channelScreenshot.value
+        };
+        this.elements.channelSettings.querySelectorAll('[data-setting]').forEach(input => {
+            channel[input.dataset.setting] = input.value.trim();
+        });
+        return channel;
+    }
+
+    async saveNotificationChannel() {
+        const channel = this.readChannelForm();
+        const errors = validateChannel(channel);
+        if (errors.length > 0) {
+            this.showToast(errors.join(', '), 'error', this.elements.channelStatus);
+            return;
+        }
+
+        const channels = [...this.fieldManager.notificationChannels];
+        const index = channels.findIndex(other => other.id === channel.id);
+        if (index >= 0) {
+            channels[index] = channel;
+        } else {
+            channels.push(channel);
+        }
+
+        await chrome.storage.local.set({ notificationChannels: channels });
+        this.fieldManager.notificationChannels = channels;
+
+        this.resetChannelForm();
+        this.renderFields(); // Refresh the "Send to" lists
+        this.showToast(`Channel "${channel.name}" saved`, 'success', this.elements.channelStatus);
+    }
+
+    editNotificationChannel(id) {
+        const channel = this.fieldManager.notificationChannels.find(other => other.id === id);
+        if (!channel) return;
+
+        this.editingChannelId = id;
+        this.elements.channelType.value = channel.type;
+        this.elements.channelName.value = channel.name;
+        this.elements.channelScreenshot.value = getChannelScreenshotMode(channel);
+        this.renderChannelSettings(channel);
+
+        this.elements.saveChannelBtn.textContent = '💾 Save Channel';
+        this.elements.cancelChannelEditBtn.style.display = '';
+        this.renderNotificationChannels();
+    }
+
+    resetChannelForm() {
+        this.editingChannelId = null;
+        this.elements.channelName.value = '';
+        this.elements.channelScreenshot.value = 'none';
+        this.renderChannelSettings();
+
+        this.elements.saveChannelBtn.textContent = '➕ Add Channel';
+        this.elements.cancelChannelEditBtn.style.display = 'none';
+        this.renderNotificationChannels();
+    }
+
+    async deleteNotificationChannel(id) {
+        const channel = this.fieldManager.notificationChannels.find(other => other.id === id);
+        if (!channel) return;
+        if (!confirm(`Delete channel "${channel.name}"? Fields that send to it will fail until you pick another destination.`)) return;
+
+        const channels = this.fieldManager.notificationChannels.filter(other => other.id !== id);
+        await chrome.storage.local.set({ notificationChannels: channels });
+        this.fieldManager.notificationChannels = channels;
+
+        if (this.editingChannelId === id) {
+            this.resetChannelForm();
+        } else {
+            this.renderNotificationChannels();
+        }
+        this.renderFields();
+    }
+
+    async testNotificationChannel(id) {
+        const channel = this.fieldManager.notificationChannels.find(other => other.id === id);
+        if (!channel) return;
+
+        this.showToast(`Sending a test to "${channel.name}"...`, 'info', this.elements.channelStatus);
+        const response = await this.sendMessageToBackground({ action: 'testNotificationChannel', channel });
+
+        if (response?.success) {
+            this.showToast(`✅ Test sent to "${channel.name}"`, 'success', this.elements.channelStatus);
+        } else {
+            this.showToast(`❌ Test failed: ${response?.error || 'Unknown error'}`, 'error', this.elements.channelStatus);
+        }
+    }
+
+    // === WEBHOOK DELIVERIES ===
+
+    async loadWebhookDeliveries() {
+        if (!this.elements.webhookDeliveryList) return;
+
+        try {
+            const response = await this.sendMessageToBackground({ action: 'getWebhookDeliveries' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+            this.renderWebhookDeliveries(response);
+        } catch (error) {
+            console.error('Error loading webhook deliveries:', error);
+            this.showToast('Failed to load webhook deliveries', 'error', this.elements.webhookDeliveryStatus);
+        }
+    }
+
+    renderWebhookDeliveries({ local, cloud, cloudError }) {
+        const sources = [['local', local], ['cloud', cloud]].filter(([, queue]) => queue);
+        const entries = sources.flatMap(([source, queue]) => [
+            ...queue.pending.map(entry => ({ entry, source })),
+            ...queue.deadLetters.map(entry => ({ entry, source }))
+        ]);
+
+        const pendingCount = entries.filter(({ entry }) => entry.status === 'pending').length;
+        const deadCount = entries.length - pendingCount;
+        if (this.elements.webhookQueueSummary) {
+            this.elements.webhookQueueSummary.textContent = entries.length === 0
+                ? 'No failed deliveries'
+                : `${pendingCount} waiting to retry · ${deadCount} failed`;
+        }
+
+        this.elements.webhookDeliveryList.innerHTML = entries.length === 0
+            ? '<div class="no-deliveries">All webhooks delivered</div>'
+            : entries.map(({ entry, source }) => this.renderDeliveryItem(entry, source)).join('');
+
+        if (cloudError) {
+            this.showToast(`Cloud deliveries unavailable: ${cloudError}`, 'warning', this.elements.webhookDeliveryStatus);
+        }
+    }
+
+    renderDeliveryItem(entry, source) {
+        const { delivery } = entry;
+        const isDead = entry.status === 'dead';
+        const when = isDead
+            ? `Failed ${new Date(entry.lastAttemptAt).toLocaleString()}`
+            : `Retrying ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`;
+
+        return `
+            <details class="delivery-item ${isDead ? 'dead' : 'pending'}">
+                <summary>
+                    <span class="delivery-source">${source === 'cloud' ? '☁️' : '💻'}</span>
+                    <span class="delivery-field">${this.escapeHtml(delivery.fieldName || 'unknown')}</span>
+                    <span class="delivery-domain">${this.escapeHtml(delivery.domain || '')}</span>
+                    <span class="delivery-when">${when}</span>
+                </summary>
+                <div class="delivery-details">
+                    <div><strong>Error:</strong> ${this.escapeHtml(entry.lastError || 'Unknown error')}</div>
+                    <div><strong>Attempts:</strong> ${entry.attempts}</div>
+                    <div><strong>Request:</strong> ${this.escapeHtml(delivery.method)} ${this.escapeHtml(this.fieldManager.maskWebhookUrl(delivery.url))}${delivery.signed ? ' (signed)' : ''}</div>
+                    ${delivery.channelName ? `<div><strong>Channel:</strong> ${this.escapeHtml(delivery.channelName)}</div>` : ''}
+                    ${delivery.body ? `<pre class="delivery-body">${this.escapeHtml(delivery.body)}</pre>` : ''}
+                    ${entry.lastResponse ? `<div><strong>Response:</strong></div><pre class="delivery-body">${this.escapeHtml(entry.lastResponse)}</pre>` : ''}
+                    <div class="delivery-actions">
+                        ${isDead ? `<button class="small-button replay-delivery-btn" data-delivery-id="${this.escapeHtml(entry.id)}" data-source="${source}">🔁 Replay</button>` : ''}
+                        <button class="small-button danger discard-delivery-btn" data-delivery-id="${this.escapeHtml(entry.id)}" data-source="${source}">🗑️ Discard</button>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    async replayWebhookDelivery(id, source) {
+        this.showToast('Replaying webhook...', 'info', this.elements.webhookDeliveryStatus);
+        const response = await this.sendMessageToBackground({ action: 'replayWebhookDelivery', id, source });
+
+        if (response?.success && response.delivered) {
+            this.showToast('✅ Webhook delivered', 'success', this.elements.webhookDeliveryStatus);
+        } else {
+            this.showToast(`❌ Replay failed: ${response?.error || 'Unknown error'}`, 'error', this.elements.webhookDeliveryStatus);
+        }
+        await this.loadWebhookDeliveries();
+    }
+
+    async discardWebhookDelivery(id, source) {
+        if (!confirm('Discard this webhook delivery? It will not be retried.')) return;
+
+        const response = await this.sendMessageToBackground({ action: 'discardWebhookDelivery', id, source });
+        if (!response?.success) {
+            this.showToast(`Failed to discard delivery: ${response?.error || 'Unknown error'}`, 'error', this.elements.webhookDeliveryStatus);
+        }
+        await this.loadWebhookDeliveries();
+    }
+
+    // === HISTORY EXPORT ===
+
+    // Export filter from the form; dates are whole local days
+    getExportFilter() {
+        const filter = { trueOnly: !!this.elements.exportTrueOnly?.checked };
+        if (this.elements.exportFrom?.value) {
+            filter.from = new Date(`${this.elements.exportFrom.value}T00:00:00`).toISOString();
+        }
+        if (this.elements.exportTo?.value) {
+            filter.to = new Date(`${this.elements.exportTo.value}T23:59:59.999`).toISOString();
+        }
+        return filter;
+    }
+
+    async exportHistory() {
+        const format = this.elements.exportFormat?.value || 'csv';
+        const filter = this.getExportFilter();
+        const button = this.elements.exportHistoryBtn;
+
+        try {
+            if (button) button.disabled = true;
+            this.showToast('Preparing export...', 'info', this.elements.exportStatus);
+
+            if (this.elements.exportSource?.value === 'cloud') {
+                if (!this.currentDomain) throw new Error('No domain selected');
+
+                const response = await this.sendMessageToBackground({
+                    action: 'exportCloudJobResults',
+                    domain: this.currentDomain,
+                    format,
+                    filter
+                });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'Cloud export failed');
+                }
+
+                // The service worker downloads the file from the runner itself
+                this.showToast(`Exported cloud job results for ${this.currentDomain}`, 'success', this.elements.exportStatus);
+                return;
+            }
+
+            const allDomains = this.elements.exportScope?.value === 'all';
+            if (!allDomains && !this.currentDomain) throw new Error('No domain selected');
+
+            const events = await this.eventStore.queryEvents({
+                ...filter,
+                domain: allDomains ? undefined : this.currentDomain,
+                withScreenshots: format === 'zip'
+            });
+            if (events.length === 0) {
+                this.showToast('No events match this export', 'info', this.elements.exportStatus);
+                return;
+            }
+
+            const { data, mimeType } = buildHistoryExport(events, format);
+            downloadFile(data, getExportFilename(allDomains ? 'all' : this.currentDomain, format), mimeType);
+            this.showToast(`Exported ${events.length} events`, 'success', this.elements.exportStatus);
+        } catch (error) {
+            console.error('History export failed:', error);
+            this.showToast(`Export failed: ${error.message}`, 'error', this.elements.exportStatus);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    // === CONFIGURATION BUNDLES ===
+
+    async exportConfigBundle() {
+        const domainOnly = this.elements.configExportScope?.value === 'domain';
+
+        try {
+            const storageData = await chrome.storage.local.get();
+            const bundle = buildConfigBundle(storageData, {
+                domain: domainOnly ? this.currentDomain : null,
+                redactSecrets: !!this.elements.configRedactSecrets?.checked
+            });
+            downloadFile(JSON.stringify(bundle, null, 2), getConfigBundleFilename(bundle.scope), 'application/json');
+
+            const domainCount = Object.keys(bundle.domains).length;
+            const redactedNote = bundle.redacted ? ', secrets redacted' : '';
+            this.showToast(`Exported ${domainCount} domain${domainCount !== 1 ? 's' : ''}${redactedNote}`, 'success', this.elements.configStatus);
+        } catch (error) {
+            console.error('Configuration export failed:', error);
+            this.showToast(`Export failed: ${error.message}`, 'error', this.elements.configStatus);
+        }
+    }
+
+    // Validate a chosen file and show what importing it would change
+    async loadConfigBundleFile(file) {
+        this.pendingConfigBundle = null;
+        if (this.elements.importConfigBtn) this.elements.importConfigBtn.disabled = true;
+        if (this.elements.configImportPreview) this.elements.configImportPreview.innerHTML = '';
+        if (!file) return;
+
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            this.showToast('✗ The file is not valid JSON', 'error', this.elements.configStatus);
+            return;
+        }
+
+        const errors = validateConfigBundle(bundle);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10).map(error => `<li>${this.escapeHtml(error)}</li>`).join('');
+            const more = errors.length > 10 ? `<li>...and ${errors.length - 10} more</li>` : '';
+            this.elements.configImportPreview.innerHTML = `<ul class="config-import-errors">${shown}${more}</ul>`;
+            this.showToast('✗ This configuration file cannot be imported', 'error', this.elements.configStatus);
+            return;
+        }
+
+        this.pendingConfigBundle = bundle;
+        await this.renderConfigImportPreview();
+        if (this.elements.importConfigBtn) this.elements.importConfigBtn.disabled = false;
+    }
+
+    // List what importing the pending bundle with the selected mode would change
+    async renderConfigImportPreview() {
+        const bundle = this.pendingConfigBundle;
+        if (!bundle || !this.elements.configImportPreview) return;
+        const mode = this.elements.configImportMode?.value || 'merge';
+
+        const storageData = await chrome.storage.local.get();
+        const conflicts = findConfigConflicts(bundle, storageData);
+        const { changes } = planConfigImport(bundle, storageData, mode);
+        const domains = Object.keys(bundle.domains);
+
+        const lines = [
+            `${domains.length} domain${domains.length !== 1 ? 's' : ''}: ${domains.join(', ') || 'none'}`,
+            `Exported ${bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'at an unknown time'}${bundle.redacted ? ', secrets redacted' : ''}`,
+            ...conflicts.domains.map(conflict =>
+                `⚠️ ${conflict.domain} already exists (${conflict.existingFields} fields here, ${conflict.importedFields} in the file)`),
+            conflicts.channels.length > 0 ? `⚠️ Channels already configured: ${conflicts.channels.join(', ')}` : null,
+            ...changes.settings.map(key => `Changes global setting ${key}`),
+            ...changes.kept.map(key => `Keeps ${key} as it is here (overwrite replaces it)`),
+            ...changes.endpoints.map(endpoint => `⚠️ Changes endpoint ${endpoint}`),
+            ...changes.secrets.map(secret => `🔑 Enter again after importing: ${secret}`)
+        ].filter(Boolean);
+        this.elements.configImportPreview.innerHTML = lines.map(line => `<div>${this.escapeHtml(line)}</div>`).join('');
+    }
+
+    async importConfigBundle() {
+        const bundle = this.pendingConfigBundle;
+        if (!bundle) return;
+        const mode = this.elements.configImportMode?.value || 'merge';
+
+        try {
+            const storageData = await chrome.storage.local.get();
+            const conflicts = findConfigConflicts(bundle, storageData);
+            if (mode === 'overwrite' && conflicts.domains.length > 0) {
+                const names = conflicts.domains.map(conflict => conflict.domain).join(', ');
+                if (!confirm(`Replace the existing settings for ${names}?\n\nFields and presets not in the file will be removed.`)) {
+                    return;
+                }
+            }
+
+            const plan = planConfigImport(bundle, storageData, mode);
+            // New endpoints receive keys, tokens or captured pages, so they need an explicit yes
+            if (plan.changes.endpoints.length > 0) {
+                const endpoints = plan.changes.endpoints.map(endpoint => `• ${endpoint}`).join('\n');
+                if (!confirm(`This import sends data to different endpoints:\n\n${endpoints}\n\nImport anyway?`)) {
+                    return;
+                }
+            }
+            if (plan.remove.length > 0) {
+                await chrome.storage.local.remove(plan.remove);
+            }
+            await chrome.storage.local.set(plan.set);
+            console.log(`Imported configuration (${mode}):`, plan.summary);
+
+            // Show the imported settings
+            await this.fieldManager.loadFromStorage();
+            await this.loadBasicSettings();
+            await this.renderOptionsDomainSelect();
+            this.switchTab(this.currentTab);
+
+            this.pendingConfigBundle = null;
+            if (this.elements.configImportFile) this.elements.configImportFile.value = '';
+            if (this.elements.configImportPreview) this.elements.configImportPreview.innerHTML = '';
+            if (this.elements.importConfigBtn) this.elements.importConfigBtn.disabled = true;
+
+            const { domains, fields, channels } = plan.summary;
+            const secretCount = plan.changes.secrets.length;
+            const secretNote = secretCount > 0 ? `; enter ${secretCount} secret${secretCount !== 1 ? 's' : ''} again` : '';
+            this.showToast(`✓ Imported ${domains} domain${domains !== 1 ? 's' : ''}, ${fields} field${fields !== 1 ? 's' : ''} and ${channels} channel${channels !== 1 ? 's' : ''}${secretNote}`, 'success', this.elements.configStatus);
+        } catch (error) {
+            console.error('Configuration import failed:', error);
+            this.showToast(`Import failed: ${error.message}`, 'error', this.elements.configStatus);
+        }
+    }
+
     // === STORAGE MANAGEMENT ===
 
     async refreshStorageInfo() {
@@ -3055,8 +4678,43 @@ class CleanPopupController {
         console.log(`Storage: ${formatBytes(used)} / ${formatBytes(quota)} (${usedPercentage}%)`);
     }
 
+    async loadRetentionPolicy() {
+        const data = await chrome.storage.local.get([HISTORY_RETENTION_KEY]);
+        const policy = getRetentionPolicy(data[HISTORY_RETENTION_KEY]);
+
+        if (this.elements.retentionMaxAgeDays) this.elements.retentionMaxAgeDays.value = policy.maxAgeDays;
+        if (this.elements.retentionMaxEvents) this.elements.retentionMaxEvents.value = policy.maxEvents;
+        if (this.elements.retentionScreenshotDays) this.elements.retentionScreenshotDays.value = policy.screenshotMaxAgeDays;
+    }
+
+    async saveRetentionPolicy() {
+        const policy = getRetentionPolicy({
+            maxAgeDays: this.elements.retentionMaxAgeDays?.value,
+            maxEvents: this.elements.retentionMaxEvents?.value,
+            screenshotMaxAgeDays: this.elements.retentionScreenshotDays?.value
+        });
+
+        try {
+            await chrome.storage.local.set({ [HISTORY_RETENTION_KEY]: policy });
+            const response = await this.sendMessageToBackground({ action: 'applyHistoryRetention' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Retention could not be applied');
+            }
+
+            const removed = response.deletedEvents + response.deletedScreenshots;
+            this.showToast(removed > 0
+                ? `Retention saved. Removed ${response.deletedEvents} events and ${response.deletedScreenshots} screenshots.`
+                : 'Retention saved', 'success', this.elements.storageStatus);
+            await this.loadRetentionPolicy();
+            await this.refreshStorageInfo();
+        } catch (error) {
+            console.error('Failed to save history retention:', error);
+            this.showToast(`Failed to save retention: ${error.message}`, 'error', this.elements.storageStatus);
+        }
+    }
+
     async performStorageCleanup() {
-        if (!confirm('This will remove old screenshots and large data to free up storage space. Continue?')) {
+        if (!confirm('This will apply the history retention settings now, deleting old events and screenshots. Continue?')) {
             return;
         }
 
@@ -3073,7 +4731,7 @@ class CleanPopupController {
             const response = await this.sendMessageToBackground({ action: 'performManualCleanup' });
 
             if (response && response.success) {
-                const { removedScreenshots, eventsBefore, eventsAfter, spaceSaved } = response;
+                const { removedScreenshots, removedEvents, spaceSaved } = response;
 
                 // Format space saved
                 const formatBytes = (bytes) => {
@@ -3088,8 +4746,11 @@ class CleanPopupController {
                 if (removedScreenshots > 0) {
                     message += `Removed ${removedScreenshots} screenshots. `;
                 }
-                if (eventsBefore !== eventsAfter) {
-                    message += `Events: ${eventsBefore} → ${eventsAfter}. `;
+                if (removedEvents > 0) {
+                    message += `Removed ${removedEvents} events. `;
+                }
+                if (!removedScreenshots && !removedEvents) {
+                    message += 'Nothing to remove under the current retention settings. ';
                 }
                 if (spaceSaved > 0) {
                     message += `Space saved: ${formatBytes(spaceSaved)}.`;
@@ -3131,6 +4792,9 @@ class FieldManagerLLM {
     constructor() {
         this.fields = [];
         this.presets = {};
+        this.notificationChannels = [];  // Shared by all domains
+        this.presetLibrary = {};  // Library presets shared by all domains, by ID
+        this.presetLinks = {};  // Library presets applied to this domain: ID -> { version, variables }
         this.currentDomain = '';
         this.lastResults = null;
     }
@@ -3165,6 +4829,8 @@ class FieldManagerLLM {
             name: sanitizedName,  // This is the unique identifier used for LLM communication
             friendlyName: friendlyName,  // This is for display only
             description: data.description || '',
+            type: FIELD_TYPES.includes(data.type) ? data.type : 'boolean',  // boolean, number, enum or string
+            options: data.options || [],  // Allowed values for enum fields
             result: null,
             probability: null,
             lastStatus: null,
@@ -3176,22 +4842,21 @@ class FieldManagerLLM {
             webhookTrigger: data.webhookTrigger !== undefined ? data.webhookTrigger : true,
             webhookUrl: data.webhookUrl || '',
             webhookPayload: data.webhookPayload || '',
-            webhookMinConfidence: data.webhookMinConfidence !== undefined ? data.webhookMinConfidence : 75
+            webhookMinConfidence: data.webhookMinConfidence !== undefined ? data.webhookMinConfidence : 75,
+            webhookCondition: data.webhookCondition || '',  // Comparison for typed fields, e.g. "price < 3200"
+            webhookMode: data.webhookMode || 'level',  // level, rising, falling or change
+            webhookHoldRuns: data.webhookHoldRuns || 1,  // Consecutive runs a new result must hold
+            webhookCooldown: data.webhookCooldown || 0,  // Minimum seconds between webhooks
+            webhookSecret: data.webhookSecret || '',  // Signing secret, overrides the global one
+            webhookChannelId: data.webhookChannelId || '',  // Notification channel, replaces webhookUrl when set
+            webhookScreenshot: data.webhookScreenshot || 'none'  // none, attach or link, for custom URLs
         };
         this.fields.push(field);
         return field;
     }
 
     sanitizeFieldName(friendlyName) {
-        if (!friendlyName || !friendlyName.trim()) return 'unnamed_field';
-
-        return friendlyName
-            .toLowerCase()
-            .trim()
-            .replace(/[^a-z0-9]/g, '_')  // Replace non-alphanumeric with underscores
-            .replace(/^_+|_+$/g, '')     // Remove leading/trailing underscores
-            .replace(/_+/g, '_')         // Replace multiple underscores with single
-            || 'unnamed_field';
+        return toFieldName(friendlyName);
     }
 
     removeField(fieldId) {
@@ -3230,7 +4895,9 @@ class FieldManagerLLM {
             .filter(f => f.friendlyName && f.description)
             .map(f => ({
                 name: f.name,  // Use the sanitized name for LLM communication
-                criteria: f.description.trim()
+                criteria: f.description.trim(),
+                type: f.type || 'boolean',
+                options: getEnumOptions(f)
             }));
     }
 
@@ -3262,7 +4929,7 @@ class FieldManagerLLM {
             const fieldResult = dataToProcess[field.name];
 
             if (fieldResult !== null && fieldResult !== undefined) {
-                // Parse the result format: [boolean, probability] or {boolean: true, probability: 0.95} or {result: true, confidence: 0.95}
+                // Parse the result format: [value, probability] or {boolean: true, probability: 0.95} or {result: true, confidence: 0.95}
                 if (Array.isArray(fieldResult) && fieldResult.length >= 2) {
                     field.result = fieldResult[0];
                     field.probability = fieldResult[1];
@@ -3274,13 +4941,16 @@ class FieldManagerLLM {
                     // Legacy: Handle {boolean: boolean, probability: number} format
                     field.result = fieldResult.boolean;
                     field.probability = fieldResult.probability || null;
-                } else if (typeof fieldResult === 'boolean') {
+                } else if (['boolean', 'number', 'string'].includes(typeof fieldResult)) {
                     field.result = fieldResult;
                     field.probability = null;
                 }
 
+                // Make sure the value matches the field type (number, enum option, etc.)
+                field.result = coerceFieldValue(field.result, field);
+
                 // Apply confidence threshold filtering for state snapshot
-                field.filteredResult = this.applyConfidenceFilter(field.result, field.probability, field.webhookMinConfidence);
+                field.filteredResult = this.applyConfidenceFilter(field.result, field.probability, field.webhookMinConfidence, field.type);
 
                 // Update field status
                 field.isPending = false;
@@ -3293,25 +4963,15 @@ class FieldManagerLLM {
 
     /**
      * Apply confidence threshold filtering
-     * @param {boolean} result - Raw LLM result
+     * @param {boolean|number|string} result - Raw LLM result
      * @param {number} probability - Confidence score (0-1)
      * @param {number} threshold - Confidence threshold percentage (0-100)
-     * @returns {boolean} Filtered result
+     * @param {string} type - Field type (boolean, number, enum, string)
+     * @returns {boolean|number|string|null} Filtered result (null for untrusted typed values)
      */
-    applyConfidenceFilter(result, probability, threshold = 75) {
-        if (result !== true) {
-            return false; // FALSE results remain FALSE regardless of confidence
-        }
-
-        if (probability === null || probability === undefined) {
-            return false; // No confidence data means we can't trust it
-        }
-
-        const confidencePercent = probability * 100;
-        const minConfidence = threshold || 75;
-
-        // Only TRUE results with sufficient confidence pass as TRUE
-        return confidencePercent >= minConfidence;
+    applyConfidenceFilter(result, probability, threshold = 75, type = 'boolean') {
+        // Only TRUE results / typed values with sufficient confidence are trusted
+        return applyFieldConfidenceFilter({ type, webhookMinConfidence: threshold || 75 }, result, probability);
     }
 
     markFieldsError(error, httpStatus = null, eventId = null) {
@@ -3351,11 +5011,20 @@ class FieldManagerLLM {
                 name: field.name,
                 friendlyName: field.friendlyName,
                 description: field.description,
+                type: field.type,
+                options: field.options,
                 webhookEnabled: field.webhookEnabled,
                 webhookTrigger: field.webhookTrigger,
                 webhookUrl: field.webhookUrl,
                 webhookPayload: field.webhookPayload,
-                webhookMinConfidence: field.webhookMinConfidence
+                webhookMinConfidence: field.webhookMinConfidence,
+                webhookCondition: field.webhookCondition,
+                webhookMode: field.webhookMode,
+                webhookHoldRuns: field.webhookHoldRuns,
+                webhookCooldown: field.webhookCooldown,
+                webhookSecret: field.webhookSecret,
+                webhookChannelId: field.webhookChannelId,
+                webhookScreenshot: field.webhookScreenshot
             })),
             timestamp: new Date().toISOString()
         };
@@ -3387,7 +5056,17 @@ class FieldManagerLLM {
             webhookTrigger: fieldData.webhookTrigger !== undefined ? fieldData.webhookTrigger : true,
             webhookUrl: fieldData.webhookUrl || '',
             webhookPayload: fieldData.webhookPayload || '',
-            webhookMinConfidence: fieldData.webhookMinConfidence !== undefined ? fieldData.webhookMinConfidence : 75
+            webhookMinConfidence: fieldData.webhookMinConfidence !== undefined ? fieldData.webhookMinConfidence : 75,
+            webhookCondition: fieldData.webhookCondition || '',
+            webhookMode: fieldData.webhookMode || 'level',
+            webhookHoldRuns: fieldData.webhookHoldRuns || 1,
+            webhookCooldown: fieldData.webhookCooldown || 0,
+            webhookSecret: fieldData.webhookSecret || '',
+            webhookChannelId: fieldData.webhookChannelId || '',
+            webhookScreenshot: fieldData.webhookScreenshot || 'none',
+            // Presets saved before typed fields existed are boolean
+            type: fieldData.type || 'boolean',
+            options: fieldData.options || []
         }));
 
         return true;
@@ -3405,14 +5084,53 @@ class FieldManagerLLM {
         return Object.keys(this.presets).sort();
     }
 
+    // === PRESET LIBRARY ===
+
+    getLibraryPresets() {
+        return Object.values(this.presetLibrary).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Add or replace this domain's fields from a library preset and remember the values used
+    applyLibraryPreset(preset, values) {
+        this.fields = applyPresetToFields(this.fields, preset, values, () => this.generateFieldId());
+        this.presetLinks[preset.id] = createPresetLink(preset, values);
+    }
+
+    // Save fields to the library; returns the saved preset
+    async saveToLibrary(name, fields) {
+        const existing = findLibraryPreset(this.presetLibrary, name);
+        const link = existing ? this.presetLinks[existing.id] || null : null;
+        const { library, preset } = saveLibraryPreset(this.presetLibrary, name, fields, link);
+
+        this.presetLibrary = library;
+        await chrome.storage.local.set({ [PRESET_LIBRARY_KEY]: library });
+        return preset;
+    }
+
+    async deleteFromLibrary(presetId) {
+        const { [presetId]: removed, ...library } = this.presetLibrary;
+        if (!removed) return false;
+
+        // Domains keep the fields they got from it
+        this.presetLibrary = library;
+        delete this.presetLinks[presetId];
+        await chrome.storage.local.set({ [PRESET_LIBRARY_KEY]: library });
+        return true;
+    }
+
     async saveToStorage() {
         try {
             const domainKey = `fields_${this.currentDomain}`;
             const presetKey = `presets_${this.currentDomain}`;
 
+            const linksKey = PRESET_LINKS_PREFIX + this.currentDomain;
+
             await Promise.all([
                 chrome.storage.local.set({ [domainKey]: this.fields }),
-                chrome.storage.local.set({ [presetKey]: this.presets })
+                chrome.storage.local.set({ [presetKey]: this.presets }),
+                Object.keys(this.presetLinks).length > 0
+                    ? chrome.storage.local.set({ [linksKey]: this.presetLinks })
+                    : chrome.storage.local.remove(linksKey)
             ]);
 
             console.log(`Saved ${this.fields.length} fields and ${Object.keys(this.presets).length} presets for domain: ${this.currentDomain}`);
@@ -3427,11 +5145,16 @@ class FieldManagerLLM {
         try {
             const domainKey = `fields_${this.currentDomain}`;
             const presetKey = `presets_${this.currentDomain}`;
+            const linksKey = PRESET_LINKS_PREFIX + this.currentDomain;
 
-            const [fieldsData, presetsData] = await Promise.all([
+            const [fieldsData, presetsData, sharedData] = await Promise.all([
                 chrome.storage.local.get([domainKey]),
-                chrome.storage.local.get([presetKey])
+                chrome.storage.local.get([presetKey]),
+                chrome.storage.local.get(['notificationChannels', PRESET_LIBRARY_KEY, linksKey])
             ]);
+            this.notificationChannels = sharedData.notificationChannels || [];
+            this.presetLibrary = sharedData[PRESET_LIBRARY_KEY] || {};
+            this.presetLinks = sharedData[linksKey] || {};
 
             // Load fields from storage
             const storedFields = fieldsData[domainKey] || [];
@@ -3454,7 +5177,17 @@ class FieldManagerLLM {
                 webhookTrigger: fieldData.webhookTrigger !== undefined ? fieldData.webhookTrigger : true,
                 webhookUrl: fieldData.webhookUrl || '',
                 webhookPayload: fieldData.webhookPayload || '',
-                webhookMinConfidence: fieldData.webhookMinConfidence !== undefined ? fieldData.webhookMinConfidence : 75
+                webhookMinConfidence: fieldData.webhookMinConfidence !== undefined ? fieldData.webhookMinConfidence : 75,
+                webhookCondition: fieldData.webhookCondition || '',
+                webhookMode: fieldData.webhookMode || 'level',
+                webhookHoldRuns: fieldData.webhookHoldRuns || 1,
+                webhookCooldown: fieldData.webhookCooldown || 0,
+                webhookSecret: fieldData.webhookSecret || '',
+                webhookChannelId: fieldData.webhookChannelId || '',
+                webhookScreenshot: fieldData.webhookScreenshot || 'none',
+                // Fields saved before typed fields existed are boolean
+                type: fieldData.type || 'boolean',
+                options: fieldData.options || []
             }));
 
             console.log(`Loaded field results:`, this.fields.map(f => ({
@@ -3493,6 +5226,9 @@ class FieldManagerLLM {
             if (!field.description || !field.description.trim()) {
                 errors.push(`Field ${index + 1}: Description is required`);
             }
+            if (field.type === 'enum' && getEnumOptions(field).length < 2) {
+                errors.push(`Field ${index + 1}: List fields need at least two options`);
+            }
         });
 
         return errors;
@@ -3525,6 +5261,8 @@ class FieldManagerLLM {
         this.fields.forEach(field => {
             if (field.result !== null && field.probability !== null) {
                 // Use the filtered result (confidence threshold applied)
+                // Typed values below the threshold are null and left out
+                if (field.filteredResult === null || field.filteredResult === undefined) return;
                 snapshot[field.name] = field.filteredResult;
             }
         });
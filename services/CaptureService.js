@@ -1,10 +1,22 @@
 // Enhanced screenshot capture service with full page support
+import { extractPageContext, DEFAULT_PAGE_CONTEXT_MAX_CHARS } from '../utils/page-context.js';
+import { countRunsBetween, createSchedule, describeSchedule, getNextRun, isInActiveWindow } from '../utils/schedule.js';
+import { createScreenshotAttachment, getFieldScreenshotMode, MAX_ATTACHMENT_BYTES } from '../utils/screenshot-attachment.js';
+import { getTargetHost, getTargetTabPattern, matchesTarget } from '../utils/url-target.js';
+import { ACTION_SETTLE_MS, DEFAULT_ACTION_TIMEOUT_MS, NETWORK_IDLE_MS, PRE_CAPTURE_ACTIONS_PREFIX, performPageAction, runActions } from '../utils/pre-capture-actions.js';
+
+const LOCAL_ALARM_PREFIX = 'websophon_capture_';
+const ALARM_EARLY_TOLERANCE_MS = 5000; // Alarms firing this much before the due time are stale
+const MISSED_RUN_GRACE_MS = 2 * 60 * 1000; // Alarms can be a little late without counting as missed
+
 export class CaptureService {
     constructor() {
-        this.captureIntervals = new Map(); // Map of tabId to interval ID
-        this.captureSettings = new Map(); // Map of tabId to capture settings
+        this.captureSettings = new Map(); // Map of tabId to a Map of target -> cloud job settings (one tab can run several monitors)
+        this.runningLocalJobs = new Set(); // Local jobs capturing right now (guards duplicate wake-ups)
         this.activeCdpSessions = new Set(); // Track active CDP sessions
+        this.tabQueues = new Map(); // Map of tabId to the last queued capture on that tab
         this.messageService = null; // Reference to MessageService for shared capture logic
+        this.jobManager = null; // Persists local interval jobs across service-worker restarts
     }
 
     // Set reference to MessageService for DRY capture logic
@@ -17,12 +29,22 @@ export class CaptureService {
         return this.messageService;
     }
 
+    // Set reference to the JobManager that stores local interval jobs
+    setJobManager(jobManager) {
+        this.jobManager = jobManager;
+    }
+
     // Start capturing screenshots for a tab
     async startCapture(settings) {
-        const { tabId, domain, interval } = settings;
+        const { tabId, domain, interval, type } = settings;
 
-        // Stop any existing LOCAL capture for this tab to prevent conflicts.
-        this.stopLocalCapture(tabId);
+        // Local jobs are scheduled with chrome.alarms in the extension itself
+        if (type === 'local') {
+            return this.startLocalCapture(settings);
+        }
+
+        // Stop any existing LOCAL capture for this domain to prevent conflicts.
+        await this.stopLocalCapture(domain);
 
         console.log(`[Cloud] Instructing server to start job for ${domain} every ${interval} seconds`);
 
@@ -35,8 +57,12 @@ export class CaptureService {
                 // The actual interval is now managed by the server.
                 const response = await messageService.startOrUpdateCloudJob({ tabId, domain, interval });
                 if (response.success && response.jobId) {
-                    this.captureSettings.set(tabId, { domain, jobId: response.jobId, interval });
+                    if (!this.captureSettings.has(tabId)) {
+                        this.captureSettings.set(tabId, new Map());
+                    }
+                    this.captureSettings.get(tabId).set(domain, { domain, jobId: response.jobId, interval });
                     console.log(`[Cloud] Server acknowledged job ${response.jobId} for domain ${domain}.`);
+                    return { jobId: response.jobId };
                 } else {
                     throw new Error(response.error || 'Server failed to start job.');
                 }
@@ -50,79 +76,279 @@ export class CaptureService {
         }
     }
 
-    // Stop capturing screenshots for a tab
-    async stopCapture(tabId) {
-        if (this.captureIntervals.has(tabId)) {
-            // This is a local interval, clear it.
-            this.stopLocalCapture(tabId);
-        }
+    // Stop capturing screenshots for a tab, all its monitors or just one (cloud jobs; local jobs stop by domain)
+    async stopCapture(tabId, domain = null) {
+        const tabCaptures = this.captureSettings.get(tabId);
+        if (!tabCaptures) return;
 
-        if (this.captureSettings.has(tabId)) {
-            const { domain, jobId } = this.captureSettings.get(tabId);
-            console.log(`[Cloud] Instructing server to stop job ${jobId} for domain ${domain}`);
+        for (const settings of [...tabCaptures.values()]) {
+            if (domain && settings.domain !== domain) continue;
+
+            const { jobId } = settings;
+            console.log(`[Cloud] Instructing server to stop job ${jobId} for domain ${settings.domain}`);
             try {
                 const messageService = this.getMessageService();
                 if (messageService) {
-                    await messageService.stopCloudJob({ jobId, domain });
+                    await messageService.stopCloudJob({ jobId, domain: settings.domain });
                 }
-                this.captureSettings.delete(tabId);
+                tabCaptures.delete(settings.domain);
             } catch (error) {
                 console.error(`[Cloud] Failed to stop job ${jobId}:`, error);
             }
         }
+        if (tabCaptures.size === 0) {
+            this.captureSettings.delete(tabId);
+        }
     }
 
-    // Renamed for clarity - only stops local intervals
-    stopLocalCapture(tabId) {
-        if (this.captureIntervals.has(tabId)) {
-            clearInterval(this.captureIntervals.get(tabId));
-            this.captureIntervals.delete(tabId);
-            this.captureSettings.delete(tabId);
-            console.log(`Stopped local capture for tab ${tabId}`);
+    // === LOCAL INTERVAL JOBS (chrome.alarms) ===
+    // The service worker is killed when idle, so nothing here may live only in memory:
+    // jobs are stored by JobManager and each run is a one-shot alarm for the next due time.
+
+    // Start or update the local job for a domain
+    async startLocalCapture(settings) {
+        const { tabId, domain, interval, url, schedule } = settings;
+        const jobManager = this.getJobManager();
+        await jobManager.loadJobs();
+
+        const jobSchedule = schedule || createSchedule(interval);
+        const jobId = await jobManager.createJob({
+            domain,
+            url: url || `https://${getTargetHost(domain)}`,
+            interval: jobSchedule.interval,
+            schedule: jobSchedule,
+            tabId,
+            status: 'active',
+            isCloudJob: false,
+            lastError: null,
+            errorCount: 0
+        });
+
+        // Start fresh rather than catching up on runs from before a pause
+        await this.scheduleNextLocalRun(jobManager.getJob(jobId), jobSchedule.cron ? Date.now() : null);
+        console.log(`[Local] Started job ${jobId} for ${domain}: ${describeSchedule(jobSchedule)}`);
+        return { jobId };
+    }
+
+    // Clear the alarm of a domain's local job; the caller pauses or deletes the job itself
+    async stopLocalCapture(domain) {
+        const jobManager = this.getJobManager();
+        if (!jobManager || !domain) return;
+        await jobManager.loadJobs();
+
+        const job = jobManager.getJobByDomain(domain);
+        if (job && !job.isCloudJob) {
+            await chrome.alarms.clear(this.getLocalAlarmName(job.id));
+            console.log(`[Local] Stopped local capture job ${job.id} for ${domain}`);
         }
     }
 
+    // Register the alarm listener; must run synchronously when the worker starts
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (!alarm.name.startsWith(LOCAL_ALARM_PREFIX)) return;
+            this.runLocalJob(alarm.name.slice(LOCAL_ALARM_PREFIX.length));
+        });
+    }
+
+    // Re-arm local jobs after the worker or the browser restarted
+    async restoreLocalJobs() {
+        const jobManager = this.getJobManager();
+        await jobManager.loadJobs();
+
+        const localJobs = jobManager.getActiveJobs()
+            .filter(job => !job.isCloudJob && job.status === 'active' && job.interval);
+
+        for (const job of localJobs) {
+            const alarm = await chrome.alarms.get(this.getLocalAlarmName(job.id));
+            if (alarm) continue; // Alarms outlive the worker, nothing to do
+
+            // The alarm was lost (browser restart, extension reload); runLocalJob reports what was missed
+            const dueAt = job.nextRun ? new Date(job.nextRun).getTime() : Date.now();
+            await chrome.alarms.create(this.getLocalAlarmName(job.id), { when: Math.max(dueAt, Date.now()) });
+            console.log(`[Local] Re-armed job ${job.id} for ${job.domain}`);
+        }
+
+        console.log(`[Local] Restored ${localJobs.length} local interval job(s)`);
+    }
+
+    // Run a local job when its alarm fires, then schedule the next run
+    async runLocalJob(jobId) {
+        if (this.runningLocalJobs.has(jobId)) return; // Already capturing (duplicate wake-up)
+        this.runningLocalJobs.add(jobId);
+
+        try {
+            const jobManager = this.getJobManager();
+            await jobManager.loadJobs();
+            const job = jobManager.getJob(jobId);
+
+            if (!job || job.isCloudJob || job.status !== 'active') {
+                // Paused or deleted since the alarm was set
+                await chrome.alarms.clear(this.getLocalAlarmName(jobId));
+                return;
+            }
+
+            const schedule = this.getLocalSchedule(job);
+            const now = Date.now();
+            const dueAt = job.nextRun ? new Date(job.nextRun).getTime() : now;
+
+            if (dueAt - now > ALARM_EARLY_TOLERANCE_MS) {
+                // Stale alarm from a restore that raced a normal run; wait for the real due time
+                await chrome.alarms.create(this.getLocalAlarmName(jobId), { when: dueAt });
+                return;
+            }
+
+            if (now - dueAt > MISSED_RUN_GRACE_MS) {
+                await this.recordMissedRuns(job, schedule, dueAt, now);
+            }
+
+            // A late wake-up outside the active window waits for the window to open again
+            const inWindow = isInActiveWindow(schedule, new Date(now));
+            if (inWindow) {
+                await this.performLocalRun(job);
+            } else {
+                console.log(`[Local] Job ${jobId} woke up outside its active window, skipping run`);
+            }
+
+            const updatedJob = jobManager.getJob(jobId);
+            if (updatedJob && updatedJob.status === 'active') {
+                await this.scheduleNextLocalRun(updatedJob, inWindow ? undefined : now);
+            } else {
+                await chrome.alarms.clear(this.getLocalAlarmName(jobId));
+            }
+        } catch (error) {
+            console.error(`[Local] Error running local job ${jobId}:`, error);
+        } finally {
+            this.runningLocalJobs.delete(jobId);
+        }
+    }
+
+    async performLocalRun(job) {
+        const jobManager = this.getJobManager();
+        let success = false;
+        let error = null;
+
+        try {
+            const tabId = await this.findLocalJobTab(job);
+            const response = await this.getMessageService().performCapture(tabId, job.domain, false);
+            success = !!(response && response.success);
+            error = success ? null : (response && response.error) || 'Capture failed';
+        } catch (captureError) {
+            error = captureError.message;
+        }
+
+        if (error) {
+            console.warn(`[Local] Run of job ${job.id} for ${job.domain} failed: ${error}`);
+        }
+        await jobManager.recordJobRun(job.id, success, error);
+    }
+
+    // Tab ids change across browser restarts, so fall back to any open tab matching the job's target
+    async findLocalJobTab(job) {
+        if (job.tabId) {
+            const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+            if (tab && tab.url && matchesTarget(job.domain, tab.url)) {
+                return tab.id;
+            }
+        }
+
+        const hostTabs = await chrome.tabs.query({ url: getTargetTabPattern(job.domain) });
+        const tabs = hostTabs.filter(tab => tab.url && matchesTarget(job.domain, tab.url));
+        if (tabs.length === 0) {
+            throw new Error(`No open tab for ${job.domain}`);
+        }
+
+        await this.getJobManager().updateJob(job.id, { tabId: tabs[0].id });
+        return tabs[0].id;
+    }
+
+    // Arm the one-shot alarm for the job's next due time (after its last run unless given)
+    async scheduleNextLocalRun(job, after = undefined) {
+        const schedule = this.getLocalSchedule(job);
+        const anchor = after !== undefined ? after : job.lastRun || (schedule.cron ? job.createdAt : null);
+        const nextRun = getNextRun(schedule, anchor);
+        const alarmName = this.getLocalAlarmName(job.id);
+
+        if (!nextRun) {
+            console.warn(`[Local] Job ${job.id} has no upcoming run within a year, not scheduling`);
+            await chrome.alarms.clear(alarmName);
+            await this.getJobManager().updateJob(job.id, { nextRun: null });
+            return;
+        }
+
+        // Chrome delays alarms to at least 30 seconds apart; shorter intervals run at that pace
+        await chrome.alarms.create(alarmName, { when: Math.max(nextRun.getTime(), Date.now()) });
+        await this.getJobManager().updateJob(job.id, { nextRun: nextRun.toISOString() });
+    }
+
+    // Add a history entry for runs that never happened (browser closed or asleep)
+    async recordMissedRuns(job, schedule, dueAt, now) {
+        // The overdue run happens now; only the ones after it were lost
+        const missedCount = countRunsBetween(schedule, dueAt, now);
+        if (missedCount === 0) return;
+
+        const countText = missedCount >= 500 ? '500+' : missedCount;
+        const message = `Missed ${countText} scheduled run(s) between ${new Date(dueAt).toLocaleString()} and ${new Date(now).toLocaleString()} (browser closed or asleep)`;
+        console.warn(`[Local] Job ${job.id} for ${job.domain}: ${message}`);
+
+        // A freshly woken worker may still be loading history
+        const eventService = this.getMessageService().eventService;
+        await eventService.ensureLoaded();
+        eventService.trackEvent(null, job.domain, job.url, false, null, message,
+            null, null, message, null, 'missed', 'local');
+    }
+
+    getLocalSchedule(job) {
+        return job.schedule || createSchedule(job.interval);
+    }
+
+    getLocalAlarmName(jobId) {
+        return `${LOCAL_ALARM_PREFIX}${jobId}`;
+    }
+
+    getJobManager() {
+        return this.jobManager;
+    }
+
     // Update capture interval for a tab
     updateInterval(settings, llmService, eventService) {
-        const { tabId } = settings;
         // The logic is now the same as starting a new capture,
-        // as the server handles updates.
+        // as the server or the alarm scheduler handles updates.
         this.startCapture(settings);
     }
 
-    // Handle tab navigation - stop capture if navigated away from domain
-    handleTabNavigation(tabId, newDomain) {
-        if (this.captureSettings.has(tabId)) {
-            const settings = this.captureSettings.get(tabId);
-            if (settings.domain !== newDomain) {
-                console.log(`Tab ${tabId} navigated away from ${settings.domain} to ${newDomain}. Stopping capture.`);
-                this.stopCapture(tabId);
+    // Handle tab navigation - stop capture if the tab left the job's target (hostname or URL pattern)
+    handleTabNavigation(tabId, newUrl) {
+        for (const settings of this.captureSettings.get(tabId)?.values() || []) {
+            if (!matchesTarget(settings.domain, newUrl)) {
+                console.log(`Tab ${tabId} navigated away from ${settings.domain} to ${newUrl}. Stopping capture.`);
+                this.stopCapture(tabId, settings.domain);
             }
         }
     }
 
     // Check if any tab is capturing for a specific domain
     checkDomainCaptureStatus(domain) {
-        for (const [tabId, settings] of this.captureSettings.entries()) {
-            if (settings.domain === domain && (settings.interval || settings.jobId)) {
+        for (const tabCaptures of this.captureSettings.values()) {
+            const settings = tabCaptures.get(domain);
+            if (settings && (settings.interval || settings.jobId)) {
                 return true;
             }
         }
-        return false;
+        const job = this.jobManager && this.jobManager.getJobByDomain(domain);
+        return !!(job && !job.isCloudJob && job.status === 'active');
     }
 
-    // Get capture settings for a tab
-    getCaptureSettings(tabId) {
-        return this.captureSettings.get(tabId);
+    // Get capture settings of a monitor running in a tab
+    getCaptureSettings(tabId, domain) {
+        return this.captureSettings.get(tabId)?.get(domain);
     }
 
     // Clean up when tab or window is closed
     cleanupTab(tabId) {
         // We no longer stop the cloud job when a tab closes.
         // The job now lives on the server. We just clear local state.
-        if (this.captureIntervals.has(tabId)) {
-            this.stopLocalCapture(tabId);
-        }
+        // Local jobs keep running too and pick another tab on their domain.
         if (this.captureSettings.has(tabId)) {
             this.captureSettings.delete(tabId);
         }
@@ -130,9 +356,6 @@ export class CaptureService {
 
     // Clean up all captures
     cleanupAll() {
-        this.captureIntervals.forEach((intervalId, tabId) => {
-            this.stopLocalCapture(tabId);
-        });
         this.captureSettings.clear();
 
         // Clean up all CDP sessions
@@ -141,8 +364,28 @@ export class CaptureService {
         });
     }
 
+    // Wait for earlier captures on a tab to finish; call the returned function when done
+    // Several monitors can share one tab: each one's pre-capture actions and screenshot run
+    // as one unit, so they don't change the page under each other or collide on the debugger
+    async lockTab(tabId) {
+        const previous = this.tabQueues.get(tabId) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const queued = previous.then(() => current);
+        this.tabQueues.set(tabId, queued);
+
+        await previous;
+        return () => {
+            release();
+            if (this.tabQueues.get(tabId) === queued) {
+                this.tabQueues.delete(tabId);
+            }
+        };
+    }
+
     // Enhanced screenshot capture with full page support
-    async captureScreenshot(tabId, fullPage = false) {
+    // Callers hold lockTab(tabId) around their actions and capture
+    async captureScreenshot(tabId, fullPage = false, region = null) {
         try {
             // Check if tab still exists
             const tab = await chrome.tabs.get(tabId).catch(() => null);
@@ -159,7 +402,7 @@ export class CaptureService {
                 throw new Error('Cannot capture screenshots on this page type');
             }
 
-            console.log(`Capturing ${fullPage ? 'full page' : 'viewport'} screenshot for tab ${tabId}`);
+            console.log(`Capturing ${region ? 'region' : fullPage ? 'full page' : 'viewport'} screenshot for tab ${tabId}`);
 
             // Make the tab active if it's not
             if (!tab.active) {
@@ -174,7 +417,10 @@ export class CaptureService {
 
             let dataUrl;
 
-            if (fullPage) {
+            if (region) {
+                // Element-scoped capture takes precedence over full page / viewport
+                dataUrl = await this.captureRegion(tabId, tab, region);
+            } else if (fullPage) {
                 // Try multiple methods for full page capture
                 dataUrl = await this.captureFullPage(tabId, tab);
             } else {
@@ -215,8 +461,9 @@ export class CaptureService {
     }
 
     // Method 1: Chrome DevTools Protocol Full Page Capture
-    async captureFullPageCDP(tabId) {
-        console.log('Attempting CDP full page capture...');
+    // Optional clip (document CSS pixels) restricts the capture to a region
+    async captureFullPageCDP(tabId, clip = null) {
+        console.log(`Attempting CDP ${clip ? 'region' : 'full page'} capture...`);
 
         try {
             // Attach debugger to tab
@@ -230,17 +477,21 @@ export class CaptureService {
             await new Promise(resolve => setTimeout(resolve, 100));
 
             // Capture full page screenshot
-            const result = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+            const params = {
                 format: 'png',
                 captureBeyondViewport: true,
                 optimizeForSpeed: false
-            });
+            };
+            if (clip) {
+                params.clip = { ...clip, scale: 1 };
+            }
+            const result = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', params);
 
             // Clean up debugger session
             await this.cleanupCdpSession(tabId);
 
             const dataUrl = `data:image/png;base64,${result.data}`;
-            console.log('CDP full page screenshot captured, size:', dataUrl.length);
+            console.log(`CDP ${clip ? 'region' : 'full page'} screenshot captured, size:`, dataUrl.length);
 
             return dataUrl;
 
@@ -498,6 +749,356 @@ export class CaptureService {
         });
     }
 
+    // Get the capture region configured for a domain, or null to capture normally
+    async getCaptureRegion(domain) {
+        if (!domain) return null;
+        const key = `captureRegion_${domain}`;
+        const data = await chrome.storage.local.get([key]);
+        const region = data[key];
+        if (!region || (!region.selector && !region.rect)) return null;
+        return region;
+    }
+
+    // Get the scripted pre-capture actions configured for a domain
+    async getPreCaptureActions(domain) {
+        if (!domain) return [];
+        const key = `${PRE_CAPTURE_ACTIONS_PREFIX}${domain}`;
+        const data = await chrome.storage.local.get([key]);
+        return Array.isArray(data[key]) ? data[key] : [];
+    }
+
+    // Run the scripted pre-capture actions configured for a domain in the tab
+    async runPreCaptureActions(tabId, domain) {
+        const actions = await this.getPreCaptureActions(domain);
+        if (actions.length === 0) return { success: true, log: [], error: null };
+
+        console.log(`Running ${actions.length} pre-capture actions for ${domain} in tab ${tabId}`);
+        const result = await runActions(actions, async (action, timeoutMs) => {
+            if (action.type === 'wait') {
+                await new Promise(resolve => setTimeout(resolve, action.ms));
+                return;
+            }
+            if (action.type === 'waitForNetworkIdle') {
+                await this.waitForNetworkIdle(tabId, NETWORK_IDLE_MS, timeoutMs);
+                return;
+            }
+
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: performPageAction,
+                args: [action, timeoutMs]
+            });
+            const outcome = injection?.result;
+            if (!outcome || !outcome.success) {
+                throw new Error(outcome?.error || 'No result from the page');
+            }
+            if (['click', 'type', 'press'].includes(action.type)) {
+                await new Promise(resolve => setTimeout(resolve, ACTION_SETTLE_MS));
+            }
+        });
+
+        console.log(`Pre-capture actions ${result.success ? 'completed' : 'failed'}:`, result.log);
+        return result;
+    }
+
+    // Wait until no request has been in flight in the tab for idleMs, using the CDP Network domain
+    // Requests that started before the debugger attached are not seen
+    async waitForNetworkIdle(tabId, idleMs = NETWORK_IDLE_MS, timeoutMs = DEFAULT_ACTION_TIMEOUT_MS) {
+        const inFlight = new Set();
+        let lastActivity = Date.now();
+        const onEvent = (source, method, params) => {
+            if (source.tabId !== tabId) return;
+            if (method === 'Network.requestWillBeSent') {
+                inFlight.add(params.requestId);
+                lastActivity = Date.now();
+            } else if ((method === 'Network.loadingFinished' || method === 'Network.loadingFailed') && inFlight.delete(params.requestId)) {
+                lastActivity = Date.now();
+            }
+        };
+
+        await chrome.debugger.attach({ tabId }, '1.3');
+        this.activeCdpSessions.add(tabId);
+        chrome.debugger.onEvent.addListener(onEvent);
+        try {
+            await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
+            const deadline = Date.now() + timeoutMs;
+            while (inFlight.size > 0 || Date.now() - lastActivity < idleMs) {
+                if (Date.now() >= deadline) {
+                    throw new Error(`Timed out after ${timeoutMs} ms waiting for network idle (${inFlight.size} requests in flight)`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        } finally {
+            chrome.debugger.onEvent.removeListener(onEvent);
+            await this.cleanupCdpSession(tabId);
+        }
+    }
+
+    // Extract visible text or a pruned accessibility tree from the tab
+    async getPageContext(tabId, mode = 'text', maxChars = DEFAULT_PAGE_CONTEXT_MAX_CHARS) {
+        console.log(`Extracting page context (${mode}) for tab ${tabId}`);
+
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: extractPageContext,
+            args: [mode, maxChars]
+        });
+
+        const pageContext = result?.result;
+        if (!pageContext || !pageContext.success) {
+            throw new Error(`Page context extraction failed: ${pageContext?.error || 'no result'}`);
+        }
+
+        console.log(`Page context extracted: ${pageContext.content.length} chars${pageContext.truncated ? ' (truncated)' : ''}`);
+        return pageContext;
+    }
+
+    // Region capture: crop to a CSS selector or a drawn rectangle
+    async captureRegion(tabId, tab, region) {
+        console.log('Attempting region capture:', region);
+
+        // Resolve the region to document coordinates inside the page
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: this.resolveCaptureRegion,
+            args: [region]
+        });
+
+        const resolved = result?.result;
+        if (!resolved || !resolved.success) {
+            throw new Error(resolved?.error || 'Could not resolve capture region');
+        }
+
+        // Method 1: CDP clip (handles regions outside the viewport)
+        try {
+            return await this.captureFullPageCDP(tabId, resolved.clip);
+        } catch (cdpError) {
+            console.warn('CDP region capture failed:', cdpError.message);
+        }
+
+        // Method 2: Scroll the region into view, capture the viewport and crop
+        const [scrollResult] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: this.scrollRegionIntoView,
+            args: [resolved.clip]
+        });
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        const viewportDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+        return await this.cropScreenshot(viewportDataUrl, scrollResult.result, resolved.devicePixelRatio);
+    }
+
+    // Content script function to turn a selector or rectangle into a document-space clip
+    resolveCaptureRegion(region) {
+        try {
+            let rect = null;
+
+            if (region.selector) {
+                const element = document.querySelector(region.selector);
+                if (!element) {
+                    return { success: false, error: `Capture region selector not found: ${region.selector}` };
+                }
+                const bounds = element.getBoundingClientRect();
+                rect = {
+                    x: bounds.left + window.scrollX,
+                    y: bounds.top + window.scrollY,
+                    width: bounds.width,
+                    height: bounds.height
+                };
+            } else {
+                rect = region.rect;
+            }
+
+            if (!rect || rect.width < 1 || rect.height < 1) {
+                return { success: false, error: 'Capture region is empty' };
+            }
+
+            return {
+                success: true,
+                clip: {
+                    x: Math.max(0, Math.round(rect.x)),
+                    y: Math.max(0, Math.round(rect.y)),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                },
+                devicePixelRatio: window.devicePixelRatio || 1
+            };
+        } catch (error) {
+            // querySelector throws on invalid selectors
+            return { success: false, error: `Invalid capture region: ${error.message}` };
+        }
+    }
+
+    // Content script function to scroll a clip into view, returns the clip in viewport coordinates
+    scrollRegionIntoView(clip) {
+        window.scrollTo(clip.x, clip.y);
+        const x = clip.x - window.scrollX;
+        const y = clip.y - window.scrollY;
+        return {
+            x,
+            y,
+            width: Math.min(clip.width, window.innerWidth - x),
+            height: Math.min(clip.height, window.innerHeight - y)
+        };
+    }
+
+    // Crop a screenshot data URL to a viewport-space clip (service worker safe)
+    async cropScreenshot(dataUrl, clip, devicePixelRatio = 1) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+
+        const sx = Math.max(0, Math.round(clip.x * devicePixelRatio));
+        const sy = Math.max(0, Math.round(clip.y * devicePixelRatio));
+        const width = Math.min(Math.round(clip.width * devicePixelRatio), bitmap.width - sx);
+        const height = Math.min(Math.round(clip.height * devicePixelRatio), bitmap.height - sy);
+
+        if (width < 1 || height < 1) {
+            throw new Error('Capture region is outside the visible page');
+        }
+
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, sx, sy, width, height, 0, 0, width, height);
+        bitmap.close();
+
+        const croppedBlob = await canvas.convertToBlob({ type: 'image/png' });
+        const dataUrlCropped = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read cropped screenshot'));
+            reader.readAsDataURL(croppedBlob);
+        });
+
+        console.log(`Cropped screenshot to ${width}x${height}, size:`, dataUrlCropped.length);
+        return dataUrlCropped;
+    }
+
+    // Compress a screenshot to JPEG like the cloud runner does, lowering the quality until it fits maxBytes
+    async compressScreenshot(dataUrl, { maxBytes = null } = {}) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+
+        // Fit inside 1920x1080, keeping the aspect ratio and never upscaling
+        const scale = Math.min(1, 1920 / bitmap.width, 1080 / bitmap.height);
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        let compressedBlob;
+        for (const quality of [0.85, 0.7, 0.55, 0.4]) {
+            compressedBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+            if (!maxBytes || compressedBlob.size <= maxBytes) break;
+        }
+
+        const compressedDataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read compressed screenshot'));
+            reader.readAsDataURL(compressedBlob);
+        });
+
+        console.log(`Compressed screenshot to ${width}x${height} JPEG, size:`, compressedBlob.size);
+        return compressedDataUrl;
+    }
+
+    // Compressed screenshot for fields that attach it to their notifications, null when none do
+    async getNotificationScreenshot(dataUrl, fields) {
+        if (!dataUrl || !fields.some(field => field.webhookEnabled && getFieldScreenshotMode(field) === 'attach')) {
+            return null;
+        }
+
+        try {
+            return createScreenshotAttachment(await this.compressScreenshot(dataUrl, { maxBytes: MAX_ATTACHMENT_BYTES }));
+        } catch (error) {
+            console.warn('Failed to compress screenshot for notifications, sending them without it:', error.message);
+            return null;
+        }
+    }
+
+    // Let the user drag a rectangle on the page to use as the capture region
+    async startRegionPicker(tabId, domain) {
+        if (!tabId || !domain) {
+            throw new Error('Tab and domain are required to draw a capture region');
+        }
+
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            func: this.drawRegionOverlay,
+            args: [`captureRegion_${domain}`]
+        });
+
+        return { success: true };
+    }
+
+    // Content script function: full-screen overlay that saves the drawn rectangle to storage
+    // The popup closes as soon as the page is clicked, so the result is stored directly.
+    drawRegionOverlay(storageKey) {
+        if (document.getElementById('websophon-region-overlay')) return;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'websophon-region-overlay';
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;cursor:crosshair;background:rgba(0,0,0,0.25);';
+
+        const box = document.createElement('div');
+        box.style.cssText = 'position:fixed;border:2px dashed #4f8cff;background:rgba(79,140,255,0.15);display:none;pointer-events:none;';
+
+        const hint = document.createElement('div');
+        hint.textContent = 'WebSophon: drag to select the capture region (Esc to cancel)';
+        hint.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);padding:6px 12px;border-radius:6px;background:#222;color:#fff;font:13px sans-serif;pointer-events:none;';
+
+        overlay.appendChild(box);
+        overlay.appendChild(hint);
+        document.documentElement.appendChild(overlay);
+
+        let start = null;
+
+        const cleanup = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeyDown, true);
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') cleanup();
+        };
+
+        overlay.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            start = { x: e.clientX, y: e.clientY };
+            box.style.display = 'block';
+        });
+
+        overlay.addEventListener('mousemove', (e) => {
+            if (!start) return;
+            box.style.left = `${Math.min(start.x, e.clientX)}px`;
+            box.style.top = `${Math.min(start.y, e.clientY)}px`;
+            box.style.width = `${Math.abs(e.clientX - start.x)}px`;
+            box.style.height = `${Math.abs(e.clientY - start.y)}px`;
+        });
+
+        overlay.addEventListener('mouseup', (e) => {
+            if (!start) return;
+            const width = Math.abs(e.clientX - start.x);
+            const height = Math.abs(e.clientY - start.y);
+            const rect = {
+                x: Math.round(Math.min(start.x, e.clientX) + window.scrollX),
+                y: Math.round(Math.min(start.y, e.clientY) + window.scrollY),
+                width: Math.round(width),
+                height: Math.round(height)
+            };
+            cleanup();
+
+            // Ignore accidental clicks
+            if (width < 5 || height < 5) return;
+
+            chrome.storage.local.set({ [storageKey]: { selector: null, rect } });
+            console.log('WebSophon capture region saved:', rect);
+        });
+
+        document.addEventListener('keydown', onKeyDown, true);
+    }
+
     // Clean up CDP session
     async cleanupCdpSession(tabId) {
         if (this.activeCdpSessions.has(tabId)) {
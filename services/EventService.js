@@ -1,22 +1,38 @@
 // Event tracking and management service
+// History lives in IndexedDB (utils/event-store.js) with no fixed size limit; the most
+// recent events are also kept in memory for the popup and for lookups that must stay
+// synchronous. Screenshots stay out of memory and are read from the store on demand.
+import { EventStore, HISTORY_RETENTION_KEY, getRetentionPolicy } from '../utils/event-store.js';
+
+const RECENT_EVENTS_LIMIT = 100; // Events kept in memory
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000; // Retention runs at most hourly while tracking
+
 export class EventService {
     constructor() {
-        this.recentEvents = []; // Store recent capture events
+        this.store = new EventStore();
+        this.recentEvents = []; // Most recent capture events, newest first, without screenshots
+        this.unsavedScreenshots = new Map(); // Event ID -> screenshot until the store has it
         this.unreadTrueCount = 0; // Count of unread TRUE events
         this.isLoading = true; // Track loading state
-        this.loadPromise = this.loadEventsFromStorage(); // Store the promise
+        this.lastRetentionRun = 0;
+        this.loadPromise = this.loadEvents(); // Store the promise
     }
 
-    // Load recent events from storage on startup
-    async loadEventsFromStorage() {
+    // Move legacy history into IndexedDB, apply retention and load recent events
+    async loadEvents() {
         try {
-            const data = await chrome.storage.local.get(['recentEvents']);
-            if (data.recentEvents && Array.isArray(data.recentEvents)) {
-                this.recentEvents = data.recentEvents;
-                // Count unread TRUE events
-                this.unreadTrueCount = this.recentEvents.filter(e => e.hasTrueResult && !e.read).length;
-                this.updateBadge();
-            }
+            await this.migrateLegacyEvents();
+            await this.applyRetention();
+
+            const stored = await this.store.queryEvents({ limit: RECENT_EVENTS_LIMIT });
+            // Keep events tracked while loading; they are already in the store
+            const trackedIds = new Set(this.recentEvents.map(e => e.id));
+            this.recentEvents = [...this.recentEvents, ...stored.filter(e => !trackedIds.has(e.id))]
+                .slice(0, RECENT_EVENTS_LIMIT);
+
+            // Count unread TRUE events
+            this.unreadTrueCount = this.recentEvents.filter(e => e.hasTrueResult && !e.read).length;
+            this.updateBadge();
         } catch (error) {
             console.error('Error loading events from storage:', error);
         } finally {
@@ -24,6 +40,70 @@ export class EventService {
         }
     }
 
+    // History used to be a capped recentEvents array in chrome.storage.local
+    async migrateLegacyEvents() {
+        const data = await chrome.storage.local.get(['recentEvents']);
+        if (!Array.isArray(data.recentEvents)) return;
+
+        if (data.recentEvents.length > 0) {
+            await this.store.putEvents(data.recentEvents);
+            console.log(`Migrated ${data.recentEvents.length} events to IndexedDB`);
+        }
+        await chrome.storage.local.remove('recentEvents');
+    }
+
+    // Apply the saved retention policy to the stored history
+    async applyRetention() {
+        this.lastRetentionRun = Date.now();
+        const data = await chrome.storage.local.get([HISTORY_RETENTION_KEY]);
+        const result = await this.store.applyRetention(getRetentionPolicy(data[HISTORY_RETENTION_KEY]));
+
+        if (result.deletedEvents > 0 || result.deletedScreenshots > 0) {
+            console.log(`History retention removed ${result.deletedEvents} events and ${result.deletedScreenshots} screenshots`);
+            this.recentEvents = await this.refreshRecentEvents();
+        }
+        return result;
+    }
+
+    // Drop cached events that retention removed from the store, and flags of removed screenshots
+    async refreshRecentEvents() {
+        const refreshed = [];
+        for (const event of this.recentEvents) {
+            const stored = await this.store.getEvent(event.id);
+            if (!stored) continue;
+            event.hasScreenshot = stored.hasScreenshot;
+            refreshed.push(event);
+        }
+        return refreshed;
+    }
+
+    // Persist an event; failures are logged, the in-memory copy stays current
+    // A screenshot goes to the store only; the event in memory just records that it has one.
+    async saveEvent(event, screenshot = null) {
+        if (screenshot) {
+            event.hasScreenshot = true;
+            this.unsavedScreenshots.set(event.id, screenshot);
+        }
+        try {
+            await this.store.putEvent(screenshot ? { ...event, screenshot } : event);
+        } catch (error) {
+            console.error('Error saving event to history:', error);
+        } finally {
+            if (screenshot && this.unsavedScreenshots.get(event.id) === screenshot) {
+                this.unsavedScreenshots.delete(event.id);
+            }
+        }
+        if (Date.now() - this.lastRetentionRun > RETENTION_INTERVAL_MS && !this.isLoading) {
+            this.applyRetention().catch(error => console.error('Error applying history retention:', error));
+        }
+    }
+
+    // Find an event in memory or, for older ones, in the store
+    async findEvent(eventId) {
+        await this.ensureLoaded();
+        return this.getEventById(eventId) || await this.store.getEvent(eventId);
+    }
+
     // Ensure events are loaded before returning
     async ensureLoaded() {
         if (this.loadPromise) {
@@ -32,7 +112,7 @@ export class EventService {
     }
 
     // Track capture event
-    trackEvent(results, domain, url, success = true, httpStatus = null, error = null, screenshot = null, request = null, response = null, eventId = null, status = 'completed', source = 'local', customTimestamp = null) {
+    trackEvent(results, domain, url, success = true, httpStatus = null, error = null, screenshot = null, request = null, response = null, eventId = null, status = 'completed', source = 'local', customTimestamp = null, durationMs = null) {
         // Check if any field evaluated to true
         let hasTrueResult = false;
         const fieldResults = [];
@@ -47,14 +127,14 @@ export class EventService {
 
             // New format: results.fieldName.result or results.fieldName.boolean OR LLM array format
             for (const [fieldName, fieldData] of Object.entries(dataToProcess)) {
-                if (fieldName === 'reason' || fieldName === 'summary') continue; // Skip reason/summary fields
+                if (fieldName === 'reason' || fieldName === 'summary' || fieldName === 'consensus') continue; // Skip reason/summary/consensus metadata
 
                 let resultValue = null;
                 let probabilityValue = null;
 
-                // Handle LLM array format: [boolean, probability]
+                // Handle LLM array format: [value, probability] (boolean or typed value)
                 if (Array.isArray(fieldData) && fieldData.length >= 1) {
-                    resultValue = fieldData[0]; // boolean result
+                    resultValue = fieldData[0]; // boolean or typed result
                     probabilityValue = fieldData.length > 1 ? fieldData[1] : null; // probability
                     console.log(`LLM array format - Field "${fieldName}": result=${resultValue}, probability=${probabilityValue}`);
                 }
@@ -78,7 +158,7 @@ export class EventService {
                     console.log(`Legacy object format - Field "${fieldName}": result=${resultValue}, probability=${probabilityValue}`);
                 }
 
-                if (resultValue !== null && typeof resultValue === 'boolean') {
+                if (resultValue !== null && ['boolean', 'number', 'string'].includes(typeof resultValue)) {
                     fieldResults.push({
                         name: fieldName,
                         result: resultValue,
@@ -118,11 +198,13 @@ export class EventService {
             summary: summaryText,
             hasTrueResult: hasTrueResult,
             read: false,
-            screenshot: screenshot, // Store the base64 screenshot
+            hasScreenshot: !!screenshot, // The screenshot itself is only in the store
             request: request,
             response: response, // Contains response data, error messages, or null for pending events
             status: status, // 'pending' or 'completed'
-            source: source // 'local' or 'cloud'
+            source: source, // 'local' or 'cloud'
+            durationMs: durationMs, // Capture to result; set on completion for pending events
+            consensus: this.extractConsensus(results) // Per-model answers for multi-model captures
         };
 
         console.log('Tracking event:', {
@@ -130,15 +212,13 @@ export class EventService {
             timestamp: event.timestamp,
             domain: event.domain,
             source: event.source,
-            hasScreenshot: !!event.screenshot,
-            screenshotSize: event.screenshot ? event.screenshot.length : 0
+            hasScreenshot: event.hasScreenshot,
+            screenshotSize: screenshot ? screenshot.length : 0
         });
 
-        // Add to recent events (keep last 100)
-        this.recentEvents.unshift(event);
-        if (this.recentEvents.length > 100) {
-            this.recentEvents = this.recentEvents.slice(0, 100);
-        }
+        // Add to recent events, replacing an earlier copy (e.g. a re-synced cloud result)
+        this.recentEvents = [event, ...this.recentEvents.filter(e => e.id !== event.id)]
+            .slice(0, RECENT_EVENTS_LIMIT);
 
         // Update unread count if has true result
         if (hasTrueResult) {
@@ -146,27 +226,36 @@ export class EventService {
             this.updateBadge();
         }
 
-        // Save to storage (note: screenshots can be large, may need to handle storage limits)
-        this.saveEventsToStorage();
+        // Save to history
+        this.saveEvent(event, screenshot);
 
         // Return the ID of the created event
         return event.id;
     }
 
+    // Get the multi-model consensus record from local or cloud results
+    extractConsensus(results) {
+        if (!results) return null;
+        return results.consensus || null;
+    }
+
     // Update an existing event with response data
-    updateEvent(eventId, results, httpStatus, error, responseText, screenshot = null, requestPayload = null) {
+    async updateEvent(eventId, results, httpStatus, error, responseText, screenshot = null, requestPayload = null) {
         // Find the event
-        const eventIndex = this.recentEvents.findIndex(e => e.id === eventId);
-        if (eventIndex === -1) {
+        const event = await this.findEvent(eventId);
+        if (!event) {
             console.error('Event not found for update:', eventId);
             return;
         }
 
-        const event = this.recentEvents[eventIndex];
-
         // Preserve the original source (important for cloud jobs)
         const originalSource = event.source;
 
+        // Time from the LLM request to its response, for the dashboard's latency (the runner measures the same span)
+        if (event.status === 'pending') {
+            event.durationMs = Date.now() - new Date(event.timestamp).getTime();
+        }
+
         // Update event data
         event.status = 'completed';
         event.httpStatus = httpStatus;
@@ -181,7 +270,6 @@ export class EventService {
         console.log('Is SAPIENT format?', responseText && responseText.includes('::SAPIENT v:') ? 'YES' : 'NO');
         console.log('=====================================');
         if (screenshot !== null && screenshot !== undefined && screenshot !== '') {
-            event.screenshot = screenshot;
             console.log(`[EventService] Updated screenshot for event ${eventId}, size: ${screenshot.length} chars`);
         }
         if (requestPayload) {
@@ -209,14 +297,14 @@ export class EventService {
 
             // New format: results.fieldName.result or results.fieldName.boolean OR LLM array format
             for (const [fieldName, fieldData] of Object.entries(dataToProcess)) {
-                if (fieldName === 'reason' || fieldName === 'summary') continue; // Skip reason/summary fields
+                if (fieldName === 'reason' || fieldName === 'summary' || fieldName === 'consensus') continue; // Skip reason/summary/consensus metadata
 
                 let resultValue = null;
                 let probabilityValue = null;
 
-                // Handle LLM array format: [boolean, probability]
+                // Handle LLM array format: [value, probability] (boolean or typed value)
                 if (Array.isArray(fieldData) && fieldData.length >= 1) {
-                    resultValue = fieldData[0]; // boolean result
+                    resultValue = fieldData[0]; // boolean or typed result
                     probabilityValue = fieldData.length > 1 ? fieldData[1] : null; // probability
                     console.log(`LLM array format - Field "${fieldName}": result=${resultValue}, probability=${probabilityValue}`);
                 }
@@ -240,7 +328,7 @@ export class EventService {
                     console.log(`Legacy object format - Field "${fieldName}": result=${resultValue}, probability=${probabilityValue}`);
                 }
 
-                if (resultValue !== null && typeof resultValue === 'boolean') {
+                if (resultValue !== null && ['boolean', 'number', 'string'].includes(typeof resultValue)) {
                     event.fields.push({
                         name: fieldName,
                         result: resultValue,
@@ -256,6 +344,7 @@ export class EventService {
             }
 
             event.hasTrueResult = hasTrueResult;
+            event.consensus = this.extractConsensus(results);
 
             // Extract summary - handle both local and cloud response formats
             event.summary = results.summary ||
@@ -278,54 +367,50 @@ export class EventService {
 
         console.log(`Event ${eventId} updated with status: ${event.status}, httpStatus: ${httpStatus}, success: ${event.success}, source: ${originalSource} (preserved), summary: "${event.summary}"`);
 
-        // Save updated events
-        this.saveEventsToStorage();
+        // Save updated event
+        await this.saveEvent(event, screenshot || null);
 
         // Notify all tabs and popups of the update
         this.notifyEventUpdate(eventId, event);
     }
 
     // Add field webhook results to an existing event
-    addFieldWebhooksToEvent(eventId, fieldWebhooks) {
+    async addFieldWebhooksToEvent(eventId, fieldWebhooks) {
         // Find the event
-        const eventIndex = this.recentEvents.findIndex(e => e.id === eventId);
-        if (eventIndex === -1) {
+        const event = await this.findEvent(eventId);
+        if (!event) {
             console.error('Event not found for field webhook update:', eventId);
             return;
         }
 
-        const event = this.recentEvents[eventIndex];
-
         // Add field webhooks array to the event
         event.fieldWebhooks = fieldWebhooks;
 
         console.log(`Added ${fieldWebhooks.length} field webhook results to event ${eventId}`);
 
-        // Save updated events
-        this.saveEventsToStorage();
+        // Save updated event
+        await this.saveEvent(event);
 
         // Notify all tabs and popups of the update
         this.notifyEventUpdate(eventId, event);
     }
 
     // Update an existing event's request data
-    updateEventRequestData(eventId, fullRequestData) {
+    async updateEventRequestData(eventId, fullRequestData) {
         // Find the event
-        const eventIndex = this.recentEvents.findIndex(e => e.id === eventId);
-        if (eventIndex === -1) {
+        const event = await this.findEvent(eventId);
+        if (!event) {
             console.error('Event not found for request data update:', eventId);
             return;
         }
 
-        const event = this.recentEvents[eventIndex];
-
         // Update the request data with the full LLM payload
         event.request = fullRequestData;
 
         console.log(`Updated request data for event ${eventId} with full LLM payload`);
 
-        // Save updated events
-        this.saveEventsToStorage();
+        // Save updated event
+        await this.saveEvent(event);
     }
 
     // Notify about event updates
@@ -379,120 +464,50 @@ export class EventService {
         return { success: true };
     }
 
+    // Query the full history
+    async queryEvents(query = {}) {
+        await this.ensureLoaded();
+        return this.store.queryEvents(query);
+    }
+
+    // Screenshot of any stored event, including one still being written
+    async getEventScreenshot(eventId) {
+        return this.unsavedScreenshots.get(eventId) || this.store.getScreenshot(eventId);
+    }
+
     // Clear all events
-    clearHistory() {
+    async clearHistory() {
+        await this.ensureLoaded();
         this.recentEvents = [];
         this.unreadTrueCount = 0;
         this.updateBadge();
-        // Clear from storage as well
-        chrome.storage.local.set({ recentEvents: [] });
+        await this.store.clear();
         return { success: true };
     }
 
-    // Save events to storage with intelligent cleanup
-    async saveEventsToStorage() {
-        try {
-            // Proactive cleanup: remove screenshots from events older than 24 hours or beyond first 20 events
-            await this.cleanupOldScreenshots();
-
-            await chrome.storage.local.set({ recentEvents: this.recentEvents });
-        } catch (err) {
-            console.error('Error saving events to storage:', err);
-            // If storage fails due to size, try more aggressive cleanup
-            if (err.message && err.message.includes('QUOTA_BYTES')) {
-                console.log('Storage quota exceeded, performing aggressive cleanup...');
-                await this.handleStorageQuotaExceeded();
-                // Try saving again after cleanup
-                try {
-                    await chrome.storage.local.set({ recentEvents: this.recentEvents });
-                    console.log('Successfully saved events after cleanup');
-                } catch (retryErr) {
-                    console.error('Failed to save events even after cleanup:', retryErr);
-                    // Last resort: keep only the most recent 20 events without screenshots
-                    this.recentEvents = this.recentEvents.slice(0, 20).map(event => ({
-                        ...event,
-                        screenshot: null
-                    }));
-                    await chrome.storage.local.set({ recentEvents: this.recentEvents });
-                    console.log('Emergency cleanup completed - kept only 20 most recent events without screenshots');
-                }
-            }
-        }
-    }
-
-    // Clean up old screenshots proactively
-    async cleanupOldScreenshots() {
-        const now = Date.now();
-        const seventyTwoHours = 72 * 60 * 60 * 1000; // 72 hours in milliseconds
-        let cleanedCount = 0;
-
-        // Remove screenshots from events older than 72 hours or beyond first 300 events
-        this.recentEvents.forEach((event, index) => {
-            const eventAge = now - new Date(event.timestamp).getTime();
-
-            // Remove screenshot if event is older than 72 hours OR beyond first 300 events
-            if (event.screenshot && (eventAge > seventyTwoHours || index >= 300)) {
-                delete event.screenshot;
-                cleanedCount++;
-            }
-        });
-
-        if (cleanedCount > 0) {
-            console.log(`Proactive cleanup: removed ${cleanedCount} old screenshots`);
-        }
-    }
-
-    // Handle storage quota exceeded with aggressive cleanup
-    async handleStorageQuotaExceeded() {
-        console.log('Performing aggressive storage cleanup...');
-
-        // Step 1: Remove all screenshots
-        let removedScreenshots = 0;
-        this.recentEvents.forEach(event => {
-            if (event.screenshot) {
-                delete event.screenshot;
-                removedScreenshots++;
-            }
-        });
-        console.log(`Removed ${removedScreenshots} screenshots`);
-
-        // Step 2: Remove large response data from older events (keep only last 72 hours or 300 events with full data)
-        const now = Date.now();
-        const seventyTwoHours = 72 * 60 * 60 * 1000;
-
-        this.recentEvents.forEach((event, index) => {
-            const eventAge = now - new Date(event.timestamp).getTime();
-
-            // Clean up large data for events older than 72 hours or beyond first 300 events
-            if (eventAge > seventyTwoHours || index >= 300) {
-                // Truncate large response data
-                if (event.response && typeof event.response === 'string' && event.response.length > 1000) {
-                    event.response = event.response.substring(0, 200) + '... [truncated for storage]';
-                }
-
-                // Clean up large request data
-                if (event.request && typeof event.request === 'object') {
-                    // Remove screenshot data from request if present
-                    if (event.request.sessionData && event.request.sessionData.screenshotData) {
-                        delete event.request.sessionData.screenshotData;
-                    }
-                }
-            }
-        });
-
-        console.log('Aggressive cleanup completed');
+    // Delete the history of one domain
+    async deleteDomainHistory(domain) {
+        await this.ensureLoaded();
+        const deleted = await this.store.deleteEvents({ domain });
+        this.recentEvents = this.recentEvents.filter(e => e.domain !== domain);
+        this.unreadTrueCount = this.recentEvents.filter(e => e.hasTrueResult && !e.read).length;
+        this.updateBadge();
+        return { success: true, deleted };
     }
 
     // Get storage usage information
     async getStorageInfo() {
         try {
-            const usage = await chrome.storage.local.getBytesInUse();
-            const quota = 5242880; // Chrome extension limit: ~5MB
+            // IndexedDB shares the origin's quota, which is far larger than chrome.storage's
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            const settingsBytes = await chrome.storage.local.getBytesInUse();
+            const used = usage + settingsBytes;
             return {
-                used: usage,
-                quota: quota,
-                available: quota - usage,
-                usedPercentage: Math.round((usage / quota) * 100)
+                used,
+                quota,
+                available: Math.max(quota - used, 0),
+                usedPercentage: quota ? Math.round((used / quota) * 100) : 0,
+                eventCount: await this.store.countEvents()
             };
         } catch (error) {
             console.error('Error getting storage info:', error);
@@ -500,56 +515,24 @@ export class EventService {
         }
     }
 
-    // Manual cleanup method that can be called from UI
+    // Manual cleanup from the UI: apply the retention policy now
     async performManualCleanup() {
         console.log('Manual cleanup requested');
+        await this.ensureLoaded();
 
         const beforeInfo = await this.getStorageInfo();
-        const beforeEvents = this.recentEvents.length;
-
-        // Remove all screenshots first
-        let removedScreenshots = 0;
-        this.recentEvents.forEach(event => {
-            if (event.screenshot) {
-                delete event.screenshot;
-                removedScreenshots++;
-            }
-        });
-
-        // Clean up large response data from older events (keep full data for events within 72 hours or first 300)
-        const now = Date.now();
-        const seventyTwoHours = 72 * 60 * 60 * 1000;
-
-        this.recentEvents.forEach((event, index) => {
-            const eventAge = now - new Date(event.timestamp).getTime();
-
-            // Clean up large data for events older than 72 hours or beyond first 300 events
-            if (eventAge > seventyTwoHours || index >= 300) {
-                if (event.response && typeof event.response === 'string' && event.response.length > 1000) {
-                    event.response = event.response.substring(0, 200) + '... [truncated for storage]';
-                }
-                if (event.request && typeof event.request === 'object') {
-                    if (event.request.sessionData && event.request.sessionData.screenshotData) {
-                        delete event.request.sessionData.screenshotData;
-                    }
-                }
-            }
-        });
-
-        // Save cleaned events
-        await this.saveEventsToStorage();
-
+        const { deletedEvents, deletedScreenshots } = await this.applyRetention();
         const afterInfo = await this.getStorageInfo();
-        const afterEvents = this.recentEvents.length;
 
         const result = {
             success: true,
-            removedScreenshots,
-            eventsBefore: beforeEvents,
-            eventsAfter: afterEvents,
+            removedScreenshots: deletedScreenshots,
+            removedEvents: deletedEvents,
+            eventsBefore: beforeInfo ? beforeInfo.eventCount : null,
+            eventsAfter: afterInfo ? afterInfo.eventCount : null,
             storageBefore: beforeInfo,
             storageAfter: afterInfo,
-            spaceSaved: beforeInfo ? beforeInfo.used - afterInfo.used : 0
+            spaceSaved: beforeInfo && afterInfo ? Math.max(beforeInfo.used - afterInfo.used, 0) : 0
         };
 
         console.log('Manual cleanup completed:', result);
@@ -566,7 +549,7 @@ export class EventService {
         }
     }
 
-    // Get event by ID
+    // Get a recent event by ID (use findEvent for older ones)
     getEventById(eventId) {
         return this.recentEvents.find(e => e.id === eventId);
     }
@@ -1,9 +1,44 @@
 // Job management service for interval captures
+// Shared by the popup and the background worker; both keep their copy in sync through storage.
+// Only the background worker writes intervalJobs: each save stores the whole object, so two
+// contexts saving at once would overwrite each other's changes. The popup's copy sends its
+// changes to the background instead (see routeWritesToBackground).
+// Jobs are keyed by target: a hostname or a URL pattern from utils/url-target.js.
+import { findTargetsForUrl } from '../utils/url-target.js';
+
+// Methods that change jobs
+export const JOB_WRITE_METHODS = ['createJob', 'updateJob', 'pauseJob', 'resumeJob', 'deleteJob', 'recordJobRun', 'cleanupOldJobs'];
+
 export class JobManager {
-    constructor() {
+    /**
+     * @param {Object} options - { writeThroughBackground: true outside the background worker }
+     */
+    constructor({ writeThroughBackground = false } = {}) {
         this.jobs = new Map(); // jobId -> job data
-        this.domainJobs = new Map(); // domain -> jobId
+        this.domainJobs = new Map(); // target -> jobId
+        this.changeListeners = []; // Callbacks run when any context saves jobs
+        if (writeThroughBackground) {
+            this.routeWritesToBackground();
+        }
         this.loadJobs();
+        this.watchStorage();
+    }
+
+    /**
+     * Run the write methods in the background worker's JobManager ('jobManagerWrite' message)
+     */
+    routeWritesToBackground() {
+        for (const method of JOB_WRITE_METHODS) {
+            this[method] = async (...args) => {
+                const response = await chrome.runtime.sendMessage({ action: 'jobManagerWrite', method, args });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || `Job update failed: ${method}`);
+                }
+                // Read the saved jobs back, so callers see their change right away
+                await this.loadJobs();
+                return response.result;
+            };
+        }
     }
 
     /**
@@ -16,6 +51,7 @@ export class JobManager {
             domain,
             url,
             interval,
+            schedule = null, // Cron expression / active window from utils/schedule.js
             tabId,
             status = 'active',
             jobId = null, // For cloud runner jobs
@@ -37,11 +73,13 @@ export class JobManager {
             domain,
             url,
             interval,
+            schedule,
             tabId,
             status, // 'active', 'paused', 'stopped', 'error'
             isCloudJob,
             createdAt: new Date().toISOString(),
             lastRun: null,
+            nextRun: null,
             runCount: 0,
             errorCount: 0,
             lastError: null
@@ -81,12 +119,16 @@ export class JobManager {
     }
 
     /**
-     * Get job by domain
-     * @param {string} domain - Domain name
+     * Get job by target, or the job of the most specific target covering a page
+     * @param {string} domain - Target (hostname or URL pattern) or page URL
      * @returns {Object|null} Job data
      */
     getJobByDomain(domain) {
-        const jobId = this.domainJobs.get(domain);
+        let jobId = this.domainJobs.get(domain);
+        if (!jobId && /^https?:\/\//.test(domain || '')) {
+            const [target] = findTargetsForUrl([...this.domainJobs.keys()], domain);
+            jobId = target && this.domainJobs.get(target);
+        }
         return jobId ? this.jobs.get(jobId) : null;
     }
 
@@ -162,6 +204,7 @@ export class JobManager {
         job.runCount++;
 
         if (success) {
+            job.errorCount = 0;
             job.lastError = null;
         } else {
             job.errorCount++;
@@ -192,14 +235,7 @@ export class JobManager {
     async loadJobs() {
         try {
             const { intervalJobs = {} } = await chrome.storage.local.get(['intervalJobs']);
-
-            this.jobs.clear();
-            this.domainJobs.clear();
-
-            Object.entries(intervalJobs).forEach(([jobId, jobData]) => {
-                this.jobs.set(jobId, jobData);
-                this.domainJobs.set(jobData.domain, jobId);
-            });
+            this.setJobs(intervalJobs);
 
             console.log(`JobManager: Loaded ${this.jobs.size} jobs from storage`);
         } catch (error) {
@@ -207,6 +243,40 @@ export class JobManager {
         }
     }
 
+    /**
+     * Replace the in-memory jobs with stored ones
+     * @param {Object} intervalJobs - jobId -> job data, as saved by saveJobs()
+     */
+    setJobs(intervalJobs) {
+        this.jobs.clear();
+        this.domainJobs.clear();
+
+        Object.entries(intervalJobs).forEach(([jobId, jobData]) => {
+            this.jobs.set(jobId, jobData);
+            this.domainJobs.set(jobData.domain, jobId);
+        });
+    }
+
+    /**
+     * Pick up jobs saved by another context, e.g. runs recorded by the background worker
+     */
+    watchStorage() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.intervalJobs) return;
+
+            this.setJobs(changes.intervalJobs.newValue || {});
+            this.changeListeners.forEach(listener => listener());
+        });
+    }
+
+    /**
+     * Register a callback for job changes from any context
+     * @param {Function} listener - Called after the jobs were reloaded
+     */
+    onJobsChanged(listener) {
+        this.changeListeners.push(listener);
+    }
+
     /**
      * Save jobs to storage
      */
@@ -2,6 +2,11 @@
 import { getSystemPrompt } from "../utils/prompt-formatters.js";
 import { parseSAPIENTResponse } from "../utils/sapient-parser.js";
 import { fireFieldWebhooks } from "../utils/webhook-utils.js";
+import { resolveFieldChannels } from "../utils/notification-channels.js";
+import { coerceEvaluation, coerceFieldValue, getFieldType } from "../utils/field-types.js";
+import { getPageContextSettings, getInputMode, formatPageContext } from "../utils/page-context.js";
+import { buildLlmRequest, extractLlmResponse, getMissingLlmConfig } from "../utils/llm-providers.js";
+import { getConsensusModels, getConsensusStrategy, combineEvaluations, formatConsensusResponses } from "../utils/consensus.js";
 
 export class LLMService {
     constructor(captureService, eventService) {
@@ -9,12 +14,18 @@ export class LLMService {
         this.eventService = eventService;
         this.pendingRequests = new Map(); // Map of eventId to AbortController for cancellation
         this.userCancelledRequests = new Set(); // Track user-initiated cancellations
+        this.webhookQueue = null; // Retries failed field webhooks, set from the background entry point
+    }
+
+    setWebhookQueue(webhookQueue) {
+        this.webhookQueue = webhookQueue;
     }
 
 
 
     // Capture screenshot and send to LLM API
     async captureAndSend(tabId, domain, llmConfig, isManual = false, fields = null, refreshPage = false, captureDelay = 0, previousEvaluation = null) {
+        let releaseTab = null;
         let eventId;
         try {
             console.log(`Attempting LLM capture for tab ${tabId}, domain: ${domain}`);
@@ -22,14 +33,9 @@ export class LLMService {
             console.log(`Refresh page: ${refreshPage}, Capture delay: ${captureDelay}s`);
             console.log(`Previous evaluation data:`, previousEvaluation);
 
-            // Validate LLM configuration
-            if (!llmConfig || !llmConfig.apiUrl || !llmConfig.apiKey) {
-                const missingFields = [];
-                if (!llmConfig) missingFields.push('entire config');
-                else {
-                    if (!llmConfig.apiUrl) missingFields.push('apiUrl');
-                    if (!llmConfig.apiKey) missingFields.push('apiKey');
-                }
+            // Validate LLM configuration (local providers don't need an API key)
+            const missingFields = getMissingLlmConfig(llmConfig);
+            if (missingFields.length > 0) {
 
                 console.error('LLM Config validation failed!');
                 console.error('Missing fields:', missingFields);
@@ -61,6 +67,9 @@ export class LLMService {
             console.log('Model:', llmConfig.model);
             console.log('========================');
 
+            // Other monitors on this tab wait until the refresh, actions and capture are done
+            releaseTab = await this.captureService.lockTab(tabId);
+
             // Handle page refresh if enabled
             if (refreshPage) {
                 console.log('Refreshing page before capture...');
@@ -98,24 +107,77 @@ export class LLMService {
                 console.log('Capture delay completed');
             }
 
+            // Run the monitor's scripted pre-capture actions (click, type, wait-for...)
+            const preCapture = await this.captureService.runPreCaptureActions(tabId, domain);
+            if (!preCapture.success) {
+                const pageTab = await chrome.tabs.get(tabId).catch(() => null);
+                this.eventService.trackEvent(null, domain, pageTab ? pageTab.url : '', false, null, preCapture.error,
+                    null, { domain, timestamp: new Date().toISOString(), isManual: isManual.toString(), fields, actionLog: preCapture.log },
+                    preCapture.error, Date.now());
+
+                if (isManual) {
+                    chrome.runtime.sendMessage({
+                        action: 'captureComplete',
+                        success: false,
+                        error: preCapture.error
+                    });
+                }
+
+                return { success: false, error: preCapture.error };
+            }
+
             // Fields should always be provided by caller (DRY principle)
             if (!fields || fields.length === 0) {
                 console.log('No fields provided for capture');
                 // Still continue - some captures might be for screenshot-only purposes
             }
 
-            // Get full page preference from storage
-            const { fullPageCapture = false } = await new Promise(resolve => {
-                chrome.storage.local.get(['fullPageCapture'], resolve);
+            // Get full page and page context preferences from storage
+            const { fullPageCapture = false, pageContextMode, textOnlyCapture } = await new Promise(resolve => {
+                chrome.storage.local.get(['fullPageCapture', 'pageContextMode', 'textOnlyCapture'], resolve);
             });
+            const pageContextSettings = getPageContextSettings({ pageContextMode, textOnlyCapture });
+
+            // Get multi-model consensus settings for this domain
+            const consensusKey = `consensus_${domain}`;
+            const consensusConfig = (await chrome.storage.local.get([consensusKey]))[consensusKey] || null;
+
+            let dataUrl = null;
+            let tab;
+            let base64Image = null;
+
+            if (pageContextSettings.textOnly) {
+                // Text-only mode: no screenshot, the page content is the only input
+                tab = await chrome.tabs.get(tabId);
+                console.log('Text-only capture, skipping screenshot');
+            } else {
+                // Get the element-scoped capture region for this domain, if any
+                const captureRegion = await this.captureService.getCaptureRegion(domain);
 
-            // Capture screenshot using CaptureService
-            const captureResult = await this.captureService.captureScreenshot(tabId, fullPageCapture);
-            const { dataUrl, tab } = captureResult;
+                // Capture screenshot using CaptureService
+                const captureResult = await this.captureService.captureScreenshot(tabId, fullPageCapture, captureRegion);
+                dataUrl = captureResult.dataUrl;
+                tab = captureResult.tab;
+
+                // Convert dataURL to base64 (remove data:image/png;base64, prefix)
+                base64Image = dataUrl.split(',')[1];
+                console.log('Screenshot converted to base64, length:', base64Image.length);
+            }
+
+            // Extract DOM text or accessibility tree if enabled
+            let pageContext = null;
+            if (pageContextSettings.mode !== 'none') {
+                try {
+                    pageContext = await this.captureService.getPageContext(tabId, pageContextSettings.mode);
+                } catch (contextError) {
+                    // Without a screenshot there is nothing left to analyze
+                    if (pageContextSettings.textOnly) throw contextError;
+                    console.warn('Page context extraction failed, sending screenshot only:', contextError.message);
+                }
+            }
 
-            // Convert dataURL to base64 (remove data:image/png;base64, prefix)
-            const base64Image = dataUrl.split(',')[1];
-            console.log('Screenshot converted to base64, length:', base64Image.length);
+            releaseTab();
+            releaseTab = null;
 
             // Store request data for history
             const requestData = {
@@ -125,12 +187,21 @@ export class LLMService {
                 url: tab.url,
                 isManual: isManual.toString(),
                 fields: fields,
+                pageContextMode: pageContext ? pageContext.mode : 'none',
+                textOnly: pageContextSettings.textOnly,
+                actionLog: preCapture.log.length > 0 ? preCapture.log : undefined,
                 llmConfig: {
                     apiUrl: llmConfig.apiUrl,
                     model: llmConfig.model || 'gpt-4-vision-preview',
                     // Don't store API key in history for security
                 }
             };
+            if (consensusConfig && consensusConfig.enabled) {
+                requestData.consensus = {
+                    strategy: getConsensusStrategy(consensusConfig),
+                    models: getConsensusModels(llmConfig, consensusConfig).map(config => config.model)
+                };
+            }
 
             console.log(`Sending to LLM API: ${llmConfig.apiUrl}`);
 
@@ -166,193 +237,181 @@ export class LLMService {
             try {
                 // Build the system prompt with fields
                 const modelName = llmConfig.model || 'gpt-4-vision-preview';
-                const systemPrompt = getSystemPrompt(fields, previousEvaluation, modelName);
+                const systemPrompt = getSystemPrompt(fields, previousEvaluation, modelName, getInputMode(!!base64Image, pageContext));
+
+                // Screenshot and/or page content for the user message
+                const textParts = [
+                    base64Image
+                        ? 'Please analyze this screenshot according to the field criteria provided. Respond using the SAPIENT protocol format shown in the system prompt.'
+                        : 'Please analyze this page content according to the field criteria provided. Respond using the SAPIENT protocol format shown in the system prompt.'
+                ];
+                if (pageContext) {
+                    textParts.push(formatPageContext(pageContext));
+                }
 
-                // Prepare the request payload for OpenAI-compatible API
-                const requestPayload = {
-                    model: llmConfig.model || 'gpt-4-vision-preview',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: systemPrompt
-                        },
-                        {
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'text',
-                                    text: 'Please analyze this screenshot according to the field criteria provided. Respond using the SAPIENT protocol format shown in the system prompt.'
-                                },
-                                {
-                                    type: 'image_url',
-                                    image_url: {
-                                        url: `data:image/png;base64,${base64Image}`
-                                    }
-                                }
-                            ]
-                        }
-                    ],
-                    max_tokens: 5000, // Increased from 2000 to 5000 for complete responses
-                    temperature: 0.1, // Low temperature for consistent results
-                    stream: false // Disable streaming to avoid chunked responses
+                const image = base64Image ? { data: base64Image, mimeType: 'image/png' } : null;
+                const llmOptions = {
+                    maxTokens: llmConfig.maxTokens !== undefined ? llmConfig.maxTokens : 5000, // Increased from 2000 to 5000 for complete responses
+                    temperature: llmConfig.temperature !== undefined ? llmConfig.temperature : 0.1 // Low temperature for consistent results
                 };
 
-                // Add additional parameters if specified in config
-                if (llmConfig.temperature !== undefined) {
-                    requestPayload.temperature = llmConfig.temperature;
-                }
-                if (llmConfig.maxTokens !== undefined) {
-                    requestPayload.max_tokens = llmConfig.maxTokens;
-                }
+                const consensusModels = getConsensusModels(llmConfig, consensusConfig);
+                if (consensusModels.length > 1) {
+                    // Multi-model consensus: every model sees the same prompt and capture
+                    const consensusResult = await this.runConsensus(consensusModels, { systemPrompt, textParts, image }, llmOptions,
+                        fields || [], getConsensusStrategy(consensusConfig), controller.signal, eventId, requestData);
 
-                console.log('=== LLM REQUEST DEBUG ===');
-                console.log('URL:', llmConfig.apiUrl);
-                console.log('Method: POST');
-                console.log('Headers:', {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${llmConfig.apiKey.substring(0, 10)}...`,
-                    ...(llmConfig.customHeaders || {})
-                });
-                console.log('Payload:', JSON.stringify(requestPayload, null, 2));
-                console.log('Full Authorization header:', `Bearer ${llmConfig.apiKey}`);
-                console.log('========================');
+                    clearTimeout(timeoutId);
+                    this.pendingRequests.delete(eventId);
+                    this.userCancelledRequests.delete(eventId);
 
-                // Update the event with the full LLM request payload for history
-                const fullRequestData = {
-                    ...requestData, // Keep the original metadata
-                    llmRequestPayload: {
-                        url: llmConfig.apiUrl,
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${llmConfig.apiKey.substring(0, 20)}...`
-                        },
-                        body: requestPayload,
-                        timestamp: new Date().toISOString()
-                    }
-                };
+                    responseData = consensusResult.responseData;
+                    responseText = consensusResult.responseText;
+                    finalError = consensusResult.error;
+                    llmResponse = { status: consensusResult.status };
+                } else {
+                    // Build the provider-specific request (OpenAI, Anthropic, Gemini, Ollama)
+                    const llmRequest = buildLlmRequest(llmConfig, { systemPrompt, textParts, image }, llmOptions);
+                    const requestPayload = llmRequest.body;
+                    const redactedHeaders = this.redactHeaders(llmRequest.headers);
+
+                    console.log('=== LLM REQUEST DEBUG ===');
+                    console.log('Provider:', llmRequest.provider);
+                    console.log('URL:', llmRequest.url);
+                    console.log('Method: POST');
+                    console.log('Headers:', redactedHeaders);
+                    console.log('Payload:', JSON.stringify(requestPayload, null, 2));
+                    console.log('========================');
+
+                    // Update the event with the full LLM request payload for history
+                    const fullRequestData = {
+                        ...requestData, // Keep the original metadata
+                        llmRequestPayload: {
+                            provider: llmRequest.provider,
+                            url: llmRequest.url,
+                            method: 'POST',
+                            headers: redactedHeaders,
+                            body: requestPayload,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
 
-                // Update the tracked event with the full request data
-                this.eventService.updateEventRequestData(eventId, fullRequestData);
-
-                // Send request to LLM API
-                llmResponse = await fetch(llmConfig.apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${llmConfig.apiKey}`,
-                        ...(llmConfig.customHeaders || {})
-                    },
-                    body: JSON.stringify(requestPayload),
-                    signal: controller.signal
-                });
+                    // Update the tracked event with the full request data
+                    this.eventService.updateEventRequestData(eventId, fullRequestData);
 
-                clearTimeout(timeoutId);
-                this.pendingRequests.delete(eventId);
-                this.userCancelledRequests.delete(eventId);
+                    // Send request to LLM API
+                    llmResponse = await fetch(llmRequest.url, {
+                        method: 'POST',
+                        headers: llmRequest.headers,
+                        body: JSON.stringify(requestPayload),
+                        signal: controller.signal
+                    });
 
-                console.log(`LLM API response status: ${llmResponse.status}`);
+                    clearTimeout(timeoutId);
+                    this.pendingRequests.delete(eventId);
+                    this.userCancelledRequests.delete(eventId);
 
-                // Get response text
-                let apiResponseText = '';
-                try {
-                    apiResponseText = await llmResponse.text();
-                    console.log('Raw API response:', apiResponseText);
-                } catch (textError) {
-                    console.log('Failed to read LLM response text:', textError);
-                    apiResponseText = `Failed to read response: ${textError.message}`;
-                    responseText = apiResponseText;
-                }
+                    console.log(`LLM API response status: ${llmResponse.status}`);
 
-                if (!llmResponse.ok) {
-                    console.log(`LLM API error: ${llmResponse.status}: ${llmResponse.statusText}`);
-                    finalError = `LLM API Error ${llmResponse.status}: ${llmResponse.statusText}`;
-                    responseText = apiResponseText; // Store the error response
-                } else {
-                    // Parse the LLM response
+                    // Get response text
+                    let apiResponseText = '';
                     try {
-                        const llmData = JSON.parse(apiResponseText);
+                        apiResponseText = await llmResponse.text();
+                        console.log('Raw API response:', apiResponseText);
+                    } catch (textError) {
+                        console.log('Failed to read LLM response text:', textError);
+                        apiResponseText = `Failed to read response: ${textError.message}`;
+                        responseText = apiResponseText;
+                    }
 
-                        // Extract content from OpenAI-style response
+                    if (!llmResponse.ok) {
+                        console.log(`LLM API error: ${llmResponse.status}: ${llmResponse.statusText}`);
+                        finalError = `LLM API Error ${llmResponse.status}: ${llmResponse.statusText}`;
+                        responseText = apiResponseText; // Store the error response
+                    } else {
+                        // Parse the LLM response
                         let content = '';
-                        if (llmData.choices && llmData.choices[0] && llmData.choices[0].message) {
-                            content = llmData.choices[0].message.content;
-                        } else if (typeof llmData === 'object' && llmData.content) {
-                            content = llmData.content;
-                        } else {
-                            throw new Error('Unexpected LLM response format');
-                        }
+                        try {
+                            const llmData = JSON.parse(apiResponseText);
+
+                            // Extract content using the provider's response format
+                            const extracted = extractLlmResponse(llmRequest.provider, llmData);
+                            content = extracted.content;
+                            if (extracted.truncated) {
+                                console.warn('LLM response was truncated due to max tokens limit. Consider increasing max tokens.');
+                            }
 
-                        // Store the actual LLM content (SAPIENT or JSON) as the response text
-                        responseText = content;
-                        console.log('=== RAW LLM RESPONSE CONTENT ===');
-                        console.log('Content type:', typeof content);
-                        console.log('Content length:', content.length);
-                        console.log('First 500 chars:', content.substring(0, 500));
-                        console.log('Full content:', content);
-                        console.log('Is SAPIENT format?', content.includes('::SAPIENT v:') ? 'YES' : 'NO');
-                        console.log('=================================');
-
-                        // Also log what we're storing
-                        console.log('=== STORING RESPONSE TEXT ===');
-                        console.log('responseText that will be stored:', responseText);
-                        console.log('=============================');
-
-                        // Parse the JSON content from the LLM
-                        // First, check if it's SAPIENT format
-                        let parsedContent = parseSAPIENTResponse(content);
-
-                        if (parsedContent) {
-                            console.log('=== PARSED SAPIENT RESPONSE ===');
-                            console.log('SAPIENT format detected and parsed');
-                            console.log('Parsed content:', parsedContent);
-                            console.log('===============================');
-                            responseData = parsedContent;
-                        } else {
-                            console.log('=== NOT SAPIENT FORMAT ===');
-                            console.log('Content does not match SAPIENT format');
-                            console.log('==========================');
-                            // Fallback to legacy JSON parsing
-                            // Remove markdown code blocks using simple string replacement
-                            let jsonContent = content
-                                .replaceAll("```json", "")
-                                .replaceAll("```", "")
-                                .trim();
-
-                            console.log('Falling back to legacy JSON parsing');
-                            console.log('Cleaned JSON content after removing markdown:', jsonContent);
-
-                            try {
-                                const rawResponseData = JSON.parse(jsonContent);
-                                console.log('Raw parsed LLM response:', rawResponseData);
-
-                                // Normalize the response to handle various LLM formats
-                                responseData = this.normalizeFieldResults(rawResponseData, fields);
-                                console.log('Normalized LLM field results:', responseData);
-                            } catch (contentParseError) {
-                                console.log('Failed to parse LLM content as JSON:', contentParseError);
-                                console.log('Original content:', content);
-                                console.log('Attempted to parse:', jsonContent);
-                                responseData = {
-                                    error: 'Failed to parse LLM response',
-                                    raw_content: content,
-                                    attempted_json: jsonContent,
-                                    parse_error: contentParseError.message
-                                };
+                            // Store the actual LLM content (SAPIENT or JSON) as the response text
+                            responseText = content;
+                            console.log('=== RAW LLM RESPONSE CONTENT ===');
+                            console.log('Content type:', typeof content);
+                            console.log('Content length:', content.length);
+                            console.log('First 500 chars:', content.substring(0, 500));
+                            console.log('Full content:', content);
+                            console.log('Is SAPIENT format?', content.includes('::SAPIENT v:') ? 'YES' : 'NO');
+                            console.log('=================================');
+
+                            // Also log what we're storing
+                            console.log('=== STORING RESPONSE TEXT ===');
+                            console.log('responseText that will be stored:', responseText);
+                            console.log('=============================');
+
+                            // Parse the JSON content from the LLM
+                            // First, check if it's SAPIENT format
+                            let parsedContent = parseSAPIENTResponse(content);
+
+                            if (parsedContent) {
+                                console.log('=== PARSED SAPIENT RESPONSE ===');
+                                console.log('SAPIENT format detected and parsed');
+                                console.log('Parsed content:', parsedContent);
+                                console.log('===============================');
+                                // Coerce typed fields (number/enum/string) to their declared types
+                                responseData = coerceEvaluation(parsedContent, fields || []);
+                            } else {
+                                console.log('=== NOT SAPIENT FORMAT ===');
+                                console.log('Content does not match SAPIENT format');
+                                console.log('==========================');
+                                // Fallback to legacy JSON parsing
+                                // Remove markdown code blocks using simple string replacement
+                                let jsonContent = content
+                                    .replaceAll("```json", "")
+                                    .replaceAll("```", "")
+                                    .trim();
+
+                                console.log('Falling back to legacy JSON parsing');
+                                console.log('Cleaned JSON content after removing markdown:', jsonContent);
+
+                                try {
+                                    const rawResponseData = JSON.parse(jsonContent);
+                                    console.log('Raw parsed LLM response:', rawResponseData);
+
+                                    // Normalize the response to handle various LLM formats
+                                    responseData = this.normalizeFieldResults(rawResponseData, fields);
+                                    console.log('Normalized LLM field results:', responseData);
+                                } catch (contentParseError) {
+                                    console.log('Failed to parse LLM content as JSON:', contentParseError);
+                                    console.log('Original content:', content);
+                                    console.log('Attempted to parse:', jsonContent);
+                                    responseData = {
+                                        error: 'Failed to parse LLM response',
+                                        raw_content: content,
+                                        attempted_json: jsonContent,
+                                        parse_error: contentParseError.message
+                                    };
+                                }
                             }
+                        } catch (e) {
+                            parseError = e.message;
+                            console.log('Failed to parse LLM response:', e);
+                            responseData = {
+                                error: 'Failed to parse LLM response',
+                                raw_response: apiResponseText
+                            };
+                            // Keep the original content as responseText for history
+                            responseText = content || apiResponseText;
                         }
-                    } catch (e) {
-                        parseError = e.message;
-                        console.log('Failed to parse LLM response:', e);
-                        responseData = {
-                            error: 'Failed to parse LLM response',
-                            raw_response: apiResponseText
-                        };
-                        // Keep the original content as responseText for history
-                        responseText = content || apiResponseText;
                     }
                 }
-
             } catch (fetchError) {
                 clearTimeout(timeoutId);
                 this.pendingRequests.delete(eventId);
@@ -459,7 +518,7 @@ export class LLMService {
 
             // Fire field-level webhooks for TRUE results if configured
             if (hasActualFields && responseData) {
-                await this.fireFieldWebhooksWrapper(eventId, domain, responseData);
+                await this.fireFieldWebhooksWrapper(eventId, domain, responseData, tab.url, dataUrl);
             }
 
             console.log(`LLM analysis completed successfully`);
@@ -499,21 +558,32 @@ export class LLMService {
             }
 
             return { success: false, error: error.message };
+        } finally {
+            releaseTab?.();
         }
     }
 
     // Wrapper to use the shared webhook utility with the event service integration
-    async fireFieldWebhooksWrapper(eventId, domain, mainResponseData) {
+    async fireFieldWebhooksWrapper(eventId, domain, mainResponseData, url = '', screenshotDataUrl = null) {
         console.log('Checking for field webhooks to fire after LLM analysis...');
         console.log('LLM Response Data:', mainResponseData);
 
-        const storage = await chrome.storage.local.get([`fields_${domain}`]);
-        const fieldConfigs = storage[`fields_${domain}`] || [];
+        const triggerStateKey = `triggerState_${domain}`;
+        const storage = await chrome.storage.local.get([`fields_${domain}`, triggerStateKey, 'webhookSigningSecret', 'notificationChannels']);
+        // Fields that send to a notification channel carry the channel's current settings
+        const fieldConfigs = resolveFieldChannels(storage[`fields_${domain}`] || [], storage.notificationChannels);
+        const triggerState = storage[triggerStateKey] || {};
 
         console.log('Field configurations from storage:', fieldConfigs);
 
-        // Call the shared utility
-        const fieldWebhooks = await fireFieldWebhooks(eventId, domain, mainResponseData, fieldConfigs);
+        // Call the shared utility (it advances the per-field edge-trigger state)
+        const fieldWebhooks = await fireFieldWebhooks(eventId, domain, mainResponseData, fieldConfigs, triggerState, {
+            url,
+            screenshot: await this.captureService.getNotificationScreenshot(screenshotDataUrl, fieldConfigs),
+            signingSecret: storage.webhookSigningSecret || null,
+            queue: this.webhookQueue
+        });
+        await chrome.storage.local.set({ [triggerStateKey]: triggerState });
 
         if (fieldWebhooks.length > 0) {
             console.log(`Fired ${fieldWebhooks.length} field webhooks after LLM analysis`);
@@ -523,6 +593,104 @@ export class LLMService {
         }
     }
 
+    // Run the same capture through several models in parallel and combine their answers
+    async runConsensus(modelConfigs, input, llmOptions, fields, strategy, signal, eventId, requestData) {
+        console.log(`Running ${strategy} consensus across ${modelConfigs.length} models:`, modelConfigs.map(config => config.model));
+
+        const llmRequests = modelConfigs.map(config => buildLlmRequest(config, input, llmOptions));
+
+        // Keep every model's request in history
+        this.eventService.updateEventRequestData(eventId, {
+            ...requestData,
+            llmRequestPayload: llmRequests.map(llmRequest => ({
+                provider: llmRequest.provider,
+                url: llmRequest.url,
+                method: 'POST',
+                headers: this.redactHeaders(llmRequest.headers),
+                body: llmRequest.body,
+                timestamp: new Date().toISOString()
+            }))
+        });
+
+        const modelResults = await Promise.all(llmRequests.map((llmRequest, index) =>
+            this.requestModelEvaluation(modelConfigs[index].model, llmRequest, fields, signal)));
+
+        const responseText = formatConsensusResponses(modelResults);
+        const succeeded = modelResults.filter(result => !result.error);
+        if (succeeded.length === 0) {
+            return {
+                responseData: null,
+                responseText,
+                status: modelResults[0].status,
+                error: `All ${modelResults.length} consensus models failed: ${modelResults[0].error}`
+            };
+        }
+
+        const responseData = combineEvaluations(modelResults, fields, strategy);
+        console.log('Consensus result:', responseData);
+
+        return { responseData, responseText, status: 200, error: null };
+    }
+
+    // Send one model's request and parse its field evaluation
+    async requestModelEvaluation(model, llmRequest, fields, signal) {
+        const result = { model, provider: llmRequest.provider, status: null, rawResponse: '', evaluation: null, summary: '', error: null };
+
+        try {
+            const response = await fetch(llmRequest.url, {
+                method: 'POST',
+                headers: llmRequest.headers,
+                body: JSON.stringify(llmRequest.body),
+                signal
+            });
+            result.status = response.status;
+
+            const apiResponseText = await response.text();
+            if (!response.ok) {
+                result.error = `LLM API Error ${response.status}: ${response.statusText}`;
+                result.rawResponse = apiResponseText;
+                return result;
+            }
+
+            const { content } = extractLlmResponse(llmRequest.provider, JSON.parse(apiResponseText));
+            result.rawResponse = content;
+
+            // SAPIENT first, then legacy JSON - same order as single-model captures
+            let parsed = parseSAPIENTResponse(content);
+            if (parsed) {
+                parsed = coerceEvaluation(parsed, fields);
+            } else {
+                const jsonContent = content.replaceAll("```json", "").replaceAll("```", "").trim();
+                parsed = this.normalizeFieldResults(JSON.parse(jsonContent), fields);
+            }
+
+            const { summary, ...evaluation } = parsed;
+            result.evaluation = evaluation;
+            result.summary = summary || '';
+            console.log(`Consensus model ${model} evaluation:`, evaluation);
+        } catch (error) {
+            // Cancellation and timeouts abort the whole capture
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Consensus model ${model} failed:`, error.message);
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    // Mask credentials in request headers for logs and history
+    redactHeaders(headers) {
+        const redacted = { ...headers };
+        ['Authorization', 'x-api-key', 'x-goog-api-key'].forEach(name => {
+            if (redacted[name]) {
+                // Keep the auth scheme and a short key prefix, enough to tell keys apart
+                const [, scheme = '', key] = String(redacted[name]).match(/^(Bearer\s+)?(.*)$/i);
+                redacted[name] = `${scheme}${key.substring(0, 4)}…`;
+            }
+        });
+        return redacted;
+    }
+
     // Cancel a pending LLM request
     cancelRequest(eventId) {
         if (this.pendingRequests.has(eventId)) {
@@ -571,7 +739,8 @@ export class LLMService {
         }
 
         // Handle various LLM response formats
-        for (const fieldName of fieldNames) {
+        for (const field of fields) {
+            const fieldName = field.name;
             let result = null;
             let probability = null;
 
@@ -596,11 +765,12 @@ export class LLMService {
                 probability = dataToProcess[fieldName].probability || null;
                 console.log(`Field "${fieldName}" - Format 3 (boolean/probability): result=${result}, probability=${probability}`);
             }
-            // Format 4: Direct boolean - "field_name": boolean
-            else if (dataToProcess[fieldName] !== undefined && typeof dataToProcess[fieldName] === 'boolean') {
+            // Format 4: Direct value - "field_name": boolean (or number/string for typed fields)
+            else if (dataToProcess[fieldName] !== undefined && dataToProcess[fieldName] !== null &&
+                ['boolean', 'number', 'string'].includes(typeof dataToProcess[fieldName])) {
                 result = dataToProcess[fieldName];
                 probability = 0.8; // Default probability
-                console.log(`Field "${fieldName}" - Format 4 (direct boolean): result=${result}, probability=${probability} (default)`);
+                console.log(`Field "${fieldName}" - Format 4 (direct value): result=${result}, probability=${probability} (default)`);
             }
             // Format 5: Boolean only array - "field_name": [boolean] + separate probability array
             else if (dataToProcess[fieldName] && Array.isArray(dataToProcess[fieldName]) && dataToProcess[fieldName].length === 1) {
@@ -616,13 +786,17 @@ export class LLMService {
                 console.log(`Field "${fieldName}" - Format 5 (separate probability): result=${result}, probability=${probability}`);
             }
 
-            // If we found a result, add it to normalized response
+            // Ensure result matches the field type (boolean, number, enum option or string)
             if (result !== null) {
-                // Ensure result is boolean
-                if (typeof result === 'string') {
-                    result = result.toLowerCase() === 'true';
+                const typedResult = coerceFieldValue(result, field);
+                if (typedResult === null) {
+                    console.warn(`✗ Field "${fieldName}" value ${JSON.stringify(result)} is not a valid ${getFieldType(field)}`);
                 }
+                result = typedResult;
+            }
 
+            // If we found a result, add it to normalized response
+            if (result !== null) {
                 // Ensure probability is a number between 0 and 1
                 if (probability === null || probability === undefined) {
                     probability = 0.8; // Default confidence
@@ -656,54 +830,31 @@ export class LLMService {
             console.log('Testing LLM configuration with a multimodal request...');
 
             // Validate basic config
-            if (!llmConfig || !llmConfig.apiUrl || !llmConfig.apiKey) {
-                const missingFields = [];
-                if (!llmConfig) missingFields.push('entire config');
-                else {
-                    if (!llmConfig.apiUrl) missingFields.push('API URL');
-                    if (!llmConfig.apiKey) missingFields.push('API Key');
-                }
+            const missingFields = getMissingLlmConfig(llmConfig)
+                .map(name => ({ apiUrl: 'API URL', apiKey: 'API Key' }[name] || name));
+            if (missingFields.length > 0) {
                 throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
             }
 
             // A 1x1 transparent PNG to use as a placeholder for the multimodal request
             const placeholderImage = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
 
-            // Create a multimodal test request
-            const testPayload = {
-                model: llmConfig.model || 'gpt-4-vision-preview',
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: 'This is a test request. If you can see the attached image, please respond with only the words: "Configuration test successful"'
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: `data:image/png;base64,${placeholderImage}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_tokens: 50,
+            // Create a multimodal test request in the provider's format
+            const testRequest = buildLlmRequest(llmConfig, {
+                textParts: ['This is a test request. If you can see the attached image, please respond with only the words: "Configuration test successful"'],
+                image: { data: placeholderImage, mimeType: 'image/png' }
+            }, {
+                maxTokens: 50,
                 temperature: 0.1
-            };
+            });
 
-            console.log('Sending test request to:', llmConfig.apiUrl);
+            console.log(`Sending ${testRequest.provider} test request to:`, testRequest.url);
 
             // Send test request
-            const response = await fetch(llmConfig.apiUrl, {
+            const response = await fetch(testRequest.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${llmConfig.apiKey}`,
-                    ...(llmConfig.customHeaders || {})
-                },
-                body: JSON.stringify(testPayload),
+                headers: testRequest.headers,
+                body: JSON.stringify(testRequest.body),
                 signal: AbortSignal.timeout(30000) // 30 second timeout
             });
 
@@ -718,7 +869,9 @@ export class LLMService {
             console.log('Test response received successfully');
 
             // Validate response structure
-            if (!responseData.choices || !responseData.choices[0] || !responseData.choices[0].message) {
+            try {
+                extractLlmResponse(testRequest.provider, responseData);
+            } catch (formatError) {
                 console.warn('Unexpected response format, but API responded successfully');
             }
 
@@ -1,10 +1,19 @@
 // Chrome runtime message handling service
+import { applyConfidenceFilter } from '../utils/field-types.js';
+import { getMissingLlmConfig } from '../utils/llm-providers.js';
+import { createSchedule } from '../utils/schedule.js';
+import { JOB_WRITE_METHODS } from './JobManager.js';
+import { getTargetHost, matchesTarget } from '../utils/url-target.js';
+import { buildChannelDelivery, resolveFieldChannels, validateChannel, TEST_NOTIFICATION } from '../utils/notification-channels.js';
+import { buildWebhookDelivery, sendWebhookDelivery } from '../utils/webhook-utils.js';
+
 export class MessageService {
     constructor(captureService, webhookService, eventService, llmService) {
         this.captureService = captureService;
         this.webhookService = webhookService;
         this.eventService = eventService;
         this.llmService = llmService;
+        this.webhookQueueService = null;
         this.currentlyPolling = new Set(); // Track jobs being polled
         this.syncIntervalId = null;
         this.authPollIntervalId = null; // Use a dedicated interval ID for auth polling
@@ -35,7 +44,10 @@ export class MessageService {
                     'prepareCaptureData', 'startCloudJob', 'startCapture', 'stopCapture',
                     'getCaptchaChallenge', 'verifyCaptcha', 'getTokenStats', 'clearToken', 'testCloudRunner',
                     'storeAuthToken', 'startAuthPolling', 'getCloudJobs', 'startCloudInterval',
-                    'getStorageInfo', 'performManualCleanup'
+                    'getStorageInfo', 'performManualCleanup', 'startRegionPicker', 'clearHistory',
+                    'queryEvents', 'getEventScreenshot', 'deleteDomainHistory', 'applyHistoryRetention',
+                    'getWebhookDeliveries', 'replayWebhookDelivery', 'discardWebhookDelivery',
+                    'testNotificationChannel', 'exportCloudJobResults', 'jobManagerWrite'
                 ];
                 const isAsync = asyncActions.includes(request.action);
                 if (isAsync) {
@@ -65,8 +77,8 @@ export class MessageService {
 
             'startCapture': async (req, sender, res) => {
                 try {
-                    await this.captureService.startCapture(req);
-                    res({ success: true });
+                    const result = await this.captureService.startCapture(req);
+                    res({ success: true, ...result });
                 } catch (error) {
                     res({ success: false, error: error.message });
                 }
@@ -76,9 +88,12 @@ export class MessageService {
                 try {
                     // The `stopCapture` action from the UI can mean stopping a local capture
                     // OR stopping a cloud job. This logic needs to be robust.
+                    // Local jobs are tracked per domain, so their tab may be long gone.
+                    await this.captureService.stopLocalCapture(req.domain);
+
                     if (req.tabId) {
                         // If a tabId is provided, it's a request to stop captures associated with that tab.
-                        await this.captureService.stopCapture(req.tabId);
+                        await this.captureService.stopCapture(req.tabId, req.domain);
                     } else if (req.domain) {
                         // If a domain is provided (from settings), find the cloud job and stop it.
                         const jobKey = `cloud_job_${req.domain}`;
@@ -98,14 +113,40 @@ export class MessageService {
 
             'updateInterval': (req) => this.captureService.updateInterval(req, this.llmService, this.eventService),
             'checkStatus': (req, sender, res) => res({ isActive: this.captureService.checkDomainCaptureStatus(req.domain) }),
-            'tabNavigated': (req, sender) => this.captureService.handleTabNavigation(sender.tab.id, req.newDomain),
+            'tabNavigated': (req, sender) => this.captureService.handleTabNavigation(sender.tab.id, req.newUrl || req.newDomain),
             'getRecentEvents': (req, sender, res) => {
                 this.eventService.getRecentEvents()
                     .then(res)
                     .catch(err => res({ events: [], unreadCount: 0, error: err.message }));
             },
             'markEventsRead': (req, sender, res) => res(this.eventService.markEventsRead()),
-            'clearHistory': (req, sender, res) => res(this.eventService.clearHistory()),
+            'clearHistory': (req, sender, res) => {
+                this.eventService.clearHistory()
+                    .then(res)
+                    .catch(err => res({ success: false, error: err.message }));
+            },
+
+            // Full history in IndexedDB, beyond the recent events above
+            'queryEvents': (req, sender, res) => {
+                this.eventService.queryEvents(req.query)
+                    .then(events => res({ success: true, events }))
+                    .catch(err => res({ success: false, events: [], error: err.message }));
+            },
+            'getEventScreenshot': (req, sender, res) => {
+                this.eventService.getEventScreenshot(req.eventId)
+                    .then(screenshot => res({ success: true, screenshot }))
+                    .catch(err => res({ success: false, error: err.message }));
+            },
+            'deleteDomainHistory': (req, sender, res) => {
+                this.eventService.deleteDomainHistory(req.domain)
+                    .then(res)
+                    .catch(err => res({ success: false, error: err.message }));
+            },
+            'applyHistoryRetention': (req, sender, res) => {
+                this.eventService.applyRetention()
+                    .then(result => res({ success: true, ...result }))
+                    .catch(err => res({ success: false, error: err.message }));
+            },
             'cancelRequest': (req, sender, res) => {
                 let result = this.webhookService.cancelRequest(req.eventId);
                 if (!result.success && this.llmService) {
@@ -195,10 +236,89 @@ export class MessageService {
                     .then(res)
                     .catch(err => res({ success: false, error: err.message }));
             },
+            'startRegionPicker': (req, sender, res) => {
+                this.captureService.startRegionPicker(req.tabId, req.domain)
+                    .then(res)
+                    .catch(err => res({ success: false, error: err.message }));
+            },
             'performManualCleanup': (req, sender, res) => {
                 this.eventService.performManualCleanup()
                     .then(res)
                     .catch(err => res({ success: false, error: err.message }));
+            },
+
+            // Failed webhook deliveries, from the local queue and the cloud runner
+            'getWebhookDeliveries': async (req, sender, res) => {
+                try {
+                    const local = await this.webhookQueueService.getQueue().getSummary();
+                    let cloud = null;
+                    let cloudError = null;
+                    if (await this.ensureValidToken()) {
+                        try {
+                            cloud = await this.requestCloudDeliveries('GET');
+                        } catch (error) {
+                            cloudError = error.message;
+                        }
+                    }
+                    res({ success: true, local, cloud, cloudError });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
+            },
+            'replayWebhookDelivery': async (req, sender, res) => {
+                try {
+                    const result = req.source === 'cloud'
+                        ? await this.requestCloudDeliveries('POST', `/${req.id}/replay`)
+                        : await this.webhookQueueService.getQueue().replay(req.id);
+                    res({ success: true, delivered: result.success, httpStatus: result.httpStatus, error: result.error });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
+            },
+            'discardWebhookDelivery': async (req, sender, res) => {
+                try {
+                    if (req.source === 'cloud') {
+                        await this.requestCloudDeliveries('DELETE', `/${req.id}`);
+                    } else {
+                        await this.webhookQueueService.getQueue().discard(req.id);
+                    }
+                    res({ success: true });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
+            },
+            // Job changes from the popup; only this worker saves intervalJobs
+            'jobManagerWrite': async (req, sender, res) => {
+                try {
+                    const jobManager = this.captureService.getJobManager();
+                    if (!jobManager || !JOB_WRITE_METHODS.includes(req.method)) {
+                        throw new Error(`Unsupported job operation: ${req.method}`);
+                    }
+                    res({ success: true, result: await jobManager[req.method](...(req.args || [])) });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
+            },
+            // Stored results of the domain's cloud job as an export file
+            'exportCloudJobResults': async (req, sender, res) => {
+                try {
+                    res({ success: true, ...(await this.exportCloudJobResults(req.domain, req.format, req.filter)) });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
+            },
+            'testNotificationChannel': async (req, sender, res) => {
+                try {
+                    const errors = validateChannel(req.channel);
+                    if (errors.length > 0) {
+                        res({ success: false, error: errors.join(', ') });
+                        return;
+                    }
+                    const result = await this.testNotificationChannel(req.channel);
+                    res({ success: result.success, httpStatus: result.httpStatus, error: result.error });
+                } catch (error) {
+                    res({ success: false, error: error.message });
+                }
             }
         };
         return handlers[action];
@@ -296,14 +416,14 @@ export class MessageService {
                     if (field.name && results[field.name] !== undefined) {
                         const fieldResult = results[field.name];
 
-                        // Parse the result format: [boolean, probability] or direct values
+                        // Parse the result format: [value, probability] or direct values
                         if (Array.isArray(fieldResult) && fieldResult.length >= 2) {
                             field.result = fieldResult[0];
                             field.probability = fieldResult[1];
                         } else if (typeof fieldResult === 'object' && fieldResult.boolean !== undefined) {
                             field.result = fieldResult.boolean;
                             field.probability = fieldResult.probability || null;
-                        } else if (typeof fieldResult === 'boolean') {
+                        } else if (['boolean', 'number', 'string'].includes(typeof fieldResult)) {
                             field.result = fieldResult;
                             field.probability = null;
                         }
@@ -356,23 +476,20 @@ export class MessageService {
                 const fieldResult = results[fieldName];
                 if (!Array.isArray(fieldResult) || fieldResult.length < 1) return;
 
-                const result = fieldResult[0]; // boolean
+                const result = fieldResult[0]; // boolean or typed value
                 const probability = fieldResult.length > 1 ? fieldResult[1] : 0.8;
 
-                // Find field configuration for confidence threshold
-                const fieldConfig = domainFields.find(f => f.name === fieldName);
-                const threshold = fieldConfig?.webhookMinConfidence || 75;
+                // Find field configuration for confidence threshold and type
+                const fieldConfig = domainFields.find(f => f.name === fieldName) || {};
 
                 // Apply confidence filtering
-                let filteredResult = result;
-                if (result === true) {
-                    const confidencePercent = probability * 100;
-                    filteredResult = confidencePercent >= threshold;
-                }
-                // FALSE results stay FALSE regardless of confidence
+                // FALSE results stay FALSE regardless of confidence, low-confidence typed values are dropped
+                const filteredResult = applyConfidenceFilter(fieldConfig, result, probability);
 
-                // Only store the boolean value, not the confidence score
-                filteredResults[fieldName] = filteredResult;
+                // Only store the value, not the confidence score
+                if (filteredResult !== null) {
+                    filteredResults[fieldName] = filteredResult;
+                }
             });
 
             return filteredResults;
@@ -386,14 +503,16 @@ export class MessageService {
     // Shared capture preparation logic (DRY principle)
     async prepareCaptureData(domain) {
         try {
-            // Get global LLM configuration
-            const llmConfigData = await chrome.storage.local.get(['llmConfig_global']);
+            // Get global LLM configuration; a monitor can pick its own model
+            const modelKey = `monitorModel_${domain}`;
+            const llmConfigData = await chrome.storage.local.get(['llmConfig_global', modelKey]);
             const storedConfig = llmConfigData.llmConfig_global || {};
 
             const llmConfig = {
+                provider: storedConfig.provider || 'openai',
                 apiUrl: storedConfig.apiUrl || 'https://openrouter.ai/api/v1/chat/completions',
                 apiKey: storedConfig.apiKey || '',
-                model: storedConfig.model || 'gpt-4-vision-preview',
+                model: llmConfigData[modelKey] || storedConfig.model || 'gpt-4-vision-preview',
                 temperature: storedConfig.temperature !== undefined ? parseFloat(storedConfig.temperature) : 0.1,
                 maxTokens: storedConfig.maxTokens !== undefined ? parseInt(storedConfig.maxTokens) : 5000 // Increased from 2000 to 5000
             };
@@ -405,20 +524,32 @@ export class MessageService {
 
             // Get domain-specific fields
             const domainKey = `fields_${domain}`;
-            const storage = await chrome.storage.local.get([domainKey, 'usePreviousEvaluation']);
-            const domainFields = storage[domainKey] || [];
+            const storage = await chrome.storage.local.get([domainKey, 'usePreviousEvaluation', 'webhookSigningSecret', 'notificationChannels']);
+            const domainFields = resolveFieldChannels(storage[domainKey] || [], storage.notificationChannels);
 
             const fields = domainFields
                 .filter(f => f.name && f.name.trim() && f.description && f.description.trim())
                 .map(f => ({
                     name: this.captureService.sanitizeFieldName(f.friendlyName || f.name),
                     criteria: f.description,
+                    // Field type (boolean/number/enum/string) and enum options
+                    type: f.type || 'boolean',
+                    options: f.options || [],
                     // Include webhook configuration for cloud runner
                     webhookEnabled: f.webhookEnabled || false,
                     webhookUrl: f.webhookUrl || null,
                     webhookPayload: f.webhookPayload || null,
                     webhookTrigger: f.webhookTrigger !== undefined ? f.webhookTrigger : true, // Default to true
-                    webhookMinConfidence: f.webhookMinConfidence !== undefined ? f.webhookMinConfidence : 75 // Default to 75%
+                    webhookMinConfidence: f.webhookMinConfidence !== undefined ? f.webhookMinConfidence : 75, // Default to 75%
+                    webhookCondition: f.webhookCondition || '', // Comparison for typed fields, e.g. "price < 3200"
+                    webhookMode: f.webhookMode || 'level', // level, rising, falling or change
+                    webhookHoldRuns: f.webhookHoldRuns || 1,
+                    webhookCooldown: f.webhookCooldown || 0, // Seconds
+                    // The runner has no global settings, so resolve the field's signing secret and channel here
+                    webhookSecret: f.webhookSecret || storage.webhookSigningSecret || null,
+                    webhookChannelId: f.webhookChannelId || null,
+                    webhookChannel: f.webhookChannel || null,
+                    webhookScreenshot: f.webhookScreenshot || 'none'
                 }));
 
             console.log(`Prepared ${fields.length} fields for automatic capture`);
@@ -434,9 +565,16 @@ export class MessageService {
             }
 
             // Get capture settings
-            const captureSettings = await chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle']);
+            const captureSettings = await chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle', 'pageContextMode', 'textOnlyCapture']);
+            captureSettings.captureRegion = await this.captureService.getCaptureRegion(domain);
+            captureSettings.preCaptureActions = await this.captureService.getPreCaptureActions(domain);
 
-            const isValid = !!(llmConfig.apiUrl && llmConfig.apiKey && fields.length > 0);
+            // Get multi-model consensus settings for this domain
+            const consensusKey = `consensus_${domain}`;
+            const consensusData = await chrome.storage.local.get([consensusKey]);
+            captureSettings.consensus = consensusData[consensusKey] || null;
+
+            const isValid = getMissingLlmConfig(llmConfig).length === 0 && fields.length > 0;
 
             if (!isValid) {
                 console.error('Automatic capture validation failed:', {
@@ -583,7 +721,7 @@ export class MessageService {
                 this.getSessionData(tabId),
                 chrome.cookies.getAll({ url: tab.url }),
                 this.prepareCaptureData(domain), // Reuse existing data prep logic
-                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle'])
+                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle', 'pageContextMode', 'textOnlyCapture'])
             ]);
 
             if (!captureData.isValid) {
@@ -595,11 +733,17 @@ export class MessageService {
                 llmConfig: captureData.llmConfig,
                 fields: captureData.fields,
                 previousEvaluation: captureData.previousEvaluation,
-                domain: domain,
+                domain: getTargetHost(domain),
+                target: domain,
                 captureSettings: {
                     refreshPageToggle: captureSettings.refreshPageToggle || false,
                     captureDelay: captureSettings.captureDelay || '0',
-                    fullPageCaptureToggle: captureSettings.fullPageCaptureToggle || false
+                    fullPageCaptureToggle: captureSettings.fullPageCaptureToggle || false,
+                    captureRegion: captureData.captureSettings.captureRegion || null,
+                    preCaptureActions: captureData.captureSettings.preCaptureActions || [],
+                    pageContextMode: captureSettings.pageContextMode || 'none',
+                    textOnlyCapture: captureSettings.textOnlyCapture || false,
+                    consensus: captureData.captureSettings.consensus || null
                 }
             };
 
@@ -834,7 +978,9 @@ export class MessageService {
                                 // Update the existing event with results
                                 this.eventService.updateEvent(
                                     eventId,
-                                    llmResponse.evaluation || llmResponse, // The LLM response evaluation
+                                    llmResponse.consensus
+                                        ? { ...llmResponse.evaluation, consensus: llmResponse.consensus } // Keep per-model answers
+                                        : llmResponse.evaluation || llmResponse, // The LLM response evaluation
                                     200,
                                     null, // No error
                                     responseText,
@@ -998,16 +1144,9 @@ export class MessageService {
 
             try {
                 // NEW: First, update session data for interval jobs
-                // Find a tab with the domain to get fresh session data
+                // Find a tab matching the job's target to get fresh session data
                 const tabs = await chrome.tabs.query({});
-                const domainTab = tabs.find(tab => {
-                    try {
-                        const url = new URL(tab.url);
-                        return url.hostname.includes(domain) || domain.includes(url.hostname);
-                    } catch {
-                        return false;
-                    }
-                });
+                const domainTab = tabs.find(tab => tab.url && matchesTarget(domain, tab.url));
 
                 if (domainTab) {
                     console.log(`[Sync] Found active tab for domain ${domain}, refreshing session data...`);
@@ -1095,13 +1234,15 @@ export class MessageService {
                                     jobId: jobId,
                                     captureSettings: result.captureSettings,
                                     timestamp: result.timestamp,
+                                    actionLog: result.actionLog || undefined,
                                     source: 'cloud_sync'
                                 },
                                 result.error,
                                 eventId,
                                 'completed',
                                 'cloud',
-                                result.timestamp // Use server timestamp
+                                result.timestamp, // Use server timestamp
+                                result.durationMs ?? null // LLM time measured by the runner
                             );
                         } else {
                             // Handle successful results
@@ -1124,7 +1265,7 @@ export class MessageService {
                             const eventData = this.eventService.trackEvent(
                                 llmResponse, // Pass the full response - EventService will handle format differences
                                 domain,
-                                `https://${domain}`, // Provide a reasonable URL for cloud runs
+                                `https://${getTargetHost(domain)}`, // Provide a reasonable URL for cloud runs
                                 true,
                                 200,
                                 null,
@@ -1134,13 +1275,15 @@ export class MessageService {
                                     captureSettings: result.captureSettings,
                                     timestamp: result.timestamp,
                                     llmRequestPayload: result.llmRequestPayload,
+                                    actionLog: result.actionLog || undefined,
                                     source: 'cloud_sync'
                                 },
                                 responseText,
                                 eventId,
                                 'completed',
                                 'cloud',
-                                result.timestamp // Use server timestamp
+                                result.timestamp, // Use server timestamp
+                                result.durationMs ?? null // LLM time measured by the runner
                             );
 
                             // If the result includes field webhooks fired by cloud runner, add them to the event
@@ -1278,11 +1421,12 @@ export class MessageService {
             const tab = await chrome.tabs.get(tabId);
 
             // 1. Gather all necessary data including capture settings
-            const [sessionData, cookies, captureData, captureSettings] = await Promise.all([
+            const [sessionData, cookies, captureData, captureSettings, schedule] = await Promise.all([
                 this.getSessionData(tabId),
                 chrome.cookies.getAll({ url: tab.url }),
                 this.prepareCaptureData(domain),
-                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle'])
+                chrome.storage.local.get(['refreshPageToggle', 'captureDelay', 'fullPageCaptureToggle', 'pageContextMode', 'textOnlyCapture']),
+                this.getDomainSchedule(domain, interval)
             ]);
 
             if (!captureData.isValid) {
@@ -1295,13 +1439,20 @@ export class MessageService {
                 llmConfig: captureData.llmConfig,
                 fields: captureData.fields,
                 previousEvaluation: captureData.previousEvaluation,
-                interval: interval,
-                domain: domain,
+                interval: schedule.interval,
+                schedule: schedule,
+                domain: getTargetHost(domain),
+                target: domain, // Hostname or URL pattern; the runner keeps one job per target
                 url: tab.url, // For reference
                 captureSettings: {
                     refreshPageToggle: captureSettings.refreshPageToggle || false,
                     captureDelay: captureSettings.captureDelay || '0',
-                    fullPageCaptureToggle: captureSettings.fullPageCaptureToggle || false
+                    fullPageCaptureToggle: captureSettings.fullPageCaptureToggle || false,
+                    captureRegion: captureData.captureSettings.captureRegion || null,
+                    preCaptureActions: captureData.captureSettings.preCaptureActions || [],
+                    pageContextMode: captureSettings.pageContextMode || 'none',
+                    textOnlyCapture: captureSettings.textOnlyCapture || false,
+                    consensus: captureData.captureSettings.consensus || null
                 }
             };
 
@@ -1339,6 +1490,22 @@ export class MessageService {
         }
     }
 
+    // Build the job schedule from the domain's interval and schedule settings
+    async getDomainSchedule(domain, interval) {
+        const intervalKey = `interval_${domain}`;
+        const scheduleKey = `schedule_${domain}`;
+        const data = await chrome.storage.local.get([intervalKey, scheduleKey]);
+        const settings = data[scheduleKey] || {};
+
+        return createSchedule(interval, {
+            ...settings,
+            // The cron expression only applies when "Cron schedule" is the selected interval
+            cron: data[intervalKey] === 'cron' ? settings.cron : null,
+            // The runner works in UTC, so pin schedules to the browser's zone by default
+            timezone: settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+    }
+
     async stopCloudJob(request) {
         const { jobId, domain } = request;
         try {
@@ -1484,6 +1651,92 @@ export class MessageService {
         console.log('[TOKEN] Cleared stored authentication token');
     }
 
+    setWebhookQueueService(webhookQueueService) {
+        this.webhookQueueService = webhookQueueService;
+    }
+
+    // Send a sample notification; email channels can only be tested through the runner
+    async testNotificationChannel(channel) {
+        const { fieldName, fieldResult, context } = TEST_NOTIFICATION;
+
+        if (channel.type === 'email') {
+            const { cloudRunnerUrl } = await chrome.storage.local.get(['cloudRunnerUrl']);
+            const runnerEndpoint = (cloudRunnerUrl || 'https://runner.websophon.ai').replace(/\/$/, '');
+
+            const response = await this.makeAuthenticatedRequest(`${runnerEndpoint}/notifications/test`, {
+                method: 'POST',
+                body: JSON.stringify({ channel })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Cloud runner returned ${response.status}`);
+            }
+            return data;
+        }
+
+        const delivery = channel.type === 'webhook'
+            ? buildWebhookDelivery(fieldName, channel.url, null, fieldResult, context)
+            : buildChannelDelivery(channel, fieldName, fieldResult, context);
+        return sendWebhookDelivery(delivery);
+    }
+
+    // Call the runner's webhook delivery endpoints (list, replay, discard)
+    async requestCloudDeliveries(method, path = '') {
+        const { cloudRunnerUrl } = await chrome.storage.local.get(['cloudRunnerUrl']);
+        const runnerEndpoint = (cloudRunnerUrl || 'https://runner.websophon.ai').replace(/\/$/, '');
+
+        const response = await this.makeAuthenticatedRequest(`${runnerEndpoint}/webhooks/deliveries${path}`, { method });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Cloud runner returned ${response.status}`);
+        }
+        return data;
+    }
+
+    // Download a cloud job's export straight from the runner, so the file never passes through a message
+    // chrome.downloads sends the auth header itself; the runner's Content-Disposition names the file.
+    async exportCloudJobResults(domain, format, filter = {}) {
+        const jobKey = `cloud_job_${domain}`;
+        const { [jobKey]: jobId, cloudRunnerUrl } = await chrome.storage.local.get([jobKey, 'cloudRunnerUrl']);
+        if (!jobId) {
+            throw new Error(`No cloud job for ${domain}`);
+        }
+        if (!(await this.ensureValidToken())) {
+            throw new Error('No valid authentication token available');
+        }
+
+        const runnerEndpoint = (cloudRunnerUrl || 'https://runner.websophon.ai').replace(/\/$/, '');
+        const params = new URLSearchParams({ format });
+        if (filter.from) params.set('from', filter.from);
+        if (filter.to) params.set('to', filter.to);
+        if (filter.trueOnly) params.set('trueOnly', 'true');
+
+        const downloadId = await chrome.downloads.download({
+            url: `${runnerEndpoint}/job/${jobId}/export?${params}`,
+            headers: [{ name: 'Authorization', value: `Bearer ${this.cloudSecurity.authToken}` }]
+        });
+        return { downloadId, state: await this.waitForDownload(downloadId) };
+    }
+
+    // Resolve when a download completes; an HTTP error from the server interrupts it
+    waitForDownload(downloadId) {
+        return new Promise((resolve, reject) => {
+            const onChanged = (delta) => {
+                if (delta.id !== downloadId || !delta.state) return;
+                if (delta.state.current === 'complete') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    resolve('complete');
+                } else if (delta.state.current === 'interrupted') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    chrome.downloads.search({ id: downloadId }, ([item]) => {
+                        reject(new Error(`Download failed: ${item?.error || 'interrupted'}`));
+                    });
+                }
+            };
+            chrome.downloads.onChanged.addListener(onChanged);
+        });
+    }
+
     async getTokenStats() {
         if (!(await this.ensureValidToken())) {
             throw new Error('No valid authentication token available');
@@ -0,0 +1,62 @@
+// Durable retry queue for field webhooks fired by the service worker
+// Deliveries are kept in chrome.storage so retries survive worker and browser restarts;
+// a single chrome.alarms alarm wakes the worker when the next retry is due.
+import { WebhookQueue } from '../utils/webhook-queue.js';
+import { sendWebhookDelivery } from '../utils/webhook-utils.js';
+
+const QUEUE_STORAGE_KEY = 'webhookQueue';
+const RETRY_ALARM_NAME = 'websophon_webhook_retry';
+
+export class WebhookQueueService {
+    constructor() {
+        this.queue = new WebhookQueue({
+            store: {
+                load: async () => {
+                    const data = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+                    return data[QUEUE_STORAGE_KEY] || null;
+                },
+                save: state => chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: state })
+            },
+            send: sendWebhookDelivery,
+            onChange: () => this.scheduleRetryAlarm()
+        });
+    }
+
+    // Must be registered on every worker start, like the capture alarms
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name !== RETRY_ALARM_NAME) return;
+            this.processDue();
+        });
+    }
+
+    // Send whatever came due while the worker or browser was down
+    async restore() {
+        await this.queue.ensureLoaded();
+        await this.processDue();
+    }
+
+    async processDue() {
+        try {
+            await this.queue.processDue();
+        } catch (error) {
+            console.error('[Queue] Webhook retry pass failed:', error);
+        } finally {
+            await this.scheduleRetryAlarm();
+        }
+    }
+
+    // Arm the alarm for the earliest pending retry, or clear it when nothing is left
+    async scheduleRetryAlarm() {
+        const nextAttemptAt = this.queue.getNextAttemptAt();
+        if (nextAttemptAt === null) {
+            await chrome.alarms.clear(RETRY_ALARM_NAME);
+            return;
+        }
+        await chrome.alarms.create(RETRY_ALARM_NAME, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+    }
+
+    getQueue() {
+        return this.queue;
+    }
+}
@@ -1,5 +1,6 @@
 // Webhook communication service
 import { fireFieldWebhooks, fireFieldWebhook } from "../utils/webhook-utils.js";
+import { resolveFieldChannels } from "../utils/notification-channels.js";
 
 export class WebhookService {
     constructor(captureService, eventService) {
@@ -7,14 +8,23 @@ export class WebhookService {
         this.eventService = eventService;
         this.pendingRequests = new Map(); // Map of eventId to AbortController for cancellation
         this.userCancelledRequests = new Set(); // Track user-initiated cancellations
+        this.webhookQueue = null; // Retries failed field webhooks, set from the background entry point
+    }
+
+    setWebhookQueue(webhookQueue) {
+        this.webhookQueue = webhookQueue;
     }
 
     // Capture screenshot and send to webhook
     async captureAndSend(tabId, domain, webhookUrl, isManual = false, fields = null, refreshPage = false, captureDelay = 0) {
+        let releaseTab = null;
         try {
             console.log(`Attempting to capture screenshot for tab ${tabId}, domain: ${domain}, webhook: ${webhookUrl}`);
             console.log(`Refresh page: ${refreshPage}, Capture delay: ${captureDelay}s`);
 
+            // Hold the tab until the screenshot is taken (see CaptureService.lockTab)
+            releaseTab = await this.captureService.lockTab(tabId);
+
             // Handle page refresh if enabled
             if (refreshPage) {
                 console.log('Refreshing page before capture...');
@@ -52,6 +62,12 @@ export class WebhookService {
                 console.log('Capture delay completed');
             }
 
+            // Run the monitor's scripted pre-capture actions (click, type, wait-for...)
+            const preCapture = await this.captureService.runPreCaptureActions(tabId, domain);
+            if (!preCapture.success) {
+                throw new Error(preCapture.error);
+            }
+
             // For automatic captures, get fields from storage
             if (!fields && !isManual) {
                 const domainKey = `fields_${domain}`;
@@ -99,10 +115,16 @@ export class WebhookService {
                 chrome.storage.local.get(['fullPageCapture'], resolve);
             });
 
+            // Get the element-scoped capture region for this domain, if any
+            const captureRegion = await this.captureService.getCaptureRegion(domain);
+
             // Capture screenshot using CaptureService
-            const captureResult = await this.captureService.captureScreenshot(tabId, fullPageCapture);
+            const captureResult = await this.captureService.captureScreenshot(tabId, fullPageCapture, captureRegion);
             const { dataUrl, tab } = captureResult;
 
+            releaseTab();
+            releaseTab = null;
+
             // Convert dataURL to blob
             const response = await fetch(dataUrl);
             const blob = await response.blob();
@@ -129,7 +151,8 @@ export class WebhookService {
                 tabId: tabId.toString(),
                 url: tab.url,
                 isManual: isManual.toString(),
-                fields: fields
+                fields: fields,
+                actionLog: preCapture.log.length > 0 ? preCapture.log : undefined
             };
 
             console.log(`Sending to webhook: ${webhookUrl}`);
@@ -288,7 +311,7 @@ export class WebhookService {
 
             // Fire field-level webhooks for TRUE results
             if (hasFields && responseData) {
-                await this.fireFieldWebhooksWrapper(eventId, domain, responseData);
+                await this.fireFieldWebhooksWrapper(eventId, domain, responseData, tab.url, dataUrl);
             }
 
             console.log(`Screenshot sent successfully to webhook`);
@@ -337,16 +360,21 @@ export class WebhookService {
             }
 
             return { success: false, error: error.message };
+        } finally {
+            releaseTab?.();
         }
     }
 
     // Wrapper to use the shared webhook utility with the event service integration
-    async fireFieldWebhooksWrapper(eventId, domain, mainResponseData) {
+    async fireFieldWebhooksWrapper(eventId, domain, mainResponseData, url = '', screenshotDataUrl = null) {
         console.log('Checking for field webhooks to fire...');
 
-        // Get field configurations from storage
-        const storage = await chrome.storage.local.get([`fields_${domain}`]);
-        const fieldConfigs = storage[`fields_${domain}`] || [];
+        // Get field configurations and edge-trigger state from storage
+        const triggerStateKey = `triggerState_${domain}`;
+        const storage = await chrome.storage.local.get([`fields_${domain}`, triggerStateKey, 'webhookSigningSecret', 'notificationChannels']);
+        // Fields that send to a notification channel carry the channel's current settings
+        const fieldConfigs = resolveFieldChannels(storage[`fields_${domain}`] || [], storage.notificationChannels);
+        const triggerState = storage[triggerStateKey] || {};
 
         console.log('Field configurations from storage:', fieldConfigs);
 
@@ -381,7 +409,14 @@ export class WebhookService {
         }
 
         // Call the shared utility with standardized format
-        const fieldWebhooks = await fireFieldWebhooks(eventId, domain, { evaluation }, fieldConfigs);
+        const fieldWebhooks = await fireFieldWebhooks(eventId, domain, { evaluation }, fieldConfigs, triggerState, {
+            url,
+            summary: mainResponseData.summary || mainResponseData.reason || '',
+            screenshot: await this.captureService.getNotificationScreenshot(screenshotDataUrl, fieldConfigs),
+            signingSecret: storage.webhookSigningSecret || null,
+            queue: this.webhookQueue
+        });
+        await chrome.storage.local.set({ [triggerStateKey]: triggerState });
 
         // Update the event with field webhook results if any were fired
         if (fieldWebhooks.length > 0) {
@@ -0,0 +1,25 @@
+// Tests for the shared field type helpers. Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { coerceFieldValue, matchesTrigger } from '../utils/field-types.js';
+
+const numberField = { type: 'number' };
+
+test('number fields read the first number in the text', () => {
+    assert.equal(coerceFieldValue('$3,200 (1.2%)', numberField), 3200);
+    assert.equal(coerceFieldValue('1.25', numberField), 1.25);
+    assert.equal(coerceFieldValue('-42 points', numberField), -42);
+    assert.equal(coerceFieldValue('no price', numberField), null);
+});
+
+test('number fields accept a leading decimal point', () => {
+    assert.equal(coerceFieldValue('.5', numberField), 0.5);
+    assert.equal(coerceFieldValue('-.25', numberField), -0.25);
+    assert.equal(coerceFieldValue('down .75%', numberField), 0.75);
+});
+
+test('number conditions compare the coerced value', () => {
+    const field = { ...numberField, webhookCondition: '< 1' };
+    assert.equal(matchesTrigger(field, coerceFieldValue('.5', field)), true);
+    assert.equal(matchesTrigger(field, coerceFieldValue('5', field)), false);
+});
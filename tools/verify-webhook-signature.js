@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+// Verify signed WebSophon webhooks
+// Copy verifyWebhookSignature() into your receiver, or run this file for a local
+// test receiver that prints whether each delivery verifies:
+//   node verify-webhook-signature.js <secret> [port]
+import crypto from 'crypto';
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const SIGNATURE_HEADER = 'x-websophon-signature';
+const TIMESTAMP_HEADER = 'x-websophon-timestamp';
+
+/**
+ * Verify a WebSophon webhook delivery
+ * @param {string} secret - Signing secret configured in WebSophon
+ * @param {string} signedContent - Raw POST body, or the query string without "?" for GET deliveries
+ * @param {Object} headers - Request headers (lower-case names, as Node provides them)
+ * @param {number} toleranceSeconds - Maximum age of the delivery, rejects replays
+ * @returns {Object} { valid, error }
+ */
+export function verifyWebhookSignature(secret, signedContent, headers, toleranceSeconds = 300) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+
+    if (!signature || !timestamp) {
+        return { valid: false, error: 'Missing signature headers' };
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (!Number.isFinite(age) || age > toleranceSeconds) {
+        return { valid: false, error: `Timestamp outside the ${toleranceSeconds}s tolerance` };
+    }
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${signedContent}`)
+        .digest('hex');
+
+    // Compare in constant time; lengths must match for timingSafeEqual
+    const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    return { valid, error: valid ? null : 'Signature mismatch' };
+}
+
+// Local test receiver
+function startTestReceiver(secret, port) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            // Verify the exact bytes received, before any JSON parsing
+            const signedContent = req.method === 'GET'
+                ? new URL(req.url, `http://localhost:${port}`).search.slice(1)
+                : body;
+            const { valid, error } = verifyWebhookSignature(secret, signedContent, req.headers);
+
+            console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> ${valid ? '✅ valid signature' : `❌ ${error}`}`);
+            if (body) console.log(`   Body: ${body}`);
+
+            res.writeHead(valid ? 200 : 401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ valid, error }));
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Listening for signed webhooks on http://localhost:${port}/ (Ctrl+C to stop)`);
+    });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const secret = process.argv[2];
+    const port = parseInt(process.argv[3], 10) || 8787;
+
+    if (!secret) {
+        console.error('Usage: node verify-webhook-signature.js <secret> [port]');
+        console.error('Example: node verify-webhook-signature.js whsec_abc123 8787');
+        process.exit(1);
+    }
+
+    startTestReceiver(secret, port);
+}
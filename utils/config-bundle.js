@@ -0,0 +1,608 @@
+// Configuration bundles: export and import of WebSophon settings as versioned JSON
+// A bundle holds per-domain settings (fields, presets, capture options) and, for full
+// exports, the global settings. Runtime state such as last results, trigger state and
+// cloud job IDs is left out. Secrets can be replaced with a placeholder so a bundle can
+// be shared; importing a placeholder keeps the secret the browser already has, but only
+// while it still goes to the same endpoint.
+import { CHANNEL_TYPES } from './notification-channels.js';
+import { getProvider } from './llm-providers.js';
+import { validateTarget } from './url-target.js';
+import { validateActions } from './pre-capture-actions.js';
+
+export const CONFIG_BUNDLE_FORMAT = 'websophon-config';
+export const CONFIG_BUNDLE_VERSION = 1;
+export const REDACTED_VALUE = '[redacted]';
+
+// Bundle entry -> chrome.storage.local key prefix, one key per domain
+export const DOMAIN_SETTING_PREFIXES = {
+    fields: 'fields_',
+    presets: 'presets_',
+    consent: 'consent_',
+    interval: 'interval_',
+    schedule: 'schedule_',
+    captureRegion: 'captureRegion_',
+    consensus: 'consensus_',
+    presetLinks: 'presetLinks_',
+    model: 'monitorModel_',
+    actions: 'preCaptureActions_'
+};
+
+// Global chrome.storage.local keys included in full exports
+export const GLOBAL_SETTING_KEYS = [
+    'llmConfig_global',
+    'cloudRunnerUrl',
+    'includePremiumModels',
+    'webhookSigningSecret',
+    'notificationChannels',
+    'presetLibrary',
+    'refreshPageToggle',
+    'captureDelay',
+    'fullPageCaptureToggle',
+    'pageContextMode',
+    'textOnlyCapture',
+    'usePreviousEvaluation',
+    'cloudRunnerEnabled',
+    'historyRetention',
+    'theme'
+];
+
+// Set by captures, not by the user
+const FIELD_RUNTIME_KEYS = [
+    'result', 'probability', 'filteredResult', 'lastStatus', 'lastError', 'lastEventId',
+    'lastResultTime', 'lastResponseTime', 'isPending'
+];
+
+// Field settings holding credentials; webhook URLs often embed a token
+const FIELD_SECRET_KEYS = ['webhookUrl', 'webhookSecret'];
+
+// Settings that decide where a secret is sent. A redacted secret is only restored when
+// these match the stored values, so a bundle can't point a stored key at another server.
+const FIELD_ENDPOINT_KEYS = ['webhookUrl'];
+const LLM_ENDPOINT_KEYS = ['apiUrl', 'provider'];
+const CHANNEL_ENDPOINT_KEYS = ['type', 'url', 'chatId', 'server', 'topic', 'to'];
+
+// The cloud runner gets the auth token and every captured page; a token is only valid for
+// the runner that issued it, so a different runner URL drops the stored one
+const DEFAULT_CLOUD_RUNNER_URL = 'https://runner.websophon.ai';
+const CLOUD_RUNNER_TOKEN_KEYS = ['cloudAuthToken', 'cloudTokenExpiry', 'cloudQuotas', 'websophon_auth_token', 'websophon_token_expires'];
+
+export const IMPORT_MODES = {
+    merge: 'Merge (keep existing fields and settings, update matching fields)',
+    overwrite: 'Overwrite (replace the settings of imported domains and global settings)'
+};
+
+/**
+ * Build a bundle from chrome.storage.local contents
+ * @param {Object} storageData - Everything from chrome.storage.local.get()
+ * @param {Object} options - { domain: only this domain (null for everything), redactSecrets }
+ * @returns {Object} Bundle
+ */
+export function buildConfigBundle(storageData, { domain = null, redactSecrets = false } = {}) {
+    const domainNames = domain ? [domain] : getConfiguredDomains(storageData);
+    const domains = {};
+    for (const name of domainNames) {
+        domains[name] = exportDomainSettings(storageData, name, redactSecrets);
+    }
+
+    let global = {};
+    if (domain) {
+        // A single domain still needs the notification channels its fields send to
+        const channelIds = new Set(collectFields(domains[domain]).map(field => field.webhookChannelId).filter(Boolean));
+        const channels = (storageData.notificationChannels || []).filter(channel => channelIds.has(channel.id));
+        if (channels.length > 0) {
+            global.notificationChannels = channels;
+        }
+        // ...and the library presets it was set up from, so later versions can be applied
+        const presetIds = Object.keys(domains[domain].presetLinks || {});
+        const library = Object.fromEntries(presetIds
+            .filter(id => storageData.presetLibrary?.[id])
+            .map(id => [id, storageData.presetLibrary[id]]));
+        if (Object.keys(library).length > 0) {
+            global.presetLibrary = library;
+        }
+    } else {
+        for (const key of GLOBAL_SETTING_KEYS) {
+            if (storageData[key] !== undefined) {
+                global[key] = storageData[key];
+            }
+        }
+    }
+    if (redactSecrets) {
+        global = redactGlobalSettings(global);
+    }
+
+    return {
+        format: CONFIG_BUNDLE_FORMAT,
+        version: CONFIG_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        scope: domain || 'all',
+        redacted: !!redactSecrets,
+        domains,
+        global
+    };
+}
+
+/**
+ * File name for a bundle
+ * @param {string} scope - Domain or "all"
+ * @param {Date} date - Export date
+ * @returns {string} e.g. websophon-config-example.com-2026-10-19.json
+ */
+export function getConfigBundleFilename(scope, date = new Date()) {
+    const safeScope = String(scope || 'all').replace(/[^a-zA-Z0-9.-]+/g, '_');
+    return `websophon-config-${safeScope}-${date.toISOString().substring(0, 10)}.json`;
+}
+
+/**
+ * Check a parsed bundle before importing it
+ * @param {Object} bundle - Parsed JSON
+ * @returns {Array} Error messages, empty if the bundle can be imported
+ */
+export function validateConfigBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ['Not a WebSophon configuration file'];
+    }
+    if (bundle.format !== CONFIG_BUNDLE_FORMAT) {
+        return [`Unknown format "${bundle.format}", expected "${CONFIG_BUNDLE_FORMAT}"`];
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        return ['Missing or invalid bundle version'];
+    }
+    if (bundle.version > CONFIG_BUNDLE_VERSION) {
+        return [`Bundle version ${bundle.version} is newer than this extension supports (${CONFIG_BUNDLE_VERSION}); update WebSophon first`];
+    }
+
+    const errors = [];
+    if (!isPlainObject(bundle.domains)) {
+        errors.push('"domains" must be an object');
+    } else {
+        for (const [domain, settings] of Object.entries(bundle.domains)) {
+            errors.push(...validateDomainSettings(domain, settings));
+        }
+    }
+
+    if (bundle.global !== undefined) {
+        if (!isPlainObject(bundle.global)) {
+            errors.push('"global" must be an object');
+        } else {
+            for (const key of Object.keys(bundle.global)) {
+                if (!GLOBAL_SETTING_KEYS.includes(key)) {
+                    errors.push(`Unknown global setting "${key}"`);
+                }
+            }
+            errors.push(...validateChannels(bundle.global.notificationChannels));
+            errors.push(...validateLibrary(bundle.global.presetLibrary));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Domains and channels in a bundle that already exist in this browser
+ * @param {Object} bundle - Valid bundle
+ * @param {Object} storageData - Everything from chrome.storage.local.get()
+ * @returns {Object} { domains: [{ domain, existingFields, importedFields }], channels: [names] }
+ */
+export function findConfigConflicts(bundle, storageData) {
+    const configured = new Set(getConfiguredDomains(storageData));
+    const domains = Object.entries(bundle.domains)
+        .filter(([domain]) => configured.has(domain))
+        .map(([domain, settings]) => ({
+            domain,
+            existingFields: (storageData[`fields_${domain}`] || []).length,
+            importedFields: (settings.fields || []).length
+        }));
+
+    const existingChannels = new Map((storageData.notificationChannels || []).map(channel => [channel.id, channel]));
+    const channels = (bundle.global?.notificationChannels || [])
+        .filter(channel => existingChannels.has(channel.id))
+        .map(channel => channel.name || channel.id);
+
+    return { domains, channels };
+}
+
+/**
+ * Work out the storage changes for an import
+ * Merge keeps existing fields, presets and channels and updates the ones with the same
+ * name (or ID for channels); overwrite replaces each imported domain's settings entirely.
+ * Global settings and consent only replace the current ones in overwrite mode; merge
+ * only adds the ones this browser doesn't have yet.
+ * @param {Object} bundle - Valid bundle
+ * @param {Object} storageData - Everything from chrome.storage.local.get()
+ * @param {string} mode - Key of IMPORT_MODES
+ * @returns {Object} { set: { key: value }, remove: [keys], summary: { domains, fields, channels },
+ *   changes: { settings, kept, endpoints, secrets } } - changes lists the global keys that change,
+ *   the ones merge keeps, changed endpoints (LLM, channels, cloud runner) and secrets that have
+ *   to be entered again
+ */
+export function planConfigImport(bundle, storageData, mode = 'merge') {
+    if (!IMPORT_MODES[mode]) {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const set = {};
+    const remove = [];
+    const changes = { settings: [], kept: [], endpoints: [], secrets: [] };
+    let fieldCount = 0;
+
+    for (const [domain, settings] of Object.entries(bundle.domains)) {
+        for (const [entry, prefix] of Object.entries(DOMAIN_SETTING_PREFIXES)) {
+            const key = prefix + domain;
+            const existing = storageData[key];
+            let value = settings[entry];
+
+            if (value === undefined) {
+                if (mode === 'overwrite' && existing !== undefined) {
+                    remove.push(key);
+                }
+                continue;
+            }
+
+            if (entry === 'fields') {
+                value = mode === 'merge' ? mergeFields(existing || [], value) : restoreFields(value, existing || []);
+                fieldCount += settings.fields.length;
+                changes.secrets.push(...findFieldSecretsToEnter(settings.fields, value, domain));
+            } else if (entry === 'presets') {
+                value = restorePresets(value, existing || {});
+                if (mode === 'merge') {
+                    value = { ...(existing || {}), ...value };
+                }
+            } else if (entry === 'consent' && mode === 'merge' && existing !== undefined) {
+                // Capture consent is given in this browser, not by a file
+                if (existing !== value) changes.kept.push(key);
+                continue;
+            }
+            set[key] = value;
+        }
+    }
+
+    const global = bundle.global || {};
+    for (const [key, value] of Object.entries(global)) {
+        const existing = storageData[key];
+        let planned;
+        if (key === 'notificationChannels') {
+            planned = mergeChannels(existing || [], value);
+            changes.endpoints.push(...describeChannelChanges(existing || [], value));
+            changes.secrets.push(...findChannelSecretsToEnter(value, planned));
+        } else if (key === 'presetLibrary') {
+            planned = mergeLibrary(existing || {}, value);
+        } else if (key === 'cloudRunnerUrl') {
+            // No stored URL means the default runner, so merge can't quietly switch it either
+            const current = existing || DEFAULT_CLOUD_RUNNER_URL;
+            if (normalizeUrl(value) === normalizeUrl(current)) continue;
+            if (mode === 'merge') {
+                changes.kept.push(key);
+                continue;
+            }
+            planned = value;
+            changes.endpoints.push(`Cloud runner: ${current} → ${value || DEFAULT_CLOUD_RUNNER_URL}`);
+            const tokenKeys = CLOUD_RUNNER_TOKEN_KEYS.filter(tokenKey => storageData[tokenKey] !== undefined);
+            if (tokenKeys.length > 0) {
+                remove.push(...tokenKeys);
+                changes.secrets.push('Cloud runner sign-in');
+            }
+        } else if (mode === 'merge' && existing !== undefined) {
+            if (JSON.stringify(existing) !== JSON.stringify(value)) changes.kept.push(key);
+            continue;
+        } else if (key === 'llmConfig_global') {
+            // Older configs have no provider and derive it from the API URL
+            const stored = existing && { ...existing, provider: getProvider(existing) };
+            planned = restoreSecrets({ ...value, provider: getProvider(value) }, stored || {}, ['apiKey'], LLM_ENDPOINT_KEYS);
+            changes.endpoints.push(...describeEndpointChanges('LLM', stored, planned, LLM_ENDPOINT_KEYS));
+            if (value.apiKey === REDACTED_VALUE && !planned.apiKey) changes.secrets.push('LLM API key');
+        } else if (value === REDACTED_VALUE) {
+            if (existing === undefined) continue;
+            planned = existing;
+        } else {
+            planned = value;
+        }
+
+        if (JSON.stringify(existing) !== JSON.stringify(planned)) changes.settings.push(key);
+        set[key] = planned;
+    }
+
+    return {
+        set,
+        remove,
+        summary: {
+            domains: Object.keys(bundle.domains).length,
+            fields: fieldCount,
+            channels: (global.notificationChannels || []).length
+        },
+        changes
+    };
+}
+
+// Domains with any stored settings, sorted
+function getConfiguredDomains(storageData) {
+    const domains = new Set();
+    for (const key of Object.keys(storageData)) {
+        for (const prefix of Object.values(DOMAIN_SETTING_PREFIXES)) {
+            if (key.startsWith(prefix) && key.length > prefix.length) {
+                domains.add(key.substring(prefix.length));
+            }
+        }
+    }
+    return [...domains].sort();
+}
+
+function exportDomainSettings(storageData, domain, redactSecrets) {
+    const settings = {};
+    for (const [entry, prefix] of Object.entries(DOMAIN_SETTING_PREFIXES)) {
+        const value = storageData[prefix + domain];
+        if (value !== undefined) {
+            settings[entry] = value;
+        }
+    }
+
+    if (settings.fields) {
+        settings.fields = settings.fields.map(field => exportField(field, redactSecrets));
+    }
+    if (settings.presets) {
+        settings.presets = Object.fromEntries(Object.entries(settings.presets).map(([name, preset]) => [
+            name,
+            { ...preset, fields: (preset.fields || []).map(field => exportField(field, redactSecrets)) }
+        ]));
+    }
+    if (settings.presetLinks) {
+        // Links keep the template fields of the version the domain got
+        settings.presetLinks = Object.fromEntries(Object.entries(settings.presetLinks).map(([id, link]) => [
+            id,
+            link?.fields ? { ...link, fields: link.fields.map(field => exportField(field, redactSecrets)) } : link
+        ]));
+    }
+    return settings;
+}
+
+function exportField(field, redactSecrets) {
+    const exported = { ...field };
+    FIELD_RUNTIME_KEYS.forEach(key => delete exported[key]);
+    if (redactSecrets) {
+        FIELD_SECRET_KEYS.forEach(key => {
+            if (exported[key]) exported[key] = REDACTED_VALUE;
+        });
+    }
+    return exported;
+}
+
+function redactGlobalSettings(global) {
+    const redacted = { ...global };
+    if (redacted.llmConfig_global?.apiKey) {
+        redacted.llmConfig_global = { ...redacted.llmConfig_global, apiKey: REDACTED_VALUE };
+    }
+    if (redacted.webhookSigningSecret) {
+        redacted.webhookSigningSecret = REDACTED_VALUE;
+    }
+    if (redacted.presetLibrary) {
+        redacted.presetLibrary = Object.fromEntries(Object.entries(redacted.presetLibrary).map(([id, preset]) => [
+            id,
+            { ...preset, fields: (preset.fields || []).map(field => exportField(field, true)) }
+        ]));
+    }
+    if (redacted.notificationChannels) {
+        redacted.notificationChannels = redacted.notificationChannels.map(channel => {
+            const copy = { ...channel };
+            getChannelSecretKeys(channel).forEach(key => {
+                if (copy[key]) copy[key] = REDACTED_VALUE;
+            });
+            return copy;
+        });
+    }
+    return redacted;
+}
+
+// Put back secrets the bundle left out, from the matching existing object
+// A secret whose endpoint settings differ from the stored ones is cleared instead.
+function restoreSecrets(imported, existing, keys, endpointKeys = []) {
+    const restored = { ...imported };
+    for (const key of keys) {
+        if (restored[key] !== REDACTED_VALUE) continue;
+        const sameEndpoint = endpointKeys
+            .filter(endpointKey => endpointKey !== key)
+            .every(endpointKey => (restored[endpointKey] ?? '') === (existing?.[endpointKey] ?? ''));
+        restored[key] = sameEndpoint ? existing?.[key] || '' : '';
+    }
+    return restored;
+}
+
+function restoreFields(fields, existingFields) {
+    const byName = new Map(existingFields.map(field => [field.name, field]));
+    return fields.map(field => restoreSecrets(field, byName.get(field.name), FIELD_SECRET_KEYS, FIELD_ENDPOINT_KEYS));
+}
+
+function normalizeUrl(url) {
+    return String(url || DEFAULT_CLOUD_RUNNER_URL).trim().replace(/\/+$/, '').toLowerCase();
+}
+
+function getChannelSecretKeys(channel) {
+    return (CHANNEL_TYPES[channel.type]?.settings || [])
+        .filter(setting => setting.secret)
+        .map(setting => setting.key);
+}
+
+// "LLM: apiUrl" style labels for the endpoint settings an import changes
+function describeEndpointChanges(label, existing, imported, endpointKeys) {
+    if (!existing) return [];
+    return endpointKeys
+        .filter(key => imported[key] !== undefined && imported[key] !== REDACTED_VALUE)
+        .filter(key => (imported[key] ?? '') !== (existing[key] ?? ''))
+        .map(key => `${label}: ${key} ${existing[key] || '(empty)'} → ${imported[key] || '(empty)'}`);
+}
+
+function describeChannelChanges(existingChannels, importedChannels) {
+    const byId = new Map(existingChannels.map(channel => [channel.id, channel]));
+    return importedChannels.flatMap(channel =>
+        describeEndpointChanges(`Channel "${channel.name || channel.id}"`, byId.get(channel.id), channel, CHANNEL_ENDPOINT_KEYS));
+}
+
+// Redacted secrets the import could not restore, so they are empty after importing
+function findChannelSecretsToEnter(importedChannels, plannedChannels) {
+    const byId = new Map(plannedChannels.map(channel => [channel.id, channel]));
+    return importedChannels.flatMap(channel => getChannelSecretKeys(channel)
+        .filter(key => channel[key] === REDACTED_VALUE && !byId.get(channel.id)?.[key])
+        .map(key => `Channel "${channel.name || channel.id}": ${key}`));
+}
+
+function findFieldSecretsToEnter(importedFields, plannedFields, domain) {
+    const byName = new Map(plannedFields.map(field => [field.name, field]));
+    return importedFields.flatMap(field => FIELD_SECRET_KEYS
+        .filter(key => field[key] === REDACTED_VALUE && !byName.get(field.name)?.[key])
+        .map(key => `${domain} field "${field.friendlyName || field.name}": ${key}`));
+}
+
+function restorePresets(presets, existingPresets) {
+    return Object.fromEntries(Object.entries(presets).map(([name, preset]) => [
+        name,
+        { ...preset, fields: restoreFields(preset.fields || [], existingPresets[name]?.fields || []) }
+    ]));
+}
+
+// Imported fields replace existing ones with the same name (keeping their ID); the rest are added
+function mergeFields(existingFields, importedFields) {
+    const merged = existingFields.map(field => ({ ...field }));
+    for (const imported of importedFields) {
+        const index = merged.findIndex(field => field.name === imported.name);
+        if (index === -1) {
+            merged.push(restoreSecrets(imported, null, FIELD_SECRET_KEYS));
+        } else {
+            const existing = merged[index];
+            merged[index] = { ...existing, ...restoreSecrets(imported, existing, FIELD_SECRET_KEYS, FIELD_ENDPOINT_KEYS), id: existing.id };
+        }
+    }
+    return merged;
+}
+
+function mergeChannels(existingChannels, importedChannels) {
+    const merged = existingChannels.map(channel => ({ ...channel }));
+    for (const imported of importedChannels) {
+        const index = merged.findIndex(channel => channel.id === imported.id);
+        const secretKeys = getChannelSecretKeys(imported);
+        if (index === -1) {
+            merged.push(restoreSecrets(imported, null, secretKeys));
+        } else {
+            merged[index] = restoreSecrets(imported, merged[index], secretKeys, CHANNEL_ENDPOINT_KEYS);
+        }
+    }
+    return merged;
+}
+
+// Library presets are matched by ID; a newer local version is kept
+function mergeLibrary(existingLibrary, importedLibrary) {
+    const merged = { ...existingLibrary };
+    for (const [id, imported] of Object.entries(importedLibrary)) {
+        const existing = existingLibrary[id];
+        if (existing && existing.version > imported.version) continue;
+        const existingFields = existing?.fields || [];
+        merged[id] = {
+            ...imported,
+            fields: (imported.fields || []).map((field, index) => restoreSecrets(field, existingFields[index], FIELD_SECRET_KEYS, FIELD_ENDPOINT_KEYS))
+        };
+    }
+    return merged;
+}
+
+function collectFields(settings) {
+    const presetFields = Object.values(settings.presets || {}).flatMap(preset => preset.fields || []);
+    return [...(settings.fields || []), ...presetFields];
+}
+
+function validateDomainSettings(domain, settings) {
+    const errors = [];
+    const targetError = validateTarget(domain);
+    if (targetError) {
+        errors.push(`Invalid domain or URL pattern "${domain}": ${targetError}`);
+    }
+    if (!isPlainObject(settings)) {
+        return [...errors, `Settings for ${domain} must be an object`];
+    }
+
+    for (const entry of Object.keys(settings)) {
+        if (!DOMAIN_SETTING_PREFIXES[entry]) {
+            errors.push(`${domain}: unknown setting "${entry}"`);
+        }
+    }
+    if (settings.fields !== undefined) {
+        errors.push(...validateFields(settings.fields, domain));
+    }
+    if (settings.presets !== undefined) {
+        if (!isPlainObject(settings.presets)) {
+            errors.push(`${domain}: presets must be an object`);
+        } else {
+            for (const [name, preset] of Object.entries(settings.presets)) {
+                errors.push(...validateFields(preset?.fields, `${domain} preset "${name}"`));
+            }
+        }
+    }
+    if (settings.consent !== undefined && typeof settings.consent !== 'boolean') {
+        errors.push(`${domain}: consent must be true or false`);
+    }
+    if (settings.model !== undefined && typeof settings.model !== 'string') {
+        errors.push(`${domain}: model must be a model name`);
+    }
+    if (settings.actions !== undefined) {
+        const actionsError = validateActions(settings.actions);
+        if (actionsError) errors.push(`${domain}: ${actionsError}`);
+    }
+    for (const entry of ['schedule', 'captureRegion', 'consensus', 'presetLinks']) {
+        if (settings[entry] !== undefined && settings[entry] !== null && !isPlainObject(settings[entry])) {
+            errors.push(`${domain}: ${entry} must be an object`);
+        }
+    }
+    return errors;
+}
+
+function validateLibrary(library) {
+    if (library === undefined) return [];
+    if (!isPlainObject(library)) {
+        return ['"presetLibrary" must be an object'];
+    }
+    const errors = [];
+    for (const [id, preset] of Object.entries(library)) {
+        const label = `Library preset "${preset?.name || id}"`;
+        if (!isPlainObject(preset) || typeof preset.name !== 'string' || !Number.isInteger(preset.version)) {
+            errors.push(`${label} needs a name and a version`);
+        } else if (!Array.isArray(preset.fields) || preset.fields.some(field => !isPlainObject(field) || !field.friendlyName)) {
+            errors.push(`${label}: every field needs a display name`);
+        }
+    }
+    return errors;
+}
+
+function validateFields(fields, context) {
+    if (!Array.isArray(fields)) {
+        return [`${context}: fields must be a list`];
+    }
+    const errors = [];
+    const names = new Set();
+    fields.forEach((field, index) => {
+        if (!isPlainObject(field) || typeof field.name !== 'string' || !field.name) {
+            errors.push(`${context}: field ${index + 1} has no name`);
+            return;
+        }
+        if (names.has(field.name)) {
+            errors.push(`${context}: duplicate field "${field.name}"`);
+        }
+        names.add(field.name);
+    });
+    return errors;
+}
+
+function validateChannels(channels) {
+    if (channels === undefined) return [];
+    if (!Array.isArray(channels)) {
+        return ['notificationChannels must be a list'];
+    }
+    return channels.flatMap((channel, index) => {
+        if (!isPlainObject(channel) || !channel.id) {
+            return [`Notification channel ${index + 1} has no ID`];
+        }
+        if (!CHANNEL_TYPES[channel.type]) {
+            return [`Notification channel "${channel.name || channel.id}" has unknown type "${channel.type}"`];
+        }
+        return [];
+    });
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,190 @@
+// Shared multi-model consensus helpers.
+// Several models evaluate the same capture and their per-field answers are
+// combined with a strategy. Used by both the extension and the cloud runner.
+import { getFieldType } from './field-types.js';
+
+export const CONSENSUS_STRATEGIES = ['majority', 'unanimous', 'weighted'];
+
+/**
+ * Get the model configurations to run for a capture
+ * The primary LLM config is always first; extra models inherit its provider,
+ * URL and key unless they override them.
+ * @param {Object} llmConfig - Primary LLM configuration
+ * @param {Object} consensusConfig - { enabled, strategy, models: [string | { model, provider, apiUrl, apiKey }] }
+ * @returns {Array<Object>} LLM configurations (a single entry when consensus is off)
+ */
+export function getConsensusModels(llmConfig, consensusConfig) {
+    if (!consensusConfig || !consensusConfig.enabled || !Array.isArray(consensusConfig.models)) {
+        return [llmConfig];
+    }
+
+    const configs = [llmConfig];
+    for (const entry of consensusConfig.models) {
+        const override = typeof entry === 'string' ? { model: entry.trim() } : entry;
+        if (!override || !override.model) continue;
+
+        const config = { ...llmConfig, ...override };
+        const isDuplicate = configs.some(existing =>
+            existing.model === config.model && existing.apiUrl === config.apiUrl);
+        if (!isDuplicate) configs.push(config);
+    }
+
+    return configs;
+}
+
+/**
+ * Get the consensus strategy, defaulting to majority vote
+ * @param {Object} consensusConfig - Consensus configuration
+ * @returns {string} One of CONSENSUS_STRATEGIES
+ */
+export function getConsensusStrategy(consensusConfig) {
+    const strategy = consensusConfig && consensusConfig.strategy;
+    return CONSENSUS_STRATEGIES.includes(strategy) ? strategy : 'majority';
+}
+
+/**
+ * Combine per-model evaluations into one evaluation
+ * Fields the strategy can't agree on (e.g. a unanimous split) are left out,
+ * so no webhook fires for them.
+ * @param {Array<Object>} modelResults - [{ model, evaluation: { field: [value, confidence] }, summary, rawResponse, error }]
+ * @param {Array<Object>} fields - Field configurations
+ * @param {string} strategy - One of CONSENSUS_STRATEGIES
+ * @returns {Object} Flat evaluation (field -> [value, confidence], summary) with a `consensus` record
+ */
+export function combineEvaluations(modelResults, fields, strategy = 'majority') {
+    const answered = modelResults.filter(result => result.evaluation && !result.error);
+    const combined = {};
+    const votes = {};
+    const disagreements = [];
+
+    for (const field of fields) {
+        const answers = answered
+            .map(result => ({ model: result.model, data: result.evaluation[field.name] }))
+            .filter(answer => Array.isArray(answer.data) && answer.data.length >= 1)
+            .map(answer => ({
+                model: answer.model,
+                value: answer.data[0],
+                confidence: typeof answer.data[1] === 'number' ? answer.data[1] : 0.5
+            }));
+
+        votes[field.name] = answers.reduce((map, answer) => {
+            map[answer.model] = [answer.value, answer.confidence];
+            return map;
+        }, {});
+
+        if (answers.length === 0) continue;
+
+        const distinctValues = new Set(answers.map(answer => normalizeVote(answer.value)));
+        if (distinctValues.size > 1 || answers.length < answered.length) {
+            disagreements.push(field.name);
+        }
+
+        const result = combineField(answers, field, strategy, answered.length);
+        if (result) {
+            combined[field.name] = result;
+        }
+    }
+
+    const failedModels = modelResults.filter(result => result.error).map(result => result.model);
+    let summary = `Consensus (${strategy}) of ${answered.length}/${modelResults.length} models.`;
+    if (disagreements.length > 0) summary += ` Models disagreed on: ${disagreements.join(', ')}.`;
+    if (failedModels.length > 0) summary += ` Failed: ${failedModels.join(', ')}.`;
+
+    const firstSummary = answered.find(result => result.summary);
+    if (firstSummary) summary += `\n\n[${firstSummary.model}] ${firstSummary.summary}`;
+
+    combined.summary = summary;
+    combined.consensus = {
+        strategy,
+        models: modelResults.map(result => ({
+            model: result.model,
+            provider: result.provider || null,
+            success: !result.error,
+            error: result.error || null,
+            evaluation: result.evaluation || null,
+            summary: result.summary || '',
+            rawResponse: result.rawResponse || ''
+        })),
+        votes,
+        disagreements
+    };
+
+    return combined;
+}
+
+/**
+ * Join each model's raw response for the history "Response" section
+ * @param {Array<Object>} modelResults - Per-model results
+ * @returns {string} Raw responses separated by model headers
+ */
+export function formatConsensusResponses(modelResults) {
+    return modelResults
+        .map(result => `=== ${result.model}${result.error ? ' (failed)' : ''} ===\n${result.rawResponse || result.error || ''}`)
+        .join('\n\n');
+}
+
+// Compare votes case-insensitively for text values
+function normalizeVote(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+// Combine the answers for one field with the chosen strategy
+function combineField(answers, field, strategy, modelCount) {
+    const type = getFieldType(field);
+
+    if (strategy === 'unanimous') {
+        // Every model that ran must answer, and all answers must match
+        const first = normalizeVote(answers[0].value);
+        const agreed = answers.length === modelCount && answers.every(answer => normalizeVote(answer.value) === first);
+        if (!agreed) return null;
+        return [answers[0].value, Math.min(...answers.map(answer => answer.confidence))];
+    }
+
+    if (strategy === 'weighted') {
+        if (type === 'boolean') {
+            // Average probability that the condition is TRUE
+            const pTrue = answers.reduce((sum, answer) =>
+                sum + (answer.value === true ? answer.confidence : 1 - answer.confidence), 0) / answers.length;
+            return pTrue >= 0.5 ? [true, pTrue] : [false, 1 - pTrue];
+        }
+        if (type === 'number') {
+            const totalWeight = answers.reduce((sum, answer) => sum + answer.confidence, 0);
+            if (totalWeight === 0) return null;
+            const value = answers.reduce((sum, answer) => sum + answer.value * answer.confidence, 0) / totalWeight;
+            const confidence = totalWeight / answers.length;
+            return [Math.round(value * 1e6) / 1e6, confidence];
+        }
+        // Enum/string: the value with the most total confidence wins
+        const groups = groupVotes(answers);
+        const totalConfidence = answers.reduce((sum, answer) => sum + answer.confidence, 0);
+        const best = groups.sort((a, b) => b.totalConfidence - a.totalConfidence)[0];
+        return [best.value, totalConfidence > 0 ? best.totalConfidence / totalConfidence : 0];
+    }
+
+    // Majority vote; ties go to the group with more total confidence
+    const groups = groupVotes(answers).sort((a, b) =>
+        b.answers.length - a.answers.length || b.totalConfidence - a.totalConfidence);
+    const best = groups[0];
+    if (groups.length > 1 && groups[1].answers.length === best.answers.length &&
+        groups[1].totalConfidence === best.totalConfidence) {
+        // A perfect tie has no majority
+        return null;
+    }
+
+    return [best.value, best.totalConfidence / best.answers.length];
+}
+
+// Group identical answers, keeping the first spelling of each value
+function groupVotes(answers) {
+    const groups = new Map();
+    for (const answer of answers) {
+        const key = normalizeVote(answer.value);
+        if (!groups.has(key)) {
+            groups.set(key, { value: answer.value, answers: [], totalConfidence: 0 });
+        }
+        const group = groups.get(key);
+        group.answers.push(answer);
+        group.totalConfidence += answer.confidence;
+    }
+    return Array.from(groups.values());
+}
@@ -0,0 +1,448 @@
+// IndexedDB history of capture events, shared by the service worker and the popup
+// Events and their screenshots live in separate object stores, so queries never load
+// images they don't need. The service worker (EventService) owns all writes; the popup
+// may read directly, e.g. when the worker does not answer.
+// Indexes cover the common queries: by time, by domain and time, by field and time,
+// and by field, result and time. Everything else is filtered while iterating.
+
+const DB_NAME = 'websophon-history';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+const SCREENSHOTS_STORE = 'screenshots';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMESTAMP_MAX = '￿'; // Sorts after every ISO timestamp
+
+export const HISTORY_RETENTION_KEY = 'historyRetention';
+
+// 0 means no limit, so by default history is kept forever
+export const DEFAULT_HISTORY_RETENTION = {
+    maxAgeDays: 0, // Delete events older than this
+    maxEvents: 0, // Delete the oldest events beyond this count
+    screenshotMaxAgeDays: 0 // Drop screenshots older than this, keeping the events
+};
+
+/**
+ * Fill in a saved retention policy
+ * @param {Object|null} saved - Policy from chrome.storage
+ * @returns {Object} Policy with every limit a non-negative number
+ */
+export function getRetentionPolicy(saved) {
+    const policy = { ...DEFAULT_HISTORY_RETENTION };
+    for (const key of Object.keys(policy)) {
+        const value = Number(saved?.[key]);
+        policy[key] = Number.isFinite(value) && value > 0 ? value : 0;
+    }
+    return policy;
+}
+
+/**
+ * Whether an event matches a history query
+ * field, result and the confidence range must all hold for the same field.
+ * @param {Object} event - Event record
+ * @param {Object} query - { domain, field, result, minConfidence, maxConfidence (0-1), httpStatus
+ *   (e.g. 404 or "5xx"), outcome ("success"/"error"), source ("cloud"/"local"), text, from, to, trueOnly }
+ * @returns {boolean} True if every given condition holds
+ */
+export function matchesEventQuery(event, query = {}) {
+    if (query.domain && event.domain !== query.domain) return false;
+    if (query.source && (event.source || 'local') !== query.source) return false;
+    if (query.trueOnly && !event.hasTrueResult) return false;
+    if (query.from && event.timestamp < query.from) return false;
+    if (query.to && event.timestamp > query.to) return false;
+    if (query.outcome === 'success' && event.success === false) return false;
+    if (query.outcome === 'error' && event.success !== false) return false;
+    if (hasValue(query.httpStatus) && !matchesHttpStatus(event.httpStatus, query.httpStatus)) return false;
+    if (query.text && !String(event.summary || '').toLowerCase().includes(String(query.text).toLowerCase())) return false;
+
+    if (hasFieldConditions(query)) {
+        return (event.fields || []).some(field => matchesFieldQuery(field, query));
+    }
+    return true;
+}
+
+/**
+ * Whether one field result meets the field-level conditions of a query
+ * @param {Object} field - Field result { name, result, probability }
+ * @param {Object} query - Query as for matchesEventQuery()
+ * @returns {boolean} True if the name, result and confidence conditions hold
+ */
+export function matchesFieldQuery(field, query) {
+    if (query.field && field.name !== query.field) return false;
+    if (hasValue(query.result) && String(field.result) !== String(query.result)) return false;
+    if (hasValue(query.minConfidence) || hasValue(query.maxConfidence)) {
+        if (typeof field.probability !== 'number') return false;
+        if (hasValue(query.minConfidence) && field.probability < query.minConfidence) return false;
+        if (hasValue(query.maxConfidence) && field.probability > query.maxConfidence) return false;
+    }
+    return true;
+}
+
+/**
+ * Whether a query has conditions on individual field results
+ * @param {Object} query - Query as for matchesEventQuery()
+ * @returns {boolean} True if field, result or a confidence bound is set
+ */
+export function hasFieldConditions(query) {
+    return !!query.field || hasValue(query.result) || hasValue(query.minConfidence) || hasValue(query.maxConfidence);
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Exact status, or a class such as "4xx"
+function matchesHttpStatus(status, expected) {
+    const pattern = String(expected).trim().toLowerCase();
+    if (/^[1-5]xx$/.test(pattern)) {
+        return !!status && String(status)[0] === pattern[0];
+    }
+    return String(status) === pattern;
+}
+
+export class EventStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // Open (and on first use create) the database once
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+                    events.createIndex('timestamp', 'timestamp');
+                    events.createIndex('domain', ['domain', 'timestamp']);
+                    events.createIndex('field', 'fieldKeys', { multiEntry: true });
+                    events.createIndex('fieldResult', 'fieldResultKeys', { multiEntry: true });
+
+                    const screenshots = db.createObjectStore(SCREENSHOTS_STORE, { keyPath: 'eventId' });
+                    screenshots.createIndex('timestamp', 'timestamp');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null; // Let the next call try again
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Save events, splitting screenshots into their own store
+     * Events without a screenshot keep whatever screenshot is already stored for them.
+     * @param {Array} events - Event records
+     * @returns {Promise<void>}
+     */
+    async putEvents(events) {
+        const db = await this.open();
+        const tx = db.transaction([EVENTS_STORE, SCREENSHOTS_STORE], 'readwrite');
+        for (const event of events) {
+            tx.objectStore(EVENTS_STORE).put(toRecord(event));
+            if (event.screenshot) {
+                tx.objectStore(SCREENSHOTS_STORE).put({ eventId: event.id, timestamp: event.timestamp, dataUrl: event.screenshot });
+            }
+        }
+        await transactionDone(tx);
+    }
+
+    putEvent(event) {
+        return this.putEvents([event]);
+    }
+
+    /**
+     * Look up one event
+     * @param {number|string} id - Event ID
+     * @param {Object} options - { withScreenshot }
+     * @returns {Promise<Object|null>} Event, or null if it does not exist
+     */
+    async getEvent(id, { withScreenshot = false } = {}) {
+        const db = await this.open();
+        const record = await requestResult(db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE).get(id));
+        if (!record) return null;
+
+        const event = fromRecord(record);
+        if (withScreenshot && event.hasScreenshot) {
+            event.screenshot = await this.getScreenshot(id);
+        }
+        return event;
+    }
+
+    /**
+     * Screenshot of an event
+     * @param {number|string} eventId - Event ID
+     * @returns {Promise<string|null>} Data URL, or null if none is stored
+     */
+    async getScreenshot(eventId) {
+        const db = await this.open();
+        const record = await requestResult(db.transaction(SCREENSHOTS_STORE).objectStore(SCREENSHOTS_STORE).get(eventId));
+        return record ? record.dataUrl : null;
+    }
+
+    /**
+     * Events matching a query, newest first
+     * from and to are inclusive ISO timestamps; result is compared as a string, so
+     * true, "true" and 3200 all match the stored values.
+     * @param {Object} query - { domain, field, result, from, to, source, trueOnly, limit, offset, withScreenshots }
+     * @returns {Promise<Array>} Events (with screenshot data only when withScreenshots is set)
+     */
+    async queryEvents(query = {}) {
+        const db = await this.open();
+        const limit = query.limit || Infinity;
+        const offset = query.offset || 0;
+        const events = [];
+        let skipped = 0;
+
+        const { index, range } = selectIndex(query);
+        const store = db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE);
+        await iterateCursor(store.index(index).openCursor(range, 'prev'), cursor => {
+            const event = fromRecord(cursor.value);
+            if (matchesEventQuery(event, query)) {
+                if (skipped < offset) {
+                    skipped++;
+                } else {
+                    events.push(event);
+                }
+            }
+            return events.length < limit;
+        });
+
+        if (query.withScreenshots) {
+            for (const event of events) {
+                if (event.hasScreenshot) event.screenshot = await this.getScreenshot(event.id);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Visit every event matching a query, newest first, without collecting them
+     * For statistics over long periods: each event is read from the cursor and dropped
+     * after the callback, and screenshots are never loaded.
+     * @param {Object} query - Same conditions as queryEvents(); limit and offset are ignored
+     * @param {Function} onEvent - Called with each event
+     * @returns {Promise<number>} Number of events visited
+     */
+    async forEachEvent(query, onEvent) {
+        const db = await this.open();
+        const { index, range } = selectIndex(query);
+        const store = db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE);
+        let visited = 0;
+
+        await iterateCursor(store.index(index).openCursor(range, 'prev'), cursor => {
+            const event = fromRecord(cursor.value);
+            if (matchesEventQuery(event, query)) {
+                onEvent(event);
+                visited++;
+            }
+            return true;
+        });
+        return visited;
+    }
+
+    /**
+     * Number of events matching a query
+     * @param {Object} query - Same conditions as queryEvents()
+     * @returns {Promise<number>} Count
+     */
+    async countEvents(query = {}) {
+        const db = await this.open();
+        const { index, range } = selectIndex(query);
+        const store = db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE);
+
+        // The index range is exact unless a condition has to be checked per event
+        if (isIndexExact(query)) {
+            return requestResult(store.index(index).count(range));
+        }
+
+        let count = 0;
+        await iterateCursor(store.index(index).openCursor(range), cursor => {
+            if (matchesEventQuery(fromRecord(cursor.value), query)) count++;
+            return true;
+        });
+        return count;
+    }
+
+    /**
+     * Delete events matching a query, with their screenshots
+     * @param {Object} query - Same conditions as queryEvents()
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async deleteEvents(query = {}) {
+        const db = await this.open();
+        const tx = db.transaction([EVENTS_STORE, SCREENSHOTS_STORE], 'readwrite');
+        const screenshots = tx.objectStore(SCREENSHOTS_STORE);
+        const { index, range } = selectIndex(query);
+        let deleted = 0;
+
+        await iterateCursor(tx.objectStore(EVENTS_STORE).index(index).openCursor(range), cursor => {
+            if (matchesEventQuery(fromRecord(cursor.value), query)) {
+                screenshots.delete(cursor.primaryKey);
+                cursor.delete();
+                deleted++;
+            }
+            return true;
+        });
+        await transactionDone(tx);
+        return deleted;
+    }
+
+    /**
+     * Delete the oldest events
+     * @param {number} count - Number of events to delete
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async deleteOldestEvents(count) {
+        if (count <= 0) return 0;
+
+        const db = await this.open();
+        const tx = db.transaction([EVENTS_STORE, SCREENSHOTS_STORE], 'readwrite');
+        const screenshots = tx.objectStore(SCREENSHOTS_STORE);
+        let deleted = 0;
+
+        await iterateCursor(tx.objectStore(EVENTS_STORE).index('timestamp').openCursor(), cursor => {
+            screenshots.delete(cursor.primaryKey);
+            cursor.delete();
+            deleted++;
+            return deleted < count;
+        });
+        await transactionDone(tx);
+        return deleted;
+    }
+
+    /**
+     * Delete screenshots but keep their events
+     * @param {string|null} before - Only screenshots taken up to this ISO timestamp, or all when null
+     * @returns {Promise<number>} Number of screenshots deleted
+     */
+    async deleteScreenshots(before = null) {
+        const db = await this.open();
+        const tx = db.transaction([EVENTS_STORE, SCREENSHOTS_STORE], 'readwrite');
+        const events = tx.objectStore(EVENTS_STORE);
+        const range = before ? IDBKeyRange.upperBound(before) : null;
+        let deleted = 0;
+
+        await iterateCursor(tx.objectStore(SCREENSHOTS_STORE).index('timestamp').openCursor(range), cursor => {
+            const eventId = cursor.primaryKey;
+            events.get(eventId).onsuccess = (e) => {
+                const record = e.target.result;
+                if (record) events.put({ ...record, hasScreenshot: false });
+            };
+            cursor.delete();
+            deleted++;
+            return true;
+        });
+        await transactionDone(tx);
+        return deleted;
+    }
+
+    /**
+     * Apply a retention policy
+     * @param {Object} policy - Policy from getRetentionPolicy()
+     * @param {number} now - Current time in ms
+     * @returns {Promise<Object>} { deletedEvents, deletedScreenshots }
+     */
+    async applyRetention(policy, now = Date.now()) {
+        const result = { deletedEvents: 0, deletedScreenshots: 0 };
+
+        if (policy.maxAgeDays > 0) {
+            result.deletedEvents += await this.deleteEvents({ to: new Date(now - policy.maxAgeDays * DAY_MS).toISOString() });
+        }
+        if (policy.maxEvents > 0) {
+            result.deletedEvents += await this.deleteOldestEvents(await this.countEvents() - policy.maxEvents);
+        }
+        if (policy.screenshotMaxAgeDays > 0) {
+            result.deletedScreenshots += await this.deleteScreenshots(new Date(now - policy.screenshotMaxAgeDays * DAY_MS).toISOString());
+        }
+        return result;
+    }
+
+    // Delete every event and screenshot
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction([EVENTS_STORE, SCREENSHOTS_STORE], 'readwrite');
+        tx.objectStore(EVENTS_STORE).clear();
+        tx.objectStore(SCREENSHOTS_STORE).clear();
+        await transactionDone(tx);
+    }
+}
+
+// Whether selectIndex() alone selects exactly the matching events
+function isIndexExact(query) {
+    const perEvent = ['source', 'trueOnly', 'outcome', 'httpStatus', 'text', 'minConfidence', 'maxConfidence'];
+    if (perEvent.some(key => hasValue(query[key]) && query[key] !== false)) return false;
+    // A result without a field, or a domain together with field conditions, is filtered per event
+    if (hasValue(query.result) && !query.field) return false;
+    return !(query.domain && hasFieldConditions(query));
+}
+
+// Pick the narrowest index for a query; the remaining conditions are checked per event
+function selectIndex({ domain, field, result, from, to }) {
+    const lower = from || '';
+    const upper = to || TIMESTAMP_MAX;
+
+    if (domain) {
+        return { index: 'domain', range: IDBKeyRange.bound([domain, lower], [domain, upper]) };
+    }
+    if (field && result !== undefined && result !== null && result !== '') {
+        return { index: 'fieldResult', range: IDBKeyRange.bound([field, String(result), lower], [field, String(result), upper]) };
+    }
+    if (field) {
+        return { index: 'field', range: IDBKeyRange.bound([field, lower], [field, upper]) };
+    }
+    return { index: 'timestamp', range: from || to ? IDBKeyRange.bound(lower, upper) : null };
+}
+
+// Stored form of an event: no screenshot, plus the keys of the multi-entry field indexes
+function toRecord(event) {
+    const { screenshot, ...record } = event;
+    const timestamp = record.timestamp || '';
+    const fields = Array.isArray(record.fields) ? record.fields : [];
+    return {
+        ...record,
+        hasScreenshot: screenshot ? true : !!record.hasScreenshot,
+        fieldKeys: fields.map(field => [field.name, timestamp]),
+        fieldResultKeys: fields.map(field => [field.name, String(field.result), timestamp])
+    };
+}
+
+function fromRecord(record) {
+    const { fieldKeys, fieldResultKeys, ...event } = record;
+    return event;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// Walk a cursor; onRecord returns false to stop early
+function iterateCursor(request, onRecord) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (onRecord(cursor) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
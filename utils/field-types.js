@@ -0,0 +1,263 @@
+// Shared field type helpers for typed field evaluation.
+// Used by both the extension and the cloud runner.
+
+export const FIELD_TYPES = ['boolean', 'number', 'enum', 'string'];
+
+// Longer operators first so "<=" is not read as "<"
+const CONDITION_PATTERN = /^\s*(?:([a-zA-Z0-9_]+)\s*)?(<=|>=|!=|==|=|<|>|contains\b|matches\b)\s*(.+?)\s*$/i;
+
+/**
+ * Get the type of a field, defaulting to boolean for legacy fields
+ * @param {Object} field - Field configuration
+ * @returns {string} One of FIELD_TYPES
+ */
+export function getFieldType(field) {
+    return field && FIELD_TYPES.includes(field.type) ? field.type : 'boolean';
+}
+
+/**
+ * Get the allowed values of an enum field as a clean array
+ * @param {Object} field - Field configuration
+ * @returns {Array<string>} Allowed values (empty for non-enum fields)
+ */
+export function getEnumOptions(field) {
+    if (!field || getFieldType(field) !== 'enum') return [];
+
+    const options = Array.isArray(field.options)
+        ? field.options
+        : String(field.options || '').split(',');
+
+    return options.map(option => String(option).trim()).filter(Boolean);
+}
+
+/**
+ * Coerce a raw LLM value to the field's declared type
+ * @param {*} value - Raw value returned by the LLM
+ * @param {Object} field - Field configuration
+ * @returns {boolean|number|string|null} Typed value, or null if it can't be coerced
+ */
+export function coerceFieldValue(value, field) {
+    if (value === null || value === undefined) return null;
+
+    switch (getFieldType(field)) {
+        case 'number': {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+            // First number in the text, so "$3,200 (1.2%)" is 3200 and not 32001.2, and ".5" is 0.5
+            const match = String(value).match(/-?(?:\d[\d,]*)?\.?\d+/);
+            if (!match) return null;
+            const number = parseFloat(match[0].replace(/,/g, ''));
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'enum': {
+            const text = String(value).trim();
+            const options = getEnumOptions(field);
+            if (options.length === 0) return text || null;
+            // Return the canonical spelling of the option
+            return options.find(option => option.toLowerCase() === text.toLowerCase()) || null;
+        }
+        case 'string': {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+            return text || null;
+        }
+        default: {
+            if (typeof value === 'boolean') return value;
+            // Legacy behaviour: any string other than "true" counts as FALSE
+            if (typeof value === 'string') return value.trim().toLowerCase() === 'true';
+            return null;
+        }
+    }
+}
+
+/**
+ * Parse a comparison condition such as "price < 3200" or "!= closed"
+ * The leading field name is optional and only there for readability.
+ * @param {string} expression - Condition expression
+ * @returns {Object|null} { field, operator, operand } or null if invalid
+ */
+export function parseCondition(expression) {
+    if (!expression || typeof expression !== 'string') return null;
+
+    const match = expression.match(CONDITION_PATTERN);
+    if (!match) return null;
+
+    let operator = match[2].toLowerCase();
+    if (operator === '=') operator = '==';
+
+    // Allow quoted operands: status == "open"
+    const operand = match[3].replace(/^(['"])(.*)\1$/, '$2');
+
+    return {
+        field: match[1] || null,
+        operator: operator,
+        operand: operand
+    };
+}
+
+/**
+ * Evaluate a comparison condition against a typed value
+ * @param {*} value - Typed field value
+ * @param {string|Object} condition - Condition expression or parsed condition
+ * @param {Object} field - Field configuration (used to coerce the operand)
+ * @param {Object} options - { allowRegex: false never holds for "matches", for conditions from untrusted clients }
+ * @returns {boolean} Whether the condition holds
+ */
+export function evaluateCondition(value, condition, field = {}, { allowRegex = true } = {}) {
+    const parsed = typeof condition === 'string' ? parseCondition(condition) : condition;
+    if (!parsed || value === null || value === undefined) return false;
+
+    const { operator, operand } = parsed;
+
+    if (operator === 'contains') {
+        return String(value).toLowerCase().includes(operand.toLowerCase());
+    }
+    if (operator === 'matches') {
+        if (!allowRegex) return false;
+        try {
+            return new RegExp(operand, 'i').test(String(value));
+        } catch (e) {
+            console.warn(`Invalid regex in condition: ${operand}`);
+            return false;
+        }
+    }
+
+    // Compare numerically for number fields, case-insensitively for everything else
+    let left = value;
+    let right = operand;
+    if (getFieldType(field) === 'number') {
+        right = coerceFieldValue(operand, field);
+        if (right === null) return false;
+    } else {
+        left = String(value).toLowerCase();
+        right = String(operand).toLowerCase();
+    }
+
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default: return false;
+    }
+}
+
+/**
+ * Apply the field's confidence threshold to a result
+ * Boolean TRUE below the threshold is demoted to FALSE; typed values
+ * below the threshold are dropped (null) since they can't be trusted.
+ * @param {Object} field - Field configuration (webhookMinConfidence in percent)
+ * @param {*} value - Typed field value
+ * @param {number} probability - Confidence score (0-1)
+ * @returns {boolean|number|string|null} Filtered result
+ */
+export function applyConfidenceFilter(field, value, probability) {
+    const minConfidence = field && field.webhookMinConfidence !== undefined ? field.webhookMinConfidence : 75;
+    const confident = probability !== null && probability !== undefined && probability * 100 >= minConfidence;
+
+    if (getFieldType(field) === 'boolean') {
+        // FALSE results remain FALSE regardless of confidence
+        return value === true && confident;
+    }
+
+    return confident && value !== null && value !== undefined ? value : null;
+}
+
+/**
+ * Check whether a filtered result matches the field's webhook trigger
+ * Boolean fields use webhookTrigger (TRUE/FALSE); typed fields use
+ * webhookCondition, and fire on any trusted value when no condition is set.
+ * @param {Object} field - Field configuration
+ * @param {*} filteredResult - Result after applyConfidenceFilter
+ * @param {Object} options - Passed on to evaluateCondition
+ * @returns {boolean} Whether the webhook should fire
+ */
+export function matchesTrigger(field, filteredResult, options = {}) {
+    if (getFieldType(field) === 'boolean') {
+        const shouldTriggerOnTrue = field.webhookTrigger !== false; // Default to true if undefined
+        return shouldTriggerOnTrue ? filteredResult === true : filteredResult === false;
+    }
+
+    if (filteredResult === null || filteredResult === undefined) return false;
+    if (!field.webhookCondition || !field.webhookCondition.trim()) return true;
+
+    return evaluateCondition(filteredResult, field.webhookCondition, field, options);
+}
+
+/**
+ * Fields whose webhook condition uses the "matches" (regex) operator
+ * @param {Array<Object>} fields - Field configurations
+ * @returns {Array<Object>} Fields with a regex condition
+ */
+export function findRegexConditions(fields) {
+    return (Array.isArray(fields) ? fields : []).filter(field => field && typeof field.webhookCondition === 'string'
+        && parseCondition(field.webhookCondition)?.operator === 'matches');
+}
+
+/**
+ * Describe a field's trigger for logs and UI
+ * @param {Object} field - Field configuration
+ * @returns {string} Human readable trigger description
+ */
+export function describeTrigger(field) {
+    if (getFieldType(field) === 'boolean') {
+        return field.webhookTrigger !== false ? 'TRUE' : 'FALSE';
+    }
+    return field.webhookCondition && field.webhookCondition.trim() ? field.webhookCondition.trim() : 'any value';
+}
+
+/**
+ * Field name sent to the LLM, derived from the display name
+ * @param {string} friendlyName - Name as typed by the user
+ * @returns {string} Lowercase name with underscores, e.g. "Order filled?" -> order_filled
+ */
+export function toFieldName(friendlyName) {
+    if (!friendlyName || !friendlyName.trim()) return 'unnamed_field';
+
+    return friendlyName
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]/g, '_')  // Replace non-alphanumeric with underscores
+        .replace(/^_+|_+$/g, '')     // Remove leading/trailing underscores
+        .replace(/_+/g, '_')         // Replace multiple underscores with single
+        || 'unnamed_field';
+}
+
+/**
+ * Format a typed value for display
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+export function formatFieldValue(value) {
+    if (value === true) return 'TRUE';
+    if (value === false) return 'FALSE';
+    if (value === null || value === undefined) return 'N/A';
+    if (typeof value === 'number') return value.toLocaleString();
+    return String(value);
+}
+
+/**
+ * Coerce every configured field in an evaluation object to its declared type
+ * Values that can't be coerced are removed so they never reach webhooks.
+ * @param {Object} evaluation - Field name -> [value, confidence]
+ * @param {Array<Object>} fields - Field configurations
+ * @returns {Object} The same evaluation object with typed values
+ */
+export function coerceEvaluation(evaluation, fields) {
+    if (!evaluation || typeof evaluation !== 'object' || !Array.isArray(fields)) return evaluation;
+
+    for (const field of fields) {
+        const fieldData = evaluation[field.name];
+        if (!Array.isArray(fieldData) || fieldData.length < 1) continue;
+
+        const value = coerceFieldValue(fieldData[0], field);
+        if (value === null) {
+            console.warn(`Field "${field.name}" value ${JSON.stringify(fieldData[0])} is not a valid ${getFieldType(field)}, dropping it`);
+            delete evaluation[field.name];
+            continue;
+        }
+        evaluation[field.name] = [value, ...fieldData.slice(1)];
+    }
+
+    return evaluation;
+}
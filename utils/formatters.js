@@ -94,6 +94,19 @@ export function downloadScreenshot(screenshotData, timestamp) {
     }
 }
 
+// Save generated data (text or bytes) as a download
+export function downloadFile(data, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 // Open screenshot in new tab
 export function openScreenshotInNewTab(screenshotData) {
     try {
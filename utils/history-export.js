@@ -0,0 +1,302 @@
+// History export to CSV, JSON Lines and ZIP, shared by the extension and the cloud runner
+// CSV has one row per field result for spreadsheets; JSONL keeps each event whole,
+// request and response included, without screenshot data. The ZIP bundles both with
+// the screenshots as image files. Cloud job results are converted to the same event
+// shape first, so both sides export identical files.
+import { matchesEventQuery } from './event-store.js';
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV (one row per field)', extension: 'csv', mimeType: 'text/csv' },
+    jsonl: { label: 'JSON Lines (full events)', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+    zip: { label: 'ZIP with screenshots', extension: 'zip', mimeType: 'application/zip' }
+};
+
+const CSV_COLUMNS = [
+    'event_id', 'timestamp', 'domain', 'url', 'source', 'status', 'success', 'http_status',
+    'field', 'result', 'probability', 'duration_ms', 'summary', 'error'
+];
+
+/**
+ * Build an export file
+ * @param {Array} events - Events, newest first, with screenshot data for ZIP exports
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Object} { data, mimeType, extension }; data is a string, or a Uint8Array for ZIP
+ */
+export function buildHistoryExport(events, format) {
+    const info = EXPORT_FORMATS[format];
+    if (!info) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let data;
+    if (format === 'csv') {
+        data = eventsToCsv(events);
+    } else if (format === 'jsonl') {
+        data = eventsToJsonl(events);
+    } else {
+        data = eventsToZip(events);
+    }
+    return { data, mimeType: info.mimeType, extension: info.extension };
+}
+
+/**
+ * File name for an export
+ * @param {string} scope - Domain, job or "all"
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Date} date - Export date
+ * @returns {string} e.g. websophon-example.com-2026-10-19.csv
+ */
+export function getExportFilename(scope, format, date = new Date()) {
+    const safeScope = String(scope || 'all').replace(/[^a-zA-Z0-9.-]+/g, '_');
+    return `websophon-${safeScope}-${date.toISOString().substring(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Keep the events matching an export filter
+ * @param {Array} events - Events
+ * @param {Object} filter - { domain, from, to, trueOnly }, as for EventStore.queryEvents()
+ * @returns {Array} Matching events
+ */
+export function filterExportEvents(events, filter = {}) {
+    return events.filter(event => matchesEventQuery(event, filter));
+}
+
+/**
+ * CSV with one row per field result; events without fields get a single row
+ * @param {Array} events - Events
+ * @returns {string} CSV text
+ */
+export function eventsToCsv(events) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const event of events) {
+        const base = [
+            event.id, event.timestamp, event.domain, event.url, event.source, event.status,
+            event.success, event.httpStatus
+        ];
+        const tail = [event.summary, event.error];
+        const fields = event.fields && event.fields.length > 0 ? event.fields : [null];
+
+        for (const field of fields) {
+            const cells = [...base, field?.name, field?.result, field?.probability, event.durationMs, ...tail];
+            rows.push(cells.map(csvCell).join(','));
+        }
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON Lines with one full event per line, screenshots left out
+ * @param {Array} events - Events
+ * @param {Object} screenshotFiles - Optional event ID -> file name in a ZIP
+ * @returns {string} JSONL text
+ */
+export function eventsToJsonl(events, screenshotFiles = {}) {
+    return events.map(event => {
+        const { screenshot, ...rest } = event;
+        const line = { ...rest, hasScreenshot: !!screenshot || !!event.hasScreenshot };
+        if (screenshotFiles[event.id]) {
+            line.screenshotFile = screenshotFiles[event.id];
+        }
+        return JSON.stringify(line);
+    }).join('\n') + (events.length > 0 ? '\n' : '');
+}
+
+/**
+ * ZIP with events.csv, events.jsonl and screenshots/<event id>.<ext>
+ * @param {Array} events - Events with screenshot data
+ * @returns {Uint8Array} ZIP file
+ */
+export function eventsToZip(events) {
+    const screenshotFiles = {};
+    const files = [];
+
+    for (const event of events) {
+        const match = /^data:image\/([a-z]+);base64,(.*)$/.exec(event.screenshot || '');
+        if (!match) continue;
+
+        const extension = match[1] === 'jpeg' ? 'jpg' : match[1];
+        const name = `screenshots/${String(event.id).replace(/[^a-zA-Z0-9_-]+/g, '_')}.${extension}`;
+        screenshotFiles[event.id] = name;
+        files.push({ name, data: base64ToBytes(match[2]) });
+    }
+
+    return createZip([
+        { name: 'events.csv', data: eventsToCsv(events) },
+        { name: 'events.jsonl', data: eventsToJsonl(events, screenshotFiles) },
+        ...files
+    ]);
+}
+
+/**
+ * Convert a cloud runner job result into an event like the extension's history
+ * @param {Object} result - Entry of job.results
+ * @param {Object} job - Job it belongs to ({ id, domain })
+ * @returns {Object} Event
+ */
+export function cloudResultToEvent(result, job) {
+    const llmResponse = result.llmResponse || {};
+    const fields = result.error ? [] : extractFieldResults(llmResponse.evaluation || llmResponse);
+
+    return {
+        id: result.resultId,
+        timestamp: result.timestamp,
+        domain: job.domain,
+        url: `https://${job.domain}`,
+        success: !result.error,
+        httpStatus: result.error ? 500 : 200,
+        error: result.error || null,
+        fields,
+        summary: llmResponse.summary || '',
+        hasTrueResult: fields.some(field => field.result === true),
+        durationMs: result.durationMs ?? null,
+        screenshot: result.screenshotData || null,
+        request: {
+            jobId: job.id,
+            captureSettings: result.captureSettings,
+            llmRequestPayload: result.llmRequestPayload,
+            actionLog: result.actionLog || undefined
+        },
+        response: result.error || result.llmRawResponse || JSON.stringify(llmResponse),
+        status: 'completed',
+        source: 'cloud',
+        consensus: llmResponse.consensus || null,
+        fieldWebhooks: llmResponse.webhooks || result.fieldWebhooks || []
+    };
+}
+
+// Field results from an evaluation in any of the LLM answer formats
+function extractFieldResults(evaluation) {
+    const fields = [];
+    for (const [name, data] of Object.entries(evaluation)) {
+        if (['reason', 'summary', 'consensus', 'webhooks'].includes(name)) continue;
+
+        let result = null;
+        let probability = null;
+        if (Array.isArray(data) && data.length >= 1) {
+            result = data[0];
+            probability = data.length > 1 ? data[1] : null;
+        } else if (data && typeof data === 'object') {
+            const value = data.result !== undefined ? data.result : data.boolean;
+            result = Array.isArray(value) ? value[0] : value;
+            probability = data.confidence ?? data.probability ?? null;
+        }
+
+        if (result !== null && result !== undefined && ['boolean', 'number', 'string'].includes(typeof result)) {
+            fields.push({ name, result, probability });
+        }
+    }
+    return fields;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from running text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// --- Minimal ZIP writer ---
+// Files are stored uncompressed: screenshots are already JPEG/PNG and text is small
+// next to them, and it keeps the writer dependency-free for both runtimes.
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive (stored, no compression)
+ * @param {Array} files - [{ name, data }] with data as a string or Uint8Array
+ * @param {Date} date - Modification time for every entry
+ * @returns {Uint8Array} ZIP file
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -0,0 +1,101 @@
+// History search filters for the popup's search bar, filter panel and URL hash
+// A filter holds the form values as strings (confidence in percent); toHistoryQuery()
+// turns it into an EventStore query. The hash form, e.g.
+// #history?field=price_drop&q=sold%20out&event=1729330000000, reopens the same view
+// and lets other parts of the popup deep-link into a filtered history.
+
+export const HISTORY_FILTER_KEYS = [
+    'q', // Free text in the LLM summary
+    'domain',
+    'field',
+    'result',
+    'minConf', // Confidence range in percent
+    'maxConf',
+    'status', // HTTP status, e.g. 404 or 5xx
+    'outcome', // success or error
+    'source', // cloud or local
+    'trueOnly'
+];
+
+/**
+ * Drop empty and unknown values from a filter
+ * @param {Object} filter - Filter values
+ * @returns {Object} Filter with only the set keys, as trimmed strings
+ */
+export function normalizeHistoryFilter(filter = {}) {
+    const normalized = {};
+    for (const key of HISTORY_FILTER_KEYS) {
+        const value = filter[key];
+        if (key === 'trueOnly') {
+            if (value === true || value === '1' || value === 'true') normalized.trueOnly = '1';
+        } else if (value !== undefined && value !== null && String(value).trim() !== '') {
+            normalized[key] = String(value).trim();
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Whether a filter needs a search of the full history
+ * TRUE-only on its own just narrows the recent events, as before.
+ * @param {Object} filter - Normalized filter
+ * @returns {boolean} True if any condition other than trueOnly is set
+ */
+export function isSearchFilter(filter = {}) {
+    return Object.keys(filter).some(key => key !== 'trueOnly');
+}
+
+/**
+ * Turn a filter into an EventStore query
+ * @param {Object} filter - Normalized filter
+ * @returns {Object} Query for EventStore.queryEvents() and matchesEventQuery()
+ */
+export function toHistoryQuery(filter = {}) {
+    const percent = value => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number / 100 : undefined;
+    };
+    return {
+        text: filter.q,
+        domain: filter.domain,
+        field: filter.field,
+        result: filter.result,
+        minConfidence: percent(filter.minConf),
+        maxConfidence: percent(filter.maxConf),
+        httpStatus: filter.status,
+        outcome: filter.outcome,
+        source: filter.source,
+        trueOnly: filter.trueOnly === '1'
+    };
+}
+
+/**
+ * URL hash for a history view
+ * @param {Object} filter - Filter values
+ * @param {number|string|null} eventId - Event to scroll to
+ * @returns {string} Hash starting with #history
+ */
+export function buildHistoryHash(filter = {}, eventId = null) {
+    const params = new URLSearchParams(normalizeHistoryFilter(filter));
+    if (eventId !== null && eventId !== undefined) {
+        params.set('event', String(eventId));
+    }
+    const query = params.toString();
+    return query ? `#history?${query}` : '#history';
+}
+
+/**
+ * Read a history view from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {Object|null} { filter, eventId }, or null if the hash is not a history link
+ */
+export function parseHistoryHash(hash) {
+    const match = /^#history(?:\?(.*))?$/.exec(hash || '');
+    if (!match) return null;
+
+    const params = new URLSearchParams(match[1] || '');
+    return {
+        filter: normalizeHistoryFilter(Object.fromEntries(params)),
+        eventId: params.get('event')
+    };
+}
@@ -0,0 +1,151 @@
+// Statistics over capture history for the dashboard page
+// Works on events as stored by EventService: per-field timelines, TRUE rates, confidence,
+// latency (durationMs, LLM request to response for both local and cloud runs) and error rates, split by domain and
+// by cloud/local source. Pending events are left out until they complete.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DASHBOARD_RANGES = {
+    '24h': { label: 'Last 24 hours', durationMs: DAY_MS },
+    '7d': { label: 'Last 7 days', durationMs: 7 * DAY_MS },
+    '30d': { label: 'Last 30 days', durationMs: 30 * DAY_MS }
+};
+
+/**
+ * Statistics built one event at a time
+ * The dashboard feeds it straight from an EventStore cursor, so a 30-day range never
+ * has to be held in memory; only the timeline points are kept.
+ * @returns {Object} { add(event), result() } - result() returns the same shape as computeHistoryStats()
+ */
+export function createHistoryStats() {
+    const overview = createSummary();
+    const sources = { cloud: createSummary(), local: createSummary() };
+    const domains = new Map();
+    const timelines = new Map();
+
+    return {
+        add(event) {
+            if (event.status === 'pending') return;
+            const domain = event.domain || 'unknown';
+            if (!domains.has(domain)) domains.set(domain, createSummary());
+
+            overview.add(event);
+            domains.get(domain).add(event);
+            sources[event.source === 'cloud' ? 'cloud' : 'local'].add(event);
+            addTimelinePoints(timelines, event);
+        },
+
+        result() {
+            return {
+                overview: overview.result(),
+                fields: [...timelines.values()].map(finishTimeline)
+                    .sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name)),
+                domains: [...domains.entries()]
+                    .map(([domain, summary]) => ({ domain, ...summary.result() }))
+                    .sort((a, b) => b.total - a.total),
+                sources: { cloud: sources.cloud.result(), local: sources.local.result() }
+            };
+        }
+    };
+}
+
+/**
+ * Everything the dashboard shows
+ * @param {Array} events - Events in the selected range, any order
+ * @returns {Object} { overview, fields, domains, sources }
+ *   overview, each domain and each source: { total, errors, errorRate, trueRate, avgLatencyMs, avgConfidence };
+ *   rates are 0-1, null without data
+ *   fields: [{ domain, name, total, trueCount, trueRate, avgConfidence, valueRange, points: [{ time, result, probability, source }] }]
+ *   per domain and field name, since the same name can mean different things on different sites;
+ *   valueRange is { min, max } of the numeric results, or null when there are none
+ */
+export function computeHistoryStats(events) {
+    const stats = createHistoryStats();
+    events.forEach(event => stats.add(event));
+    return stats.result();
+}
+
+// Running totals behind the summary numbers
+function createSummary() {
+    const totals = { total: 0, errors: 0, evaluated: 0, evaluatedTrue: 0, latencySum: 0, latencyCount: 0, confidenceSum: 0, confidenceCount: 0 };
+
+    return {
+        add(event) {
+            totals.total++;
+            if (event.success === false) totals.errors++;
+            if (event.success !== false && event.fields && event.fields.length > 0) {
+                totals.evaluated++;
+                if (event.hasTrueResult) totals.evaluatedTrue++;
+            }
+            if (isNumber(event.durationMs)) {
+                totals.latencySum += event.durationMs;
+                totals.latencyCount++;
+            }
+            for (const field of event.fields || []) {
+                if (!isNumber(field.probability)) continue;
+                totals.confidenceSum += field.probability;
+                totals.confidenceCount++;
+            }
+        },
+
+        result() {
+            return {
+                total: totals.total,
+                errors: totals.errors,
+                errorRate: ratio(totals.errors, totals.total),
+                trueRate: ratio(totals.evaluatedTrue, totals.evaluated),
+                avgLatencyMs: ratio(totals.latencySum, totals.latencyCount),
+                avgConfidence: ratio(totals.confidenceSum, totals.confidenceCount)
+            };
+        }
+    };
+}
+
+function addTimelinePoints(timelines, event) {
+    if (event.success === false) return;
+    const time = new Date(event.timestamp).getTime();
+    if (!Number.isFinite(time)) return;
+
+    for (const field of event.fields || []) {
+        const domain = event.domain || 'unknown';
+        const key = `${domain}\u0000${field.name}`;
+        if (!timelines.has(key)) {
+            timelines.set(key, { domain, name: field.name, points: [] });
+        }
+        timelines.get(key).points.push({
+            time,
+            result: field.result,
+            probability: isNumber(field.probability) ? field.probability : null,
+            source: event.source === 'cloud' ? 'cloud' : 'local'
+        });
+    }
+}
+
+function finishTimeline(timeline) {
+    const points = timeline.points.sort((a, b) => a.time - b.time);
+    const booleans = points.filter(point => typeof point.result === 'boolean');
+    const trueCount = booleans.filter(point => point.result === true).length;
+    const numbers = points.map(point => point.result).filter(isNumber);
+    return {
+        ...timeline,
+        points,
+        total: points.length,
+        trueCount,
+        trueRate: ratio(trueCount, booleans.length),
+        avgConfidence: average(points.map(point => point.probability).filter(isNumber)),
+        valueRange: numbers.length > 0 ? { min: numbers.reduce((a, b) => Math.min(a, b)), max: numbers.reduce((a, b) => Math.max(a, b)) } : null
+    };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function ratio(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
@@ -0,0 +1,236 @@
+// Shared LLM provider adapters.
+// Each adapter knows its provider's request shape, image encoding, auth header
+// and response format. Used by both the extension and the cloud runner.
+
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'gemini', 'ollama'];
+
+export const DEFAULT_API_URLS = {
+    openai: 'https://openrouter.ai/api/v1/chat/completions',
+    anthropic: 'https://api.anthropic.com/v1/messages',
+    gemini: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+    ollama: 'http://localhost:11434/api/chat'
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Get the provider for an LLM config
+ * Configs saved before providers existed have no provider and are OpenAI-compatible,
+ * unless the URL clearly points at another provider's API.
+ * @param {Object} llmConfig - LLM configuration
+ * @returns {string} One of LLM_PROVIDERS
+ */
+export function getProvider(llmConfig) {
+    if (llmConfig && LLM_PROVIDERS.includes(llmConfig.provider)) {
+        return llmConfig.provider;
+    }
+
+    const apiUrl = (llmConfig && llmConfig.apiUrl) || '';
+    if (apiUrl.includes('api.anthropic.com')) return 'anthropic';
+    if (apiUrl.includes('generativelanguage.googleapis.com')) return 'gemini';
+    if (apiUrl.endsWith('/api/chat')) return 'ollama';
+    return 'openai';
+}
+
+/**
+ * Check an LLM config for missing required settings
+ * Local Ollama/llama.cpp servers don't need an API key.
+ * @param {Object} llmConfig - LLM configuration
+ * @returns {Array<string>} Names of missing settings (empty when complete)
+ */
+export function getMissingLlmConfig(llmConfig) {
+    if (!llmConfig) return ['entire config'];
+
+    const missing = [];
+    if (!llmConfig.apiUrl) missing.push('apiUrl');
+    if (!llmConfig.apiKey && getProvider(llmConfig) !== 'ollama') missing.push('apiKey');
+    return missing;
+}
+
+/**
+ * Build the HTTP request for a provider
+ * @param {Object} llmConfig - LLM configuration (provider, apiUrl, apiKey, model, customHeaders)
+ * @param {Object} input - { systemPrompt, textParts, image: { data, mimeType } | null }
+ * @param {Object} options - { maxTokens, temperature }
+ * @returns {Object} { provider, url, headers, body }
+ */
+export function buildLlmRequest(llmConfig, input, options = {}) {
+    const provider = getProvider(llmConfig);
+    const model = llmConfig.model || 'gpt-4-vision-preview';
+    const { systemPrompt = '', textParts = [], image = null } = input;
+    const maxTokens = options.maxTokens || 5000;
+    const temperature = options.temperature !== undefined ? options.temperature : 0.1;
+
+    const headers = { 'Content-Type': 'application/json' };
+    let url = llmConfig.apiUrl;
+    let body;
+
+    switch (provider) {
+        case 'anthropic': {
+            headers['x-api-key'] = llmConfig.apiKey;
+            headers['anthropic-version'] = ANTHROPIC_VERSION;
+            // Required for calls made from the extension's service worker
+            headers['anthropic-dangerous-direct-browser-access'] = 'true';
+
+            const content = [];
+            if (image) {
+                content.push({ type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } });
+            }
+            textParts.forEach(text => content.push({ type: 'text', text }));
+
+            body = {
+                model,
+                max_tokens: maxTokens,
+                temperature,
+                messages: [{ role: 'user', content }]
+            };
+            if (systemPrompt) body.system = systemPrompt;
+            break;
+        }
+
+        case 'gemini': {
+            headers['x-goog-api-key'] = llmConfig.apiKey;
+            // The model is part of the URL: .../models/{model}:generateContent
+            if (url.includes('{model}')) {
+                url = url.replace('{model}', encodeURIComponent(model));
+            } else if (!url.includes(':generateContent')) {
+                url = `${url.replace(/\/+$/, '')}/models/${encodeURIComponent(model)}:generateContent`;
+            }
+
+            const parts = textParts.map(text => ({ text }));
+            if (image) {
+                parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } });
+            }
+
+            body = {
+                contents: [{ role: 'user', parts }],
+                generationConfig: {
+                    temperature,
+                    maxOutputTokens: maxTokens
+                }
+            };
+            if (systemPrompt) body.systemInstruction = { parts: [{ text: systemPrompt }] };
+            break;
+        }
+
+        case 'ollama': {
+            if (llmConfig.apiKey) headers['Authorization'] = `Bearer ${llmConfig.apiKey}`;
+
+            // llama.cpp's server (and Ollama's /v1 endpoint) speak the OpenAI shape
+            if (url.includes('/chat/completions')) {
+                body = buildOpenAIBody(model, systemPrompt, textParts, image, maxTokens, temperature);
+                break;
+            }
+
+            const messages = [];
+            if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+            const userMessage = { role: 'user', content: textParts.join('\n\n') };
+            if (image) userMessage.images = [image.data];
+            messages.push(userMessage);
+
+            body = {
+                model,
+                messages,
+                stream: false,
+                options: {
+                    temperature,
+                    num_predict: maxTokens
+                }
+            };
+            break;
+        }
+
+        default: {
+            headers['Authorization'] = `Bearer ${llmConfig.apiKey}`;
+            body = buildOpenAIBody(model, systemPrompt, textParts, image, maxTokens, temperature);
+            body.stream = false; // Disable streaming to avoid chunked responses
+        }
+    }
+
+    return {
+        provider,
+        url,
+        headers: { ...headers, ...(llmConfig.customHeaders || {}) },
+        body
+    };
+}
+
+/**
+ * Build an OpenAI chat-completions body, also used by OpenAI-compatible local servers.
+ * @returns {Object} Request body
+ */
+function buildOpenAIBody(model, systemPrompt, textParts, image, maxTokens, temperature) {
+    const content = textParts.map(text => ({ type: 'text', text }));
+    if (image) {
+        content.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } });
+    }
+
+    const messages = [];
+    if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+    messages.push({ role: 'user', content });
+
+    return {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+    };
+}
+
+/**
+ * Extract the text content from a provider's response
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @param {Object} data - Parsed JSON response body
+ * @returns {Object} { content, truncated }
+ * @throws {Error} If the response has no text content
+ */
+export function extractLlmResponse(provider, data) {
+    let content = null;
+    let truncated = false;
+
+    // OpenAI-compatible servers can sit behind any provider setting (e.g. llama.cpp)
+    if (data && Array.isArray(data.choices) && data.choices[0] && data.choices[0].message) {
+        content = data.choices[0].message.content;
+        truncated = data.choices[0].finish_reason === 'length';
+    } else if (provider === 'anthropic' && data && Array.isArray(data.content)) {
+        content = data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        truncated = data.stop_reason === 'max_tokens';
+    } else if (provider === 'gemini' && data && Array.isArray(data.candidates) && data.candidates[0]) {
+        const candidate = data.candidates[0];
+        content = ((candidate.content && candidate.content.parts) || [])
+            .map(part => part.text || '')
+            .join('');
+        truncated = candidate.finishReason === 'MAX_TOKENS';
+    } else if (data && data.message && typeof data.message.content === 'string') {
+        // Ollama /api/chat
+        content = data.message.content;
+        truncated = data.done_reason === 'length';
+    } else if (data && typeof data.content === 'string') {
+        content = data.content;
+    }
+
+    if (typeof content !== 'string') {
+        throw new Error(`Unexpected ${provider} response format`);
+    }
+
+    return { content, truncated };
+}
+
+/**
+ * Replace image data in a request body so it can be stored or logged
+ * @param {Object} body - Request body from buildLlmRequest
+ * @returns {Object} Copy of the body without image data
+ */
+export function redactLlmRequestBody(body) {
+    return JSON.parse(JSON.stringify(body, (key, value) => {
+        if (key === 'url' && typeof value === 'string' && value.startsWith('data:image/')) {
+            return `${value.split(',')[0]},REDACTED`;
+        }
+        if (key === 'data' && typeof value === 'string' && value.length > 200) return 'REDACTED';
+        if (key === 'images' && Array.isArray(value)) return value.map(() => 'REDACTED');
+        return value;
+    }));
+}
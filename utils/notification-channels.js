@@ -0,0 +1,389 @@
+// Notification channels shared by the extension and the cloud runner
+// A channel is configured once in settings (type plus credentials) and selected per field.
+// Generic webhook channels go through buildWebhookDelivery(); every other type is
+// formatted here into a delivery that sendWebhookDelivery() (or the runner's email
+// sender) can send and the retry queue can replay.
+import { formatFieldValue } from './field-types.js';
+import { getChannelScreenshotMode, canAttachScreenshot } from './screenshot-attachment.js';
+
+/**
+ * Channel types and the settings each one needs
+ * The settings form is rendered from these descriptors.
+ */
+export const CHANNEL_TYPES = {
+    webhook: {
+        label: 'Generic webhook',
+        settings: [
+            { key: 'url', label: 'Webhook URL', placeholder: 'https://webhook.url/endpoint', secret: true }
+        ]
+    },
+    discord: {
+        label: 'Discord',
+        settings: [
+            { key: 'url', label: 'Webhook URL', placeholder: 'https://discord.com/api/webhooks/...', secret: true }
+        ]
+    },
+    slack: {
+        label: 'Slack',
+        settings: [
+            { key: 'url', label: 'Incoming webhook URL', placeholder: 'https://hooks.slack.com/services/...', secret: true }
+        ]
+    },
+    telegram: {
+        label: 'Telegram',
+        settings: [
+            { key: 'botToken', label: 'Bot token', placeholder: '123456:ABC-DEF...', secret: true },
+            { key: 'chatId', label: 'Chat ID', placeholder: '-1001234567890 or @channel' }
+        ]
+    },
+    ntfy: {
+        label: 'ntfy',
+        settings: [
+            { key: 'server', label: 'Server', placeholder: 'https://ntfy.sh', optional: true },
+            { key: 'topic', label: 'Topic', placeholder: 'websophon-alerts' },
+            { key: 'token', label: 'Access token', placeholder: 'tk_... (protected topics only)', secret: true, optional: true }
+        ]
+    },
+    pushover: {
+        label: 'Pushover',
+        settings: [
+            { key: 'appToken', label: 'Application token', secret: true },
+            { key: 'userKey', label: 'User or group key', secret: true }
+        ]
+    },
+    email: {
+        label: 'Email (cloud runner)',
+        cloudOnly: true, // Sent over the runner's SMTP server
+        settings: [
+            { key: 'to', label: 'Recipients', placeholder: 'alerts@example.com, ops@example.com' }
+        ]
+    }
+};
+
+const DEFAULT_NTFY_SERVER = 'https://ntfy.sh';
+
+// Sample result sent by the Test button in settings
+export const TEST_NOTIFICATION = {
+    fieldName: 'test_notification',
+    fieldResult: [true, 0.92],
+    context: {
+        domain: 'example.com',
+        jobId: 'test',
+        url: 'https://example.com/',
+        summary: 'This is a test notification from WebSophon. If you can read it, the channel works.'
+    }
+};
+
+/**
+ * Check a channel for missing settings
+ * @param {Object} channel - Channel configuration
+ * @returns {Array<string>} Problems, empty when the channel is usable
+ */
+export function validateChannel(channel) {
+    const type = CHANNEL_TYPES[channel?.type];
+    if (!type) return ['Unknown channel type'];
+
+    const errors = [];
+    if (!channel.name || !channel.name.trim()) {
+        errors.push('Name is required');
+    }
+    for (const setting of type.settings) {
+        if (!setting.optional && !String(channel[setting.key] || '').trim()) {
+            errors.push(`${setting.label} is required`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Attach each field's selected channel, for code that only sees the field list
+ * @param {Array} fields - Field configurations
+ * @param {Array} channels - Configured channels
+ * @returns {Array} Fields with webhookChannel set (null when the channel no longer exists)
+ */
+export function resolveFieldChannels(fields, channels = []) {
+    return fields.map(field => {
+        if (!field.webhookChannelId) return field;
+        return { ...field, webhookChannel: channels.find(channel => channel.id === field.webhookChannelId) || null };
+    });
+}
+
+/**
+ * Describe a field result in channel-neutral terms
+ * @param {string} fieldName - Name of the field
+ * @param {Array} fieldResult - Field result array [value, probability]
+ * @param {Object} context - Webhook context (domain, url, summary, screenshotUrl, timestamp)
+ * @returns {Object} Notification message
+ */
+export function buildNotificationMessage(fieldName, fieldResult, context = {}) {
+    const [result, probability] = fieldResult || [null, null];
+    const resultText = result === true ? 'TRUE' : result === false ? 'FALSE' : result === null || result === undefined ? 'NULL' : formatFieldValue(result);
+
+    return {
+        field: fieldName,
+        result,
+        resultText,
+        resultIcon: result === true ? '✅' : result === false ? '❌' : result === null || result === undefined ? '❓' : '📊',
+        confidence: typeof probability === 'number' ? `${(probability * 100).toFixed(1)}%` : 'N/A',
+        title: `${fieldName} is ${resultText}${context.domain ? ` on ${context.domain}` : ''}`,
+        summary: context.summary || '',
+        domain: context.domain || '',
+        url: context.url || '',
+        screenshotUrl: context.screenshotUrl || '',
+        timestamp: context.timestamp || new Date().toISOString(),
+        color: result === true ? 0x00ff00 : result === false ? 0xff0000 : 0x808080 // Green for true, red for false, gray for null and typed values
+    };
+}
+
+/**
+ * Build a replayable delivery for a chat or email channel
+ * @param {Object} channel - Channel configuration (any type except "webhook")
+ * @param {string} fieldName - Name of the field
+ * @param {Array} fieldResult - Field result array [value, probability]
+ * @param {Object} context - Webhook context (domain, jobId, url, summary, screenshotUrl, screenshot attachment)
+ * @returns {Object} Delivery in the shape of buildWebhookDelivery(), plus channel details
+ */
+export function buildChannelDelivery(channel, fieldName, fieldResult, context = {}) {
+    const timestamp = new Date().toISOString();
+
+    // Attached images are added at send time; channels that cannot upload, or captures
+    // without an image, fall back to the hosted link when there is one
+    const mode = getChannelScreenshotMode(channel);
+    const attachment = mode === 'attach' && canAttachScreenshot(channel.type) ? context.screenshot || null : null;
+    const linked = mode === 'link' || (mode === 'attach' && !attachment);
+
+    const message = buildNotificationMessage(fieldName, fieldResult, {
+        ...context,
+        timestamp,
+        screenshotUrl: linked ? context.screenshotUrl : ''
+    });
+
+    const request = formatChannelRequest(channel, message);
+    const body = request.body ? JSON.stringify(request.body) : null;
+    const display = maskChannelRequest(channel, { ...request, body });
+    return {
+        fieldName,
+        domain: context.domain || null,
+        jobId: context.jobId || null,
+        channelType: channel.type,
+        channelName: channel.name || CHANNEL_TYPES[channel.type]?.label || channel.type,
+        url: request.url,
+        method: request.method || 'POST',
+        headers: request.headers || {},
+        body,
+        // Copies without credentials, for history, logs and the delivery list
+        displayUrl: display.url,
+        displayHeaders: display.headers,
+        displayBody: display.body,
+        email: request.email || null,
+        attachment,
+        signingSecret: null,
+        createdAt: timestamp
+    };
+}
+
+// Replace the channel's secret settings (tokens, keys, webhook URLs) in a request with ***
+function maskChannelRequest(channel, request) {
+    const secrets = (CHANNEL_TYPES[channel.type]?.settings || [])
+        .filter(setting => setting.secret && channel[setting.key])
+        .map(setting => String(channel[setting.key]));
+    const mask = text => secrets.reduce((result, secret) => result.split(secret).join('***'), text);
+
+    let url = request.displayUrl || mask(request.url || '');
+    if (url === '***') {
+        // The whole URL is the secret (Discord, Slack): keep the host so the entry is recognizable
+        try {
+            url = `${new URL(request.url).origin}/***`;
+        } catch (error) {
+            // Not a URL; *** it is
+        }
+    }
+
+    return {
+        url,
+        headers: Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [name, mask(String(value))])),
+        body: request.body === null ? null : mask(request.body)
+    };
+}
+
+// Request (url, body, headers) for each channel type
+function formatChannelRequest(channel, message) {
+    switch (channel.type) {
+        case 'discord':
+            return { url: channel.url, body: formatDiscordMessage(message) };
+        case 'slack':
+            return { url: channel.url, body: formatSlackMessage(message) };
+        case 'telegram':
+            return formatTelegramRequest(channel, message);
+        case 'ntfy':
+            return formatNtfyRequest(channel, message);
+        case 'pushover':
+            return { url: 'https://api.pushover.net/1/messages.json', body: formatPushoverMessage(channel, message) };
+        case 'email':
+            return { url: `mailto:${channel.to}`, method: 'EMAIL', email: formatEmailMessage(channel, message) };
+        default:
+            throw new Error(`Unsupported channel type: ${channel.type}`);
+    }
+}
+
+function formatDiscordMessage(message) {
+    const embed = {
+        title: `Field: ${message.field}`,
+        color: message.color,
+        fields: [
+            { name: 'Result', value: `${message.resultIcon} ${message.resultText}`, inline: true },
+            { name: 'Confidence', value: message.confidence, inline: true },
+            { name: 'Domain', value: message.domain || 'Unknown', inline: true }
+        ],
+        footer: { text: 'WebSophon' },
+        timestamp: message.timestamp
+    };
+    if (message.summary) embed.description = truncate(message.summary, 4096);
+    if (message.url) embed.url = message.url;
+    if (message.screenshotUrl) embed.image = { url: message.screenshotUrl };
+
+    return {
+        username: 'WebSophon',
+        content: `Field evaluation completed for **${message.field}**`,
+        embeds: [embed]
+    };
+}
+
+function formatSlackMessage(message) {
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: truncate(`${message.resultIcon} ${message.title}`, 150) } },
+        {
+            type: 'section',
+            fields: [
+                { type: 'mrkdwn', text: `*Result*\n${escapeSlack(message.resultText)}` },
+                { type: 'mrkdwn', text: `*Confidence*\n${message.confidence}` }
+            ]
+        }
+    ];
+    if (message.summary) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(escapeSlack(message.summary), 3000) } });
+    }
+    if (message.screenshotUrl) {
+        blocks.push({ type: 'image', image_url: message.screenshotUrl, alt_text: `Screenshot of ${message.domain || 'the page'}` });
+    }
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: message.url ? `<${message.url}|${escapeSlack(message.domain || message.url)}>` : escapeSlack(message.domain || 'WebSophon') }]
+    });
+
+    // text is the fallback shown in notifications
+    return { text: message.title, blocks };
+}
+
+function formatTelegramRequest(channel, message) {
+    const lines = [
+        `<b>${escapeHtml(message.title)}</b>`,
+        `Result: ${message.resultIcon} ${escapeHtml(message.resultText)}`,
+        `Confidence: ${message.confidence}`
+    ];
+    if (message.summary) lines.push('', escapeHtml(message.summary));
+    if (message.url) lines.push('', escapeHtml(message.url));
+    const text = lines.join('\n');
+
+    const apiBase = `https://api.telegram.org/bot${channel.botToken}`;
+    // The token is part of the URL; history and the delivery list only get the bot ID
+    const displayBase = `https://api.telegram.org/bot${String(channel.botToken).split(':')[0]}:***`;
+    if (message.screenshotUrl) {
+        // Photo captions are limited to 1024 characters
+        return {
+            url: `${apiBase}/sendPhoto`,
+            displayUrl: `${displayBase}/sendPhoto`,
+            body: { chat_id: channel.chatId, photo: message.screenshotUrl, caption: truncate(text, 1024), parse_mode: 'HTML' }
+        };
+    }
+    return {
+        url: `${apiBase}/sendMessage`,
+        displayUrl: `${displayBase}/sendMessage`,
+        body: { chat_id: channel.chatId, text: truncate(text, 4096), parse_mode: 'HTML', disable_web_page_preview: true }
+    };
+}
+
+function formatNtfyRequest(channel, message) {
+    // JSON publishing goes to the server root and allows non-ASCII titles
+    const body = {
+        topic: channel.topic,
+        title: message.title,
+        message: [`Result: ${message.resultText} (${message.confidence})`, message.summary].filter(Boolean).join('\n\n'),
+        tags: [message.result === true ? 'white_check_mark' : message.result === false ? 'x' : 'bar_chart']
+    };
+    if (message.url) body.click = message.url;
+    if (message.screenshotUrl) body.attach = message.screenshotUrl;
+
+    return {
+        url: (channel.server || DEFAULT_NTFY_SERVER).replace(/\/$/, ''),
+        headers: channel.token ? { 'Authorization': `Bearer ${channel.token}` } : {},
+        body
+    };
+}
+
+function formatPushoverMessage(channel, message) {
+    const lines = [`Result: ${message.resultText} (${message.confidence})`];
+    if (message.summary) lines.push('', message.summary);
+    if (message.screenshotUrl) lines.push('', `Screenshot: ${message.screenshotUrl}`);
+
+    const body = {
+        token: channel.appToken,
+        user: channel.userKey,
+        title: truncate(message.title, 250),
+        message: truncate(lines.join('\n'), 1024),
+        timestamp: Math.floor(Date.parse(message.timestamp) / 1000)
+    };
+    if (message.url) {
+        body.url = message.url;
+        body.url_title = `Open ${message.domain || 'page'}`;
+    }
+    return body;
+}
+
+function formatEmailMessage(channel, message) {
+    const text = [
+        message.title,
+        '',
+        `Result: ${message.resultText}`,
+        `Confidence: ${message.confidence}`,
+        message.summary ? `\n${message.summary}` : '',
+        message.url ? `\nPage: ${message.url}` : '',
+        message.screenshotUrl ? `Screenshot: ${message.screenshotUrl}` : ''
+    ].filter(line => line !== '').join('\n');
+
+    const html = `
+        <h2>${message.resultIcon} ${escapeHtml(message.title)}</h2>
+        <p><strong>Result:</strong> ${escapeHtml(message.resultText)}<br>
+        <strong>Confidence:</strong> ${message.confidence}</p>
+        ${message.summary ? `<p>${escapeHtml(message.summary)}</p>` : ''}
+        ${message.url ? `<p><a href="${escapeHtml(message.url)}">${escapeHtml(message.url)}</a></p>` : ''}
+        ${message.screenshotUrl ? `<p><img src="${escapeHtml(message.screenshotUrl)}" alt="Screenshot" style="max-width: 100%;"></p>` : ''}
+    `;
+
+    return {
+        to: channel.to,
+        subject: `[WebSophon] ${message.title}`,
+        text,
+        html
+    };
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Slack mrkdwn only needs &, < and > escaped
+function escapeSlack(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
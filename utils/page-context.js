@@ -0,0 +1,207 @@
+// Shared page context helpers: visible DOM text and a pruned accessibility tree
+// sent to the LLM alongside (or instead of) the screenshot.
+// Used by both the extension (chrome.scripting) and the cloud runner (Puppeteer).
+
+export const PAGE_CONTEXT_MODES = ['none', 'text', 'accessibility'];
+
+// Keep page context well inside typical context windows
+export const DEFAULT_PAGE_CONTEXT_MAX_CHARS = 20000;
+
+/**
+ * Normalize the stored page context settings
+ * Text-only capture needs some page context, so it implies "text" mode.
+ * @param {Object} settings - { pageContextMode, textOnlyCapture }
+ * @returns {Object} { mode, textOnly }
+ */
+export function getPageContextSettings(settings = {}) {
+    let mode = PAGE_CONTEXT_MODES.includes(settings.pageContextMode) ? settings.pageContextMode : 'none';
+    const textOnly = settings.textOnlyCapture === true;
+    if (textOnly && mode === 'none') mode = 'text';
+    return { mode, textOnly };
+}
+
+/**
+ * Get the system prompt input mode for a capture
+ * @param {boolean} hasScreenshot - Whether a screenshot is attached
+ * @param {Object|null} pageContext - Extracted page context
+ * @returns {string} 'screenshot', 'screenshot_text' or 'text'
+ */
+export function getInputMode(hasScreenshot, pageContext) {
+    const hasText = !!(pageContext && pageContext.content);
+    if (!hasScreenshot) return 'text';
+    return hasText ? 'screenshot_text' : 'screenshot';
+}
+
+/**
+ * Format extracted page context as a text block for the user message
+ * @param {Object|null} pageContext - Result of extractPageContext
+ * @returns {string} Text block, or empty string when there is no context
+ */
+export function formatPageContext(pageContext) {
+    if (!pageContext || !pageContext.content) return '';
+
+    const label = pageContext.mode === 'accessibility' ? 'Accessibility tree' : 'Visible text';
+    const source = pageContext.url ? ` of ${pageContext.url}` : '';
+    const truncated = pageContext.truncated ? ' (truncated)' : '';
+
+    return `### ${label}${source}${truncated}\n${pageContext.content}`;
+}
+
+/**
+ * Extract visible text or a pruned accessibility tree from the current document.
+ * Runs inside the page via chrome.scripting.executeScript or page.evaluate, so it
+ * must stay self-contained: no references to anything outside the function body.
+ * @param {string} mode - 'text' or 'accessibility'
+ * @param {number} maxChars - Maximum characters to return
+ * @returns {Object} { success, mode, url, title, content, truncated, error }
+ */
+export function extractPageContext(mode = 'text', maxChars = 20000) {
+    const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+    const buildText = () => {
+        const raw = document.body ? document.body.innerText : '';
+        return raw
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .filter((line, index, lines) => line || (index > 0 && lines[index - 1]))
+            .join('\n')
+            .trim();
+    };
+
+    const buildAccessibilityTree = () => {
+        const SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME', 'HEAD'];
+        const IMPLICIT_ROLES = {
+            A: 'link', BUTTON: 'button', H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading',
+            H5: 'heading', H6: 'heading', IMG: 'img', NAV: 'navigation', MAIN: 'main', HEADER: 'banner',
+            FOOTER: 'contentinfo', ASIDE: 'complementary', FORM: 'form', TABLE: 'table', TR: 'row',
+            TH: 'columnheader', TD: 'cell', UL: 'list', OL: 'list', LI: 'listitem', DIALOG: 'dialog',
+            SELECT: 'combobox', TEXTAREA: 'textbox', OPTION: 'option', P: 'paragraph', LABEL: 'label',
+            PROGRESS: 'progressbar', METER: 'meter', OUTPUT: 'status'
+        };
+        const INPUT_ROLES = {
+            checkbox: 'checkbox', radio: 'radio', range: 'slider', button: 'button',
+            submit: 'button', reset: 'button', search: 'searchbox', number: 'spinbutton'
+        };
+        // Roles whose name comes from their content, so children are not listed separately
+        const LEAF_ROLES = ['link', 'button', 'heading', 'paragraph', 'label', 'cell', 'columnheader',
+            'option', 'img', 'checkbox', 'radio', 'textbox', 'searchbox', 'spinbutton', 'slider', 'combobox'];
+
+        const isHidden = (element) => {
+            if (element.getAttribute('aria-hidden') === 'true' || element.hidden) return true;
+            const style = window.getComputedStyle(element);
+            return style.display === 'none' || style.visibility === 'hidden';
+        };
+
+        const getRole = (element) => {
+            const explicit = element.getAttribute('role');
+            if (explicit) return explicit.split(' ')[0];
+            if (element.tagName === 'INPUT') {
+                const type = (element.getAttribute('type') || 'text').toLowerCase();
+                if (type === 'hidden') return null;
+                return INPUT_ROLES[type] || 'textbox';
+            }
+            return IMPLICIT_ROLES[element.tagName] || null;
+        };
+
+        const getName = (element, role) => {
+            const labelledBy = element.getAttribute('aria-labelledby');
+            if (labelledBy) {
+                const text = labelledBy.split(' ')
+                    .map(id => document.getElementById(id))
+                    .filter(Boolean)
+                    .map(el => el.innerText)
+                    .join(' ');
+                if (collapse(text)) return collapse(text);
+            }
+            const label = element.getAttribute('aria-label') || element.getAttribute('alt') || element.getAttribute('title');
+            if (label) return collapse(label);
+            if (element.labels && element.labels.length > 0) return collapse(element.labels[0].innerText);
+            if (element.placeholder) return collapse(element.placeholder);
+            if (LEAF_ROLES.includes(role)) return collapse(element.innerText).slice(0, 300);
+            return '';
+        };
+
+        const getState = (element, role) => {
+            const states = [];
+            if (role === 'heading') {
+                const level = /^H[1-6]$/.test(element.tagName) ? element.tagName[1] : element.getAttribute('aria-level');
+                if (level) states.push(`level=${level}`);
+            }
+            if (['textbox', 'searchbox', 'spinbutton', 'slider', 'combobox'].includes(role) && element.value) {
+                states.push(`value="${collapse(element.value).slice(0, 200)}"`);
+            }
+            if (['checkbox', 'radio'].includes(role)) states.push(element.checked ? 'checked' : 'unchecked');
+            if (element.disabled || element.getAttribute('aria-disabled') === 'true') states.push('disabled');
+            ['aria-expanded', 'aria-selected', 'aria-pressed', 'aria-valuenow', 'aria-current'].forEach(attr => {
+                const value = element.getAttribute(attr);
+                if (value !== null) states.push(`${attr.replace('aria-', '')}=${value}`);
+            });
+            if (['progressbar', 'meter'].includes(role) && element.value !== undefined) states.push(`value=${element.value}`);
+            return states.length > 0 ? ` [${states.join(', ')}]` : '';
+        };
+
+        const lines = [];
+        let length = 0;
+
+        const push = (depth, line) => {
+            const entry = `${'  '.repeat(depth)}- ${line}`;
+            lines.push(entry);
+            length += entry.length + 1;
+        };
+
+        const walk = (node, depth) => {
+            for (const child of node.childNodes) {
+                if (length > maxChars) return;
+
+                if (child.nodeType === Node.TEXT_NODE) {
+                    // Loose text (prices, statuses) often sits in generic containers
+                    const text = collapse(child.textContent);
+                    if (text) push(depth, `text "${text.slice(0, 300)}"`);
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+                if (SKIP_TAGS.includes(child.tagName.toUpperCase()) || isHidden(child)) continue;
+
+                const role = getRole(child);
+                if (!role || role === 'presentation' || role === 'none' || role === 'generic') {
+                    // Generic containers are pruned, their children move up a level
+                    walk(child.shadowRoot || child, depth);
+                    continue;
+                }
+
+                const name = getName(child, role);
+                push(depth, `${role}${name ? ` "${name}"` : ''}${getState(child, role)}`);
+
+                if (!LEAF_ROLES.includes(role)) {
+                    walk(child.shadowRoot || child, depth + 1);
+                }
+            }
+        };
+
+        if (document.body) walk(document.body, 0);
+        return lines.join('\n');
+    };
+
+    try {
+        let content = mode === 'accessibility' ? buildAccessibilityTree() : buildText();
+        const truncated = content.length > maxChars;
+        if (truncated) {
+            content = content.slice(0, maxChars);
+        }
+
+        return {
+            success: true,
+            mode: mode === 'accessibility' ? 'accessibility' : 'text',
+            url: window.location.href,
+            title: document.title,
+            content,
+            truncated
+        };
+    } catch (error) {
+        return {
+            success: false,
+            mode,
+            error: error.message
+        };
+    }
+}
@@ -0,0 +1,125 @@
+// Webhook payload templating shared by the extension and the cloud runner
+// {{variable}} placeholders are JSON-aware: inside a quoted string the value is
+// escaped as string content, outside a string it becomes a JSON literal, so
+// { "result": {{result}}, "note": "{{summary}}" } stays valid JSON.
+
+/**
+ * Variables available in custom webhook payloads
+ * Aliases keep templates written against the older documented names working.
+ */
+export const TEMPLATE_VARIABLES = [
+    { name: 'field', description: 'Field name' },
+    { name: 'result', description: 'Field result (TRUE/FALSE or the typed value)' },
+    { name: 'confidence', description: 'Confidence in percent' },
+    { name: 'probability', description: 'Confidence from 0 to 1' },
+    { name: 'summary', description: 'LLM summary of the page' },
+    { name: 'domain', description: 'Domain being monitored' },
+    { name: 'url', description: 'Full page URL' },
+    { name: 'screenshot_url', description: 'Link to the screenshot, empty when none is hosted' },
+    { name: 'timestamp', description: 'ISO timestamp of the webhook' },
+    { name: 'event_id', description: 'Event or job run ID' }
+];
+
+const VARIABLE_ALIASES = {
+    field_name: 'field',
+    field_value: 'result',
+    eventId: 'event_id'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/y;
+
+/**
+ * Build the template variables for one field result
+ * @param {string} fieldName - Name of the field
+ * @param {Array} fieldResult - Field result array [value, probability]
+ * @param {Object} context - Webhook context (domain, jobId, url, summary, screenshotUrl, timestamp)
+ * @returns {Object} Variable name -> value
+ */
+export function buildTemplateVariables(fieldName, fieldResult, context = {}) {
+    const [result, probability] = fieldResult || [null, null];
+    const hasProbability = typeof probability === 'number' && Number.isFinite(probability);
+
+    return {
+        field: fieldName,
+        result: result === undefined ? null : result,
+        confidence: hasProbability ? Math.round(probability * 1000) / 10 : null,
+        probability: hasProbability ? probability : null,
+        summary: context.summary || '',
+        domain: context.domain || '',
+        url: context.url || '',
+        screenshot_url: context.screenshotUrl || '',
+        timestamp: context.timestamp || new Date().toISOString(),
+        event_id: context.jobId || ''
+    };
+}
+
+/**
+ * Replace {{variable}} placeholders in a payload template
+ * Unknown placeholders are left as typed so mistakes stay visible in the request log.
+ * @param {string} template - Payload template as typed by the user
+ * @param {Object} variables - Values from buildTemplateVariables()
+ * @returns {string} Rendered payload
+ */
+export function renderPayloadTemplate(template, variables) {
+    if (!template || !template.includes('{{')) return template;
+
+    let output = '';
+    let inString = false;
+    let index = 0;
+
+    while (index < template.length) {
+        const char = template[index];
+
+        if (char === '{') {
+            PLACEHOLDER_PATTERN.lastIndex = index;
+            const match = PLACEHOLDER_PATTERN.exec(template);
+            const name = match && (VARIABLE_ALIASES[match[1]] || match[1]);
+            if (match && Object.prototype.hasOwnProperty.call(variables, name)) {
+                output += formatTemplateValue(variables[name], inString);
+                index += match[0].length;
+                continue;
+            }
+        }
+
+        if (inString && char === '\\') {
+            // Keep escape sequences intact so an escaped quote doesn't end the string
+            output += template.slice(index, index + 2);
+            index += 2;
+            continue;
+        }
+        if (char === '"') {
+            inString = !inString;
+        }
+
+        output += char;
+        index++;
+    }
+
+    return output;
+}
+
+/**
+ * Find placeholders that are not template variables
+ * @param {string} template - Payload template
+ * @returns {Array<string>} Unknown variable names
+ */
+export function findUnknownVariables(template) {
+    if (!template) return [];
+
+    const known = new Set([...TEMPLATE_VARIABLES.map(variable => variable.name), ...Object.keys(VARIABLE_ALIASES)]);
+    const unknown = [];
+    for (const match of template.matchAll(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g)) {
+        if (!known.has(match[1]) && !unknown.includes(match[1])) {
+            unknown.push(match[1]);
+        }
+    }
+    return unknown;
+}
+
+// Escaped string content inside quotes, a JSON literal outside them
+function formatTemplateValue(value, inString) {
+    if (inString) {
+        return JSON.stringify(value === null || value === undefined ? '' : String(value)).slice(1, -1);
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
@@ -0,0 +1,375 @@
+// Scripted pre-capture actions: steps run on the page before each screenshot, such as
+// dismissing a cookie banner or selecting a chart timeframe.
+// Used by both the extension (chrome.scripting) and the cloud runner (Puppeteer).
+// Actions are stored per monitor under `preCaptureActions_${domain}` and edited as a
+// script with one step per line:
+//   click #accept-cookies
+//   type "BTCUSD" into input[name=symbol]
+//   press Enter
+//   scroll .price-table
+//   wait-for .chart-loaded
+//   wait-for-text "Market open"
+//   wait-for-network-idle
+//   wait 1500              (milliseconds, or 2s)
+// Prefix a step with "optional" to log and skip it when it fails; any other failed step
+// stops the script and fails the capture. Lines starting with // are comments.
+// The whole script gets MAX_TOTAL_ACTIONS_MS, so it can't hold a tab or runner slot for long.
+
+export const PRE_CAPTURE_ACTIONS_PREFIX = 'preCaptureActions_';
+export const MAX_PRE_CAPTURE_ACTIONS = 20;
+export const DEFAULT_ACTION_TIMEOUT_MS = 10000; // wait-for steps and element lookups
+export const MAX_ACTION_WAIT_MS = 60000;
+export const MAX_TOTAL_ACTIONS_MS = 60000; // All steps together, waits included
+
+// Quiet period after the last network request before the page counts as idle
+export const NETWORK_IDLE_MS = 500;
+
+// Pause after clicks, typing and key presses so menus and charts can react
+export const ACTION_SETTLE_MS = 250;
+
+export const ACTION_TYPES = {
+    click: { label: 'Click', syntax: 'click <selector>' },
+    type: { label: 'Type text', syntax: 'type "<text>" into <selector>' },
+    press: { label: 'Press key', syntax: 'press <key>' },
+    scroll: { label: 'Scroll to element', syntax: 'scroll <selector>' },
+    waitForSelector: { label: 'Wait for selector', syntax: 'wait-for <selector>' },
+    waitForText: { label: 'Wait for text', syntax: 'wait-for-text "<text>"' },
+    waitForNetworkIdle: { label: 'Wait for network idle', syntax: 'wait-for-network-idle' },
+    wait: { label: 'Wait', syntax: 'wait <ms>' }
+};
+
+const KEYWORDS = {
+    'click': 'click',
+    'type': 'type',
+    'press': 'press',
+    'scroll': 'scroll',
+    'wait-for': 'waitForSelector',
+    'wait-for-text': 'waitForText',
+    'wait-for-network-idle': 'waitForNetworkIdle',
+    'wait': 'wait'
+};
+
+/**
+ * Parse an action script as typed in the popup
+ * @param {string} script - One step per line
+ * @returns {Object} { actions, errors } with errors as "Line N: message"
+ */
+export function parseActionScript(script) {
+    const actions = [];
+    const errors = [];
+
+    String(script || '').split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('//')) return;
+
+        try {
+            actions.push(parseActionLine(line));
+        } catch (error) {
+            errors.push(`Line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    if (actions.length > MAX_PRE_CAPTURE_ACTIONS) {
+        errors.push(`At most ${MAX_PRE_CAPTURE_ACTIONS} steps are allowed`);
+    }
+    const totalWaitError = validateTotalWait(actions);
+    if (totalWaitError) {
+        errors.push(totalWaitError);
+    }
+    return { actions, errors };
+}
+
+/**
+ * Turn stored actions back into the script shown in the popup
+ * @param {Array} actions - Stored actions
+ * @returns {string} Script text
+ */
+export function formatActionScript(actions) {
+    return (actions || []).map(action => {
+        const prefix = action.optional ? 'optional ' : '';
+        switch (action.type) {
+            case 'click': return `${prefix}click ${action.selector}`;
+            case 'type': return `${prefix}type ${JSON.stringify(action.text)} into ${action.selector}`;
+            case 'press': return `${prefix}press ${action.key}`;
+            case 'scroll': return `${prefix}scroll ${action.selector}`;
+            case 'waitForSelector': return `${prefix}wait-for ${action.selector}`;
+            case 'waitForText': return `${prefix}wait-for-text ${JSON.stringify(action.text)}`;
+            case 'waitForNetworkIdle': return `${prefix}wait-for-network-idle`;
+            case 'wait': return `${prefix}wait ${action.ms}`;
+            default: return `// unknown step ${JSON.stringify(action)}`;
+        }
+    }).join('\n');
+}
+
+/**
+ * Check stored actions, e.g. from an imported bundle or a cloud job request
+ * @param {*} actions - Value to check
+ * @returns {string|null} Error message, null if valid
+ */
+export function validateActions(actions) {
+    if (!Array.isArray(actions)) {
+        return 'Pre-capture actions must be a list';
+    }
+    if (actions.length > MAX_PRE_CAPTURE_ACTIONS) {
+        return `At most ${MAX_PRE_CAPTURE_ACTIONS} pre-capture actions are allowed`;
+    }
+    for (const [index, action] of actions.entries()) {
+        const error = validateAction(action);
+        if (error) return `Step ${index + 1}: ${error}`;
+    }
+    return validateTotalWait(actions);
+}
+
+/**
+ * Short human-readable description of an action
+ * @param {Object} action - Action
+ * @returns {string} e.g. 'Click "#accept-cookies"'
+ */
+export function describeAction(action) {
+    const label = ACTION_TYPES[action?.type]?.label || action?.type || 'Unknown step';
+    switch (action?.type) {
+        case 'type': return `${label} "${action.text}" into "${action.selector}"`;
+        case 'press': return `${label} ${action.key}`;
+        case 'waitForText': return `${label} "${action.text}"`;
+        case 'wait': return `${label} ${action.ms} ms`;
+        case 'waitForNetworkIdle': return label;
+        default: return `${label} "${action?.selector}"`;
+    }
+}
+
+/**
+ * Run actions in order and record a step log
+ * A failed optional step is logged and skipped; any other failure marks the remaining
+ * steps as skipped and is returned as the error. Running out of the total time fails
+ * the script too, optional steps included.
+ * @param {Array} actions - Actions to run
+ * @param {Function} performAction - async (action, timeoutMs) => void, throws when the step fails;
+ *   timeoutMs is how long the step may wait for elements, text or network idle
+ * @param {number} maxTotalMs - Time for all steps together
+ * @returns {Promise<Object>} { success, log: [{ step, type, description, status, durationMs, error }], error }
+ */
+export async function runActions(actions, performAction, maxTotalMs = MAX_TOTAL_ACTIONS_MS) {
+    const log = [];
+    const deadline = Date.now() + maxTotalMs;
+    let failure = null;
+
+    for (const [index, action] of (actions || []).entries()) {
+        const entry = { step: index + 1, type: action.type, description: describeAction(action), status: 'ok', durationMs: 0 };
+        log.push(entry);
+
+        if (failure) {
+            entry.status = 'skipped';
+            continue;
+        }
+
+        const startTime = Date.now();
+        const remainingMs = deadline - startTime;
+        if (remainingMs <= 0 || (action.type === 'wait' && action.ms > remainingMs)) {
+            entry.status = 'failed';
+            entry.error = `Pre-capture actions may take ${maxTotalMs} ms in total`;
+            failure = `Pre-capture step ${entry.step} failed (${entry.description}): ${entry.error}`;
+            continue;
+        }
+
+        try {
+            await performAction(action, Math.min(DEFAULT_ACTION_TIMEOUT_MS, remainingMs));
+        } catch (error) {
+            entry.error = error.message || String(error);
+            if (action.optional) {
+                entry.status = 'skipped';
+            } else {
+                entry.status = 'failed';
+                failure = `Pre-capture step ${entry.step} failed (${entry.description}): ${entry.error}`;
+            }
+        }
+        entry.durationMs = Date.now() - startTime;
+    }
+
+    return { success: !failure, log, error: failure };
+}
+
+/**
+ * Perform one DOM action in the current document.
+ * Runs inside the page via chrome.scripting.executeScript or page.evaluate, so it
+ * must stay self-contained: no references to anything outside the function body.
+ * "wait" and "wait-for-network-idle" are handled by the caller, which can see requests
+ * in flight; "press" dispatches key events to the focused element.
+ * @param {Object} action - Action
+ * @param {number} timeoutMs - How long to wait for elements or text
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function performPageAction(action, timeoutMs = 10000) {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const deadline = Date.now() + timeoutMs;
+
+    const waitUntil = async (check, what) => {
+        while (true) {
+            const value = check();
+            if (value) return value;
+            if (Date.now() >= deadline) throw new Error(`Timed out after ${timeoutMs} ms waiting for ${what}`);
+            await sleep(100);
+        }
+    };
+
+    const isVisible = element => {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    const findElement = selector => waitUntil(() => {
+        const element = document.querySelector(selector);
+        return element && isVisible(element) ? element : null;
+    }, `"${selector}"`);
+
+    try {
+        switch (action.type) {
+            case 'click': {
+                const element = await findElement(action.selector);
+                element.scrollIntoView({ block: 'center', inline: 'center' });
+                element.focus?.();
+                element.click();
+                break;
+            }
+            case 'type': {
+                const element = await findElement(action.selector);
+                element.focus();
+                // Use the native setter so frameworks that track the value (React) see the change
+                const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+                const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+                if (element.isContentEditable) {
+                    element.textContent = action.text;
+                } else if (setter) {
+                    setter.call(element, action.text);
+                } else {
+                    element.value = action.text;
+                }
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+                break;
+            }
+            case 'press': {
+                const target = document.activeElement || document.body;
+                const init = { key: action.key, code: action.key, bubbles: true, cancelable: true };
+                const notCancelled = target.dispatchEvent(new KeyboardEvent('keydown', init));
+                target.dispatchEvent(new KeyboardEvent('keyup', init));
+                // Synthetic key events don't submit forms by themselves
+                if (notCancelled && action.key === 'Enter' && target.form) {
+                    target.form.requestSubmit();
+                }
+                break;
+            }
+            case 'scroll': {
+                const element = await findElement(action.selector);
+                element.scrollIntoView({ block: 'center', inline: 'nearest' });
+                break;
+            }
+            case 'waitForSelector':
+                await findElement(action.selector);
+                break;
+            case 'waitForText':
+                await waitUntil(() => (document.body?.innerText || '').includes(action.text), `text "${action.text}"`);
+                break;
+            default:
+                throw new Error(`Unknown action "${action.type}"`);
+        }
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+function parseActionLine(line) {
+    let rest = line;
+    let optional = false;
+    if (/^optional\s+/i.test(rest)) {
+        optional = true;
+        rest = rest.replace(/^optional\s+/i, '');
+    }
+
+    const [keyword] = rest.split(/\s+/, 1);
+    const type = KEYWORDS[keyword.toLowerCase()];
+    if (!type) {
+        throw new Error(`Unknown step "${keyword}"; use ${Object.keys(KEYWORDS).join(', ')}`);
+    }
+    const argument = rest.substring(keyword.length).trim();
+    const action = { type };
+
+    switch (type) {
+        case 'click':
+        case 'scroll':
+        case 'waitForSelector':
+            action.selector = argument;
+            break;
+        case 'type': {
+            const match = argument.match(/^("(?:[^"\\]|\\.)*")\s+into\s+(.+)$/i);
+            if (!match) throw new Error(`Expected ${ACTION_TYPES.type.syntax}`);
+            action.text = parseQuoted(match[1]);
+            action.selector = match[2].trim();
+            break;
+        }
+        case 'press':
+            action.key = argument;
+            break;
+        case 'waitForText':
+            if (!/^"(?:[^"\\]|\\.)*"$/.test(argument)) throw new Error(`Expected ${ACTION_TYPES.waitForText.syntax}`);
+            action.text = parseQuoted(argument);
+            break;
+        case 'waitForNetworkIdle':
+            if (argument) throw new Error('wait-for-network-idle takes no argument');
+            break;
+        case 'wait': {
+            const match = argument.match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+            if (!match) throw new Error(`Expected ${ACTION_TYPES.wait.syntax}, e.g. wait 1500 or wait 2s`);
+            action.ms = Math.round(parseFloat(match[1]) * (match[2]?.toLowerCase() === 's' ? 1000 : 1));
+            break;
+        }
+    }
+    if (optional) action.optional = true;
+
+    const error = validateAction(action);
+    if (error) throw new Error(error);
+    return action;
+}
+
+function validateAction(action) {
+    if (!action || typeof action !== 'object' || !ACTION_TYPES[action.type]) {
+        return `Unknown action type "${action?.type}"`;
+    }
+    if (['click', 'type', 'scroll', 'waitForSelector'].includes(action.type)) {
+        if (typeof action.selector !== 'string' || !action.selector.trim()) {
+            return `${ACTION_TYPES[action.type].label} needs a CSS selector`;
+        }
+    }
+    if (['type', 'waitForText'].includes(action.type) && (typeof action.text !== 'string' || (action.type === 'waitForText' && !action.text))) {
+        return `${ACTION_TYPES[action.type].label} needs text`;
+    }
+    if (action.type === 'press' && (typeof action.key !== 'string' || !/^[A-Za-z0-9]+$|^.$/.test(action.key))) {
+        return 'Press key needs a key name such as Enter, Escape, ArrowDown or a single character';
+    }
+    if (action.type === 'wait' && (!Number.isInteger(action.ms) || action.ms < 0 || action.ms > MAX_ACTION_WAIT_MS)) {
+        return `Wait needs 0-${MAX_ACTION_WAIT_MS} ms`;
+    }
+    if (action.optional !== undefined && typeof action.optional !== 'boolean') {
+        return 'optional must be true or false';
+    }
+    return null;
+}
+
+function validateTotalWait(actions) {
+    const totalWaitMs = actions
+        .filter(action => action?.type === 'wait' && Number.isInteger(action.ms))
+        .reduce((total, action) => total + action.ms, 0);
+    if (totalWaitMs > MAX_TOTAL_ACTIONS_MS) {
+        return `Wait steps add up to ${totalWaitMs} ms; all steps together may take at most ${MAX_TOTAL_ACTIONS_MS} ms`;
+    }
+    return null;
+}
+
+function parseQuoted(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error(`Invalid quoted text ${text}`);
+    }
+}
@@ -0,0 +1,259 @@
+// Global preset library: field sets that can be applied to any domain
+// Presets may contain {{variable}} placeholders (e.g. {{symbol}}) in any field setting;
+// the values are asked for when a preset is applied and remembered per domain, next to
+// the preset version and template fields the domain got. Saving a preset again bumps its version, and
+// domains on an older version can be re-rendered from the new one with their own values.
+// Webhook payload variables ({{result}}, {{domain}}, ...) are left for the payload template.
+import { TEMPLATE_VARIABLES } from './payload-template.js';
+import { toFieldName } from './field-types.js';
+
+export const PRESET_LIBRARY_KEY = 'presetLibrary';
+export const PRESET_LINKS_PREFIX = 'presetLinks_'; // Per domain: preset ID -> { version, variables, fields, appliedAt }
+
+// Field settings stored in a preset; results and IDs stay with the domain
+export const PRESET_FIELD_KEYS = [
+    'friendlyName', 'description', 'type', 'options',
+    'webhookEnabled', 'webhookTrigger', 'webhookUrl', 'webhookPayload', 'webhookMinConfidence',
+    'webhookCondition', 'webhookMode', 'webhookHoldRuns', 'webhookCooldown', 'webhookSecret',
+    'webhookChannelId', 'webhookScreenshot'
+];
+
+const RESERVED_VARIABLES = new Set([
+    ...TEMPLATE_VARIABLES.map(variable => variable.name),
+    'field_name', 'field_value', 'eventId'
+]);
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Preset variables used by a set of fields
+ * @param {Array} fields - Preset fields
+ * @returns {Array<string>} Variable names in order of first use
+ */
+export function findPresetVariables(fields) {
+    const names = [];
+    for (const field of fields || []) {
+        for (const text of getFieldStrings(field)) {
+            for (const match of text.matchAll(VARIABLE_PATTERN)) {
+                if (!RESERVED_VARIABLES.has(match[1]) && !names.includes(match[1])) {
+                    names.push(match[1]);
+                }
+            }
+        }
+    }
+    return names;
+}
+
+/**
+ * Save fields to the library, as a new preset or a new version of the one with this name
+ * Settings the saving domain left as its linked version rendered them keep that version's
+ * placeholders, so a preset can be edited on any domain that uses it; edited settings
+ * are saved as typed.
+ * @param {Object} library - Current library (preset ID -> preset)
+ * @param {string} name - Preset name
+ * @param {Array} fields - Field configurations
+ * @param {Object} link - The saving domain's link to this preset ({ variables, fields }), if it uses it
+ * @returns {Object} { library, preset } with the new library object and the saved preset
+ */
+export function saveLibraryPreset(library, name, fields, link = null) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+        throw new Error('Please provide a preset name');
+    }
+    if (!fields || fields.length === 0) {
+        throw new Error('There are no fields to save');
+    }
+
+    const existing = findLibraryPreset(library, trimmedName);
+    // Links made before template fields were remembered fall back to the current version
+    const templates = link ? link.fields || existing?.fields || [] : [];
+    const rendered = renderFields(templates, link?.variables || {});
+    const templateByName = new Map(rendered.map((field, index) => [field.name, templates[index]]));
+
+    const preset = {
+        id: existing?.id || `preset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: trimmedName,
+        version: (existing?.version || 0) + 1,
+        updatedAt: new Date().toISOString(),
+        fields: fields.map(field => toTemplateField(field, templateByName.get(field.name), link?.variables || {}))
+    };
+    preset.variables = findPresetVariables(preset.fields);
+
+    return { library: { ...library, [preset.id]: preset }, preset };
+}
+
+/**
+ * Library preset with this name (case-insensitive)
+ * @param {Object} library - Library
+ * @param {string} name - Preset name
+ * @returns {Object|null} Preset
+ */
+export function findLibraryPreset(library, name) {
+    const lowerName = (name || '').trim().toLowerCase();
+    return Object.values(library || {}).find(preset => preset.name.toLowerCase() === lowerName) || null;
+}
+
+/**
+ * Fill in a preset's variables
+ * @param {Object} preset - Library preset
+ * @param {Object} values - Variable name -> value
+ * @returns {Array} Field configurations with names derived from the filled-in display names,
+ *   made unique with a _1, _2... suffix when two display names give the same name
+ */
+export function renderPresetFields(preset, values = {}) {
+    const missing = (preset.variables || findPresetVariables(preset.fields))
+        .filter(name => values[name] === undefined || String(values[name]).trim() === '');
+    if (missing.length > 0) {
+        throw new Error(`Missing value for ${missing.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    return renderFields(preset.fields, values);
+}
+
+/**
+ * Apply a preset to a domain's fields
+ * Fields from an earlier version of the preset, and fields with the same name, are
+ * replaced; same-named fields keep their ID and last result. Other fields stay as they are.
+ * @param {Array} fields - The domain's current fields
+ * @param {Object} preset - Library preset
+ * @param {Object} values - Variable values for this domain
+ * @param {Function} createId - Returns a new field ID
+ * @returns {Array} New field list
+ */
+export function applyPresetToFields(fields, preset, values, createId) {
+    const rendered = renderPresetFields(preset, values);
+    const renderedNames = new Set(rendered.map(field => field.name));
+    const previous = new Map(fields.map(field => [field.name, field]));
+
+    const kept = fields.filter(field => field.libraryPresetId !== preset.id && !renderedNames.has(field.name));
+    const applied = rendered.map(field => {
+        const existing = previous.get(field.name);
+        return {
+            id: existing?.id || createId(),
+            result: existing?.result ?? null,
+            probability: existing?.probability ?? null,
+            filteredResult: existing?.filteredResult ?? null,
+            lastStatus: existing?.lastStatus || null,
+            lastError: existing?.lastError || null,
+            lastEventId: existing?.lastEventId || null,
+            lastResultTime: existing?.lastResultTime || null,
+            isPending: false,
+            ...field,
+            type: field.type || 'boolean',
+            options: field.options || [],
+            libraryPresetId: preset.id
+        };
+    });
+    return [...kept, ...applied];
+}
+
+/**
+ * Domains using a preset, from chrome.storage.local contents
+ * @param {Object} storageData - Everything from chrome.storage.local.get()
+ * @param {string} presetId - Library preset ID
+ * @returns {Array} [{ domain, version, variables }], sorted by domain
+ */
+export function getPresetUsage(storageData, presetId) {
+    return Object.keys(storageData)
+        .filter(key => key.startsWith(PRESET_LINKS_PREFIX) && storageData[key]?.[presetId])
+        .map(key => ({ domain: key.substring(PRESET_LINKS_PREFIX.length), ...storageData[key][presetId] }))
+        .sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Storage changes that bring every domain on an older version up to the preset's version
+ * @param {Object} storageData - Everything from chrome.storage.local.get()
+ * @param {Object} preset - Library preset (latest version)
+ * @param {Function} createId - Returns a new field ID
+ * @returns {Object} { set: { key: value }, updated: [domains], failed: [{ domain, error }] }
+ */
+export function planPresetUpdate(storageData, preset, createId) {
+    const set = {};
+    const updated = [];
+    const failed = [];
+
+    for (const usage of getPresetUsage(storageData, preset.id)) {
+        if (usage.version >= preset.version) continue;
+        try {
+            set[`fields_${usage.domain}`] = applyPresetToFields(
+                storageData[`fields_${usage.domain}`] || [], preset, usage.variables || {}, createId);
+            set[PRESET_LINKS_PREFIX + usage.domain] = {
+                ...storageData[PRESET_LINKS_PREFIX + usage.domain],
+                [preset.id]: createPresetLink(preset, usage.variables || {})
+            };
+            updated.push(usage.domain);
+        } catch (error) {
+            // Usually a variable added in the new version; the domain has to apply it again
+            failed.push({ domain: usage.domain, error: error.message });
+        }
+    }
+    return { set, updated, failed };
+}
+
+/**
+ * Link stored per domain when it gets a preset version
+ * The template fields are kept so a later save from this domain can tell which settings
+ * still come from the preset.
+ * @param {Object} preset - Library preset
+ * @param {Object} values - Variable values for the domain
+ * @returns {Object} { version, variables, fields, appliedAt }
+ */
+export function createPresetLink(preset, values) {
+    return { version: preset.version, variables: values, fields: preset.fields, appliedAt: new Date().toISOString() };
+}
+
+function renderFields(fields, values) {
+    const fill = text => text.replace(VARIABLE_PATTERN, (placeholder, name) =>
+        values[name] !== undefined && !RESERVED_VARIABLES.has(name) ? String(values[name]).trim() : placeholder);
+
+    const names = new Set();
+    return fields.map(field => {
+        const rendered = {};
+        for (const key of PRESET_FIELD_KEYS) {
+            const value = field[key];
+            if (typeof value === 'string') {
+                rendered[key] = fill(value);
+            } else if (Array.isArray(value)) {
+                rendered[key] = value.map(item => typeof item === 'string' ? fill(item) : item);
+            } else if (value !== undefined) {
+                rendered[key] = value;
+            }
+        }
+
+        // Two display names can fill in to the same name, e.g. "Price {{symbol}}" and "Price BTC"
+        const baseName = toFieldName(rendered.friendlyName);
+        let name = baseName;
+        let incrementer = 1;
+        while (names.has(name)) {
+            name = `${baseName}_${incrementer}`;
+            incrementer++;
+        }
+        names.add(name);
+        rendered.name = name;
+        return rendered;
+    });
+}
+
+// Settings that still render to what the domain has keep the template's placeholders;
+// everything else is taken as typed, since values can't be told apart from plain text
+function toTemplateField(field, templateField, values) {
+    const rendered = templateField ? renderFields([templateField], values)[0] : {};
+
+    const template = {};
+    for (const key of PRESET_FIELD_KEYS) {
+        const value = field[key];
+        if (value === undefined) continue;
+        template[key] = templateField && JSON.stringify(rendered[key]) === JSON.stringify(value)
+            ? templateField[key]
+            : value;
+    }
+    return template;
+}
+
+function getFieldStrings(field) {
+    return PRESET_FIELD_KEYS.flatMap(key => {
+        const value = field[key];
+        if (typeof value === 'string') return [value];
+        if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+        return [];
+    });
+}
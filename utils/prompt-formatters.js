@@ -1,5 +1,6 @@
 // Shared utility functions for formatting LLM prompts.
 // This file is used by both the extension and the cloud runner.
+import { getFieldType, getEnumOptions } from './field-types.js';
 
 /**
  * Sanitizes a field name to be a valid JSON key and variable name.
@@ -16,38 +17,74 @@ export function sanitizeFieldName(name) {
     .replace(/[^a-z0-9_]/g, ''); // Remove other invalid characters
 }
 
+/**
+ * Describes the value slot a field should return in the response template.
+ * @param {Object} field - The field configuration.
+ * @returns {string} The placeholder shown in the response format.
+ */
+function getValuePlaceholder(field) {
+  switch (getFieldType(field)) {
+    case 'number':
+      return 'number_value';
+    case 'enum':
+      return `"${getEnumOptions(field).join('" | "')}"`;
+    case 'string':
+      return '"short_text_value"';
+    default:
+      return 'boolean_true_or_false';
+  }
+}
+
 /**
  * Generates the system prompt for the LLM based on the fields to evaluate.
  * @param {Array<Object>} fields - The fields to be evaluated by the LLM.
  * @param {Object} previousEvaluation - The results from the previous evaluation, for context.
  * @param {string} modelName - The name of the LLM model being used.
+ * @param {string} inputMode - 'screenshot', 'screenshot_text' (screenshot plus page text) or 'text' (page text only).
  * @returns {string} The formatted system prompt.
  */
-export function getSystemPrompt(fields, previousEvaluation, modelName = 'assistant') {
+export function getSystemPrompt(fields, previousEvaluation, modelName = 'assistant', inputMode = 'screenshot') {
   // Generate a clean JSON structure for the fields.
   const fieldsObject = fields.reduce((obj, field) => {
     // Use the sanitized name for the key in the JSON object.
-    obj[field.name] = field.criteria;
+    // Typed fields carry their type so the LLM knows what to extract.
+    const type = getFieldType(field);
+    if (type === 'boolean') {
+      obj[field.name] = field.criteria;
+    } else if (type === 'enum') {
+      obj[field.name] = { criteria: field.criteria, type: type, options: getEnumOptions(field) };
+    } else {
+      obj[field.name] = { criteria: field.criteria, type: type };
+    }
     return obj;
   }, {});
+  const hasTypedFields = fields.some(field => getFieldType(field) !== 'boolean');
   const fieldsJson = JSON.stringify(fieldsObject, null, 2);
 
   // Generate unique trace ID
   const traceId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+  // Explain any page text sent with (or instead of) the screenshot
+  let pageContentNotes = '';
+  if (inputMode === 'text') {
+    pageContentNotes = `\n\n### Page Content\nNo screenshot is attached to this request. The user message contains the page's visible text or accessibility tree instead - wherever these instructions mention the screenshot, evaluate that page content.`;
+  } else if (inputMode === 'screenshot_text') {
+    pageContentNotes = `\n\n### Page Content\nThe user message also contains the page's visible text or accessibility tree, extracted from the DOM. Use it for exact numbers, prices and labels, and use the screenshot for layout, colors and visual state.`;
+  }
+
   // Build previous evaluation context if available
   let previousContext = '';
   if (previousEvaluation && previousEvaluation.results && Object.keys(previousEvaluation.results).length > 0) {
     previousContext = `\n\n### Previous Evaluation Context\n**IMPORTANT: Do NOT use this previous evaluation data to influence your current evaluation unless explicitly instructed to do so. Each screenshot should be evaluated independently based solely on what is visible in the current image.**\n\nThe following shows results from a previous evaluation (provided for reference only):\n`;
 
     for (const [fieldName, result] of Object.entries(previousEvaluation.results)) {
-      // Handle both array format (legacy) and boolean format (new)
+      // Handle both array format (legacy) and plain value format (new)
       if (Array.isArray(result) && result.length >= 2) {
         const [value, confidence] = result;
-        previousContext += `- "${fieldName}": ${value} (confidence: ${confidence})\n`;
-      } else if (typeof result === 'boolean') {
-        // New format: just boolean values after confidence filtering
-        previousContext += `- "${fieldName}": ${result}\n`;
+        previousContext += `- "${fieldName}": ${JSON.stringify(value)} (confidence: ${confidence})\n`;
+      } else if (['boolean', 'number', 'string'].includes(typeof result)) {
+        // New format: just filtered values after confidence filtering
+        previousContext += `- "${fieldName}": ${JSON.stringify(result)}\n`;
       }
     }
 
@@ -83,9 +120,15 @@ export function getSystemPrompt(fields, previousEvaluation, modelName = 'assista
 
 ## Your Task:
 
-Analyze the screenshot and evaluate these boolean conditions:
+Analyze the screenshot and evaluate these ${hasTypedFields ? 'fields' : 'boolean conditions'}:
+
+${fieldsJson}${hasTypedFields ? `
 
-${fieldsJson}${previousContext}
+Fields given as an object have a \`type\`:
+- \`number\`: extract the numeric value as a JSON number (no currency symbols, units or thousands separators)
+- \`enum\`: answer with exactly one of the listed \`options\` as a JSON string
+- \`string\`: answer with a short text snippet copied from the page as a JSON string
+Fields given as plain text are boolean conditions.` : ''}${pageContentNotes}${previousContext}
 
 ## Critical Evaluation Instructions:
 
@@ -100,7 +143,7 @@ I've analyzed the screenshot for the requested fields. [Your natural language ex
 
 ::DATA:response format:json::
 {
-${fields.map(field => `  "${field.name}": [boolean_true_or_false, confidence_0_to_1]`).join(',\n')}
+${fields.map(field => `  "${field.name}": [${getValuePlaceholder(field)}, confidence_0_to_1]`).join(',\n')}
 }
 ::END:response::
 ::END:SAPIENT::
@@ -122,8 +165,10 @@ I've analyzed the trading chart screenshot. The chart shows XAUTUS (Gold) with m
 
 Remember: 
 - Write your analysis naturally in the body
-- The array format is [boolean_result, confidence_level] where:
-  - boolean_result must be exactly true or false (not "true" as string)
+- The array format is [${hasTypedFields ? 'value' : 'boolean_result'}, confidence_level] where:
+  - boolean_result must be exactly true or false (not "true" as string)${hasTypedFields ? `
+  - number values must be plain JSON numbers, enum and string values must be JSON strings
+  - if a typed value is not visible on the page, use null with a low confidence` : ''}
   - confidence_level must be a decimal between 0.0 and 1.0 (not percentage)
 - Use the exact field names provided - they are case-sensitive and must match exactly`;
 } 
\ No newline at end of file
@@ -0,0 +1,407 @@
+// Shared capture schedule helpers: fixed intervals or cron expressions, limited to
+// active windows (e.g. weekdays 09:30-16:00 America/New_York) and excluded dates.
+// Used by both the extension and the cloud runner.
+
+// Cron schedules have minute resolution, so recurring jobs check them every minute
+export const CRON_CHECK_INTERVAL = 60;
+
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Searching further than a year ahead means the schedule can never match
+const MAX_SEARCH_MS = 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse a standard 5-field cron expression (or an @daily style macro)
+ * Supports *, lists, ranges, steps and month/weekday names.
+ * @param {string} expression - Cron expression, e.g. "0,30 9-16 * * MON-FRI"
+ * @returns {Object} Allowed values per field
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Cron expression is required');
+    }
+
+    const trimmed = expression.trim();
+    const source = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseCronField(parts[index], field);
+    });
+
+    // Sunday can be written as 0 or 7
+    if (parsed.dayOfWeek.has(7)) {
+        parsed.dayOfWeek.delete(7);
+        parsed.dayOfWeek.add(0);
+    }
+
+    // Standard cron: when both day fields are restricted, either one may match
+    parsed.dayOfMonthRestricted = !/^[*?]$/.test(parts[2]);
+    parsed.dayOfWeekRestricted = !/^[*?]$/.test(parts[4]);
+
+    return parsed;
+}
+
+// Parse one cron field into the set of values it allows
+function parseCronField(text, field) {
+    const values = new Set();
+
+    for (const item of text.split(',')) {
+        const [rangeText, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron ${field.name} field`);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*' || rangeText === '?') {
+            start = field.min;
+            end = field.name === 'dayOfWeek' ? 6 : field.max;
+        } else if (rangeText.includes('-')) {
+            const [from, to] = rangeText.split('-');
+            start = parseCronValue(from, field);
+            end = parseCronValue(to, field);
+        } else {
+            start = parseCronValue(rangeText, field);
+            // "5/15" means every 15 starting at 5
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range "${rangeText}" in cron ${field.name} field`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+function parseCronValue(text, field) {
+    const upper = String(text).toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.nameOffset;
+    }
+
+    const value = parseInt(text, 10);
+    if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+        throw new Error(`Invalid value "${text}" in cron ${field.name} field (${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+/**
+ * Build a schedule from an interval and the domain's schedule settings
+ * @param {number|null} interval - Interval in seconds (ignored when a cron expression is set)
+ * @param {Object} settings - { cron, timezone, activeWindow: { days, start, end }, excludedDates }
+ * @returns {Object} Schedule { interval, cron, timezone, activeWindow, excludedDates }
+ */
+export function createSchedule(interval, settings = {}) {
+    const cron = settings.cron && settings.cron.trim() ? settings.cron.trim() : null;
+    const window = settings.activeWindow;
+    const hasWindow = !!(window && (window.start || window.end || (Array.isArray(window.days) && window.days.length > 0)));
+
+    return {
+        interval: cron ? CRON_CHECK_INTERVAL : (interval || null),
+        cron,
+        timezone: settings.timezone || null,
+        activeWindow: hasWindow ? {
+            days: Array.isArray(window.days) ? window.days.map(Number) : [],
+            start: window.start || null,
+            end: window.end || null
+        } : null,
+        excludedDates: Array.isArray(settings.excludedDates) ? settings.excludedDates.filter(Boolean) : []
+    };
+}
+
+/**
+ * Check a schedule for configuration errors
+ * @param {Object} schedule - Schedule from createSchedule
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateSchedule(schedule) {
+    const errors = [];
+    if (!schedule) return errors;
+
+    if (schedule.cron) {
+        try {
+            parseCron(schedule.cron);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (schedule.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        } catch (error) {
+            errors.push(`Unknown time zone "${schedule.timezone}"`);
+        }
+    }
+
+    const window = schedule.activeWindow;
+    if (window) {
+        if (window.start && !TIME_PATTERN.test(window.start)) errors.push(`Invalid window start "${window.start}" (use HH:MM)`);
+        if (window.end && !TIME_PATTERN.test(window.end)) errors.push(`Invalid window end "${window.end}" (use HH:MM)`);
+    }
+
+    (schedule.excludedDates || []).forEach(date => {
+        if (!DATE_PATTERN.test(date)) errors.push(`Invalid excluded date "${date}" (use YYYY-MM-DD)`);
+    });
+
+    return errors;
+}
+
+// Cache formatters, creating one per call is slow
+const formatterCache = new Map();
+
+/**
+ * Get the calendar parts of a moment in a time zone
+ * @param {Date} date - Moment to convert
+ * @param {string|null} timeZone - IANA time zone (null for the local zone)
+ * @returns {Object} { year, month, day, hour, minute, weekday, date: 'YYYY-MM-DD' }
+ */
+export function getZonedParts(date, timeZone = null) {
+    const key = timeZone || '';
+    if (!formatterCache.has(key)) {
+        formatterCache.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    formatterCache.get(key).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10),
+        weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toUpperCase()),
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// Whole-day checks: excluded dates and active weekdays
+function isDayAllowed(parts, schedule) {
+    if ((schedule.excludedDates || []).includes(parts.date)) return false;
+
+    const window = schedule.activeWindow;
+    if (window && window.days && window.days.length > 0 && !window.days.includes(parts.weekday)) return false;
+
+    return true;
+}
+
+// Time-of-day check against the active window; windows may cross midnight
+function isTimeAllowed(parts, schedule) {
+    const window = schedule.activeWindow;
+    if (!window || (!window.start && !window.end)) return true;
+
+    const minutes = parts.hour * 60 + parts.minute;
+    const toMinutes = (time) => {
+        const [hours, mins] = time.split(':').map(Number);
+        return hours * 60 + mins;
+    };
+    const start = window.start ? toMinutes(window.start) : 0;
+    const end = window.end ? toMinutes(window.end) : 24 * 60;
+
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function cronDayMatches(parts, cron) {
+    const dayOfMonth = cron.dayOfMonth.has(parts.day);
+    const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Check whether a moment is inside the schedule's active window and not excluded
+ * @param {Object} schedule - Schedule
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {boolean} Whether captures may run at this moment
+ */
+export function isInActiveWindow(schedule, date = new Date()) {
+    if (!schedule) return true;
+    const parts = getZonedParts(date, schedule.timezone);
+    return isDayAllowed(parts, schedule) && isTimeAllowed(parts, schedule);
+}
+
+/**
+ * Get the next run time of a schedule
+ * @param {Object} schedule - Schedule
+ * @param {Date|string|number|null} after - Last run (the next run is strictly after it for cron schedules)
+ * @param {Date} now - Current time, used for interval schedules that never ran
+ * @returns {Date|null} Next run, or null if the schedule never matches within a year
+ */
+export function getNextRun(schedule, after = null, now = new Date()) {
+    if (!schedule) return null;
+
+    const afterTime = after ? new Date(after).getTime() : null;
+    let cron = null;
+    let time;
+
+    if (schedule.cron) {
+        try {
+            cron = parseCron(schedule.cron);
+        } catch (error) {
+            return null;
+        }
+        // Next whole minute strictly after the last run
+        time = Math.floor((afterTime !== null ? afterTime : now.getTime()) / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    } else {
+        if (!schedule.interval) return null;
+        time = afterTime ? afterTime + schedule.interval * 1000 : now.getTime();
+        // Inside the window the interval applies as-is
+        if (isInActiveWindow(schedule, new Date(time))) return new Date(time);
+        time = Math.ceil(time / MINUTE_MS) * MINUTE_MS;
+    }
+
+    // Walk forward, skipping whole hours when the day or hour can't match
+    const limit = time + MAX_SEARCH_MS;
+    while (time <= limit) {
+        const parts = getZonedParts(new Date(time), schedule.timezone);
+        const skipHour = (60 - parts.minute) * MINUTE_MS;
+
+        if (!isDayAllowed(parts, schedule) || (cron && (!cronDayMatches(parts, cron) || !cron.month.has(parts.month) || !cron.hour.has(parts.hour)))) {
+            time += skipHour;
+            continue;
+        }
+        if (isTimeAllowed(parts, schedule) && (!cron || cron.minute.has(parts.minute))) {
+            return new Date(time);
+        }
+        time += MINUTE_MS;
+    }
+
+    return null;
+}
+
+/**
+ * Count scheduled runs after one moment and up to another, e.g. runs missed while the browser was closed
+ * @param {Object} schedule - Schedule
+ * @param {Date|string|number} from - Start (exclusive)
+ * @param {Date|string|number} to - End (inclusive)
+ * @param {number} limit - Stop counting at this many runs
+ * @returns {number} Number of runs, at most limit
+ */
+export function countRunsBetween(schedule, from, to, limit = 500) {
+    const end = new Date(to).getTime();
+    let time = new Date(from).getTime();
+    let count = 0;
+
+    while (count < limit) {
+        const nextRun = getNextRun(schedule, time, new Date(time));
+        if (!nextRun || nextRun.getTime() > end) break;
+        count++;
+        time = nextRun.getTime();
+    }
+
+    return count;
+}
+
+/**
+ * Check whether a recurring job is due to run
+ * @param {Object} schedule - Schedule
+ * @param {Date|string|number|null} lastRun - Last run time (falsy if it never ran)
+ * @param {Date} now - Current time
+ * @param {Date|string|number|null} createdAt - Job creation time, the starting point for cron schedules
+ * @returns {boolean} Whether the job should run now
+ */
+export function isScheduleDue(schedule, lastRun, now = new Date(), createdAt = null) {
+    if (!schedule) return false;
+
+    // Cron jobs wait for their first matching minute; interval jobs run right away
+    const after = lastRun || (schedule.cron ? createdAt || now : null);
+    const nextRun = getNextRun(schedule, after, now);
+    return !!nextRun && nextRun.getTime() <= now.getTime();
+}
+
+/**
+ * Describe a schedule for the UI
+ * @param {Object} schedule - Schedule
+ * @returns {string} e.g. "Every 5 minutes, Mon-Fri 09:30-16:00 (America/New_York)"
+ */
+export function describeSchedule(schedule) {
+    if (!schedule || (!schedule.cron && !schedule.interval)) return 'Manual capture';
+
+    let text = schedule.cron ? `Cron "${schedule.cron}"` : `Every ${describeInterval(schedule.interval)}`;
+
+    const window = schedule.activeWindow;
+    if (window) {
+        const days = window.days && window.days.length > 0 && window.days.length < 7
+            ? describeDays(window.days)
+            : '';
+        const hours = window.start || window.end ? `${window.start || '00:00'}-${window.end || '24:00'}` : '';
+        const windowText = [days, hours].filter(Boolean).join(' ');
+        if (windowText) text += `, ${windowText}`;
+    }
+
+    if (schedule.timezone) text += ` (${schedule.timezone})`;
+
+    const excluded = (schedule.excludedDates || []).length;
+    if (excluded > 0) text += `, ${excluded} excluded date${excluded === 1 ? '' : 's'}`;
+
+    return text;
+}
+
+function describeInterval(seconds) {
+    if (seconds < 60) return `${seconds} seconds`;
+    if (seconds < 3600) return seconds === 60 ? 'minute' : `${Math.floor(seconds / 60)} minutes`;
+    if (seconds < 86400) return seconds === 3600 ? 'hour' : `${Math.floor(seconds / 3600)} hours`;
+    return seconds === 86400 ? 'day' : `${Math.floor(seconds / 86400)} days`;
+}
+
+// "Mon-Fri" for consecutive days, "Mon, Wed, Fri" otherwise
+function describeDays(days) {
+    const sorted = [...new Set(days)].sort((a, b) => a - b);
+    const label = (day) => WEEKDAY_NAMES[day].charAt(0) + WEEKDAY_NAMES[day].slice(1).toLowerCase();
+    const consecutive = sorted.every((day, index) => index === 0 || day === sorted[index - 1] + 1);
+
+    if (consecutive && sorted.length > 2) {
+        return `${label(sorted[0])}-${label(sorted[sorted.length - 1])}`;
+    }
+    return sorted.map(label).join(', ');
+}
@@ -0,0 +1,201 @@
+// Screenshots in webhook and channel notifications, shared by the extension and the cloud runner
+// A destination either attaches the captured image to the request or links to a
+// short-lived signed URL served by the cloud runner. Attachments are added when the
+// request is sent (buildAttachmentRequest), so stored and queued deliveries stay small.
+
+/**
+ * How a destination includes the screenshot
+ * "link" needs the cloud runner, which is the only place screenshots are hosted.
+ */
+export const SCREENSHOT_MODES = {
+    none: { label: 'No screenshot' },
+    attach: { label: 'Attach the image' },
+    link: { label: 'Link (cloud runner only)' }
+};
+
+// Largest image sent along with a notification; Pushover's 5 MB cap is the smallest of the supported services
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Slack incoming webhooks cannot upload files, so "attach" falls back to the link there
+const LINK_ONLY_CHANNELS = ['slack'];
+
+/**
+ * Screenshot mode of a channel
+ * @param {Object} channel - Channel configuration
+ * @returns {string} "none", "attach" or "link"
+ */
+export function getChannelScreenshotMode(channel) {
+    if (!channel) return 'none';
+    if (SCREENSHOT_MODES[channel.screenshot]) return channel.screenshot;
+    // Channels saved before attachments only had an on/off link option
+    return channel.includeScreenshot ? 'link' : 'none';
+}
+
+/**
+ * Screenshot mode of a field's webhook: its channel's setting, or the field's own for custom URLs
+ * @param {Object} field - Field configuration (with webhookChannel resolved)
+ * @returns {string} "none", "attach" or "link"
+ */
+export function getFieldScreenshotMode(field) {
+    if (field.webhookChannelId) {
+        return getChannelScreenshotMode(field.webhookChannel);
+    }
+    return SCREENSHOT_MODES[field.webhookScreenshot] ? field.webhookScreenshot : 'none';
+}
+
+/**
+ * Whether an attach-mode destination can carry the image itself
+ * @param {string|undefined} channelType - Channel type, undefined for custom webhook URLs
+ * @returns {boolean} False when the destination can only link to it
+ */
+export function canAttachScreenshot(channelType) {
+    return !LINK_ONLY_CHANNELS.includes(channelType);
+}
+
+/**
+ * Whether any webhook-enabled field needs a hosted screenshot URL
+ * True for link mode, attach mode on link-only channels, and payload templates using {{screenshot_url}}.
+ * @param {Array} fields - Field configurations (with webhookChannel resolved)
+ * @returns {boolean} True if the runner should create a signed link
+ */
+export function needsScreenshotLink(fields = []) {
+    return fields.some(field => {
+        if (!field.webhookEnabled) return false;
+        const mode = getFieldScreenshotMode(field);
+        if (mode === 'link') return true;
+        if (mode === 'attach' && !canAttachScreenshot(field.webhookChannel?.type)) return true;
+        return !field.webhookChannelId && !!field.webhookPayload && field.webhookPayload.includes('{{screenshot_url}}');
+    });
+}
+
+/**
+ * Wrap base64 image data as a delivery attachment
+ * @param {string} data - Base64 image data, or a data: URL
+ * @param {string} mimeType - Image type when data is not a data: URL
+ * @returns {Object|null} Attachment { filename, mimeType, data }, or null without data
+ */
+export function createScreenshotAttachment(data, mimeType = 'image/jpeg') {
+    if (!data) return null;
+
+    const match = /^data:([^;]+);base64,(.*)$/.exec(data);
+    if (match) {
+        mimeType = match[1];
+        data = match[2];
+    }
+    const extension = mimeType === 'image/png' ? 'png' : mimeType === 'image/webp' ? 'webp' : 'jpg';
+    return { filename: `screenshot.${extension}`, mimeType, data };
+}
+
+/**
+ * Turn a delivery with an attachment into the request that carries the image
+ * Discord and Telegram get multipart uploads, Pushover and generic webhooks base64
+ * in their JSON, ntfy the raw image. Emails are handled by the runner's email sender.
+ * @param {Object} delivery - Delivery with an attachment
+ * @returns {Object|null} Request { url, method, headers, body }, or null to send the delivery as built
+ */
+export function buildAttachmentRequest(delivery) {
+    const attachment = delivery.attachment;
+    if (!attachment || delivery.method !== 'POST') return null;
+
+    switch (delivery.channelType) {
+        case 'discord':
+            return buildDiscordUpload(delivery, attachment);
+        case 'telegram':
+            return buildTelegramUpload(delivery, attachment);
+        case 'pushover':
+            return withJsonFields(delivery, { attachment_base64: attachment.data, attachment_type: attachment.mimeType });
+        case 'ntfy':
+            return buildNtfyUpload(delivery, attachment);
+        case undefined:
+        case 'webhook':
+            // Only payloads that are JSON objects have somewhere to put the image
+            return withJsonFields(delivery, {
+                screenshot: { filename: attachment.filename, mime_type: attachment.mimeType, data: attachment.data }
+            });
+        default:
+            return null;
+    }
+}
+
+function buildDiscordUpload(delivery, attachment) {
+    const payload = JSON.parse(delivery.body);
+    if (payload.embeds && payload.embeds[0]) {
+        payload.embeds[0].image = { url: `attachment://${attachment.filename}` };
+    }
+
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify(payload));
+    form.append('files[0]', toBlob(attachment), attachment.filename);
+    return { url: delivery.url, method: 'POST', headers: {}, body: form };
+}
+
+function buildTelegramUpload(delivery, attachment) {
+    const message = JSON.parse(delivery.body);
+    const text = message.text || message.caption || '';
+
+    const form = new FormData();
+    form.append('chat_id', String(message.chat_id));
+    // Photo captions are limited to 1024 characters
+    form.append('caption', text.length > 1024 ? `${text.substring(0, 1023)}…` : text);
+    form.append('parse_mode', message.parse_mode || 'HTML');
+    form.append('photo', toBlob(attachment), attachment.filename);
+    return { url: delivery.url.replace(/\/send(Message|Photo)$/, '/sendPhoto'), method: 'POST', headers: {}, body: form };
+}
+
+function buildNtfyUpload(delivery, attachment) {
+    // Publishing a file means PUTting it to the topic URL with the message in headers
+    const message = JSON.parse(delivery.body);
+    const headers = {
+        ...delivery.headers,
+        'Filename': attachment.filename,
+        'Title': encodeHeaderValue(message.title || ''),
+        'Message': encodeHeaderValue(message.message || '')
+    };
+    if (message.tags) headers['Tags'] = message.tags.join(',');
+    if (message.click) headers['Click'] = message.click;
+
+    return {
+        url: `${delivery.url}/${encodeURIComponent(message.topic)}`,
+        method: 'PUT',
+        headers,
+        body: toBlob(attachment)
+    };
+}
+
+// Add top-level keys to a JSON object body; other bodies are sent as built
+function withJsonFields(delivery, fields) {
+    let payload;
+    try {
+        payload = JSON.parse(delivery.body);
+    } catch (error) {
+        return null;
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return null;
+
+    return {
+        url: delivery.url,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...delivery.headers },
+        body: JSON.stringify({ ...payload, ...fields })
+    };
+}
+
+function toBlob(attachment) {
+    const binary = atob(attachment.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: attachment.mimeType });
+}
+
+// HTTP headers are ASCII-only; RFC 2047 encoded words carry UTF-8 and newlines
+function encodeHeaderValue(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+    let binary = '';
+    for (const byte of new TextEncoder().encode(value)) {
+        binary += String.fromCharCode(byte);
+    }
+    return `=?UTF-8?B?${btoa(binary)}?=`;
+}
@@ -0,0 +1,119 @@
+// Shared webhook trigger modes with per-field state.
+// "level" fires on every run that matches the trigger (the original behaviour);
+// the edge modes fire only when the match flips, after it held for N runs and
+// outside the cooldown. Used by both the extension and the cloud runner.
+
+export const WEBHOOK_MODES = ['level', 'rising', 'falling', 'change'];
+
+/**
+ * Get a field's webhook mode, defaulting to firing on every matching run
+ * @param {Object} field - Field configuration
+ * @returns {string} One of WEBHOOK_MODES
+ */
+export function getWebhookMode(field) {
+    return field && WEBHOOK_MODES.includes(field.webhookMode) ? field.webhookMode : 'level';
+}
+
+/**
+ * Describe a field's webhook mode for logs and UI
+ * @param {Object} field - Field configuration
+ * @returns {string} e.g. "when it starts matching, held 3 runs, 10 min cooldown"
+ */
+export function describeWebhookMode(field) {
+    const labels = {
+        level: 'on every matching run',
+        rising: 'when it starts matching',
+        falling: 'when it stops matching',
+        change: 'whenever the match changes'
+    };
+    const parts = [labels[getWebhookMode(field)]];
+
+    const holdRuns = getHoldRuns(field);
+    if (holdRuns > 1) parts.push(`held ${holdRuns} runs`);
+
+    const cooldown = getCooldownSeconds(field);
+    if (cooldown > 0) parts.push(`${cooldown >= 60 ? `${Math.round(cooldown / 60)} min` : `${cooldown}s`} cooldown`);
+
+    return parts.join(', ');
+}
+
+/**
+ * Decide whether a field's webhook fires for this run and advance its state
+ * A new match value only counts once it was seen webhookHoldRuns runs in a row.
+ * Fields without saved state start as "not matching", so a condition that is
+ * already true fires once when an edge mode is switched on.
+ * @param {Object} field - Field configuration (webhookMode, webhookHoldRuns, webhookCooldown)
+ * @param {boolean} matched - Whether the filtered result matches the trigger this run
+ * @param {Object|null} previousState - State from the last run of this domain and field
+ * @param {Date} now - Current time
+ * @returns {Object} { fire, reason, state } where state replaces previousState
+ */
+export function evaluateTrigger(field, matched, previousState = null, now = new Date()) {
+    const mode = getWebhookMode(field);
+    const holdRuns = getHoldRuns(field);
+    const state = {
+        matched: previousState ? !!previousState.matched : false, // Last confirmed match
+        candidate: previousState ? previousState.candidate : null, // Value waiting to be confirmed
+        candidateRuns: previousState ? previousState.candidateRuns || 0 : 0,
+        lastFiredAt: previousState ? previousState.lastFiredAt || null : null,
+        updatedAt: now.toISOString()
+    };
+
+    if (state.candidate === matched) {
+        state.candidateRuns++;
+    } else {
+        state.candidate = matched;
+        state.candidateRuns = 1;
+    }
+
+    // A value that is already confirmed needs no debounce (a short blip never flipped it)
+    const wasMatched = state.matched;
+    const held = matched === wasMatched || state.candidateRuns >= holdRuns;
+    if (held) {
+        state.matched = matched;
+    }
+
+    let fire;
+    let reason;
+    if (!held) {
+        fire = false;
+        reason = `holding (${state.candidateRuns}/${holdRuns} runs)`;
+    } else if (mode === 'level') {
+        fire = matched;
+        reason = matched ? 'matched' : 'not matched';
+    } else if (wasMatched === matched) {
+        fire = false;
+        reason = `no transition (still ${matched ? 'matching' : 'not matching'})`;
+    } else {
+        fire = mode === 'change' || (mode === 'rising' ? matched : !matched);
+        reason = matched ? 'started matching' : 'stopped matching';
+    }
+
+    // The cooldown swallows the transition rather than delaying it
+    const cooldown = getCooldownSeconds(field);
+    if (fire && cooldown > 0 && state.lastFiredAt) {
+        const remaining = cooldown * 1000 - (now.getTime() - new Date(state.lastFiredAt).getTime());
+        if (remaining > 0) {
+            fire = false;
+            reason = `cooldown (${Math.ceil(remaining / 1000)}s left)`;
+        }
+    }
+
+    if (fire) {
+        state.lastFiredAt = now.toISOString();
+    }
+
+    return { fire, reason, state };
+}
+
+// Runs a new match value must hold before it counts
+function getHoldRuns(field) {
+    const holdRuns = parseInt(field && field.webhookHoldRuns);
+    return Number.isFinite(holdRuns) && holdRuns > 1 ? holdRuns : 1;
+}
+
+// Minimum seconds between two webhooks of the same field
+function getCooldownSeconds(field) {
+    const cooldown = parseInt(field && field.webhookCooldown);
+    return Number.isFinite(cooldown) && cooldown > 0 ? cooldown : 0;
+}
@@ -0,0 +1,230 @@
+// Monitor targets: the key settings, jobs and history are stored under
+// A target is either a bare hostname (every page on the host, as before) or a URL pattern,
+// so several monitors can exist on one host:
+//   www.tradingview.com/chart/*             path glob, * matches any characters
+//   www.tradingview.com/chart/*?symbol=BTC* required query parameters (value glob; others are ignored)
+//   www.tradingview.com~^/chart/(abc|def)/  regular expression on path and query
+// A "#name" suffix makes a named monitor, so one host or pattern can have several, each with
+// its own fields, model, interval and job: www.tradingview.com#Daily P&L
+// Settings stay in `fields_${target}` etc., so existing hostname keys keep working.
+
+export const TARGET_REGEX_SEPARATOR = '~';
+export const MONITOR_NAME_SEPARATOR = '#';
+
+const HOST_PATTERN = /^[a-zA-Z0-9.-]+(:\d+)?$/;
+const FORBIDDEN_CHARACTERS = /[\s"'<>`]/; // Targets are shown in HTML and used in storage keys
+const MONITOR_NAME_PATTERN = /^[^#"'<>`]{1,40}$/;
+
+/**
+ * Check a target typed by the user
+ * @param {string} target - Hostname or URL pattern
+ * @param {Object} options - { compileRegex: false skips compiling a ~regex, for targets from untrusted clients }
+ * @returns {string|null} Error message, null if valid
+ */
+export function validateTarget(target, { compileRegex = true } = {}) {
+    const [trimmed, monitorName] = splitMonitorName(typeof target === 'string' ? target.trim() : '');
+    if (!trimmed) {
+        return 'Target is empty';
+    }
+    if (monitorName !== null && !MONITOR_NAME_PATTERN.test(monitorName.trim())) {
+        return 'Monitor names need 1-40 characters without # or quotes';
+    }
+    if (FORBIDDEN_CHARACTERS.test(trimmed)) {
+        return 'Targets cannot contain spaces or quotes';
+    }
+    if (/^[a-z]+:\/\//i.test(trimmed)) {
+        return 'Leave out the scheme: use example.com/path, not https://example.com/path';
+    }
+
+    const { host, regex } = splitTarget(trimmed);
+    if (!HOST_PATTERN.test(host)) {
+        return `Invalid host "${host}"`;
+    }
+    if (regex !== null && compileRegex) {
+        try {
+            new RegExp(regex);
+        } catch (error) {
+            return error.message;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a target narrows its host down to some pages
+ * @param {string} target - Target
+ * @returns {boolean} True for URL patterns, false for bare hostnames
+ */
+export function isUrlPattern(target) {
+    return /[/?~]/.test(splitMonitorName(target || '')[0]);
+}
+
+/**
+ * Name of a monitor target
+ * @param {string} target - Target
+ * @returns {string} e.g. "Daily P&L", empty for the unnamed monitor
+ */
+export function getMonitorName(target) {
+    return (splitMonitorName(target || '')[1] || '').trim();
+}
+
+/**
+ * Target of a named monitor on the same host or pattern as another target
+ * @param {string} target - Target
+ * @param {string} name - Monitor name, empty for the unnamed one
+ * @returns {string} e.g. www.tradingview.com/chart/*#Entry signals
+ */
+export function withMonitorName(target, name) {
+    const [pattern] = splitMonitorName((target || '').trim());
+    const trimmedName = (name || '').trim();
+    return trimmedName ? `${pattern}${MONITOR_NAME_SEPARATOR}${trimmedName}` : pattern;
+}
+
+/**
+ * Host part of a target
+ * @param {string} target - Target
+ * @returns {string} e.g. www.tradingview.com
+ */
+export function getTargetHost(target) {
+    return splitTarget((target || '').trim()).host;
+}
+
+/**
+ * Whether a page is on a target's host, ignoring its path, query and regex
+ * Safe for targets from untrusted clients, since no regex is compiled.
+ * @param {string} target - Target
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the page is on the target's host (and port, if it has one)
+ */
+export function matchesTargetHost(target, url) {
+    const page = toUrl(url);
+    if (!page) return false;
+
+    const host = getTargetHost(target);
+    const pageHost = host.includes(':') ? page.host : page.hostname;
+    return !!host && pageHost.toLowerCase() === host.toLowerCase();
+}
+
+/**
+ * Whether a page belongs to a target
+ * @param {string} target - Target
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the target covers the page
+ */
+export function matchesTarget(target, url) {
+    const page = toUrl(url);
+    if (!page || validateTarget(target) || !matchesTargetHost(target, url)) return false;
+
+    const { path, query, regex } = splitTarget(target.trim());
+
+    if (regex !== null) {
+        return new RegExp(regex).test(page.pathname + page.search);
+    }
+    if (path !== null && !globToRegExp(path).test(decodeSafely(page.pathname))) {
+        return false;
+    }
+    return query.every(({ name, value }) => {
+        if (!page.searchParams.has(name)) return false;
+        return value === '*' || page.searchParams.getAll(name).some(actual => globToRegExp(value).test(actual));
+    });
+}
+
+/**
+ * Targets covering a page, most specific first
+ * @param {Array<string>} targets - Configured targets
+ * @param {string} url - Page URL
+ * @returns {Array<string>} Matching targets
+ */
+export function findTargetsForUrl(targets, url) {
+    return [...new Set(targets)]
+        .filter(target => matchesTarget(target, url))
+        .sort((a, b) => getTargetSpecificity(b) - getTargetSpecificity(a) || a.localeCompare(b));
+}
+
+/**
+ * Target to use for a page: the most specific configured one, else the page's hostname
+ * @param {string} url - Page URL
+ * @param {Array<string>} targets - Configured targets
+ * @returns {string} Target
+ */
+export function resolveTarget(url, targets = []) {
+    const [best] = findTargetsForUrl(targets, url);
+    return best || toUrl(url)?.hostname || 'unknown';
+}
+
+/**
+ * Starting point for a new pattern on a page: its host and path
+ * @param {string} url - Page URL
+ * @returns {string} e.g. www.tradingview.com/chart/AbC123/
+ */
+export function suggestUrlPattern(url) {
+    const page = toUrl(url);
+    if (!page) return '';
+    return `${page.hostname}${decodeSafely(page.pathname)}`;
+}
+
+/**
+ * chrome.tabs.query() match pattern for a target's host; filter the tabs with matchesTarget()
+ * @param {string} target - Target
+ * @returns {string} e.g. *://www.tradingview.com/*
+ */
+export function getTargetTabPattern(target) {
+    return `*://${getTargetHost(target).replace(/:\d+$/, '')}/*`;
+}
+
+// Literal characters after the host; a bare hostname is the least specific
+function getTargetSpecificity(target) {
+    if (!isUrlPattern(target)) return 0;
+    const [pattern] = splitMonitorName(target);
+    return pattern.length - getTargetHost(pattern).length - (pattern.match(/\*/g) || []).length;
+}
+
+// [pattern, name or null]; patterns never contain #, as URL fragments aren't matched
+function splitMonitorName(target) {
+    const index = target.indexOf(MONITOR_NAME_SEPARATOR);
+    return index === -1 ? [target, null] : [target.substring(0, index), target.substring(index + 1)];
+}
+
+function splitTarget(target) {
+    [target] = splitMonitorName(target);
+    const regexIndex = target.indexOf(TARGET_REGEX_SEPARATOR);
+    if (regexIndex !== -1) {
+        return { host: target.substring(0, regexIndex), path: null, query: [], regex: target.substring(regexIndex + 1) };
+    }
+
+    const queryIndex = target.indexOf('?');
+    const beforeQuery = queryIndex === -1 ? target : target.substring(0, queryIndex);
+    const pathIndex = beforeQuery.indexOf('/');
+    const query = queryIndex === -1 ? [] : target.substring(queryIndex + 1).split('&').filter(Boolean).map(pair => {
+        const [name, ...value] = pair.split('=');
+        return { name, value: value.length > 0 && value.join('=') !== '' ? value.join('=') : '*' };
+    });
+
+    return {
+        host: pathIndex === -1 ? beforeQuery : beforeQuery.substring(0, pathIndex),
+        path: pathIndex === -1 ? null : beforeQuery.substring(pathIndex),
+        query,
+        regex: null
+    };
+}
+
+function globToRegExp(glob) {
+    const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+function toUrl(url) {
+    try {
+        return new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+    } catch {
+        return null;
+    }
+}
+
+function decodeSafely(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
+    }
+}
@@ -0,0 +1,304 @@
+// Durable outbound webhook queue shared by the extension and the cloud runner
+// Failed deliveries are retried with exponential backoff (or the receiver's
+// Retry-After) until they succeed or run out of attempts, then move to a
+// dead-letter list where they can be inspected and replayed by hand.
+// Storage is pluggable: the service worker keeps the queue in chrome.storage,
+// the runner in its job store snapshot.
+
+export const WEBHOOK_RETRY_POLICY = {
+    maxAttempts: 6, // Including the first delivery
+    baseDelayMs: 30 * 1000, // 30s, 1m, 2m, 4m, 8m
+    maxDelayMs: 60 * 60 * 1000, // Backoff never waits longer than an hour
+    maxRetryAfterMs: 24 * 60 * 60 * 1000 // Longer Retry-After values are capped
+};
+
+const MAX_PENDING = 200; // Oldest deliveries are dead-lettered beyond this
+const MAX_DEAD_LETTERS = 50;
+const MAX_RESPONSE_LENGTH = 500; // Response bodies kept for inspection
+
+/**
+ * Whether a failed delivery is worth retrying
+ * Network errors, timeouts, 408, 425, 429 and 5xx are transient; other 4xx
+ * responses mean the request itself is wrong and go straight to dead letters,
+ * as do results the sender marked retryable: false.
+ * @param {Object} result - Result from sendWebhookDelivery()
+ * @returns {boolean} True if the delivery should be retried
+ */
+export function isRetryableResult(result) {
+    if (!result || result.success || result.retryable === false) return false;
+
+    const status = result.httpStatus;
+    if (!status) return true;
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null if missing or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10) * 1000;
+    }
+
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first delivery)
+ * @param {string|null} retryAfter - Retry-After header of the last response
+ * @param {Object} policy - Retry policy (defaults to WEBHOOK_RETRY_POLICY)
+ * @param {number} now - Current time in ms
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts, retryAfter = null, policy = WEBHOOK_RETRY_POLICY, now = Date.now()) {
+    const requested = parseRetryAfter(retryAfter, now);
+    if (requested !== null) {
+        return Math.min(requested, policy.maxRetryAfterMs);
+    }
+    return Math.min(policy.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), policy.maxDelayMs);
+}
+
+/**
+ * Strip secrets from a queue entry before it leaves the queue (popup, API)
+ * @param {Object} entry - Queue entry
+ * @returns {Object} Entry safe to display
+ */
+export function toPublicEntry(entry) {
+    const { signingSecret, owner, displayUrl, displayHeaders, displayBody, ...delivery } = entry.delivery;
+    return {
+        ...entry,
+        delivery: {
+            ...delivery,
+            url: displayUrl || delivery.url,
+            headers: displayHeaders || delivery.headers,
+            body: displayBody !== undefined ? displayBody : delivery.body,
+            signed: !!signingSecret
+        }
+    };
+}
+
+export class WebhookQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {Object} options.store - { load(): Promise<Object|null>, save(state): Promise } for { pending, deadLetters }
+     * @param {Function} options.send - Sends a delivery and resolves to a webhook result (sendWebhookDelivery)
+     * @param {Object} options.policy - Overrides for WEBHOOK_RETRY_POLICY
+     * @param {Function} options.onChange - Called after every change, e.g. to re-arm a timer
+     */
+    constructor({ store, send, policy = {}, onChange = null }) {
+        this.store = store;
+        this.send = send;
+        this.policy = { ...WEBHOOK_RETRY_POLICY, ...policy };
+        this.onChange = onChange;
+
+        this.pending = [];
+        this.deadLetters = [];
+        this.loadPromise = null;
+        this.processing = false;
+    }
+
+    // Load the saved queue once; every public method awaits this first
+    ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.resolve(this.store.load()).then(state => {
+                this.pending = state?.pending || [];
+                this.deadLetters = state?.deadLetters || [];
+            }).catch(error => {
+                console.error('[Queue] Failed to load webhook queue, starting empty:', error);
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Track a delivery whose first attempt failed
+     * @param {Object} delivery - Delivery from buildWebhookDelivery()
+     * @param {Object} result - Result of the failed attempt
+     * @param {number} now - Current time in ms
+     * @returns {Promise<Object>} Queue entry (status "pending" or "dead")
+     */
+    async enqueue(delivery, result, now = Date.now()) {
+        await this.ensureLoaded();
+
+        // Screenshot attachments are too large to keep; retries go out without the image
+        const { attachment, ...storedDelivery } = delivery;
+        const entry = {
+            id: crypto.randomUUID(),
+            delivery: storedDelivery,
+            attempts: 0,
+            status: 'pending',
+            createdAt: new Date(now).toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: null,
+            lastError: null,
+            lastStatus: null,
+            lastResponse: null
+        };
+        this.recordAttempt(entry, result, now);
+
+        if (this.shouldRetry(entry, result)) {
+            this.schedule(entry, result, now);
+            this.pending.push(entry);
+            console.log(`[Queue] Webhook for "${delivery.fieldName}" failed (${entry.lastError}), retry ${entry.attempts + 1}/${this.policy.maxAttempts} at ${entry.nextAttemptAt}`);
+
+            while (this.pending.length > MAX_PENDING) {
+                this.moveToDeadLetters(this.pending.shift(), 'Queue full');
+            }
+        } else {
+            this.moveToDeadLetters(entry);
+        }
+
+        await this.persist();
+        return entry;
+    }
+
+    /**
+     * Retry every pending delivery that is due
+     * @param {number} now - Current time in ms
+     * @returns {Promise<number>} Number of deliveries attempted
+     */
+    async processDue(now = Date.now()) {
+        await this.ensureLoaded();
+        if (this.processing) return 0;
+
+        this.processing = true;
+        let attempted = 0;
+        try {
+            const due = this.pending.filter(entry => Date.parse(entry.nextAttemptAt) <= now);
+            for (const entry of due) {
+                const attemptAt = Date.now();
+                const result = await this.send(entry.delivery);
+                attempted++;
+                if (!this.pending.includes(entry)) continue; // Discarded while it was being sent
+
+                this.recordAttempt(entry, result, attemptAt);
+
+                if (result.success) {
+                    this.pending = this.pending.filter(other => other !== entry);
+                    console.log(`[Queue] Webhook for "${entry.delivery.fieldName}" delivered on attempt ${entry.attempts}`);
+                } else if (this.shouldRetry(entry, result)) {
+                    this.schedule(entry, result, attemptAt);
+                    console.log(`[Queue] Webhook for "${entry.delivery.fieldName}" failed again (${entry.lastError}), retry ${entry.attempts + 1}/${this.policy.maxAttempts} at ${entry.nextAttemptAt}`);
+                } else {
+                    this.pending = this.pending.filter(other => other !== entry);
+                    this.moveToDeadLetters(entry);
+                }
+
+                await this.persist();
+            }
+        } finally {
+            this.processing = false;
+        }
+        return attempted;
+    }
+
+    /**
+     * Send a dead-lettered delivery again, once
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object>} Webhook result; successful replays leave the dead-letter list
+     */
+    async replay(id) {
+        await this.ensureLoaded();
+
+        const entry = this.deadLetters.find(other => other.id === id);
+        if (!entry) throw new Error('Delivery not found');
+
+        const result = await this.send(entry.delivery);
+        this.recordAttempt(entry, result, Date.now());
+
+        if (result.success) {
+            this.deadLetters = this.deadLetters.filter(other => other !== entry);
+            console.log(`[Queue] Replayed webhook for "${entry.delivery.fieldName}" delivered`);
+        } else {
+            console.warn(`[Queue] Replayed webhook for "${entry.delivery.fieldName}" failed: ${entry.lastError}`);
+        }
+
+        await this.persist();
+        return result;
+    }
+
+    /**
+     * Drop a delivery from either list
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} True if something was removed
+     */
+    async discard(id) {
+        await this.ensureLoaded();
+
+        const before = this.pending.length + this.deadLetters.length;
+        this.pending = this.pending.filter(entry => entry.id !== id);
+        this.deadLetters = this.deadLetters.filter(entry => entry.id !== id);
+
+        const removed = this.pending.length + this.deadLetters.length < before;
+        if (removed) await this.persist();
+        return removed;
+    }
+
+    // Earliest nextAttemptAt in ms, or null when nothing is pending
+    getNextAttemptAt() {
+        if (this.pending.length === 0) return null;
+        return Math.min(...this.pending.map(entry => Date.parse(entry.nextAttemptAt)));
+    }
+
+    /**
+     * Pending and dead-lettered deliveries without secrets
+     * @param {Function} filter - Optional entry filter, e.g. by owner
+     * @returns {Promise<Object>} { pending, deadLetters }
+     */
+    async getSummary(filter = () => true) {
+        await this.ensureLoaded();
+        return {
+            pending: this.pending.filter(filter).map(toPublicEntry),
+            deadLetters: this.deadLetters.filter(filter).map(toPublicEntry)
+        };
+    }
+
+    // Serializable state for stores that snapshot it themselves
+    getState() {
+        return { pending: this.pending, deadLetters: this.deadLetters };
+    }
+
+    shouldRetry(entry, result) {
+        return isRetryableResult(result) && entry.attempts < this.policy.maxAttempts;
+    }
+
+    schedule(entry, result, now) {
+        entry.nextAttemptAt = new Date(now + getRetryDelay(entry.attempts, result.retryAfter, this.policy, now)).toISOString();
+    }
+
+    recordAttempt(entry, result, now) {
+        entry.attempts++;
+        entry.lastAttemptAt = new Date(now).toISOString();
+        entry.lastStatus = result.httpStatus || null;
+        entry.lastError = result.success ? null : (result.error || 'Unknown error');
+        entry.lastResponse = typeof result.response === 'string'
+            ? result.response.substring(0, MAX_RESPONSE_LENGTH)
+            : null;
+    }
+
+    moveToDeadLetters(entry, reason = null) {
+        entry.status = 'dead';
+        entry.nextAttemptAt = null;
+        if (reason) entry.lastError = reason;
+        this.deadLetters.unshift(entry);
+        this.deadLetters = this.deadLetters.slice(0, MAX_DEAD_LETTERS);
+        console.warn(`[Queue] Webhook for "${entry.delivery.fieldName}" moved to dead letters after ${entry.attempts} attempt(s): ${entry.lastError}`);
+    }
+
+    async persist() {
+        try {
+            await this.store.save(this.getState());
+        } catch (error) {
+            console.error('[Queue] Failed to save webhook queue:', error);
+        }
+        if (this.onChange) this.onChange();
+    }
+}
@@ -0,0 +1,53 @@
+// Outbound webhook signing shared by the extension and the cloud runner
+// Uses WebCrypto, which both the service worker and Node 20 provide as globalThis.crypto.
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with the same secret;
+// see tools/verify-webhook-signature.js.
+
+export const SIGNATURE_HEADER = 'X-WebSophon-Signature';
+export const TIMESTAMP_HEADER = 'X-WebSophon-Timestamp';
+
+/**
+ * Compute the signature of a webhook delivery
+ * @param {string} secret - Shared signing secret
+ * @param {string} body - POST body, or the query string (without "?") for GET deliveries
+ * @param {number} timestamp - Unix timestamp in seconds, sent in TIMESTAMP_HEADER
+ * @returns {Promise<string>} Signature in the form "sha256=<hex>"
+ */
+export async function signWebhookPayload(secret, body, timestamp) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body || ''}`));
+    const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `sha256=${hex}`;
+}
+
+/**
+ * Build the signature headers for a delivery
+ * @param {string|null} secret - Signing secret; without one no headers are added
+ * @param {string} body - Signed content (see signWebhookPayload)
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {Promise<Object>} Headers to merge into the request
+ */
+export async function buildSignatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    if (!secret) return {};
+
+    return {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: await signWebhookPayload(secret, body, timestamp)
+    };
+}
+
+/**
+ * Generate a random signing secret
+ * @returns {string} 64 hex characters prefixed with "whsec_"
+ */
+export function generateSigningSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return `whsec_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
@@ -1,55 +1,143 @@
 // Shared webhook utility for firing field webhooks
 // Used by both extension services and cloud runner
+import { getFieldType, applyConfidenceFilter, matchesTrigger, describeTrigger } from './field-types.js';
+import { evaluateTrigger, describeWebhookMode } from './trigger-state.js';
+import { buildTemplateVariables, renderPayloadTemplate } from './payload-template.js';
+import { buildSignatureHeaders } from './webhook-signing.js';
+import { buildChannelDelivery } from './notification-channels.js';
+import { buildAttachmentRequest, getFieldScreenshotMode } from './screenshot-attachment.js';
 
 /**
- * Fire a webhook for a field result
+ * Build a replayable delivery for a field result
+ * Variables and query parameters are resolved once, so retries send the same
+ * request; the signature is computed fresh on every attempt.
  * @param {string} fieldName - Name of the field
  * @param {string} webhookUrl - Webhook URL to call
- * @param {string|null} customPayload - Custom JSON payload (if null, uses GET request)
- * @param {Array} fieldResult - Field result array [boolean, probability]
- * @param {Object} context - Additional context (domain, timestamp, etc.)
- * @returns {Promise<Object>} Webhook result with request/response details
+ * @param {string|null} customPayload - Custom JSON payload template (if null, uses GET request)
+ * @param {Array} fieldResult - Field result array [value, probability]
+ * @param {Object} context - Additional context (domain, jobId, fieldType, url, summary, screenshotUrl,
+ *                           screenshotMode, screenshot attachment, signingSecret)
+ * @returns {Object} Delivery { fieldName, domain, jobId, url, method, body, attachment, signingSecret, createdAt }
  */
-export async function fireFieldWebhook(fieldName, webhookUrl, customPayload, fieldResult, context = {}) {
-    console.log(`[Webhook] Firing webhook for field "${fieldName}" to ${webhookUrl}`);
-
+export function buildWebhookDelivery(fieldName, webhookUrl, customPayload, fieldResult, context = {}) {
     const timestamp = new Date().toISOString();
     const [result, probability] = fieldResult || [null, null];
 
-    const requestData = {
+    // Only POST payloads can carry the image; GET webhooks get the hosted link instead
+    const attachment = context.screenshotMode === 'attach' && customPayload ? context.screenshot || null : null;
+    const linkScreenshot = !!context.screenshotUrl &&
+        (context.screenshotMode === 'link' || (context.screenshotMode === 'attach' && !attachment));
+
+    const delivery = {
+        fieldName,
+        domain: context.domain || null,
+        jobId: context.jobId || null,
         url: webhookUrl,
         method: customPayload ? 'POST' : 'GET',
-        payload: customPayload,
-        timestamp: timestamp
+        body: null,
+        attachment,
+        signingSecret: context.signingSecret || null,
+        createdAt: timestamp
     };
 
+    if (customPayload) {
+        // Fill {{variables}} in the user's template; templates without placeholders are sent unchanged
+        delivery.body = renderPayloadTemplate(customPayload, buildTemplateVariables(fieldName, fieldResult, { ...context, timestamp }));
+        if (linkScreenshot) delivery.body = addScreenshotUrl(delivery.body, context.screenshotUrl);
+        return delivery;
+    }
+
+    // GET request - append field data as query parameters
+    try {
+        const url = new URL(webhookUrl);
+        url.searchParams.append('field', fieldName);
+        url.searchParams.append('result', result);
+        url.searchParams.append('probability', probability || '');
+        url.searchParams.append('timestamp', timestamp);
+        if (context.domain) url.searchParams.append('domain', context.domain);
+        if (context.fieldType && context.fieldType !== 'boolean') url.searchParams.append('type', context.fieldType);
+        if (linkScreenshot) url.searchParams.append('screenshot_url', context.screenshotUrl);
+        delivery.url = url.toString();
+    } catch (error) {
+        // Leave the URL as typed; the send fails and records why
+    }
+    return delivery;
+}
+
+// Add screenshot_url to a JSON object payload unless the template already placed it
+function addScreenshotUrl(body, screenshotUrl) {
+    try {
+        const payload = JSON.parse(body);
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload) || 'screenshot_url' in payload) return body;
+        return JSON.stringify({ ...payload, screenshot_url: screenshotUrl });
+    } catch (error) {
+        return body;
+    }
+}
+
+/**
+ * Send a delivery once
+ * @param {Object} delivery - Delivery from buildWebhookDelivery() or buildChannelDelivery()
+ * @returns {Promise<Object>} Webhook result with request/response details and the Retry-After header
+ */
+export async function sendWebhookDelivery(delivery) {
+    const requestData = {
+        url: delivery.displayUrl || delivery.url,
+        method: delivery.method,
+        payload: delivery.displayBody !== undefined ? delivery.displayBody : delivery.body,
+        attachment: delivery.attachment ? delivery.attachment.filename : null,
+        timestamp: new Date().toISOString(),
+        signed: !!delivery.signingSecret
+    };
+
+    // Email needs an SMTP server, which only the cloud runner has
+    if (delivery.method === 'EMAIL') {
+        return {
+            request: requestData,
+            response: null,
+            httpStatus: null,
+            success: false,
+            retryable: false,
+            error: 'Email channels are only sent by the cloud runner'
+        };
+    }
+
     try {
         let response;
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
 
-        if (customPayload) {
-            // POST request with custom JSON payload
-            // Send the exact string the user configured, no matter what
-            response = await fetch(webhookUrl, {
+        // Screenshots are attached only now, so queued copies of the delivery stay small
+        const attachmentRequest = buildAttachmentRequest(delivery);
+        if (attachmentRequest) {
+            // Only generic webhooks are signed, and their body stays a JSON string
+            requestData.method = attachmentRequest.method;
+            response = await fetch(attachmentRequest.url, {
+                method: attachmentRequest.method,
+                headers: {
+                    ...attachmentRequest.headers,
+                    ...await buildSignatureHeaders(delivery.signingSecret, attachmentRequest.body)
+                },
+                body: attachmentRequest.body,
+                signal: controller.signal
+            });
+        } else if (delivery.method === 'POST') {
+            // POST request with the rendered custom payload
+            response = await fetch(delivery.url, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...delivery.headers, // Channel headers, e.g. ntfy access tokens
+                    ...await buildSignatureHeaders(delivery.signingSecret, delivery.body)
                 },
-                body: customPayload, // Send exactly what the user configured
+                body: delivery.body,
                 signal: controller.signal
             });
         } else {
-            // GET request - append field data as query parameters
-            const url = new URL(webhookUrl);
-            url.searchParams.append('field', fieldName);
-            url.searchParams.append('result', result);
-            url.searchParams.append('probability', probability || '');
-            url.searchParams.append('timestamp', timestamp);
-            if (context.domain) url.searchParams.append('domain', context.domain);
-
-            response = await fetch(url.toString(), {
+            // GET deliveries sign the full query string
+            response = await fetch(delivery.url, {
                 method: 'GET',
+                headers: await buildSignatureHeaders(delivery.signingSecret, new URL(delivery.url).search.slice(1)),
                 signal: controller.signal
             });
         }
@@ -69,7 +157,8 @@ export async function fireFieldWebhook(fieldName, webhookUrl, customPayload, fie
             response: responseText,
             httpStatus: response.status,
             success: response.ok,
-            error: response.ok ? null : `HTTP ${response.status}: ${response.statusText}`
+            error: response.ok ? null : `HTTP ${response.status}: ${response.statusText}`,
+            retryAfter: response.headers.get('Retry-After')
         };
 
     } catch (error) {
@@ -84,55 +173,17 @@ export async function fireFieldWebhook(fieldName, webhookUrl, customPayload, fie
 }
 
 /**
- * Format payload for Discord webhooks
+ * Fire a webhook for a field result (single attempt)
  * @param {string} fieldName - Name of the field
- * @param {boolean} result - Field result
- * @param {number} probability - Confidence/probability
- * @param {Object} customPayload - User's custom payload (if any)
- * @param {Object} context - Additional context
- * @returns {Object} Discord-formatted payload
+ * @param {string} webhookUrl - Webhook URL to call
+ * @param {string|null} customPayload - Custom JSON payload template (if null, uses GET request)
+ * @param {Array} fieldResult - Field result array [value, probability]
+ * @param {Object} context - Additional context (domain, jobId, fieldType, url, summary, screenshotUrl, signingSecret)
+ * @returns {Promise<Object>} Webhook result with request/response details
  */
-function formatDiscordPayload(fieldName, result, probability, customPayload, context) {
-    // If user provided a valid Discord payload structure, use it
-    if (customPayload && (customPayload.content || customPayload.embeds)) {
-        return customPayload;
-    }
-
-    // Otherwise, create a formatted Discord message
-    const color = result === true ? 0x00ff00 : result === false ? 0xff0000 : 0x808080; // Green for true, red for false, gray for null
-    const confidencePercent = probability ? (probability * 100).toFixed(1) : 'N/A';
-
-    return {
-        username: 'WebSophon',
-        avatar_url: 'https://raw.githubusercontent.com/yourusername/websophon/main/assets/icon_256.png', // Update with actual icon URL
-        content: `Field evaluation completed for **${fieldName}**`,
-        embeds: [{
-            title: `Field: ${fieldName}`,
-            color: color,
-            fields: [
-                {
-                    name: 'Result',
-                    value: result === true ? '✅ TRUE' : result === false ? '❌ FALSE' : '❓ NULL',
-                    inline: true
-                },
-                {
-                    name: 'Confidence',
-                    value: `${confidencePercent}%`,
-                    inline: true
-                },
-                {
-                    name: 'Domain',
-                    value: context.domain || 'Unknown',
-                    inline: true
-                }
-            ],
-            footer: {
-                text: 'WebSophon Field Webhook',
-                icon_url: 'https://raw.githubusercontent.com/yourusername/websophon/main/assets/icon_32.png' // Update with actual icon URL
-            },
-            timestamp: new Date().toISOString()
-        }]
-    };
+export async function fireFieldWebhook(fieldName, webhookUrl, customPayload, fieldResult, context = {}) {
+    console.log(`[Webhook] Firing webhook for field "${fieldName}" to ${webhookUrl}`);
+    return sendWebhookDelivery(buildWebhookDelivery(fieldName, webhookUrl, customPayload, fieldResult, context));
 }
 
 /**
@@ -141,28 +192,38 @@ function formatDiscordPayload(fieldName, result, probability, customPayload, con
  * @param {string} domain - Domain being evaluated
  * @param {Object} responseData - LLM response data with evaluation
  * @param {Array} fields - Array of field configurations
+ * @param {Object|null} triggerState - Per-field trigger state for this domain (field name -> state), updated in place
+ * @param {Object} context - Capture details (url, screenshotUrl, screenshot attachment), the global signingSecret, an optional
+ *                           WebhookQueue (queue) plus owner tag for retrying failed deliveries, and an
+ *                           optional send(delivery) replacing sendWebhookDelivery (the runner adds email)
  * @returns {Promise<Array>} Array of webhook results
  */
-export async function fireFieldWebhooks(jobId, domain, responseData, fields) {
+export async function fireFieldWebhooks(jobId, domain, responseData, fields, triggerState = null, context = {}) {
     console.log(`[${jobId}] Checking for field webhooks to fire...`);
 
     const fieldWebhooks = [];
     let hasActualFields = false;
 
     // Check if we have a valid response with evaluation data
-    if (!responseData || !responseData.evaluation) {
+    // SAPIENT responses keep fields at the top level, legacy responses wrap them in evaluation
+    const evaluation = responseData && (responseData.evaluation || responseData);
+    if (!evaluation || typeof evaluation !== 'object') {
         console.log(`[${jobId}] No evaluation data found in response, skipping webhooks`);
         return fieldWebhooks;
     }
 
+    // Summary for {{summary}} in payload templates and channel messages
+    const summary = context.summary || responseData.summary || responseData.reason || '';
+    const send = context.send || sendWebhookDelivery;
+
     // Process each field result
     for (const field of fields) {
-        if (!field.webhookEnabled || !field.webhookUrl) {
+        if (!field.webhookEnabled || (!field.webhookUrl && !field.webhookChannelId)) {
             continue;
         }
 
         const fieldName = field.name;
-        const fieldResult = responseData.evaluation[fieldName];
+        const fieldResult = evaluation[fieldName];
 
         if (!fieldResult || !Array.isArray(fieldResult) || fieldResult.length < 1) {
             console.log(`[${jobId}] No result found for field "${fieldName}"`);
@@ -170,45 +231,72 @@ export async function fireFieldWebhooks(jobId, domain, responseData, fields) {
         }
 
         hasActualFields = true;
-        const result = fieldResult[0]; // boolean result
+        const result = fieldResult[0]; // boolean or typed value
         const probability = fieldResult.length > 1 ? fieldResult[1] : 0.8;
 
         console.log(`[${jobId}] Field "${fieldName}" result: ${result}, probability: ${probability}`);
 
         // Apply confidence threshold filtering to get the filtered result
-        const minConfidence = field.webhookMinConfidence !== undefined ? field.webhookMinConfidence : 75;
-        const confidencePercent = probability * 100;
-
-        // Calculate filtered result (confidence threshold applied)
-        let filteredResult = result;
-        if (result === true && confidencePercent < minConfidence) {
-            filteredResult = false; // Demote low-confidence TRUE to FALSE
-            console.log(`[${jobId}] Field "${fieldName}" TRUE result demoted to FALSE due to low confidence ${confidencePercent.toFixed(1)}% < ${minConfidence}%`);
+        // (low-confidence TRUE is demoted to FALSE, low-confidence typed values are dropped)
+        const filteredResult = applyConfidenceFilter(field, result, probability);
+        if (filteredResult !== result) {
+            console.log(`[${jobId}] Field "${fieldName}" result ${result} filtered to ${filteredResult} due to low confidence ${(probability * 100).toFixed(1)}%`);
         }
 
-        // Check webhookTrigger setting against the FILTERED result (defaults to true for backward compatibility)
-        const shouldTriggerOnTrue = field.webhookTrigger !== false; // Default to true if undefined
-        const shouldFireWebhook = shouldTriggerOnTrue ? filteredResult === true : filteredResult === false;
+        // Check the trigger against the FILTERED result: webhookTrigger for boolean fields,
+        // webhookCondition (e.g. "price < 3200") for typed fields
+        const matched = matchesTrigger(field, filteredResult);
 
-        if (!shouldFireWebhook) {
-            console.log(`[${jobId}] Field "${fieldName}" filtered result ${filteredResult} does not match trigger condition (trigger on ${shouldTriggerOnTrue ? 'TRUE' : 'FALSE'})`);
+        // Edge modes, hold-for-N and cooldown depend on earlier runs of this domain and field
+        const decision = evaluateTrigger(field, matched, triggerState ? triggerState[fieldName] : null);
+        if (triggerState) {
+            triggerState[fieldName] = decision.state;
+        }
+        if (!decision.fire) {
+            console.log(`[${jobId}] Field "${fieldName}" filtered result ${filteredResult} not firing: ${decision.reason} (trigger on ${describeTrigger(field)}, ${describeWebhookMode(field)})`);
             continue;
         }
 
-        console.log(`[${jobId}] Field "${fieldName}" firing webhook: ${field.webhookUrl}`);
+        // A selected channel replaces the field's own webhook URL (see resolveFieldChannels)
+        const channel = field.webhookChannelId ? field.webhookChannel : null;
+        console.log(`[${jobId}] Field "${fieldName}" firing webhook (${decision.reason}): ${channel ? `${channel.type} channel "${channel.name}"` : field.webhookUrl}`);
 
         try {
+            if (field.webhookChannelId && !channel) {
+                throw new Error('The notification channel selected for this field no longer exists');
+            }
+
             // Fire the webhook with context
-            const webhookResult = await fireFieldWebhook(
-                fieldName,
-                field.webhookUrl,
-                field.webhookPayload,
-                [result, probability],
-                { domain, jobId }
-            );
+            const deliveryContext = {
+                domain,
+                jobId,
+                fieldType: getFieldType(field),
+                url: context.url,
+                screenshotUrl: context.screenshotUrl,
+                screenshotMode: getFieldScreenshotMode(field),
+                screenshot: context.screenshot || null,
+                summary,
+                // A field's own secret overrides the global one
+                signingSecret: field.webhookSecret || context.signingSecret || null
+            };
+            const delivery = channel && channel.type !== 'webhook'
+                ? buildChannelDelivery(channel, fieldName, [result, probability], deliveryContext)
+                : buildWebhookDelivery(fieldName, channel ? channel.url : field.webhookUrl, field.webhookPayload, [result, probability], deliveryContext);
+            const webhookResult = await send(delivery);
+
+            // Failed deliveries are retried in the background, or dead-lettered for a manual replay
+            if (!webhookResult.success && context.queue) {
+                const entry = await context.queue.enqueue({ ...delivery, owner: context.owner || null }, webhookResult);
+                webhookResult.retry = {
+                    id: entry.id,
+                    status: entry.status,
+                    nextAttemptAt: entry.nextAttemptAt
+                };
+            }
 
             fieldWebhooks.push({
                 fieldName: fieldName,
+                channel: channel ? { id: channel.id, name: channel.name, type: channel.type } : null,
                 ...webhookResult
             });
         } catch (error) {
@@ -216,7 +304,7 @@ export async function fireFieldWebhooks(jobId, domain, responseData, fields) {
             fieldWebhooks.push({
                 fieldName: fieldName,
                 request: {
-                    url: field.webhookUrl,
+                    url: channel ? channel.url || null : field.webhookUrl,
                     method: field.webhookPayload ? 'POST' : 'GET',
                     payload: field.webhookPayload
                 },